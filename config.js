@@ -12,6 +12,83 @@ export const config = {
   database: {
     url: process.env.DATABASE_URL || 'file:./database/shopfloor.db',
   },
+  machines: {
+    // Optional JSON file replacing the default machine status transition graph
+    transitionsFile: process.env.MACHINE_TRANSITIONS_FILE || null,
+    // Reporting interval for machines without their own expected_interval_minutes (0 disables it)
+    defaultExpectedIntervalMinutes: parseInt(process.env.HEARTBEAT_DEFAULT_INTERVAL_MINUTES || '60', 10),
+    // How often the sweeper looks for machines that stopped reporting (0 disables it)
+    sweepIntervalMinutes: parseInt(process.env.HEARTBEAT_SWEEP_INTERVAL_MINUTES || '1', 10),
+  },
+  operators: {
+    // off | warn | reject: what happens when an uncertified operator is assigned to or starts a machine
+    certificationCheck: process.env.OPERATOR_CERTIFICATION_CHECK || 'warn',
+  },
+  plant: {
+    // Plant used when a request does not name one (shifts, reports)
+    defaultCode: process.env.DEFAULT_PLANT || 'MAIN',
+    timezone: process.env.PLANT_TIMEZONE || 'UTC',
+  },
+  maintenance: {
+    // How often preventive maintenance plans are checked (0 disables the scheduler)
+    checkIntervalMinutes: parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MINUTES || '15', 10),
+  },
+  tools: {
+    // How often tool life is checked for warnings (0 disables the monitor)
+    checkIntervalMinutes: parseInt(process.env.TOOL_CHECK_INTERVAL_MINUTES || '15', 10),
+  },
+  mqtt: {
+    // Broker URL, e.g. mqtt://localhost:1883 (unset disables the MQTT adapter)
+    url: process.env.MQTT_URL || null,
+    clientId: process.env.MQTT_CLIENT_ID || 'shopfloor-api',
+    username: process.env.MQTT_USERNAME || null,
+    password: process.env.MQTT_PASSWORD || null,
+    // Optional JSON file mapping topics and payloads to machine updates
+    mappingFile: process.env.MQTT_MAPPING_FILE || null,
+    // Reconnect backoff: starts at the minimum and doubles up to the maximum
+    reconnectMinMs: parseInt(process.env.MQTT_RECONNECT_MIN_MS || '1000', 10),
+    reconnectMaxMs: parseInt(process.env.MQTT_RECONNECT_MAX_MS || '60000', 10),
+  },
+  connectors: {
+    // JSON file defining Modbus TCP / OPC UA / simulator polling connectors (unset disables polling)
+    file: process.env.CONNECTORS_FILE || null,
+  },
+  telemetry: {
+    // Raw readings older than this are deleted; hourly rollups are kept
+    retentionHours: parseInt(process.env.TELEMETRY_RETENTION_HOURS || '72', 10),
+    // How often old readings are pruned (0 disables pruning)
+    pruneIntervalMinutes: parseInt(process.env.TELEMETRY_PRUNE_INTERVAL_MINUTES || '60', 10),
+  },
+  safety: {
+    // An overdue corrective action escalates one level further every this many days
+    capaEscalationDays: parseInt(process.env.CAPA_ESCALATION_DAYS || '7', 10),
+    // Who overdue actions escalate to once past the incident investigator
+    capaEscalationContact: process.env.CAPA_ESCALATION_CONTACT || 'Safety Manager',
+    // How often corrective actions are checked for escalation (0 disables the check)
+    capaCheckIntervalMinutes: parseInt(process.env.CAPA_CHECK_INTERVAL_MINUTES || '60', 10),
+    // An area's inspection counts as due this many days before the next inspection date
+    inspectionDueSoonDays: parseInt(process.env.INSPECTION_DUE_SOON_DAYS || '3', 10),
+    // How often areas are checked for due and overdue inspections (0 disables the check)
+    inspectionCheckIntervalMinutes: parseInt(process.env.INSPECTION_CHECK_INTERVAL_MINUTES || '60', 10),
+    // SafetyHold | Maintenance | off: what machines of a zone are switched to when one of its areas goes Critical
+    interlockPolicy: process.env.SAFETY_INTERLOCK_POLICY || 'SafetyHold',
+    // Who is notified when the safety interlock holds or clears a zone (comma-separated)
+    interlockNotify: process.env.SAFETY_INTERLOCK_NOTIFY || 'Shift Supervisor',
+    // Latest review date a risk assessment may set, in days after the assessment
+    riskReviewMaxDays: parseInt(process.env.RISK_REVIEW_MAX_DAYS || '365', 10),
+  },
+  permits: {
+    // Longest a permit to work may be valid for
+    maxValidityHours: parseInt(process.env.PERMIT_MAX_VALIDITY_HOURS || '12', 10),
+    // How often active permits are checked for expiry (0 disables the check)
+    checkIntervalMinutes: parseInt(process.env.PERMIT_CHECK_INTERVAL_MINUTES || '15', 10),
+  },
+  imports: {
+    // Largest CSV / XLSX upload accepted by the import endpoints
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || '10mb',
+    // Most data rows one import may contain
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS || '5000', 10),
+  },
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
     credentials: true,
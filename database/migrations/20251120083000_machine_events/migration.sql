@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "machine_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "previous_status" TEXT,
+    "new_status" TEXT NOT NULL,
+    "output" INTEGER,
+    "operator" TEXT,
+    "error_message" TEXT,
+    "source" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "machine_events_machine_id_idx" ON "machine_events"("machine_id");
+
+-- CreateIndex
+CREATE INDEX "machine_events_created_at_idx" ON "machine_events"("created_at");
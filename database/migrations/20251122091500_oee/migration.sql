@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "scrap" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "machines" ADD COLUMN "ideal_cycle_rate" REAL;
+ALTER TABLE "machines" ADD COLUMN "line" TEXT;
+
+-- AlterTable
+ALTER TABLE "machine_events" ADD COLUMN "scrap" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "machines_line_idx" ON "machines"("line");
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "machine_events" ADD COLUMN "reason_code" TEXT;
+
+-- CreateTable
+CREATE TABLE "downtime_reasons" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "downtime_intervals" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "reason_code" TEXT,
+    "error_message" TEXT,
+    "source" TEXT NOT NULL,
+    "started_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "ended_at" DATETIME,
+    "duration_seconds" INTEGER
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "downtime_reasons_code_key" ON "downtime_reasons"("code");
+
+-- CreateIndex
+CREATE INDEX "downtime_reasons_code_idx" ON "downtime_reasons"("code");
+
+-- CreateIndex
+CREATE INDEX "downtime_reasons_category_idx" ON "downtime_reasons"("category");
+
+-- CreateIndex
+CREATE INDEX "downtime_intervals_machine_id_idx" ON "downtime_intervals"("machine_id");
+
+-- CreateIndex
+CREATE INDEX "downtime_intervals_reason_code_idx" ON "downtime_intervals"("reason_code");
+
+-- CreateIndex
+CREATE INDEX "downtime_intervals_started_at_idx" ON "downtime_intervals"("started_at");
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "shifts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "plant" TEXT NOT NULL DEFAULT 'MAIN',
+    "name" TEXT NOT NULL,
+    "start_time" TEXT NOT NULL,
+    "end_time" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "order_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "order_id" TEXT NOT NULL,
+    "previous_stage" TEXT,
+    "new_stage" TEXT NOT NULL,
+    "previous_status" TEXT,
+    "new_status" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "shifts_plant_idx" ON "shifts"("plant");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shifts_plant_name_key" ON "shifts"("plant", "name");
+
+-- CreateIndex
+CREATE INDEX "order_events_order_id_idx" ON "order_events"("order_id");
+
+-- CreateIndex
+CREATE INDEX "order_events_created_at_idx" ON "order_events"("created_at");
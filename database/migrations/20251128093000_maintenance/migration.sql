@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "maintenance_plans" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "plan_id" TEXT NOT NULL,
+    "machine_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "trigger_type" TEXT NOT NULL,
+    "interval_days" INTEGER,
+    "interval_hours" REAL,
+    "interval_output" INTEGER,
+    "checklist" TEXT,
+    "assignee" TEXT,
+    "due_in_days" INTEGER NOT NULL DEFAULT 3,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "last_triggered_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "maintenance_work_orders" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "work_order_id" TEXT NOT NULL,
+    "plan_id" TEXT,
+    "machine_id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "checklist" TEXT,
+    "assignee" TEXT,
+    "status" TEXT NOT NULL,
+    "due_date" DATETIME NOT NULL,
+    "completed_at" DATETIME,
+    "completed_by" TEXT,
+    "notes" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "maintenance_plans_plan_id_key" ON "maintenance_plans"("plan_id");
+
+-- CreateIndex
+CREATE INDEX "maintenance_plans_machine_id_idx" ON "maintenance_plans"("machine_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "maintenance_work_orders_work_order_id_key" ON "maintenance_work_orders"("work_order_id");
+
+-- CreateIndex
+CREATE INDEX "maintenance_work_orders_machine_id_idx" ON "maintenance_work_orders"("machine_id");
+
+-- CreateIndex
+CREATE INDEX "maintenance_work_orders_plan_id_idx" ON "maintenance_work_orders"("plan_id");
+
+-- CreateIndex
+CREATE INDEX "maintenance_work_orders_status_idx" ON "maintenance_work_orders"("status");
+
+-- CreateIndex
+CREATE INDEX "maintenance_work_orders_due_date_idx" ON "maintenance_work_orders"("due_date");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "fault_acknowledged_by" TEXT;
+ALTER TABLE "machines" ADD COLUMN "fault_acknowledged_at" DATETIME;
+
+-- AlterTable
+ALTER TABLE "machine_events" ADD COLUMN "reason" TEXT;
+ALTER TABLE "machine_events" ADD COLUMN "role" TEXT;
+ALTER TABLE "machine_events" ADD COLUMN "acknowledged_by" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "expected_interval_minutes" INTEGER;
+ALTER TABLE "machines" ADD COLUMN "last_seen_at" DATETIME;
+
+-- Existing machines were last heard from at their last update
+UPDATE "machines" SET "last_seen_at" = "last_updated";
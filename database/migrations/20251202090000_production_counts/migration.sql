@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "counter_max" INTEGER;
+
+-- CreateTable
+CREATE TABLE "production_counts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "entry_type" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "scrap" INTEGER NOT NULL DEFAULT 0,
+    "output_reading" INTEGER,
+    "scrap_reading" INTEGER,
+    "counter_event" TEXT,
+    "operator" TEXT,
+    "notes" TEXT,
+    "source" TEXT NOT NULL,
+    "recorded_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "production_counts_machine_id_recorded_at_idx" ON "production_counts"("machine_id", "recorded_at");
+
+-- CreateIndex
+CREATE INDEX "production_counts_recorded_at_idx" ON "production_counts"("recorded_at");
+
+-- Existing counters become the baseline for later readings
+INSERT INTO "production_counts" ("id", "machine_id", "entry_type", "quantity", "scrap", "output_reading", "scrap_reading", "counter_event", "source", "recorded_at")
+SELECT lower(hex(randomblob(16))), "machine_id", 'Reading', 0, 0, "output", "scrap", 'Baseline', 'REST', "last_updated"
+FROM "machines";
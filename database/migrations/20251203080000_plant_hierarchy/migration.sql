@@ -0,0 +1,78 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "cell" TEXT;
+
+-- CreateTable
+CREATE TABLE "plants" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "areas" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "plant" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "lines" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "area" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "cells" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "line" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "machines_cell_idx" ON "machines"("cell");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plants_code_key" ON "plants"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "areas_code_key" ON "areas"("code");
+
+-- CreateIndex
+CREATE INDEX "areas_plant_idx" ON "areas"("plant");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "lines_code_key" ON "lines"("code");
+
+-- CreateIndex
+CREATE INDEX "lines_area_idx" ON "lines"("area");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cells_code_key" ON "cells"("code");
+
+-- CreateIndex
+CREATE INDEX "cells_line_idx" ON "cells"("line");
+
+-- Lines already named on machines are kept, under a default plant and area
+INSERT INTO "plants" ("id", "code", "name")
+SELECT lower(hex(randomblob(16))), 'MAIN', 'Main Plant'
+WHERE EXISTS (SELECT 1 FROM "machines" WHERE "line" IS NOT NULL);
+
+INSERT INTO "areas" ("id", "code", "plant", "name")
+SELECT lower(hex(randomblob(16))), 'MAIN-GENERAL', 'MAIN', 'General'
+WHERE EXISTS (SELECT 1 FROM "machines" WHERE "line" IS NOT NULL);
+
+INSERT INTO "lines" ("id", "code", "area", "name")
+SELECT lower(hex(randomblob(16))), "line", 'MAIN-GENERAL', "line"
+FROM (SELECT DISTINCT "line" FROM "machines" WHERE "line" IS NOT NULL);
@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE "machine_events" ADD COLUMN "warning" TEXT;
+
+-- CreateTable
+CREATE TABLE "operators" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "operator_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "skills" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "certifications" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "validity_days" INTEGER,
+    "description" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "operator_certifications" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "operator_id" TEXT NOT NULL,
+    "certification" TEXT NOT NULL,
+    "issued_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" DATETIME,
+    "issued_by" TEXT,
+    "notes" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "machine_certifications" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "certification" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "operators_operator_id_key" ON "operators"("operator_id");
+
+-- CreateIndex
+CREATE INDEX "operators_name_idx" ON "operators"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "certifications_code_key" ON "certifications"("code");
+
+-- CreateIndex
+CREATE INDEX "operator_certifications_expires_at_idx" ON "operator_certifications"("expires_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "operator_certifications_operator_id_certification_key" ON "operator_certifications"("operator_id", "certification");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "machine_certifications_machine_id_certification_key" ON "machine_certifications"("machine_id", "certification");
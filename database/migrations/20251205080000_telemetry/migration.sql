@@ -0,0 +1,74 @@
+-- CreateTable
+CREATE TABLE "telemetry_readings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "value" REAL NOT NULL,
+    "recorded_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "telemetry_rollups" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "bucket_start" DATETIME NOT NULL,
+    "count" INTEGER NOT NULL,
+    "sum" REAL NOT NULL,
+    "min" REAL NOT NULL,
+    "max" REAL NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "telemetry_thresholds" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "unit" TEXT,
+    "warn_low" REAL,
+    "warn_high" REAL,
+    "alarm_low" REAL,
+    "alarm_high" REAL,
+    "alarm_action" TEXT NOT NULL DEFAULT 'Warning',
+    "anomaly_z" REAL,
+    "anomaly_window" INTEGER NOT NULL DEFAULT 30,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "telemetry_events" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "value" REAL NOT NULL,
+    "limit" REAL,
+    "mean" REAL,
+    "stddev" REAL,
+    "zscore" REAL,
+    "message" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "started_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cleared_at" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "telemetry_readings_machine_id_metric_recorded_at_idx" ON "telemetry_readings"("machine_id", "metric", "recorded_at");
+
+-- CreateIndex
+CREATE INDEX "telemetry_readings_recorded_at_idx" ON "telemetry_readings"("recorded_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "telemetry_rollups_machine_id_metric_bucket_start_key" ON "telemetry_rollups"("machine_id", "metric", "bucket_start");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "telemetry_thresholds_machine_id_metric_key" ON "telemetry_thresholds"("machine_id", "metric");
+
+-- CreateIndex
+CREATE INDEX "telemetry_events_machine_id_idx" ON "telemetry_events"("machine_id");
+
+-- CreateIndex
+CREATE INDEX "telemetry_events_started_at_idx" ON "telemetry_events"("started_at");
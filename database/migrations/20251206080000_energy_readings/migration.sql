@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "energy_readings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT,
+    "line" TEXT,
+    "entry_type" TEXT NOT NULL,
+    "kwh" REAL NOT NULL,
+    "meter_reading" REAL,
+    "counter_event" TEXT,
+    "period_start" DATETIME,
+    "source" TEXT NOT NULL,
+    "recorded_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "energy_readings_machine_id_recorded_at_idx" ON "energy_readings"("machine_id", "recorded_at");
+
+-- CreateIndex
+CREATE INDEX "energy_readings_line_recorded_at_idx" ON "energy_readings"("line", "recorded_at");
+
+-- CreateIndex
+CREATE INDEX "energy_readings_recorded_at_idx" ON "energy_readings"("recorded_at");
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "tools" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "tool_id" TEXT NOT NULL,
+    "machine_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'Tool',
+    "life_unit" TEXT NOT NULL,
+    "life_limit" REAL NOT NULL,
+    "warn_percent" INTEGER NOT NULL DEFAULT 80,
+    "installed_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "alert_level" TEXT,
+    "alerted_at" DATETIME,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "tool_changes" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "machine_id" TEXT NOT NULL,
+    "tool_id" TEXT NOT NULL,
+    "installed_at" DATETIME NOT NULL,
+    "replaced_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "life_unit" TEXT NOT NULL,
+    "life_limit" REAL NOT NULL,
+    "life_used" REAL NOT NULL,
+    "reason" TEXT,
+    "changed_by" TEXT,
+    "notes" TEXT,
+    "source" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tools_machine_id_tool_id_key" ON "tools"("machine_id", "tool_id");
+
+-- CreateIndex
+CREATE INDEX "tool_changes_machine_id_tool_id_idx" ON "tool_changes"("machine_id", "tool_id");
+
+-- CreateIndex
+CREATE INDEX "tool_changes_replaced_at_idx" ON "tool_changes"("replaced_at");
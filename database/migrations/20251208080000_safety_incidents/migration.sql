@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE "safety_incidents" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "incident_id" TEXT NOT NULL,
+    "log_id" TEXT,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "severity" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "reported_by" TEXT,
+    "reported_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "investigator" TEXT,
+    "root_cause" TEXT,
+    "root_cause_category" TEXT,
+    "contributing_factors" TEXT,
+    "closed_at" DATETIME,
+    "closed_by" TEXT,
+    "closure_notes" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "corrective_actions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "action_id" TEXT NOT NULL,
+    "incident_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "due_date" DATETIME NOT NULL,
+    "status" TEXT NOT NULL,
+    "escalation_level" INTEGER NOT NULL DEFAULT 0,
+    "escalated_to" TEXT,
+    "escalated_at" DATETIME,
+    "completed_at" DATETIME,
+    "completed_by" TEXT,
+    "completion_notes" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "safety_incidents_incident_id_key" ON "safety_incidents"("incident_id");
+
+-- CreateIndex
+CREATE INDEX "safety_incidents_status_idx" ON "safety_incidents"("status");
+
+-- CreateIndex
+CREATE INDEX "safety_incidents_area_name_idx" ON "safety_incidents"("area_name");
+
+-- CreateIndex
+CREATE INDEX "safety_incidents_reported_at_idx" ON "safety_incidents"("reported_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "corrective_actions_action_id_key" ON "corrective_actions"("action_id");
+
+-- CreateIndex
+CREATE INDEX "corrective_actions_incident_id_idx" ON "corrective_actions"("incident_id");
+
+-- CreateIndex
+CREATE INDEX "corrective_actions_owner_idx" ON "corrective_actions"("owner");
+
+-- CreateIndex
+CREATE INDEX "corrective_actions_status_idx" ON "corrective_actions"("status");
+
+-- CreateIndex
+CREATE INDEX "corrective_actions_due_date_idx" ON "corrective_actions"("due_date");
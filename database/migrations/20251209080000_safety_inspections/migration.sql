@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "safety_areas" ADD COLUMN "inspection_alert" TEXT;
+
+-- CreateTable
+CREATE TABLE "inspection_templates" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "zone" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "checklist" TEXT NOT NULL,
+    "frequency_days" INTEGER NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "safety_inspections" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "inspection_id" TEXT NOT NULL,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "inspector" TEXT NOT NULL,
+    "result" TEXT NOT NULL,
+    "checklist" TEXT NOT NULL,
+    "passed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "not_applicable" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "inspected_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inspection_templates_zone_key" ON "inspection_templates"("zone");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "safety_inspections_inspection_id_key" ON "safety_inspections"("inspection_id");
+
+-- CreateIndex
+CREATE INDEX "safety_inspections_area_name_idx" ON "safety_inspections"("area_name");
+
+-- CreateIndex
+CREATE INDEX "safety_inspections_result_idx" ON "safety_inspections"("result");
+
+-- CreateIndex
+CREATE INDEX "safety_inspections_inspected_at_idx" ON "safety_inspections"("inspected_at");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "safety_logs" ADD COLUMN "ppe_missing" TEXT;
@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "work_permits" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "permit_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "machine_id" TEXT,
+    "description" TEXT NOT NULL,
+    "hazards" TEXT NOT NULL,
+    "controls" TEXT NOT NULL,
+    "ppe_required" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "requested_by" TEXT NOT NULL,
+    "requested_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "valid_from" DATETIME NOT NULL,
+    "valid_to" DATETIME NOT NULL,
+    "approved_by" TEXT,
+    "approver_role" TEXT,
+    "approved_at" DATETIME,
+    "decision_notes" TEXT,
+    "activated_by" TEXT,
+    "activated_at" DATETIME,
+    "closed_by" TEXT,
+    "closed_at" DATETIME,
+    "closure_notes" TEXT,
+    "expiry_warned_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "work_permits_permit_id_key" ON "work_permits"("permit_id");
+
+-- CreateIndex
+CREATE INDEX "work_permits_area_name_idx" ON "work_permits"("area_name");
+
+-- CreateIndex
+CREATE INDEX "work_permits_machine_id_idx" ON "work_permits"("machine_id");
+
+-- CreateIndex
+CREATE INDEX "work_permits_status_idx" ON "work_permits"("status");
+
+-- CreateIndex
+CREATE INDEX "work_permits_valid_to_idx" ON "work_permits"("valid_to");
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "machines" ADD COLUMN "safety_zone" TEXT;
+ALTER TABLE "machines" ADD COLUMN "safety_hold_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "machine_events" ADD COLUMN "interlock_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "safety_interlocks" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "interlock_id" TEXT NOT NULL,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "hold_status" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "machines" TEXT NOT NULL,
+    "notified" TEXT,
+    "triggered_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cleared_at" DATETIME,
+    "cleared_status" TEXT,
+    "released_by" TEXT,
+    "released_role" TEXT,
+    "released_at" DATETIME,
+    "release_notes" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "machines_safety_zone_idx" ON "machines"("safety_zone");
+
+-- CreateIndex
+CREATE INDEX "machine_events_interlock_id_idx" ON "machine_events"("interlock_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "safety_interlocks_interlock_id_key" ON "safety_interlocks"("interlock_id");
+
+-- CreateIndex
+CREATE INDEX "safety_interlocks_zone_idx" ON "safety_interlocks"("zone");
+
+-- CreateIndex
+CREATE INDEX "safety_interlocks_status_idx" ON "safety_interlocks"("status");
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "risk_assessments" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "assessment_id" TEXT NOT NULL,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "hazards" TEXT NOT NULL,
+    "hazard_count" INTEGER NOT NULL,
+    "inherent_risk_level" TEXT NOT NULL,
+    "residual_risk_level" TEXT NOT NULL,
+    "max_residual_score" INTEGER NOT NULL,
+    "previous_risk_level" TEXT,
+    "assessed_by" TEXT NOT NULL,
+    "assessed_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "review_date" DATETIME NOT NULL,
+    "notes" TEXT,
+    "superseded_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "risk_assessments_assessment_id_key" ON "risk_assessments"("assessment_id");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_area_name_idx" ON "risk_assessments"("area_name");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_status_idx" ON "risk_assessments"("status");
+
+-- CreateIndex
+CREATE INDEX "risk_assessments_review_date_idx" ON "risk_assessments"("review_date");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "priority_rank" INTEGER NOT NULL DEFAULT 2;
+
+-- Backfill
+UPDATE "orders" SET "priority_rank" = CASE "priority"
+    WHEN 'Low' THEN 1
+    WHEN 'Medium' THEN 2
+    WHEN 'High' THEN 3
+    WHEN 'Urgent' THEN 4
+    ELSE 2
+END;
+
+-- CreateIndex
+CREATE INDEX "orders_priority_rank_idx" ON "orders"("priority_rank");
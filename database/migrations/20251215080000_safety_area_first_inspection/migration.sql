@@ -0,0 +1,26 @@
+-- RedefineTables: last_inspection becomes nullable (null until the first recorded inspection)
+-- and areas get a created_at. Existing areas keep their last_inspection.
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_safety_areas" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "area_name" TEXT NOT NULL,
+    "zone" TEXT NOT NULL,
+    "ppe_required" TEXT NOT NULL,
+    "risk_level" TEXT NOT NULL,
+    "last_inspection" DATETIME,
+    "status" TEXT NOT NULL,
+    "notes" TEXT,
+    "inspection_alert" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_safety_areas" ("id", "area_name", "zone", "ppe_required", "risk_level", "last_inspection", "status", "notes", "inspection_alert")
+SELECT "id", "area_name", "zone", "ppe_required", "risk_level", "last_inspection", "status", "notes", "inspection_alert" FROM "safety_areas";
+DROP TABLE "safety_areas";
+ALTER TABLE "new_safety_areas" RENAME TO "safety_areas";
+CREATE UNIQUE INDEX "safety_areas_area_name_key" ON "safety_areas"("area_name");
+CREATE INDEX "safety_areas_area_name_idx" ON "safety_areas"("area_name");
+CREATE INDEX "safety_areas_zone_idx" ON "safety_areas"("zone");
+CREATE INDEX "safety_areas_status_idx" ON "safety_areas"("status");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -9,6 +9,28 @@ dotenv.config();
 
 const prisma = new PrismaClient();
 
+const sampleHierarchy = {
+  plants: [
+    { code: 'MAIN', name: 'Main Plant' },
+    { code: 'PLANT2', name: 'Plant 2' },
+  ],
+  areas: [
+    { code: 'MAIN-MACH', plant: 'MAIN', name: 'Machining' },
+    { code: 'MAIN-ASSY', plant: 'MAIN', name: 'Assembly & Packaging' },
+    { code: 'P2-FAB', plant: 'PLANT2', name: 'Fabrication' },
+  ],
+  lines: [
+    { code: 'L1', area: 'MAIN-MACH', name: 'CNC Line 1' },
+    { code: 'L2', area: 'MAIN-ASSY', name: 'Assembly Line 2' },
+    { code: 'P2-L1', area: 'P2-FAB', name: 'Welding Line 1' },
+  ],
+  cells: [
+    { code: 'L1-C1', line: 'L1', name: 'Turning Cell' },
+    { code: 'L2-C1', line: 'L2', name: 'Assembly Cell' },
+    { code: 'L2-C2', line: 'L2', name: 'Packaging & QC Cell' },
+  ],
+};
+
 const sampleMachines = [
   {
     machine_id: 'M01',
@@ -17,6 +39,9 @@ const sampleMachines = [
     output: 150,
     error_message: null,
     operator: 'Marudhachalam',
+    expected_interval_minutes: 30,
+    line: 'L1',
+    cell: 'L1-C1',
     last_updated: new Date(),
   },
   {
@@ -26,6 +51,9 @@ const sampleMachines = [
     output: 0,
     error_message: null,
     operator: 'somasundram',
+    line: 'L2',
+    cell: 'L2-C1',
+    safety_zone: 'AssemblyZone',
     last_updated: new Date(),
   },
   {
@@ -35,6 +63,10 @@ const sampleMachines = [
     output: 120,
     error_message: null,
     operator: 'palanisamy',
+    expected_interval_minutes: 30,
+    line: 'L2',
+    cell: 'L2-C2',
+    safety_zone: 'PackagingZone',
     last_updated: new Date(),
   },
   {
@@ -44,6 +76,8 @@ const sampleMachines = [
     output: 0,
     error_message: 'Scheduled maintenance - calibration check',
     operator: "D raghavan",
+    line: 'L2',
+    cell: 'L2-C2',
     last_updated: new Date(),
   },
 ];
@@ -84,6 +118,7 @@ const sampleOrders = [
     customer_name: 'Durai Kannan',
     stage: 'Production',
     priority: 'High',
+    priority_rank: 3,
     quantity: 500,
     materials: 'Steel,Plastic,Electronic Components',
     eta: 'Nov-20',
@@ -97,6 +132,7 @@ const sampleOrders = [
     customer_name: 'Tech Solutions Inc',
     stage: 'Quality',
     priority: 'Medium',
+    priority_rank: 2,
     quantity: 200,
     materials: 'Aluminum,Plastic',
     eta: 'Nov-18',
@@ -110,6 +146,7 @@ const sampleOrders = [
     customer_name: 'Global Industries',
     stage: 'Packaging',
     priority: 'Urgent',
+    priority_rank: 4,
     quantity: 1000,
     materials: 'Steel,Plastic,Wood',
     eta: 'Nov-17',
@@ -123,6 +160,7 @@ const sampleOrders = [
     customer_name: 'Local Manufacturing',
     stage: 'Planning',
     priority: 'Low',
+    priority_rank: 1,
     quantity: 150,
     materials: 'Steel,Plastic',
     eta: 'Nov-25',
@@ -154,9 +192,190 @@ const sampleSafetyLogs = [
   },
 ];
 
+const sampleDowntimeReasons = [
+  {
+    code: 'MECH-01',
+    name: 'Mechanical breakdown',
+    category: 'Mechanical',
+    description: 'Bearing, spindle, gearbox or other mechanical failure',
+  },
+  {
+    code: 'ELEC-01',
+    name: 'Electrical fault',
+    category: 'Electrical',
+    description: 'Motor trip, drive fault, sensor or wiring failure',
+  },
+  {
+    code: 'MAT-01',
+    name: 'Material starvation',
+    category: 'MaterialStarvation',
+    description: 'Machine waiting for raw material or upstream parts',
+  },
+  {
+    code: 'CHG-01',
+    name: 'Changeover',
+    category: 'Changeover',
+    description: 'Tooling or product changeover',
+  },
+  {
+    code: 'QLT-01',
+    name: 'Quality hold',
+    category: 'Quality',
+    description: 'Stopped for quality check or rework',
+  },
+  {
+    code: 'PM-01',
+    name: 'Planned maintenance',
+    category: 'PlannedMaintenance',
+    description: 'Scheduled preventive maintenance',
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+const sampleOperators = [
+  {
+    operator_id: 'OP-001',
+    name: 'Marudhachalam',
+    skills: JSON.stringify([{ skill: 'CNC Turning', level: 4 }, { skill: 'Setup', level: 3 }]),
+  },
+  {
+    operator_id: 'OP-002',
+    name: 'somasundram',
+    skills: JSON.stringify([{ skill: 'Assembly', level: 3 }, { skill: 'CNC Turning', level: 1 }]),
+  },
+  {
+    operator_id: 'OP-003',
+    name: 'palanisamy',
+    skills: JSON.stringify([{ skill: 'Packaging', level: 3 }, { skill: 'Assembly', level: 2 }]),
+  },
+  {
+    operator_id: 'OP-004',
+    name: 'D raghavan',
+    skills: JSON.stringify([{ skill: 'Gauge Calibration', level: 4 }, { skill: 'Packaging', level: 2 }]),
+  },
+];
+
+const sampleCertifications = [
+  { code: 'CNC-OP', name: 'CNC machine operation', validity_days: 365 },
+  { code: 'ASSY-OP', name: 'Assembly line operation', validity_days: 730 },
+  { code: 'PACK-OP', name: 'Packaging unit operation', validity_days: 365 },
+  { code: 'QC-GAUGE', name: 'Gauge handling and calibration', validity_days: 180 },
+];
+
+// One certificate expiring within 30 days and one already expired, so the expiry views have data
+const sampleOperatorCertifications = [
+  { operator_id: 'OP-001', certification: 'CNC-OP', issued_at: daysFromNow(-200), expires_at: daysFromNow(165) },
+  { operator_id: 'OP-002', certification: 'ASSY-OP', issued_at: daysFromNow(-100), expires_at: daysFromNow(630) },
+  { operator_id: 'OP-003', certification: 'PACK-OP', issued_at: daysFromNow(-345), expires_at: daysFromNow(20) },
+  { operator_id: 'OP-004', certification: 'QC-GAUGE', issued_at: daysFromNow(-190), expires_at: daysFromNow(-10) },
+];
+
+const sampleMachineCertifications = [
+  { machine_id: 'M01', certification: 'CNC-OP' },
+  { machine_id: 'M03', certification: 'PACK-OP' },
+  { machine_id: 'M04', certification: 'QC-GAUGE' },
+];
+
+const sampleTelemetryThresholds = [
+  { machine_id: 'M01', metric: 'temperature', unit: '°C', warn_high: 75, alarm_high: 85, alarm_action: 'Error', anomaly_z: 3 },
+  { machine_id: 'M01', metric: 'vibration', unit: 'mm/s', warn_high: 4.5, alarm_high: 7.1, anomaly_z: 3 },
+  { machine_id: 'M02', metric: 'pressure', unit: 'bar', warn_low: 5.5, warn_high: 7.5, alarm_low: 4.5, alarm_high: 8.5 },
+];
+
+const sampleInspectionTemplates = [
+  {
+    zone: 'WeldingZone',
+    name: 'Weekly welding area inspection',
+    checklist: JSON.stringify([
+      'Fire extinguishers charged and accessible',
+      'Welding screens in place',
+      'Gas cylinders chained and capped',
+      'Fume extraction working',
+      'PPE station stocked',
+    ]),
+    frequency_days: 7,
+  },
+  {
+    zone: 'AssemblyZone',
+    name: 'Assembly area inspection',
+    checklist: JSON.stringify([
+      'Walkways clear and marked',
+      'Machine guards fitted',
+      'Emergency stops tested',
+      'First aid kit stocked',
+    ]),
+    frequency_days: 14,
+  },
+  {
+    zone: 'PackagingZone',
+    name: 'Packaging area inspection',
+    checklist: JSON.stringify([
+      'Pallets stacked within height limit',
+      'Forklift lanes clear',
+      'Stretch wrapper guard interlocked',
+    ]),
+    frequency_days: 14,
+  },
+];
+
+const sampleTools = [
+  { machine_id: 'M01', tool_id: 'T12', name: '12 mm carbide end mill', kind: 'Tool', life_unit: 'Cycles', life_limit: 1500 },
+  { machine_id: 'M01', tool_id: 'T03', name: '8.5 mm drill', kind: 'Tool', life_unit: 'Cycles', life_limit: 4000 },
+  { machine_id: 'M01', tool_id: 'COOLANT', name: 'Coolant concentrate', kind: 'Consumable', life_unit: 'Hours', life_limit: 160, warn_percent: 90 },
+];
+
+const sampleShifts = [
+  { plant: 'MAIN', name: 'A', start_time: '06:00', end_time: '14:00', timezone: 'Asia/Kolkata' },
+  { plant: 'MAIN', name: 'B', start_time: '14:00', end_time: '22:00', timezone: 'Asia/Kolkata' },
+  { plant: 'MAIN', name: 'C', start_time: '22:00', end_time: '06:00', timezone: 'Asia/Kolkata' },
+];
+
+const sampleMaintenancePlans = [
+  {
+    plan_id: 'PM-M01-SPINDLE',
+    machine_id: 'M01',
+    name: 'Spindle lubrication and inspection',
+    trigger_type: 'Runtime',
+    interval_hours: 200,
+    checklist: JSON.stringify(['Lubricate spindle bearings', 'Check spindle runout', 'Clean chip conveyor']),
+    assignee: 'Maintenance Team',
+    due_in_days: 2,
+  },
+  {
+    plan_id: 'PM-M04-CALIBRATION',
+    machine_id: 'M04',
+    name: 'Monthly gauge calibration',
+    trigger_type: 'Calendar',
+    interval_days: 30,
+    checklist: JSON.stringify(['Calibrate gauges against master', 'Record calibration certificate']),
+    assignee: 'Quality Team B',
+    due_in_days: 5,
+  },
+];
+
 async function main() {
   console.log('🌱 Starting database seeding...');
 
+  // Seed Plant Hierarchy
+  console.log('\n🏭 Seeding plant hierarchy...');
+  for (const [model, rows] of [
+    ['plant', sampleHierarchy.plants],
+    ['area', sampleHierarchy.areas],
+    ['line', sampleHierarchy.lines],
+    ['cell', sampleHierarchy.cells],
+  ]) {
+    for (const row of rows) {
+      const result = await prisma[model].upsert({
+        where: { code: row.code },
+        update: row,
+        create: row,
+      });
+      console.log(`✓ Seeded ${model}: ${result.code} - ${result.name}`);
+    }
+  }
+
   // Seed Machines
   console.log('\n📦 Seeding machines...');
   for (const machine of sampleMachines) {
@@ -168,6 +387,99 @@ async function main() {
     console.log(`✓ Seeded machine: ${result.machine_id} - ${result.name}`);
   }
 
+  // Seed Downtime Reasons
+  console.log('\n⏱️ Seeding downtime reasons...');
+  for (const reason of sampleDowntimeReasons) {
+    const result = await prisma.downtimeReason.upsert({
+      where: { code: reason.code },
+      update: reason,
+      create: reason,
+    });
+    console.log(`✓ Seeded downtime reason: ${result.code} - ${result.name}`);
+  }
+
+  // Seed Operators and Certifications
+  console.log('\n👷 Seeding operators and certifications...');
+  for (const operator of sampleOperators) {
+    const result = await prisma.operator.upsert({
+      where: { operator_id: operator.operator_id },
+      update: operator,
+      create: operator,
+    });
+    console.log(`✓ Seeded operator: ${result.operator_id} - ${result.name}`);
+  }
+  for (const certification of sampleCertifications) {
+    const result = await prisma.certification.upsert({
+      where: { code: certification.code },
+      update: certification,
+      create: certification,
+    });
+    console.log(`✓ Seeded certification: ${result.code} - ${result.name}`);
+  }
+  for (const certificate of sampleOperatorCertifications) {
+    await prisma.operatorCertification.upsert({
+      where: {
+        operator_id_certification: { operator_id: certificate.operator_id, certification: certificate.certification },
+      },
+      update: certificate,
+      create: certificate,
+    });
+  }
+  for (const requirement of sampleMachineCertifications) {
+    await prisma.machineCertification.upsert({
+      where: {
+        machine_id_certification: { machine_id: requirement.machine_id, certification: requirement.certification },
+      },
+      update: requirement,
+      create: requirement,
+    });
+  }
+  console.log(`✓ Seeded ${sampleOperatorCertifications.length} operator certificates and ${sampleMachineCertifications.length} machine requirements`);
+
+  // Seed Telemetry Thresholds
+  console.log('\n🌡️ Seeding telemetry thresholds...');
+  for (const threshold of sampleTelemetryThresholds) {
+    const result = await prisma.telemetryThreshold.upsert({
+      where: { machine_id_metric: { machine_id: threshold.machine_id, metric: threshold.metric } },
+      update: threshold,
+      create: threshold,
+    });
+    console.log(`✓ Seeded telemetry threshold: ${result.machine_id}/${result.metric}`);
+  }
+
+  // Seed Tools
+  console.log('\n🔧 Seeding tools...');
+  for (const tool of sampleTools) {
+    const result = await prisma.tool.upsert({
+      where: { machine_id_tool_id: { machine_id: tool.machine_id, tool_id: tool.tool_id } },
+      update: tool,
+      create: tool,
+    });
+    console.log(`✓ Seeded tool: ${result.machine_id}/${result.tool_id} - ${result.name}`);
+  }
+
+  // Seed Shifts
+  console.log('\n🕒 Seeding shifts...');
+  for (const shift of sampleShifts) {
+    const result = await prisma.shift.upsert({
+      where: { plant_name: { plant: shift.plant, name: shift.name } },
+      update: shift,
+      create: shift,
+    });
+    console.log(`✓ Seeded shift: ${result.plant}/${result.name} ${result.start_time}-${result.end_time}`);
+  }
+
+  // Seed Maintenance Plans
+  console.log('\n🛠️ Seeding maintenance plans...');
+  for (const plan of sampleMaintenancePlans) {
+    const result = await prisma.maintenancePlan.upsert({
+      where: { plan_id: plan.plan_id },
+      update: plan,
+      create: plan,
+    });
+    console.log(`✓ Seeded maintenance plan: ${result.plan_id} - ${result.name}`);
+  }
+
   // Seed Safety Areas
   console.log('\n🛡️ Seeding safety areas...');
   for (const area of sampleSafetyAreas) {
@@ -179,6 +491,17 @@ async function main() {
     console.log(`✓ Seeded safety area: ${result.area_name} - ${result.zone}`);
   }
 
+  // Seed Inspection Templates
+  console.log('\n📋 Seeding inspection templates...');
+  for (const template of sampleInspectionTemplates) {
+    const result = await prisma.inspectionTemplate.upsert({
+      where: { zone: template.zone },
+      update: template,
+      create: template,
+    });
+    console.log(`✓ Seeded inspection template: ${result.zone} every ${result.frequency_days} days`);
+  }
+
   // Seed Orders
   console.log('\n📋 Seeding orders...');
   for (const order of sampleOrders) {
@@ -200,8 +523,16 @@ async function main() {
   }
 
   console.log('\n✅ Database seeding completed!');
+  console.log(`   - ${sampleHierarchy.plants.length} plants, ${sampleHierarchy.lines.length} lines, ${sampleHierarchy.cells.length} cells`);
   console.log(`   - ${sampleMachines.length} machines`);
+  console.log(`   - ${sampleDowntimeReasons.length} downtime reasons`);
+  console.log(`   - ${sampleOperators.length} operators, ${sampleCertifications.length} certifications`);
+  console.log(`   - ${sampleTelemetryThresholds.length} telemetry thresholds`);
+  console.log(`   - ${sampleTools.length} tools`);
+  console.log(`   - ${sampleShifts.length} shifts`);
+  console.log(`   - ${sampleMaintenancePlans.length} maintenance plans`);
   console.log(`   - ${sampleSafetyAreas.length} safety areas`);
+  console.log(`   - ${sampleInspectionTemplates.length} inspection templates`);
   console.log(`   - ${sampleOrders.length} orders`);
   console.log(`   - ${sampleSafetyLogs.length} safety logs`);
 }
@@ -1,8 +1,81 @@
 import { useState, useEffect } from 'react';
-import { machinesAPI } from '../services/api';
+import { machinesAPI, hierarchyAPI, telemetryAPI, fetchAllPages } from '../services/api';
+
+// Machine fields the cards show
+const MACHINE_CARD_FIELDS = [
+  'id',
+  'machine_id',
+  'name',
+  'status',
+  'output',
+  'operator',
+  'line',
+  'cell',
+  'error_message',
+  'fault_acknowledged_by',
+  'last_updated',
+  'last_seen_at',
+  'stale',
+  'seconds_since_report',
+].join(',');
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+
+// Inline SVG line of recent readings; empty buckets (no readings) break the line
+function Sparkline({ points, color }) {
+  const values = points.filter((value) => value !== null);
+  if (values.length === 0) {
+    return <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} />;
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const step = points.length > 1 ? SPARKLINE_WIDTH / (points.length - 1) : 0;
+
+  const segments = [];
+  let current = [];
+  points.forEach((value, index) => {
+    if (value === null) {
+      if (current.length > 0) {
+        segments.push(current);
+      }
+      current = [];
+      return;
+    }
+    const x = index * step;
+    const y = SPARKLINE_HEIGHT - 2 - ((value - min) / span) * (SPARKLINE_HEIGHT - 4);
+    current.push([x, y]);
+  });
+  if (current.length > 0) {
+    segments.push(current);
+  }
+
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} className={color}>
+      {segments.map((segment, index) =>
+        segment.length === 1 ? (
+          <circle key={index} cx={segment[0][0]} cy={segment[0][1]} r="1.5" fill="currentColor" />
+        ) : (
+          <polyline
+            key={index}
+            points={segment.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="1.5"
+          />
+        )
+      )}
+    </svg>
+  );
+}
 
 function DashboardPage() {
   const [machines, setMachines] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [oee, setOee] = useState(null);
+  const [sparklines, setSparklines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -16,8 +89,16 @@ function DashboardPage() {
   const loadMachines = async () => {
     try {
       setLoading(true);
-      const response = await machinesAPI.getAll();
-      setMachines(response.data.data || []);
+      const [machineList, oeeResponse, linesResponse, sparklinesResponse] = await Promise.all([
+        fetchAllPages(machinesAPI.getAll, { limit: 500, fields: MACHINE_CARD_FIELDS }),
+        machinesAPI.getPlantOEE(),
+        hierarchyAPI.getLines(),
+        telemetryAPI.getSparklines({ minutes: 60, points: 30 }),
+      ]);
+      setMachines(machineList);
+      setLines(linesResponse.data.data || []);
+      setOee(oeeResponse.data.data || null);
+      setSparklines(sparklinesResponse.data.data || []);
       setError(null);
     } catch (err) {
       setError('Failed to load machines');
@@ -37,11 +118,102 @@ function DashboardPage() {
         return 'bg-error text-white';
       case 'Maintenance':
         return 'bg-maintenance text-white';
+      case 'Offline':
+        return 'bg-offline text-white';
+      case 'SafetyHold':
+        return 'bg-safetyhold text-white';
       default:
         return 'bg-gray-500 text-white';
     }
   };
 
+  const formatPercent = (ratio) => {
+    if (ratio === null || ratio === undefined) {
+      return '-';
+    }
+    return `${(ratio * 100).toFixed(1)}%`;
+  };
+
+  const getOeeColor = (ratio) => {
+    if (ratio === null || ratio === undefined) {
+      return 'text-gray-400';
+    }
+    if (ratio >= 0.85) {
+      return 'text-green-600';
+    }
+    if (ratio >= 0.6) {
+      return 'text-yellow-600';
+    }
+    return 'text-red-600';
+  };
+
+  const formatAge = (seconds) => {
+    if (seconds === null || seconds === undefined) {
+      return '-';
+    }
+    if (seconds < 3600) {
+      return `${Math.round(seconds / 60)} min`;
+    }
+    if (seconds < 86400) {
+      return `${(seconds / 3600).toFixed(1)} h`;
+    }
+    return `${(seconds / 86400).toFixed(1)} days`;
+  };
+
+  const getMachineSparklines = (machineId) =>
+    sparklines.filter((sparkline) => sparkline.machine_id === machineId);
+
+  const getTelemetryColor = (severity) => {
+    switch (severity) {
+      case 'Alarm':
+        return 'text-red-600';
+      case 'Warning':
+        return 'text-yellow-600';
+      default:
+        return 'text-blue-600';
+    }
+  };
+
+  const formatReading = (value, unit) => {
+    if (value === null || value === undefined) {
+      return '-';
+    }
+    const rounded = Number.isInteger(value) ? value : value.toFixed(1);
+    return unit ? `${rounded} ${unit}` : `${rounded}`;
+  };
+
+  const getMachineOee = (machineId) =>
+    oee?.machines?.find((result) => result.machine_id === machineId) || null;
+
+  const getLineOee = (lineCode) =>
+    oee?.lines?.find((result) => result.line === lineCode) || null;
+
+  // Group machine cards by line, in line order, with unassigned machines last
+  const getLineGroups = () => {
+    const groups = lines
+      .map((line) => ({
+        key: line.code,
+        title: line.name ? `${line.name} (${line.code})` : line.code,
+        subtitle: line.area,
+        oee: getLineOee(line.code),
+        machines: machines.filter((machine) => machine.line === line.code),
+      }))
+      .filter((group) => group.machines.length > 0);
+
+    const knownLines = lines.map((line) => line.code);
+    const unassigned = machines.filter((machine) => !machine.line || !knownLines.includes(machine.line));
+    if (unassigned.length > 0) {
+      groups.push({
+        key: 'unassigned',
+        title: 'Unassigned',
+        subtitle: null,
+        oee: null,
+        machines: unassigned,
+      });
+    }
+    return groups;
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'Running':
@@ -52,6 +224,10 @@ function DashboardPage() {
         return '⚠';
       case 'Maintenance':
         return '🔧';
+      case 'Offline':
+        return '📴';
+      case 'SafetyHold':
+        return '⛔';
       default:
         return '❓';
     }
@@ -84,56 +260,172 @@ function DashboardPage() {
         <p className="mt-2 text-gray-600">Real-time machine status monitoring</p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-        {machines.map((machine) => (
-          <div
-            key={machine.id}
-            className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow"
-          >
-            <div className={`px-6 py-4 ${getStatusColor(machine.status)}`}>
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-semibold">{machine.machine_id}</h3>
-                <span className="text-2xl">{getStatusIcon(machine.status)}</span>
-              </div>
-              <p className="text-sm opacity-90 mt-1">{machine.name}</p>
+      {/* OEE tiles (plant-wide, last 24 hours) */}
+      {oee && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-8">
+          {[
+            { label: 'OEE', value: oee.plant.oee },
+            { label: 'Availability', value: oee.plant.availability },
+            { label: 'Performance', value: oee.plant.performance },
+            { label: 'Quality', value: oee.plant.quality },
+          ].map((tile) => (
+            <div key={tile.label} className="bg-white rounded-lg shadow-md px-6 py-4">
+              <p className="text-sm text-gray-500">{tile.label}</p>
+              <p className={`text-3xl font-bold ${getOeeColor(tile.value)}`}>
+                {formatPercent(tile.value)}
+              </p>
+              <p className="text-xs text-gray-400 mt-1">Plant-wide, last 24 hours</p>
             </div>
+          ))}
+        </div>
+      )}
 
-            <div className="px-6 py-4">
-              <div className="space-y-3">
-                <div>
-                  <p className="text-sm text-gray-500">Status</p>
-                  <p className="text-lg font-semibold text-gray-900">{machine.status}</p>
-                </div>
+      {getLineGroups().map((group) => (
+        <section key={group.key} className="mb-10">
+          <div className="flex items-baseline justify-between mb-4 border-b border-gray-200 pb-2">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">{group.title}</h2>
+              {group.subtitle && <p className="text-sm text-gray-500">Area {group.subtitle}</p>}
+            </div>
+            <div className="text-right">
+              <p className="text-sm text-gray-500">
+                {group.machines.length} machine{group.machines.length === 1 ? '' : 's'}
+              </p>
+              {group.oee && (
+                <p className={`text-sm font-semibold ${getOeeColor(group.oee.oee)}`}>
+                  Line OEE {formatPercent(group.oee.oee)}
+                </p>
+              )}
+            </div>
+          </div>
 
-                <div>
-                  <p className="text-sm text-gray-500">Output</p>
-                  <p className="text-lg font-semibold text-gray-900">{machine.output} units</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {group.machines.map((machine) => (
+              <div
+                key={machine.id}
+                className={`bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow ${
+                  machine.stale ? 'ring-2 ring-gray-400 opacity-75' : ''
+                }`}
+              >
+                <div className={`px-6 py-4 ${getStatusColor(machine.status)}`}>
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-semibold">{machine.machine_id}</h3>
+                    <span className="text-2xl">{getStatusIcon(machine.status)}</span>
+                  </div>
+                  <p className="text-sm opacity-90 mt-1">{machine.name}</p>
                 </div>
 
-                {machine.operator && (
-                  <div>
-                    <p className="text-sm text-gray-500">Operator</p>
-                    <p className="text-sm font-medium text-gray-900">{machine.operator}</p>
+                {machine.stale && (
+                  <div className="px-6 py-2 bg-gray-100 text-gray-700 text-sm font-medium">
+                    ⏱ No report for {formatAge(machine.seconds_since_report)}
+                    {machine.status !== 'Offline' && ' - status may be out of date'}
                   </div>
                 )}
 
-                {machine.error_message && (
-                  <div>
-                    <p className="text-sm text-red-600 font-medium">Error</p>
-                    <p className="text-sm text-red-600">{machine.error_message}</p>
-                  </div>
-                )}
+                <div className="px-6 py-4">
+                  <div className="space-y-3">
+                    <div>
+                      <p className="text-sm text-gray-500">Status</p>
+                      <p className={`text-lg font-semibold ${machine.stale ? 'text-gray-400' : 'text-gray-900'}`}>
+                        {machine.status}
+                      </p>
+                    </div>
+
+                    <div>
+                      <p className="text-sm text-gray-500">Output</p>
+                      <p className="text-lg font-semibold text-gray-900">{machine.output} units</p>
+                    </div>
+
+                    {getMachineOee(machine.machine_id) && (
+                      <div>
+                        <p className="text-sm text-gray-500">OEE (24h)</p>
+                        <p className={`text-lg font-semibold ${getOeeColor(getMachineOee(machine.machine_id).oee)}`}>
+                          {formatPercent(getMachineOee(machine.machine_id).oee)}
+                        </p>
+                      </div>
+                    )}
+
+                    {getMachineSparklines(machine.machine_id).length > 0 && (
+                      <div>
+                        <p className="text-sm text-gray-500">Telemetry (last hour)</p>
+                        <div className="space-y-1 mt-1">
+                          {getMachineSparklines(machine.machine_id).map((sparkline) => (
+                            <div key={sparkline.metric} className="flex items-center justify-between gap-2">
+                              <span className="text-xs text-gray-600 w-20 truncate" title={sparkline.metric}>
+                                {sparkline.metric}
+                              </span>
+                              <Sparkline
+                                points={sparkline.points}
+                                color={getTelemetryColor(sparkline.open_severity)}
+                              />
+                              <span
+                                className={`text-xs font-semibold text-right w-16 ${getTelemetryColor(sparkline.open_severity)}`}
+                              >
+                                {formatReading(sparkline.latest, sparkline.unit)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {machine.cell && (
+                      <div>
+                        <p className="text-sm text-gray-500">Cell</p>
+                        <p className="text-sm font-medium text-gray-900">{machine.cell}</p>
+                      </div>
+                    )}
 
-                <div>
-                  <p className="text-xs text-gray-400">
-                    Updated: {new Date(machine.last_updated).toLocaleString()}
-                  </p>
+                    {machine.operator && (
+                      <div>
+                        <p className="text-sm text-gray-500">Operator</p>
+                        <p className="text-sm font-medium text-gray-900">{machine.operator}</p>
+                      </div>
+                    )}
+
+                    {machine.error_message && (
+                      <div>
+                        <p className="text-sm text-red-600 font-medium">Error</p>
+                        <p className="text-sm text-red-600">{machine.error_message}</p>
+                      </div>
+                    )}
+
+                    {machine.safety_hold_id && (
+                      <div>
+                        <p className="text-sm text-red-700 font-medium">
+                          Held by safety interlock {machine.safety_hold_id}
+                          {machine.safety_zone && ` (${machine.safety_zone})`}
+                        </p>
+                      </div>
+                    )}
+
+                    {machine.status === 'Error' && (
+                      <div>
+                        <p className="text-xs text-gray-500">
+                          {machine.fault_acknowledged_by
+                            ? `Acknowledged by ${machine.fault_acknowledged_by}`
+                            : 'Fault not acknowledged'}
+                        </p>
+                      </div>
+                    )}
+
+                    <div>
+                      <p className="text-xs text-gray-400">
+                        Updated: {new Date(machine.last_updated).toLocaleString()}
+                      </p>
+                      {machine.last_seen_at && machine.last_seen_at !== machine.last_updated && (
+                        <p className="text-xs text-gray-400">
+                          Last report: {new Date(machine.last_seen_at).toLocaleString()}
+                        </p>
+                      )}
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
+            ))}
           </div>
-        ))}
-      </div>
+        </section>
+      ))}
 
       {machines.length === 0 && (
         <div className="text-center py-12">
@@ -1,22 +1,60 @@
 import { useState, useEffect } from 'react';
 import { ordersAPI } from '../services/api';
 
+const PAGE_SIZE = 25;
+
+const FILTERS = [
+  { key: 'status', label: 'Status', options: ['Active', 'OnHold', 'Completed', 'Cancelled'] },
+  { key: 'stage', label: 'Stage', options: ['Planning', 'Production', 'Quality', 'Packaging', 'Shipping', 'Completed'] },
+  { key: 'priority', label: 'Priority', options: ['Low', 'Medium', 'High', 'Urgent'] },
+];
+
+const SORTS = [
+  { value: '-updated_at', label: 'Recently updated' },
+  { value: '-created_at', label: 'Newest' },
+  { value: '-priority,-updated_at', label: 'Most urgent' },
+  { value: 'order_id', label: 'Order ID' },
+  { value: 'stage,order_id', label: 'Stage' },
+  { value: 'customer_name,order_id', label: 'Customer' },
+];
+
 function OrderPage() {
   const [orders, setOrders] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState({ status: '', stage: '', priority: '' });
+  const [sort, setSort] = useState(SORTS[0].value);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const getParams = () => ({
+    sort,
+    ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+  });
+
+  useEffect(() => {
+    loadOrders(PAGE_SIZE);
+  }, [filters, sort]);
 
   useEffect(() => {
-    loadOrders();
-    const interval = setInterval(loadOrders, 30000);
+    // Refresh the pages already shown
+    const interval = setInterval(() => loadOrders(Math.max(PAGE_SIZE, orders.length), false), 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [filters, sort, orders.length]);
 
-  const loadOrders = async () => {
+  const loadOrders = async (limit, showSpinner = true) => {
     try {
-      setLoading(true);
-      const response = await ordersAPI.getAll();
+      if (showSpinner) {
+        setLoading(true);
+      }
+      const response = await ordersAPI.getAll({ ...getParams(), limit: Math.min(limit, 500) });
       setOrders(response.data.data || []);
+      setTotal(response.data.total || 0);
+      setNextCursor(response.data.next_cursor || null);
       setError(null);
     } catch (err) {
       setError('Failed to load orders');
@@ -26,6 +64,63 @@ function OrderPage() {
     }
   };
 
+  const loadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await ordersAPI.getAll({ ...getParams(), limit: PAGE_SIZE, cursor: nextCursor });
+      setOrders((current) => [...current, ...(response.data.data || [])]);
+      setTotal(response.data.total || 0);
+      setNextCursor(response.data.next_cursor || null);
+    } catch (err) {
+      setError('Failed to load more orders');
+      console.error(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const exportOrders = async (format) => {
+    try {
+      const response = await ordersAPI.exportFile({ ...getParams(), format });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `orders.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export orders');
+      console.error(err);
+    }
+  };
+
+  // Preview the file first; commit only after the report shows every row is valid
+  const runImport = async (file, commit) => {
+    try {
+      setImporting(true);
+      const response = await ordersAPI.importFile(file, commit ? { commit: true } : {});
+      setImportReport(response.data);
+      if (response.data.committed) {
+        setImportFile(null);
+        loadOrders(Math.max(PAGE_SIZE, orders.length));
+      }
+    } catch (err) {
+      setImportReport(err.response?.data || { success: false, error: 'Failed to import orders' });
+      console.error(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const selectImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      setImportFile(file);
+      runImport(file, false);
+    }
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'Urgent':
@@ -91,6 +186,111 @@ function OrderPage() {
         </div>
       )}
 
+      <div className="mb-4 flex flex-wrap items-end gap-4">
+        {FILTERS.map((filter) => (
+          <label key={filter.key} className="text-sm text-gray-600">
+            {filter.label}
+            <select
+              value={filters[filter.key]}
+              onChange={(e) => setFilters((current) => ({ ...current, [filter.key]: e.target.value }))}
+              className="mt-1 block border border-gray-300 rounded px-2 py-1 text-sm text-gray-900"
+            >
+              <option value="">All</option>
+              {filter.options.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="text-sm text-gray-600">
+          Sort by
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="mt-1 block border border-gray-300 rounded px-2 py-1 text-sm text-gray-900"
+          >
+            {SORTS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <p className="ml-auto text-sm text-gray-500">
+          Showing {orders.length} of {total} order{total === 1 ? '' : 's'}
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => exportOrders('csv')}
+            className="px-3 py-1 border border-gray-300 rounded text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => exportOrders('xlsx')}
+            className="px-3 py-1 border border-gray-300 rounded text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Export Excel
+          </button>
+          <label className="px-3 py-1 bg-gray-800 text-white rounded text-sm hover:bg-gray-700 cursor-pointer">
+            Import...
+            <input type="file" accept=".csv,.xlsx" onChange={selectImportFile} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {importReport && (
+        <div
+          className={`mb-4 border rounded px-4 py-3 text-sm ${
+            importReport.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+          }`}
+        >
+          <div className="flex items-center justify-between gap-4">
+            <p className="font-medium">
+              {importFile && `${importFile.name}: `}
+              {importReport.message || importReport.error}
+            </p>
+            <div className="flex gap-2">
+              {importFile && importReport.dry_run && importReport.success && (
+                <button
+                  onClick={() => runImport(importFile, true)}
+                  disabled={importing}
+                  className="px-3 py-1 bg-green-700 text-white rounded hover:bg-green-600 disabled:opacity-50"
+                >
+                  {importing ? 'Importing...' : `Import ${importReport.summary.rows} row(s)`}
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  setImportReport(null);
+                  setImportFile(null);
+                }}
+                className="px-3 py-1 border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+          {importReport.ignored_columns?.length > 0 && (
+            <p className="mt-1">Ignored columns: {importReport.ignored_columns.join(', ')}</p>
+          )}
+          {importReport.results?.some((result) => !result.success) && (
+            <ul className="mt-2 list-disc list-inside">
+              {importReport.results
+                .filter((result) => !result.success)
+                .map((result) => (
+                  <li key={result.row}>
+                    Row {result.row}
+                    {result.order_id && ` (${result.order_id})`}: {result.error}
+                  </li>
+                ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="bg-white shadow-md rounded-lg overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50">
@@ -165,6 +365,18 @@ function OrderPage() {
           </div>
         )}
       </div>
+
+      {nextCursor && (
+        <div className="mt-4 text-center">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="px-4 py-2 bg-gray-800 text-white text-sm rounded hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,27 +1,127 @@
 import { useState, useEffect } from 'react';
-import { safetyAPI } from '../services/api';
+import { safetyAPI, permitsAPI, fetchAllPages } from '../services/api';
+
+const LOG_PAGE_SIZE = 20;
+
+// Incident statuses before closure
+const OPEN_INCIDENT_STATUSES = 'Reported,Investigating,ActionPending';
+
+const TREND_CHART_HEIGHT = 120;
+const TREND_BAR_WIDTH = 18;
+const TREND_BAR_GAP = 6;
+
+// Compliant / Partial / NonCompliant share of a group as one stacked bar
+function ComplianceBar({ counts }) {
+  const share = (value) => `${(value / counts.logs) * 100}%`;
+  return (
+    <div className="flex h-3 w-full rounded overflow-hidden bg-gray-100">
+      <div className="bg-green-500" style={{ width: share(counts.compliant) }} />
+      <div className="bg-yellow-400" style={{ width: share(counts.partial) }} />
+      <div className="bg-red-500" style={{ width: share(counts.non_compliant) }} />
+    </div>
+  );
+}
+
+// Compliance rate of each trend bucket as SVG columns, stacked like ComplianceBar
+function ComplianceTrendChart({ trend }) {
+  const width = Math.max(trend.length * (TREND_BAR_WIDTH + TREND_BAR_GAP), TREND_BAR_WIDTH);
+  return (
+    <svg width={width} height={TREND_CHART_HEIGHT}>
+      {trend.map((bucket, index) => {
+        const x = index * (TREND_BAR_WIDTH + TREND_BAR_GAP);
+        const height = (value) => (value / bucket.logs) * TREND_CHART_HEIGHT;
+        const compliant = height(bucket.compliant);
+        const partial = height(bucket.partial);
+        const nonCompliant = height(bucket.non_compliant);
+        return (
+          <g key={bucket.bucket}>
+            <title>
+              {bucket.bucket}: {Math.round(bucket.compliance_rate * 100)}% compliant of {bucket.logs} log(s)
+            </title>
+            <rect x={x} y={0} width={TREND_BAR_WIDTH} height={nonCompliant} className="fill-red-500" />
+            <rect x={x} y={nonCompliant} width={TREND_BAR_WIDTH} height={partial} className="fill-yellow-400" />
+            <rect
+              x={x}
+              y={nonCompliant + partial}
+              width={TREND_BAR_WIDTH}
+              height={compliant}
+              className="fill-green-500"
+            />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
 
 function SafetyPage() {
   const [areas, setAreas] = useState([]);
   const [logs, setLogs] = useState([]);
+  const [logTotal, setLogTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [compliance, setCompliance] = useState('');
+  const [inspectionSchedule, setInspectionSchedule] = useState([]);
+  const [activePermits, setActivePermits] = useState([]);
+  const [interlocks, setInterlocks] = useState([]);
+  const [riskRegister, setRiskRegister] = useState([]);
+  const [ppeAnalytics, setPpeAnalytics] = useState(null);
+  const [ppeGranularity, setPpeGranularity] = useState('day');
+  const [incidents, setIncidents] = useState([]);
+  const [openIncidentsOnly, setOpenIncidentsOnly] = useState(true);
+  const [selectedIncident, setSelectedIncident] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
 
+  const getLogParams = () => (compliance ? { ppe_compliance: compliance } : {});
+
   useEffect(() => {
-    loadData();
-    const interval = setInterval(loadData, 30000);
+    loadData(LOG_PAGE_SIZE);
+  }, [compliance, openIncidentsOnly, ppeGranularity]);
+
+  useEffect(() => {
+    // Refresh the log pages already shown
+    const interval = setInterval(() => loadData(Math.max(LOG_PAGE_SIZE, logs.length), false), 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [compliance, openIncidentsOnly, ppeGranularity, logs.length]);
 
-  const loadData = async () => {
+  const loadData = async (logLimit, showSpinner = true) => {
     try {
-      setLoading(true);
-      const [areasResponse, logsResponse] = await Promise.all([
-        safetyAPI.getAll(),
-        safetyAPI.getLogs(),
+      if (showSpinner) {
+        setLoading(true);
+      }
+      const [
+        areaList,
+        logsResponse,
+        incidentList,
+        scheduleResponse,
+        ppeResponse,
+        permitsResponse,
+        interlocksResponse,
+        registerResponse,
+      ] = await Promise.all([
+        fetchAllPages(safetyAPI.getAll, { sort: 'area_name', limit: 500 }),
+        safetyAPI.getLogs({ ...getLogParams(), limit: Math.min(logLimit, 500) }),
+        fetchAllPages(safetyAPI.getIncidents, {
+          ...(openIncidentsOnly && { status: OPEN_INCIDENT_STATUSES }),
+          limit: 500,
+        }),
+        safetyAPI.getInspectionSchedule(),
+        safetyAPI.getPpeAnalytics({ granularity: ppeGranularity }),
+        permitsAPI.getActive(),
+        safetyAPI.getInterlocks(),
+        safetyAPI.getRiskRegister(),
       ]);
-      setAreas(areasResponse.data.data || []);
+      setAreas(areaList);
+      setIncidents(incidentList);
+      setInspectionSchedule(scheduleResponse.data.data || []);
+      setPpeAnalytics(ppeResponse.data.data || null);
+      setActivePermits(permitsResponse.data.data || []);
+      setInterlocks((interlocksResponse.data.data || []).filter((interlock) => interlock.status !== 'Released'));
+      setRiskRegister(registerResponse.data.data || []);
       setLogs(logsResponse.data.data || []);
+      setLogTotal(logsResponse.data.total || 0);
+      setNextCursor(logsResponse.data.next_cursor || null);
       setError(null);
     } catch (err) {
       setError('Failed to load safety data');
@@ -31,6 +131,85 @@ function SafetyPage() {
     }
   };
 
+  const loadMoreLogs = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await safetyAPI.getLogs({ ...getLogParams(), limit: LOG_PAGE_SIZE, cursor: nextCursor });
+      setLogs((current) => [...current, ...(response.data.data || [])]);
+      setLogTotal(response.data.total || 0);
+      setNextCursor(response.data.next_cursor || null);
+    } catch (err) {
+      setError('Failed to load more safety logs');
+      console.error(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const selectIncident = async (incidentId) => {
+    if (selectedIncident?.incident_id === incidentId) {
+      setSelectedIncident(null);
+      return;
+    }
+    try {
+      const response = await safetyAPI.getIncident(incidentId);
+      setSelectedIncident(response.data.data);
+    } catch (err) {
+      setError(`Failed to load incident ${incidentId}`);
+      console.error(err);
+    }
+  };
+
+  const getInspectionStatusColor = (status) => {
+    switch (status) {
+      case 'OK':
+        return 'bg-green-100 text-green-800';
+      case 'Due':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'Overdue':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const inspectionByArea = new Map(inspectionSchedule.map((entry) => [entry.area_name, entry]));
+  const riskByArea = new Map(riskRegister.map((entry) => [entry.area_name, entry]));
+  const inspectionsDue = inspectionSchedule.filter(
+    (entry) => entry.inspection_status === 'Due' || entry.inspection_status === 'Overdue'
+  );
+
+  const getIncidentStatusColor = (status) => {
+    switch (status) {
+      case 'Reported':
+        return 'bg-red-100 text-red-800';
+      case 'Investigating':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'ActionPending':
+        return 'bg-blue-100 text-blue-800';
+      case 'Closed':
+        return 'bg-green-100 text-green-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  const getActionStatusColor = (action) => {
+    if (action.overdue) {
+      return 'bg-red-100 text-red-800';
+    }
+    switch (action.status) {
+      case 'Done':
+        return 'bg-green-100 text-green-800';
+      case 'InProgress':
+        return 'bg-blue-100 text-blue-800';
+      case 'Cancelled':
+        return 'bg-gray-100 text-gray-500';
+      default:
+        return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'Safe':
@@ -97,45 +276,143 @@ function SafetyPage() {
         </div>
       )}
 
+      {/* Safety interlocks holding machines */}
+      {interlocks.length > 0 && (
+        <div className="mb-8 bg-red-50 border border-red-200 rounded-lg px-4 py-3">
+          <h2 className="text-sm font-semibold text-red-900 mb-2">
+            {interlocks.length} safety interlock{interlocks.length === 1 ? '' : 's'} holding machines
+          </h2>
+          <ul className="space-y-1">
+            {interlocks.map((interlock) => (
+              <li key={interlock.interlock_id} className="flex items-center gap-2 text-sm text-gray-800">
+                <span
+                  className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    interlock.status === 'Active' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                  }`}
+                >
+                  {interlock.status === 'Active' ? 'Active' : 'Awaiting release'}
+                </span>
+                {interlock.interlock_id}: {interlock.zone} ({interlock.area_name}) -{' '}
+                {interlock.machines.length > 0
+                  ? `${interlock.machines.map((machine) => machine.machine_id).join(', ')} in ${interlock.hold_status}`
+                  : 'no machines held'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Inspections due */}
+      {inspectionsDue.length > 0 && (
+        <div className="mb-8 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          <h2 className="text-sm font-semibold text-yellow-900 mb-2">
+            {inspectionsDue.length} area{inspectionsDue.length === 1 ? '' : 's'} due for inspection
+          </h2>
+          <ul className="space-y-1">
+            {inspectionsDue.map((entry) => (
+              <li key={entry.area_name} className="flex items-center gap-2 text-sm text-gray-800">
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getInspectionStatusColor(entry.inspection_status)}`}>
+                  {entry.inspection_status}
+                </span>
+                {entry.area_name} ({entry.zone}) - due {new Date(entry.next_due).toLocaleDateString()}
+                {entry.inspection_status === 'Overdue' && `, ${-entry.days_until_due} day(s) overdue`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Safety Areas */}
       <div className="mb-8">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Safety Areas</h2>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {areas.map((area) => (
-            <div key={area.id} className="bg-white rounded-lg shadow-md overflow-hidden">
-              <div className={`px-6 py-4 ${getStatusColor(area.status)}`}>
-                <h3 className="text-lg font-semibold">{area.area_name}</h3>
-                <p className="text-sm opacity-90 mt-1">{area.zone}</p>
-              </div>
-
-              <div className="px-6 py-4 space-y-3">
-                <div>
-                  <p className="text-sm text-gray-500">Risk Level</p>
-                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getRiskLevelColor(area.risk_level)}`}>
-                    {area.risk_level}
-                  </span>
+          {areas.map((area) => {
+            const inspection = inspectionByArea.get(area.area_name);
+            const assessment = riskByArea.get(area.area_name);
+            const permits = activePermits.filter((permit) => permit.area_name === area.area_name);
+            return (
+              <div key={area.id} className="bg-white rounded-lg shadow-md overflow-hidden">
+                <div className={`px-6 py-4 ${getStatusColor(area.status)}`}>
+                  <h3 className="text-lg font-semibold">{area.area_name}</h3>
+                  <p className="text-sm opacity-90 mt-1">{area.zone}</p>
                 </div>
 
-                <div>
-                  <p className="text-sm text-gray-500">PPE Required</p>
-                  <p className="text-sm font-medium text-gray-900">{area.ppe_required}</p>
-                </div>
+                <div className="px-6 py-4 space-y-3">
+                  <div>
+                    <p className="text-sm text-gray-500">Risk Level</p>
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getRiskLevelColor(area.risk_level)}`}>
+                      {area.risk_level}
+                    </span>
+                    {assessment?.assessment_id ? (
+                      <p className="mt-1 text-xs text-gray-500 flex items-center gap-2">
+                        {assessment.assessment_id} · {assessment.hazards.length} hazard
+                        {assessment.hazards.length === 1 ? '' : 's'} · review by{' '}
+                        {new Date(assessment.review_date).toLocaleDateString()}
+                        {assessment.review_status === 'Overdue' && (
+                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                            Review overdue
+                          </span>
+                        )}
+                      </p>
+                    ) : (
+                      <p className="mt-1 text-xs text-gray-400">Not risk assessed</p>
+                    )}
+                  </div>
 
-                {area.notes && (
                   <div>
-                    <p className="text-sm text-gray-500">Notes</p>
-                    <p className="text-sm text-gray-900">{area.notes}</p>
+                    <p className="text-sm text-gray-500">PPE Required</p>
+                    <p className="text-sm font-medium text-gray-900">{area.ppe_required}</p>
                   </div>
-                )}
 
-                <div>
-                  <p className="text-xs text-gray-400">
-                    Last Inspection: {new Date(area.last_inspection).toLocaleString()}
-                  </p>
+                  {permits.length > 0 && (
+                    <div>
+                      <p className="text-sm text-gray-500">Active Permits</p>
+                      <ul className="mt-1 space-y-1">
+                        {permits.map((permit) => (
+                          <li key={permit.permit_id} className="text-xs flex items-center gap-2">
+                            <span className="font-medium text-gray-900">{permit.permit_id}</span>
+                            <span className="text-gray-600">
+                              {permit.type}
+                              {permit.machine_id && ` · ${permit.machine_id}`}
+                            </span>
+                            {permit.expired ? (
+                              <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                                Expired
+                              </span>
+                            ) : (
+                              <span className="text-gray-500">until {new Date(permit.valid_to).toLocaleTimeString()}</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {area.notes && (
+                    <div>
+                      <p className="text-sm text-gray-500">Notes</p>
+                      <p className="text-sm text-gray-900">{area.notes}</p>
+                    </div>
+                  )}
+
+                  <div>
+                    <p className="text-xs text-gray-400">
+                      Last Inspection:{' '}
+                      {area.last_inspection ? new Date(area.last_inspection).toLocaleString() : 'Never inspected'}
+                    </p>
+                    {inspection?.next_due && (
+                      <p className="mt-1 text-xs text-gray-500 flex items-center gap-2">
+                        Next due: {new Date(inspection.next_due).toLocaleDateString()}
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getInspectionStatusColor(inspection.inspection_status)}`}>
+                          {inspection.inspection_status}
+                        </span>
+                      </p>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
 
         {areas.length === 0 && (
@@ -145,9 +422,324 @@ function SafetyPage() {
         )}
       </div>
 
+      {/* Incidents */}
+      <div className="mb-8">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Incidents</h2>
+          <label className="text-sm text-gray-600">
+            Show
+            <select
+              value={openIncidentsOnly ? 'open' : 'all'}
+              onChange={(e) => setOpenIncidentsOnly(e.target.value === 'open')}
+              className="mt-1 block border border-gray-300 rounded px-2 py-1 text-sm text-gray-900"
+            >
+              <option value="open">Open</option>
+              <option value="all">All</option>
+            </select>
+          </label>
+        </div>
+        <div className="bg-white shadow-md rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Incident
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Area
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Severity
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Investigator
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Reported
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {incidents.map((incident) => (
+                <tr
+                  key={incident.id}
+                  onClick={() => selectIncident(incident.incident_id)}
+                  className={`cursor-pointer hover:bg-gray-50 ${
+                    selectedIncident?.incident_id === incident.incident_id ? 'bg-gray-50' : ''
+                  }`}
+                >
+                  <td className="px-6 py-4 text-sm">
+                    <p className="font-medium text-gray-900">{incident.incident_id}</p>
+                    <p className="text-gray-500">{incident.title}</p>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {incident.area_name}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getRiskLevelColor(incident.severity)}`}>
+                      {incident.severity}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getIncidentStatusColor(incident.status)}`}>
+                      {incident.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {incident.investigator || '-'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {incident.actions_open} open of {incident.actions_total}
+                    {incident.actions_overdue > 0 && (
+                      <span className="ml-2 font-semibold text-red-600">{incident.actions_overdue} overdue</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {new Date(incident.reported_at).toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {incidents.length === 0 && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">{openIncidentsOnly ? 'No open incidents' : 'No incidents found'}</p>
+            </div>
+          )}
+        </div>
+
+        {selectedIncident && (
+          <div className="mt-4 bg-white shadow-md rounded-lg p-6 space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {selectedIncident.incident_id}: {selectedIncident.title}
+              </h3>
+              {selectedIncident.description && (
+                <p className="mt-1 text-sm text-gray-600">{selectedIncident.description}</p>
+              )}
+              <p className="mt-1 text-xs text-gray-400">
+                Reported by {selectedIncident.reported_by || 'unknown'} on{' '}
+                {new Date(selectedIncident.reported_at).toLocaleString()}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">Root Cause</p>
+                <p className="text-gray-900">
+                  {selectedIncident.root_cause || '-'}
+                  {selectedIncident.root_cause_category && ` (${selectedIncident.root_cause_category})`}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Contributing Factors</p>
+                <p className="text-gray-900">{selectedIncident.contributing_factors || '-'}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Closure</p>
+                <p className="text-gray-900">
+                  {selectedIncident.closed_at
+                    ? `Signed off by ${selectedIncident.closed_by} on ${new Date(selectedIncident.closed_at).toLocaleString()}`
+                    : 'Open'}
+                </p>
+                {selectedIncident.closure_notes && (
+                  <p className="text-gray-600">{selectedIncident.closure_notes}</p>
+                )}
+              </div>
+            </div>
+
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Owner
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Due
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {selectedIncident.actions.map((action) => (
+                  <tr key={action.id}>
+                    <td className="px-4 py-2 text-sm">
+                      <p className="font-medium text-gray-900">{action.action_id}</p>
+                      <p className="text-gray-500">{action.description}</p>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{action.type}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{action.owner}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(action.due_date).toLocaleDateString()}
+                      {action.escalated_to && (
+                        <p className="text-xs text-red-600">Escalated to {action.escalated_to}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getActionStatusColor(action)}`}>
+                        {action.overdue ? `Overdue ${action.days_overdue}d` : action.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {selectedIncident.actions.length === 0 && (
+              <p className="text-sm text-gray-500">No corrective or preventive actions assigned yet</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* PPE Compliance */}
+      {ppeAnalytics && (
+        <div className="mb-8">
+          <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">PPE Compliance</h2>
+              <p className="text-sm text-gray-500">
+                {ppeAnalytics.overall.logs} log{ppeAnalytics.overall.logs === 1 ? '' : 's'} since{' '}
+                {new Date(ppeAnalytics.from).toLocaleDateString()}
+                {ppeAnalytics.overall.compliance_rate !== null &&
+                  ` - ${Math.round(ppeAnalytics.overall.compliance_rate * 100)}% compliant`}
+              </p>
+            </div>
+            <div className="flex items-end gap-4">
+              <div className="flex items-center gap-3 text-xs text-gray-600">
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-green-500" />Compliant</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-yellow-400" />Partial</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-500" />NonCompliant</span>
+              </div>
+              <label className="text-sm text-gray-600">
+                Trend
+                <select
+                  value={ppeGranularity}
+                  onChange={(e) => setPpeGranularity(e.target.value)}
+                  className="mt-1 block border border-gray-300 rounded px-2 py-1 text-sm text-gray-900"
+                >
+                  <option value="day">Daily</option>
+                  <option value="week">Weekly</option>
+                </select>
+              </label>
+            </div>
+          </div>
+
+          {ppeAnalytics.overall.logs === 0 ? (
+            <div className="text-center py-12 bg-white rounded-lg">
+              <p className="text-gray-500">No safety logs in this period</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h3 className="text-sm font-semibold text-gray-900 mb-3">
+                  {ppeGranularity === 'week' ? 'Weekly' : 'Daily'} trend
+                </h3>
+                <div className="overflow-x-auto">
+                  <ComplianceTrendChart trend={ppeAnalytics.trend} />
+                </div>
+                <p className="mt-2 text-xs text-gray-400">
+                  {ppeAnalytics.trend[0]?.bucket} to {ppeAnalytics.trend[ppeAnalytics.trend.length - 1]?.bucket}
+                </p>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h3 className="text-sm font-semibold text-gray-900 mb-3">PPE most often missing</h3>
+                {ppeAnalytics.missing_items.length === 0 ? (
+                  <p className="text-sm text-gray-500">No missing PPE recorded</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {ppeAnalytics.missing_items.map((item) => (
+                      <li key={item.item} className="text-sm">
+                        <div className="flex justify-between text-gray-700">
+                          <span>{item.item}</span>
+                          <span>
+                            {item.missing}x
+                            {item.miss_rate !== null && ` (${Math.round(item.miss_rate * 100)}% of logs where required)`}
+                          </span>
+                        </div>
+                        <div className="h-2 rounded bg-gray-100">
+                          <div
+                            className="h-2 rounded bg-red-500"
+                            style={{ width: `${(item.missing / ppeAnalytics.missing_items[0].missing) * 100}%` }}
+                          />
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {ppeAnalytics.overall.missing_unspecified > 0 && (
+                  <p className="mt-3 text-xs text-gray-400">
+                    {ppeAnalytics.overall.missing_unspecified} non-compliant log(s) did not say what was missing
+                  </p>
+                )}
+              </div>
+
+              {[
+                { title: 'By zone', rows: ppeAnalytics.by_zone, key: 'zone' },
+                { title: 'By shift', rows: ppeAnalytics.by_shift, key: 'shift' },
+                { title: 'By reporter', rows: ppeAnalytics.by_reporter, key: 'reported_by' },
+              ].map((group) => (
+                <div key={group.key} className="bg-white rounded-lg shadow-md p-6">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-3">{group.title}</h3>
+                  <ul className="space-y-2">
+                    {group.rows.map((row) => (
+                      <li key={row[group.key]} className="text-sm">
+                        <div className="flex justify-between text-gray-700">
+                          <span>{row[group.key]}</span>
+                          <span>
+                            {Math.round(row.compliance_rate * 100)}% of {row.logs}
+                          </span>
+                        </div>
+                        <ComplianceBar counts={row} />
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Safety Logs */}
       <div>
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Recent Safety Logs</h2>
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Recent Safety Logs</h2>
+          <div className="flex items-end gap-4">
+            <label className="text-sm text-gray-600">
+              PPE compliance
+              <select
+                value={compliance}
+                onChange={(e) => setCompliance(e.target.value)}
+                className="mt-1 block border border-gray-300 rounded px-2 py-1 text-sm text-gray-900"
+              >
+                <option value="">All</option>
+                <option value="Compliant">Compliant</option>
+                <option value="Partial">Partial</option>
+                <option value="NonCompliant">NonCompliant</option>
+              </select>
+            </label>
+            <p className="text-sm text-gray-500">
+              Showing {logs.length} of {logTotal} log{logTotal === 1 ? '' : 's'}
+            </p>
+          </div>
+        </div>
         <div className="bg-white shadow-md rounded-lg overflow-hidden">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
@@ -161,6 +753,9 @@ function SafetyPage() {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   PPE Compliance
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  PPE Missing
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Incident Type
                 </th>
@@ -176,7 +771,7 @@ function SafetyPage() {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {logs.slice(0, 20).map((log) => (
+              {logs.map((log) => (
                 <tr key={log.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     {log.area_name}
@@ -189,6 +784,9 @@ function SafetyPage() {
                       {log.ppe_compliance}
                     </span>
                   </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {log.ppe_missing ? log.ppe_missing.split(',').join(', ') : '-'}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {log.incident_type || '-'}
                   </td>
@@ -212,6 +810,18 @@ function SafetyPage() {
             </div>
           )}
         </div>
+
+        {nextCursor && (
+          <div className="mt-4 text-center">
+            <button
+              onClick={loadMoreLogs}
+              disabled={loadingMore}
+              className="px-4 py-2 bg-gray-800 text-white text-sm rounded hover:bg-gray-700 disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -9,30 +9,101 @@ const api = axios.create({
   },
 });
 
+// Fetch every page of a list endpoint by following next_cursor
+export const fetchAllPages = async (request, params = {}) => {
+  const items = [];
+  let cursor = null;
+  do {
+    const response = await request({ ...params, ...(cursor && { cursor }) });
+    items.push(...(response.data.data || []));
+    cursor = response.data.next_cursor;
+  } while (cursor);
+  return items;
+};
+
 // Machines API
 export const machinesAPI = {
-  getAll: () => api.get('/machines'),
+  getAll: (params) => api.get('/machines', { params }),
   getOne: (id) => api.get(`/machines/${id}`),
+  getHistory: (id, params) => api.get(`/machines/${id}/history`, { params }),
+  getOEE: (id, params) => api.get(`/machines/${id}/oee`, { params }),
+  getPlantOEE: (params) => api.get('/machines/oee', { params }),
   update: (data) => api.post('/machines/update', data),
-  batchUpdate: (machines) => api.post('/machines/batch', { machines }),
+  batchUpdate: (machines, params) => api.post('/machines/batch', { machines }, { params }),
   getLLMStatus: () => api.get('/machines/status/llm'),
 };
 
+// Plant hierarchy API
+export const hierarchyAPI = {
+  getPlants: () => api.get('/plants'),
+  getPlant: (id) => api.get(`/plants/${id}`),
+  getPlantStatus: (id, params) => api.get(`/plants/${id}/status`, { params }),
+  getLines: (params) => api.get('/lines', { params }),
+  getLineStatus: (id, params) => api.get(`/lines/${id}/status`, { params }),
+};
+
+// Telemetry API
+export const telemetryAPI = {
+  getSparklines: (params) => api.get('/telemetry/sparklines', { params }),
+  getSeries: (machineId, params) => api.get(`/telemetry/${machineId}`, { params }),
+  getThresholds: (params) => api.get('/telemetry/thresholds', { params }),
+  updateThreshold: (data) => api.post('/telemetry/thresholds', data),
+  getEvents: (params) => api.get('/telemetry/events', { params }),
+};
+
 // Safety API
 export const safetyAPI = {
-  getAll: () => api.get('/safety'),
+  getAll: (params) => api.get('/safety', { params }),
   getOne: (area) => api.get(`/safety/${area}`),
   update: (data) => api.post('/safety/update', data),
-  getLogs: (area) => api.get('/safety/logs', { params: { area } }),
+  getLogs: (params) => api.get('/safety/logs', { params }),
   getLLMStatus: () => api.get('/safety/status/llm'),
+  getPpeAnalytics: (params) => api.get('/safety/ppe/analytics', { params }),
+  getIncidents: (params) => api.get('/safety/incidents', { params }),
+  getIncident: (id) => api.get(`/safety/incidents/${id}`),
+  reportIncident: (data) => api.post('/safety/incidents', data),
+  updateIncident: (data) => api.post('/safety/incidents/update', data),
+  updateAction: (data) => api.post('/safety/incidents/actions', data),
+  closeIncident: (data) => api.post('/safety/incidents/close', data),
+  getInspections: (params) => api.get('/safety/inspections', { params }),
+  getInspectionSchedule: (params) => api.get('/safety/inspections/schedule', { params }),
+  getInspectionTemplates: () => api.get('/safety/inspections/templates'),
+  updateInspectionTemplate: (data) => api.post('/safety/inspections/templates', data),
+  recordInspection: (data) => api.post('/safety/inspections', data),
+  getInterlocks: (params) => api.get('/safety/interlocks', { params }),
+  getInterlock: (id) => api.get(`/safety/interlocks/${id}`),
+  releaseInterlock: (data) => api.post('/safety/interlocks/release', data),
+  getRiskMatrix: () => api.get('/safety/risk/matrix'),
+  getRiskRegister: (params) => api.get('/safety/risk/register', { params }),
+  getRiskAssessments: (params) => api.get('/safety/risk/assessments', { params }),
+  getRiskAssessment: (id) => api.get(`/safety/risk/assessments/${id}`),
+  recordRiskAssessment: (data) => api.post('/safety/risk/assessments', data),
+};
+
+// Permits to Work API
+export const permitsAPI = {
+  getAll: (params) => api.get('/permits', { params }),
+  getActive: (params) => api.get('/permits/active', { params }),
+  getOne: (id) => api.get(`/permits/${id}`),
+  request: (data) => api.post('/permits', data),
+  approve: (data) => api.post('/permits/approve', data),
+  reject: (data) => api.post('/permits/reject', data),
+  activate: (data) => api.post('/permits/activate', data),
+  close: (data) => api.post('/permits/close', data),
 };
 
 // Orders API
 export const ordersAPI = {
-  getAll: () => api.get('/orders'),
+  getAll: (params) => api.get('/orders', { params }),
   getOne: (id) => api.get(`/orders/${id}`),
   update: (data) => api.post('/orders/update', data),
-  batchUpdate: (orders) => api.post('/orders/batch', { orders }),
+  batchUpdate: (orders, params) => api.post('/orders/batch', { orders }, { params }),
+  importFile: (file, params) =>
+    api.post('/orders/import', file, {
+      params,
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    }),
+  exportFile: (params) => api.get('/orders/export', { params, responseType: 'blob' }),
   getLLMStatus: () => api.get('/orders/status/llm'),
 };
 
@@ -11,6 +11,8 @@ export default {
         idle: '#f59e0b',
         error: '#ef4444',
         maintenance: '#f97316',
+        offline: '#6b7280',
+        safetyhold: '#b91c1c',
         safe: '#10b981',
         warning: '#f59e0b',
         critical: '#ef4444',
@@ -11,6 +11,28 @@ import safetyRoutes from './modules/safety/routes.js';
 import orderRoutes from './modules/orders/routes.js';
 import whatsappRoutes from './modules/whatsapp/routes.js';
 import llmRoutes from './modules/llm/routes.js';
+import downtimeRoutes from './modules/downtime/routes.js';
+import shiftRoutes from './modules/shifts/routes.js';
+import reportRoutes from './modules/reports/routes.js';
+import maintenanceRoutes from './modules/maintenance/routes.js';
+import productionRoutes from './modules/production/routes.js';
+import hierarchyRoutes from './modules/hierarchy/routes.js';
+import mqttRoutes from './modules/mqtt/routes.js';
+import connectorRoutes from './modules/connectors/routes.js';
+import operatorRoutes from './modules/operators/routes.js';
+import telemetryRoutes from './modules/telemetry/routes.js';
+import energyRoutes from './modules/energy/routes.js';
+import toolRoutes from './modules/tools/routes.js';
+import permitRoutes from './modules/permits/routes.js';
+import { startMaintenanceScheduler } from './modules/maintenance/scheduler.js';
+import { startHeartbeatSweeper } from './modules/shop-floor/sweeper.js';
+import { startMqttAdapter } from './modules/mqtt/adapter.js';
+import { startConnectors } from './modules/connectors/service.js';
+import { startTelemetryPruner } from './modules/telemetry/pruner.js';
+import { startToolLifeMonitor } from './modules/tools/monitor.js';
+import { startCapaEscalation } from './modules/safety/escalation.js';
+import { startInspectionMonitor } from './modules/safety/inspectionMonitor.js';
+import { startPermitMonitor } from './modules/permits/monitor.js';
 
 const app = express();
 
@@ -36,6 +58,20 @@ app.get('/', (req, res) => {
       orders: '/orders',
       whatsapp: '/whatsapp/webhook',
       ai: '/ai/query',
+      downtime: '/downtime',
+      shifts: '/shifts',
+      reports: '/reports',
+      maintenance: '/maintenance',
+      production: '/production',
+      plants: '/plants',
+      lines: '/lines',
+      mqtt: '/mqtt/status',
+      connectors: '/connectors',
+      operators: '/operators',
+      telemetry: '/telemetry',
+      energy: '/energy',
+      tools: '/tools',
+      permits: '/permits',
       health: '/machines/health',
     },
   });
@@ -47,6 +83,19 @@ app.use('/safety', safetyRoutes);
 app.use('/orders', orderRoutes);
 app.use('/whatsapp', whatsappRoutes);
 app.use('/ai', llmRoutes);
+app.use('/downtime', downtimeRoutes);
+app.use('/shifts', shiftRoutes);
+app.use('/reports', reportRoutes);
+app.use('/maintenance', maintenanceRoutes);
+app.use('/production', productionRoutes);
+app.use('/mqtt', mqttRoutes);
+app.use('/connectors', connectorRoutes);
+app.use('/operators', operatorRoutes);
+app.use('/telemetry', telemetryRoutes);
+app.use('/energy', energyRoutes);
+app.use('/tools', toolRoutes);
+app.use('/permits', permitRoutes);
+app.use('/', hierarchyRoutes); // /plants, /areas, /lines, /cells
 
 // 404 handler
 app.use((req, res) => {
@@ -77,11 +126,42 @@ app.listen(PORT, () => {
   console.log('\nAvailable endpoints:');
   console.log(`  GET  http://localhost:${PORT}/machines - Get all machines`);
   console.log(`  GET  http://localhost:${PORT}/machines/:id - Get single machine`);
+  console.log(`  GET  http://localhost:${PORT}/machines/:id/history - Get machine event history`);
   console.log(`  POST http://localhost:${PORT}/machines/update - Update machine`);
   console.log(`  POST http://localhost:${PORT}/machines/batch - Batch update machines`);
   console.log(`  GET  http://localhost:${PORT}/machines/status/llm - Get LLM-formatted status`);
   console.log(`  GET  http://localhost:${PORT}/machines/health - Health check`);
   console.log('\n');
+
+  // Background jobs
+  if (startMaintenanceScheduler()) {
+    console.log(`🛠️ Maintenance scheduler checking plans every ${config.maintenance.checkIntervalMinutes} min`);
+  }
+  if (startToolLifeMonitor()) {
+    console.log(`🔧 Tool life monitor checking tools every ${config.tools.checkIntervalMinutes} min`);
+  }
+  if (startCapaEscalation()) {
+    console.log(`🦺 CAPA escalation checking corrective actions every ${config.safety.capaCheckIntervalMinutes} min`);
+  }
+  if (startInspectionMonitor()) {
+    console.log(`📋 Inspection monitor checking safety areas every ${config.safety.inspectionCheckIntervalMinutes} min`);
+  }
+  if (startPermitMonitor()) {
+    console.log(`📝 Permit monitor checking active permits every ${config.permits.checkIntervalMinutes} min`);
+  }
+  if (startHeartbeatSweeper()) {
+    console.log(`📴 Heartbeat sweeper checking machines every ${config.machines.sweepIntervalMinutes} min`);
+  }
+  if (startMqttAdapter()) {
+    console.log(`📶 MQTT adapter connecting to ${config.mqtt.url}`);
+  }
+  const pollingConnectors = startConnectors();
+  if (pollingConnectors > 0) {
+    console.log(`🔌 Polling ${pollingConnectors} machine connector(s)`);
+  }
+  if (startTelemetryPruner()) {
+    console.log(`🧹 Telemetry pruner keeping ${config.telemetry.retentionHours} h of raw readings`);
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,54 @@
+/**
+ * Controller layer for polling connectors
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+
+/**
+ * Get every connector with its connection state and the last reading per machine
+ * GET /connectors
+ */
+export async function getConnectors(req, res) {
+  try {
+    const connectors = service.getConnectorStatus();
+
+    res.json({
+      success: true,
+      count: connectors.length,
+      data: connectors,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Poll a connector now
+ * POST /connectors/:id/poll
+ */
+export async function pollConnector(req, res) {
+  try {
+    const result = await service.pollConnector(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Connector ${req.params.id} not found`,
+      });
+    }
+
+    res.json({
+      success: result.success,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
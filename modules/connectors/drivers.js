@@ -0,0 +1,175 @@
+/**
+ * Polling connector drivers
+ * A driver connects to one device (or the simulator) and reads the tags of the
+ * machines behind it. Every driver has the same shape:
+ * { connect(), readMachine(machineConfig) -> { run?, fault?, counter?, scrap? }, close() }
+ */
+
+import ModbusRTU from 'modbus-serial';
+import { MACHINE_TAGS, combineWords } from './translate.js';
+import { SimulatedMachine } from './simulator.js';
+
+export const Driver = {
+  MODBUS: 'modbus',
+  OPCUA: 'opcua',
+  SIMULATOR: 'simulator',
+};
+
+export const VALID_DRIVERS = Object.values(Driver);
+
+export const MODBUS_TYPES = ['coil', 'discrete', 'holding', 'input'];
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Read every configured tag of a machine with a per-tag reader
+ * @param {Object} machineConfig - Machine entry of the connector
+ * @param {Function} readTag - async (tagConfig) -> value
+ * @returns {Promise<Object>} Values keyed by tag
+ */
+async function readTags(machineConfig, readTag) {
+  const reading = {};
+  for (const tag of MACHINE_TAGS) {
+    if (machineConfig[tag]) {
+      reading[tag] = await readTag(machineConfig[tag]);
+    }
+  }
+  return reading;
+}
+
+/**
+ * Modbus TCP driver
+ * Tags are { type: coil | discrete | holding | input, address, words? } (words: 1 or 2, high word first)
+ * @param {Object} connector - Connector configuration (host, port, unit_id, timeout_ms)
+ * @returns {Object} Driver
+ */
+function createModbusDriver(connector) {
+  const client = new ModbusRTU();
+
+  const readTag = async ({ type, address, words = 1 }) => {
+    switch (type) {
+      case 'coil':
+        return (await client.readCoils(address, 1)).data[0];
+      case 'discrete':
+        return (await client.readDiscreteInputs(address, 1)).data[0];
+      case 'holding':
+        return combineWords((await client.readHoldingRegisters(address, words)).data);
+      case 'input':
+        return combineWords((await client.readInputRegisters(address, words)).data);
+      default:
+        throw new Error(`Unknown Modbus type: ${type}`);
+    }
+  };
+
+  return {
+    async connect() {
+      await client.connectTCP(connector.host, { port: connector.port || 502 });
+      client.setID(connector.unit_id ?? 1);
+      client.setTimeout(connector.timeout_ms || DEFAULT_TIMEOUT_MS);
+    },
+    readMachine(machineConfig) {
+      return readTags(machineConfig, readTag);
+    },
+    async close() {
+      if (client.isOpen) {
+        await new Promise((resolve) => client.close(resolve));
+      }
+    },
+  };
+}
+
+/**
+ * OPC UA driver
+ * Tags are { node: "ns=2;s=Press4.Running" }
+ * @param {Object} connector - Connector configuration (endpoint, timeout_ms)
+ * @returns {Object} Driver
+ */
+function createOpcuaDriver(connector) {
+  let opcua = null;
+  let client = null;
+  let session = null;
+
+  const readTag = async ({ node }) => {
+    const dataValue = await session.read({ nodeId: node, attributeId: opcua.AttributeIds.Value });
+    if (!dataValue.statusCode.isGood()) {
+      throw new Error(`Read of ${node} failed: ${dataValue.statusCode.name}`);
+    }
+    return dataValue.value.value;
+  };
+
+  return {
+    async connect() {
+      // Loaded on first use: the OPC UA stack is large and only needed when a connector uses it
+      opcua = await import('node-opcua-client');
+      client = opcua.OPCUAClient.create({
+        endpointMustExist: false,
+        requestedSessionTimeout: 60000,
+        connectionStrategy: { maxRetry: 0 },
+        defaultTransactionTimeout: connector.timeout_ms || DEFAULT_TIMEOUT_MS,
+      });
+      await client.connect(connector.endpoint);
+      session = await client.createSession();
+    },
+    readMachine(machineConfig) {
+      return readTags(machineConfig, readTag);
+    },
+    async close() {
+      if (session) {
+        await session.close().catch(() => {});
+        session = null;
+      }
+      if (client) {
+        await client.disconnect().catch(() => {});
+        client = null;
+      }
+    },
+  };
+}
+
+/**
+ * In-process simulator driver, for developing without a device
+ * Machines need no tag addresses; every simulated machine reports run, fault, counter and scrap.
+ * @param {Object} connector - Connector configuration (machines[].simulation holds SimulatedMachine options)
+ * @returns {Object} Driver
+ */
+function createSimulatorDriver(connector) {
+  const machines = new Map(
+    connector.machines.map((machineConfig) => [
+      machineConfig.machine_id,
+      new SimulatedMachine(machineConfig.machine_id, machineConfig.simulation),
+    ])
+  );
+
+  return {
+    async connect() {},
+    async readMachine(machineConfig) {
+      return machines.get(machineConfig.machine_id).read();
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Create the driver for a connector
+ * @param {Object} connector - Connector configuration
+ * @returns {Object} Driver
+ */
+export function createDriver(connector) {
+  switch (connector.driver) {
+    case Driver.MODBUS:
+      return createModbusDriver(connector);
+    case Driver.OPCUA:
+      return createOpcuaDriver(connector);
+    case Driver.SIMULATOR:
+      return createSimulatorDriver(connector);
+    default:
+      throw new Error(`Unknown connector driver: ${connector.driver}`);
+  }
+}
+
+export default {
+  Driver,
+  VALID_DRIVERS,
+  MODBUS_TYPES,
+  createDriver,
+};
@@ -0,0 +1,24 @@
+/**
+ * Routes for Polling Connectors Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /connectors
+ * @desc    Configured connectors with connection state, counters and the last reading per machine
+ * @access  Public
+ */
+router.get('/', controller.getConnectors);
+
+/**
+ * @route   POST /connectors/:id/poll
+ * @desc    Poll a connector now and apply what changed
+ * @access  Public
+ */
+router.post('/:id/poll', controller.pollConnector);
+
+export default router;
@@ -0,0 +1,346 @@
+/**
+ * Service layer for polling connectors
+ * Polls machines that cannot push data (Modbus TCP registers, OPC UA nodes or the
+ * simulator) on an interval and feeds what changed into the machine update service.
+ *
+ * Connectors are defined in the JSON file named by CONNECTORS_FILE:
+ * {
+ *   "connectors": [
+ *     {
+ *       "id": "press-line",
+ *       "driver": "modbus",
+ *       "host": "10.0.4.20", "port": 502, "unit_id": 1,
+ *       "interval_seconds": 10,
+ *       "machines": [
+ *         {
+ *           "machine_id": "M05",
+ *           "run": { "type": "coil", "address": 0 },
+ *           "fault": { "type": "holding", "address": 0 },
+ *           "counter": { "type": "holding", "address": 1, "words": 2 },
+ *           "fault_codes": { "12": { "message": "Hydraulic pressure low", "reason_code": "MECH-01" }, "31": "Guard door open" }
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+
+import fs from 'fs';
+import config from '../../config.js';
+import { updateMachine } from '../shop-floor/service.js';
+import { EventSource } from '../shop-floor/model.js';
+import { createDriver, Driver, VALID_DRIVERS, MODBUS_TYPES } from './drivers.js';
+import { MACHINE_TAGS, translateReading, hasChanged } from './translate.js';
+
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+// An unchanged machine is still reported this often, so the heartbeat sweeper sees it alive
+const DEFAULT_HEARTBEAT_SECONDS = 300;
+
+// Connector ID -> runtime state, built from the connectors file on first use
+let runtimes = null;
+let stopping = false;
+
+/**
+ * Check a tag address against the connector's driver
+ * @param {string} driver - Driver name
+ * @param {Object} tag - Tag configuration
+ * @param {string} label - Location for error messages
+ */
+function validateTag(driver, tag, label) {
+  if (driver === Driver.MODBUS) {
+    if (!MODBUS_TYPES.includes(tag.type)) {
+      throw new Error(`${label}.type must be one of: ${MODBUS_TYPES.join(', ')}`);
+    }
+    if (!Number.isInteger(tag.address) || tag.address < 0) {
+      throw new Error(`${label}.address must be a non-negative whole number`);
+    }
+    if (tag.words !== undefined && ![1, 2].includes(tag.words)) {
+      throw new Error(`${label}.words must be 1 or 2`);
+    }
+  } else if (driver === Driver.OPCUA && (typeof tag.node !== 'string' || !tag.node)) {
+    throw new Error(`${label}.node must be an OPC UA node ID`);
+  }
+}
+
+/**
+ * Check connector definitions
+ * @param {Object} definition - Parsed connectors file
+ * @returns {Array} Connector definitions
+ */
+export function validateConnectors(definition) {
+  if (!definition || !Array.isArray(definition.connectors)) {
+    throw new Error('Connectors file must have a connectors array');
+  }
+
+  const ids = new Set();
+  definition.connectors.forEach((connector, index) => {
+    const label = connector?.id || `connectors[${index}]`;
+    if (!connector?.id) {
+      throw new Error(`${label} needs an id`);
+    }
+    if (ids.has(connector.id)) {
+      throw new Error(`Duplicate connector id: ${connector.id}`);
+    }
+    ids.add(connector.id);
+
+    if (!VALID_DRIVERS.includes(connector.driver)) {
+      throw new Error(`${label}: driver must be one of: ${VALID_DRIVERS.join(', ')}`);
+    }
+    if (connector.driver === Driver.MODBUS && !connector.host) {
+      throw new Error(`${label}: Modbus connectors need a host`);
+    }
+    if (connector.driver === Driver.OPCUA && !connector.endpoint) {
+      throw new Error(`${label}: OPC UA connectors need an endpoint`);
+    }
+    if (!Array.isArray(connector.machines) || connector.machines.length === 0) {
+      throw new Error(`${label} needs a non-empty machines array`);
+    }
+
+    connector.machines.forEach((machine, machineIndex) => {
+      const machineLabel = `${label}.machines[${machineIndex}]`;
+      if (!machine?.machine_id) {
+        throw new Error(`${machineLabel} needs a machine_id`);
+      }
+      MACHINE_TAGS.filter((tag) => machine[tag]).forEach((tag) => {
+        validateTag(connector.driver, machine[tag], `${machineLabel}.${tag}`);
+      });
+      if (connector.driver !== Driver.SIMULATOR && !MACHINE_TAGS.some((tag) => machine[tag])) {
+        throw new Error(`${machineLabel} maps none of: ${MACHINE_TAGS.join(', ')}`);
+      }
+    });
+  });
+
+  return definition.connectors;
+}
+
+/**
+ * Load connector definitions from CONNECTORS_FILE
+ * @returns {Array} Connector definitions (empty if no file is configured)
+ */
+export function loadConnectors() {
+  const file = config.connectors.file;
+  if (!file) {
+    return [];
+  }
+
+  try {
+    return validateConnectors(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid connectors file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Runtime state per connector, built on first use
+ * @returns {Map} Connector ID -> runtime
+ */
+function getRuntimes() {
+  if (!runtimes) {
+    runtimes = new Map(
+      loadConnectors().map((definition) => [
+        definition.id,
+        {
+          definition,
+          driver: createDriver(definition),
+          connected: false,
+          timer: null,
+          queue: Promise.resolve(),
+          polls: 0,
+          failures: 0,
+          last_poll_at: null,
+          last_error: null,
+          machines: new Map(
+            definition.machines.map((machine) => [
+              machine.machine_id,
+              { last_reading: null, last_read_at: null, last_update: null, last_applied_at: null, last_error: null },
+            ])
+          ),
+        },
+      ])
+    );
+  }
+  return runtimes;
+}
+
+/**
+ * Record a machine error, logging it only when it changes
+ * @param {Object} runtime - Connector runtime
+ * @param {string} machineId - Machine ID
+ * @param {string} message - Error message
+ */
+function recordMachineError(runtime, machineId, message) {
+  const machineState = runtime.machines.get(machineId);
+  if (machineState.last_error !== message) {
+    console.error(`Connector ${runtime.definition.id} could not update ${machineId}: ${message}`);
+  }
+  machineState.last_error = message;
+}
+
+/**
+ * Read every machine of a connector once and apply what changed
+ * A read failure drops the connection; the next poll reconnects.
+ * @param {Object} runtime - Connector runtime
+ * @returns {Promise<Object>} { connector, polled_at, success, error?, machines }
+ */
+async function poll(runtime) {
+  const { definition } = runtime;
+  const polledAt = new Date();
+  const heartbeatMs = (definition.heartbeat_seconds ?? DEFAULT_HEARTBEAT_SECONDS) * 1000;
+  const results = [];
+
+  runtime.polls += 1;
+  runtime.last_poll_at = polledAt;
+
+  try {
+    if (!runtime.connected) {
+      await runtime.driver.connect();
+      runtime.connected = true;
+    }
+
+    for (const machineConfig of definition.machines) {
+      const machineId = machineConfig.machine_id;
+      const machineState = runtime.machines.get(machineId);
+
+      const reading = await runtime.driver.readMachine(machineConfig);
+      machineState.last_reading = reading;
+      machineState.last_read_at = polledAt;
+
+      const update = translateReading(machineConfig, reading);
+      if (machineConfig.counter_max) {
+        update.counter_max = machineConfig.counter_max;
+      }
+
+      const heartbeatDue =
+        !machineState.last_applied_at || polledAt - machineState.last_applied_at >= heartbeatMs;
+      if (!hasChanged(machineState.last_update, update) && !heartbeatDue) {
+        results.push({ machine_id: machineId, success: true, applied: false });
+        continue;
+      }
+
+      // A rejected update (e.g. a fault not yet acknowledged) is retried on the next poll
+      try {
+        await updateMachine(machineId, update, { source: EventSource.CONNECTOR });
+        machineState.last_update = update;
+        machineState.last_applied_at = polledAt;
+        machineState.last_error = null;
+        results.push({ machine_id: machineId, success: true, applied: true, update });
+      } catch (error) {
+        recordMachineError(runtime, machineId, error.message);
+        results.push({ machine_id: machineId, success: false, applied: false, update, error: error.message });
+      }
+    }
+
+    runtime.last_error = null;
+    return { connector: definition.id, polled_at: polledAt, success: true, machines: results };
+  } catch (error) {
+    if (runtime.last_error !== error.message) {
+      console.error(`Connector ${definition.id} poll failed: ${error.message}`);
+    }
+    runtime.failures += 1;
+    runtime.last_error = error.message;
+    runtime.connected = false;
+    await runtime.driver.close().catch(() => {});
+    return { connector: definition.id, polled_at: polledAt, success: false, error: error.message, machines: results };
+  }
+}
+
+/**
+ * Queue a poll behind any poll of the same connector already running
+ * @param {Object} runtime - Connector runtime
+ * @returns {Promise<Object>} Poll result
+ */
+function queuePoll(runtime) {
+  const result = runtime.queue.then(() => poll(runtime));
+  runtime.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Poll a connector now
+ * @param {string} connectorId - Connector ID
+ * @returns {Promise<Object|null>} Poll result or null if the connector does not exist
+ */
+export async function pollConnector(connectorId) {
+  const runtime = getRuntimes().get(connectorId);
+  if (!runtime) {
+    return null;
+  }
+  return queuePoll(runtime);
+}
+
+/**
+ * Schedule the next poll of a connector
+ * The next poll is scheduled when the current one finishes, so a slow device never has polls pile up.
+ * @param {Object} runtime - Connector runtime
+ * @param {number} seconds - Poll interval
+ */
+function schedulePoll(runtime, seconds) {
+  runtime.timer = setTimeout(async () => {
+    await queuePoll(runtime);
+    if (!stopping) {
+      schedulePoll(runtime, seconds);
+    }
+  }, seconds * 1000);
+}
+
+/**
+ * Start polling every configured connector
+ * Connectors with interval_seconds 0 are only polled on demand.
+ * @returns {number} Number of connectors polling on an interval
+ */
+export function startConnectors() {
+  stopping = false;
+  let started = 0;
+
+  for (const runtime of getRuntimes().values()) {
+    const seconds = runtime.definition.interval_seconds ?? DEFAULT_INTERVAL_SECONDS;
+    if (seconds > 0 && !runtime.timer) {
+      schedulePoll(runtime, seconds);
+      started += 1;
+    }
+  }
+
+  return started;
+}
+
+/**
+ * Stop polling and close every connection
+ * @returns {Promise<void>}
+ */
+export async function stopConnectors() {
+  stopping = true;
+  if (!runtimes) {
+    return;
+  }
+
+  for (const runtime of runtimes.values()) {
+    clearTimeout(runtime.timer);
+    runtime.timer = null;
+    await runtime.queue;
+    await runtime.driver.close().catch(() => {});
+    runtime.connected = false;
+  }
+}
+
+/**
+ * Get the state of every connector and its machines
+ * @returns {Array} Connector status
+ */
+export function getConnectorStatus() {
+  return [...getRuntimes().values()].map((runtime) => ({
+    id: runtime.definition.id,
+    driver: runtime.definition.driver,
+    interval_seconds: runtime.definition.interval_seconds ?? DEFAULT_INTERVAL_SECONDS,
+    polling: Boolean(runtime.timer),
+    connected: runtime.connected,
+    polls: runtime.polls,
+    failures: runtime.failures,
+    last_poll_at: runtime.last_poll_at,
+    last_error: runtime.last_error,
+    machines: [...runtime.machines.entries()].map(([machineId, machineState]) => ({
+      machine_id: machineId,
+      ...machineState,
+    })),
+  }));
+}
@@ -0,0 +1,218 @@
+/**
+ * Simulated machines for developing polling connectors offline
+ * Each simulated machine runs, idles and faults on its own, counting parts while it runs.
+ * The "simulator" connector driver reads them in-process; running this file serves
+ * them over Modbus TCP so the Modbus driver can be tried without a PLC:
+ *
+ *   node modules/connectors/simulator.js --port 5020 --machines M01,M02
+ *
+ * Register layout for the n-th machine (0-based), base = n * 10:
+ *   coil / discrete input  base      run bit
+ *   holding / input reg    base      fault code (0 = no fault)
+ *   holding / input reg    base + 1  part counter, high word
+ *   holding / input reg    base + 2  part counter, low word
+ *   holding / input reg    base + 3  scrap counter
+ */
+
+import { fileURLToPath } from 'url';
+import ModbusRTU from 'modbus-serial';
+
+export const REGISTERS_PER_MACHINE = 10;
+
+// Fault codes the simulator raises, with the messages used in the example fault code table
+export const SIMULATED_FAULTS = {
+  12: 'Hydraulic pressure low',
+  31: 'Guard door open',
+  47: 'Spindle overload',
+};
+
+/**
+ * Random duration within a range of seconds
+ * @param {number} min - Minimum seconds
+ * @param {number} max - Maximum seconds
+ * @returns {number} Milliseconds
+ */
+function randomDuration(min, max) {
+  return (min + Math.random() * (max - min)) * 1000;
+}
+
+/**
+ * A machine that changes state on its own
+ */
+export class SimulatedMachine {
+  /**
+   * @param {string} machineId - Machine ID
+   * @param {Object} options - Behaviour
+   * @param {number} options.cycleSeconds - Seconds per part while running
+   * @param {number} options.scrapEvery - One part in this many is scrap
+   * @param {number} options.faultChance - Chance that a run ends in a fault instead of going idle
+   * @param {number} options.counterMax - Value the part counter wraps to 0 after
+   */
+  constructor(machineId, { cycleSeconds = 5, scrapEvery = 40, faultChance = 0.2, counterMax = 4294967295 } = {}) {
+    this.machineId = machineId;
+    this.cycleSeconds = cycleSeconds;
+    this.scrapEvery = scrapEvery;
+    this.faultChance = faultChance;
+    this.counterMax = counterMax;
+
+    this.run = false;
+    this.fault = 0;
+    this.counter = 0;
+    this.scrap = 0;
+    this.partProgress = 0;
+    this.lastStepAt = Date.now();
+    this.nextChangeAt = this.lastStepAt + randomDuration(5, 20);
+  }
+
+  /**
+   * Advance the machine to a point in time
+   * @param {number} now - Epoch milliseconds
+   */
+  step(now = Date.now()) {
+    if (this.run) {
+      this.partProgress += (now - this.lastStepAt) / 1000 / this.cycleSeconds;
+      const parts = Math.floor(this.partProgress);
+      this.partProgress -= parts;
+      for (let i = 0; i < parts; i++) {
+        this.counter = this.counter >= this.counterMax ? 0 : this.counter + 1;
+        if (Math.random() < 1 / this.scrapEvery) {
+          this.scrap += 1;
+        }
+      }
+    }
+    this.lastStepAt = now;
+
+    if (now < this.nextChangeAt) {
+      return;
+    }
+
+    if (this.fault) {
+      // Fault cleared; the machine waits idle until restarted
+      this.fault = 0;
+      this.nextChangeAt = now + randomDuration(10, 30);
+    } else if (this.run) {
+      this.run = false;
+      if (Math.random() < this.faultChance) {
+        const codes = Object.keys(SIMULATED_FAULTS);
+        this.fault = Number(codes[Math.floor(Math.random() * codes.length)]);
+        this.nextChangeAt = now + randomDuration(30, 120);
+      } else {
+        this.nextChangeAt = now + randomDuration(10, 60);
+      }
+    } else {
+      this.run = true;
+      this.nextChangeAt = now + randomDuration(60, 300);
+    }
+  }
+
+  /**
+   * Current tag values
+   * @returns {{run: boolean, fault: number, counter: number, scrap: number}} Tag values
+   */
+  read() {
+    this.step();
+    return { run: this.run, fault: this.fault, counter: this.counter, scrap: this.scrap };
+  }
+}
+
+/**
+ * Serve simulated machines over Modbus TCP
+ * @param {Object} options - Server options
+ * @param {Array<string>} options.machines - Machine IDs, in register block order
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.port - TCP port
+ * @param {number} options.unitId - Modbus unit ID
+ * @returns {Object} { server, machines }
+ */
+export function startModbusSimulator({ machines = ['M01'], host = '0.0.0.0', port = 5020, unitId = 1 } = {}) {
+  const simulated = machines.map((machineId) => new SimulatedMachine(machineId));
+
+  const machineAt = (address) => simulated[Math.floor(address / REGISTERS_PER_MACHINE)] || null;
+
+  const readBit = (address) => {
+    const machine = machineAt(address);
+    return Boolean(machine && address % REGISTERS_PER_MACHINE === 0 && machine.read().run);
+  };
+
+  const readRegister = (address) => {
+    const machine = machineAt(address);
+    if (!machine) {
+      return 0;
+    }
+    const tags = machine.read();
+    switch (address % REGISTERS_PER_MACHINE) {
+      case 0:
+        return tags.fault;
+      case 1:
+        return Math.floor(tags.counter / 65536);
+      case 2:
+        return tags.counter % 65536;
+      case 3:
+        return tags.scrap % 65536;
+      default:
+        return 0;
+    }
+  };
+
+  const server = new ModbusRTU.ServerTCP(
+    {
+      getCoil: readBit,
+      getDiscreteInput: readBit,
+      getHoldingRegister: readRegister,
+      getInputRegister: readRegister,
+    },
+    { host, port, unitID: unitId }
+  );
+
+  return { server, machines: simulated };
+}
+
+/**
+ * Connector entry matching a Modbus simulator, for a connectors file
+ * @param {Array<string>} machines - Machine IDs, in register block order
+ * @param {number} port - Simulator port
+ * @returns {Object} Connector configuration
+ */
+export function exampleModbusConnector(machines, port) {
+  return {
+    id: 'modbus-simulator',
+    driver: 'modbus',
+    host: '127.0.0.1',
+    port,
+    unit_id: 1,
+    interval_seconds: 5,
+    machines: machines.map((machineId, index) => {
+      const base = index * REGISTERS_PER_MACHINE;
+      return {
+        machine_id: machineId,
+        run: { type: 'coil', address: base },
+        fault: { type: 'holding', address: base },
+        counter: { type: 'holding', address: base + 1, words: 2 },
+        scrap: { type: 'holding', address: base + 3 },
+        fault_codes: SIMULATED_FAULTS,
+      };
+    }),
+  };
+}
+
+/**
+ * Read a "--name value" command line option
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string} Option value
+ */
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(getOption('port', '5020'), 10);
+  const machines = getOption('machines', 'M01,M02,M03,M04').split(',').map((id) => id.trim().toUpperCase());
+  const { server } = startModbusSimulator({ machines, port });
+
+  server.on('socketError', (error) => console.error('Modbus simulator socket error:', error.message));
+  console.log(`🏭 Modbus simulator listening on port ${port} for ${machines.join(', ')}`);
+  console.log('Connector entry for CONNECTORS_FILE:');
+  console.log(JSON.stringify({ connectors: [exampleModbusConnector(machines, port)] }, null, 2));
+}
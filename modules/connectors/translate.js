@@ -0,0 +1,105 @@
+/**
+ * Translation of polled machine readings into machine updates
+ * A reading holds the raw tag values of one machine (run bit, fault code,
+ * part counter, scrap counter). All functions here are pure.
+ */
+
+import { MachineStatus } from '../shop-floor/model.js';
+
+// Tags a machine may map, in the order they are read
+export const MACHINE_TAGS = ['run', 'fault', 'counter', 'scrap'];
+
+/**
+ * Whether a raw run bit or fault code is set
+ * @param {*} value - Raw tag value
+ * @returns {boolean} True for true, non-zero numbers and "1"/"true"
+ */
+function isSet(value) {
+  if (typeof value === 'string') {
+    return !['', '0', 'false'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * Look up a fault code in the machine's fault code table
+ * Entries are a message, or { message, reason_code } to also record a downtime reason.
+ * @param {Object} faultCodes - Fault code -> message or { message, reason_code }
+ * @param {*} code - Raw fault code
+ * @returns {{message: string, reason_code: string|null}} Fault description
+ */
+export function describeFault(faultCodes = {}, code) {
+  const entry = faultCodes[String(code)];
+  if (!entry) {
+    return { message: `Fault code ${code}`, reason_code: null };
+  }
+  if (typeof entry === 'string') {
+    return { message: entry, reason_code: null };
+  }
+  return { message: entry.message || `Fault code ${code}`, reason_code: entry.reason_code || null };
+}
+
+/**
+ * Turn a machine's tag values into a machine update
+ * - A non-zero fault code puts the machine in Error with the mapped message
+ * - Otherwise the run bit decides between Running and Idle
+ * - Counters are passed on as cumulative output/scrap readings
+ *
+ * @param {Object} machineConfig - Machine entry of the connector (fault_codes, counter_max)
+ * @param {Object} reading - Raw values keyed by tag (run, fault, counter, scrap); missing tags are skipped
+ * @returns {Object} Machine update payload
+ */
+export function translateReading(machineConfig, reading) {
+  const update = {};
+
+  if (reading.fault !== undefined && isSet(reading.fault)) {
+    const fault = describeFault(machineConfig.fault_codes, reading.fault);
+    update.status = MachineStatus.ERROR;
+    update.error_message = fault.message;
+    if (fault.reason_code) {
+      update.reason_code = fault.reason_code;
+    }
+  } else if (reading.run !== undefined) {
+    update.status = isSet(reading.run) ? MachineStatus.RUNNING : MachineStatus.IDLE;
+  }
+
+  if (reading.counter !== undefined) {
+    update.output = Number(reading.counter);
+  }
+  if (reading.scrap !== undefined) {
+    update.scrap = Number(reading.scrap);
+  }
+
+  return update;
+}
+
+/**
+ * Whether an update differs from the last one applied for the machine
+ * @param {Object|null} previous - Last applied update
+ * @param {Object} update - New update
+ * @returns {boolean} True if any field changed
+ */
+export function hasChanged(previous, update) {
+  if (!previous) {
+    return true;
+  }
+  const fields = new Set([...Object.keys(previous), ...Object.keys(update)]);
+  return [...fields].some((field) => previous[field] !== update[field]);
+}
+
+/**
+ * Combine Modbus registers into one unsigned value, high word first
+ * @param {Array<number>} words - 16-bit register values
+ * @returns {number} Unsigned value
+ */
+export function combineWords(words) {
+  return words.reduce((value, word) => value * 65536 + (word & 0xffff), 0);
+}
+
+export default {
+  MACHINE_TAGS,
+  describeFault,
+  translateReading,
+  hasChanged,
+  combineWords,
+};
@@ -0,0 +1,160 @@
+/**
+ * Controller layer for Downtime Tracking
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Get all downtime reasons
+ * GET /downtime/reasons?all=true
+ */
+export async function getAllReasons(req, res) {
+  try {
+    const reasons = await service.getAllReasons({ includeInactive: req.query.all === 'true' });
+    res.json({
+      success: true,
+      count: reasons.length,
+      data: reasons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a downtime reason
+ * POST /downtime/reasons
+ */
+export async function updateReason(req, res) {
+  try {
+    const { code, ...updateData } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required',
+      });
+    }
+
+    const updated = await service.updateReason(code, updateData);
+
+    res.json({
+      success: true,
+      message: `Downtime reason ${updated.code} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get downtime intervals
+ * GET /downtime/intervals?machine_id=&reason_code=&open=true&from=&to=
+ */
+export async function getIntervals(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const intervals = await service.getIntervals({
+      machineId: req.query.machine_id || null,
+      reasonCode: req.query.reason_code || null,
+      openOnly: req.query.open === 'true',
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: intervals.length,
+      data: intervals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * MTTR / MTBF report
+ * GET /downtime/reports/mttr-mtbf?machine_id=&from=&to=
+ */
+export async function getReliabilityReport(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const report = await service.getReliabilityReport({
+      machineId: req.query.machine_id || null,
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Pareto of downtime reasons
+ * GET /downtime/reports/pareto?machine_id=&status=&from=&to=
+ */
+export async function getParetoReport(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const report = await service.getParetoReport({
+      machineId: req.query.machine_id || null,
+      status: req.query.status || null,
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
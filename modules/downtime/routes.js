@@ -0,0 +1,50 @@
+/**
+ * Routes for Downtime Tracking Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /downtime/reasons
+ * @desc    Get the downtime reason catalogue
+ * @access  Public
+ * @query   all - Optional: 'true' to include deactivated reasons
+ */
+router.get('/reasons', controller.getAllReasons);
+
+/**
+ * @route   POST /downtime/reasons
+ * @desc    Update or create a downtime reason
+ * @access  Public
+ * @body    { code, name, category, description, active }
+ */
+router.post('/reasons', controller.updateReason);
+
+/**
+ * @route   GET /downtime/intervals
+ * @desc    Get downtime intervals opened by Error/Maintenance status changes
+ * @access  Public
+ * @query   machine_id, reason_code, open ('true' for open intervals only), from, to
+ */
+router.get('/intervals', controller.getIntervals);
+
+/**
+ * @route   GET /downtime/reports/mttr-mtbf
+ * @desc    Mean time to repair and mean time between failures per machine
+ * @access  Public
+ * @query   machine_id, from, to
+ */
+router.get('/reports/mttr-mtbf', controller.getReliabilityReport);
+
+/**
+ * @route   GET /downtime/reports/pareto
+ * @desc    Pareto of downtime reasons by total downtime
+ * @access  Public
+ * @query   machine_id, status (Error | Maintenance), from, to
+ */
+router.get('/reports/pareto', controller.getParetoReport);
+
+export default router;
@@ -0,0 +1,432 @@
+/**
+ * Service layer for Downtime Tracking
+ * Manages the downtime reason catalogue, the downtime intervals opened and
+ * closed by machine status changes, and the MTTR / MTBF / Pareto reports
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+
+const prisma = new PrismaClient();
+
+// Valid reason categories
+const VALID_CATEGORIES = [
+  'Mechanical',
+  'Electrical',
+  'MaterialStarvation',
+  'Changeover',
+  'Quality',
+  'PlannedMaintenance',
+  'Other',
+];
+
+// Machine statuses that open a downtime interval
+const DOWNTIME_STATUSES = ['Error', 'Maintenance', 'SafetyHold'];
+
+// Status that closes an open downtime interval
+const RECOVERY_STATUS = 'Running';
+
+const UNCODED_REASON = 'UNCODED';
+
+/**
+ * Normalize a reason code (codes are stored upper-case)
+ * @param {string} code - Raw reason code
+ * @returns {string} Normalized code
+ */
+function normalizeReasonCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Get all downtime reasons
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeInactive - Include deactivated reasons
+ * @returns {Promise<Array>} Array of downtime reasons
+ */
+export async function getAllReasons({ includeInactive = false } = {}) {
+  try {
+    const reasons = await prisma.downtimeReason.findMany({
+      where: includeInactive ? {} : { active: true },
+      orderBy: [{ category: 'asc' }, { code: 'asc' }],
+    });
+    return reasons;
+  } catch (error) {
+    throw new Error(`Failed to fetch downtime reasons: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single downtime reason by code
+ * @param {string} code - Reason code
+ * @returns {Promise<Object|null>} Downtime reason or null if not found
+ */
+export async function getReason(code) {
+  try {
+    const reason = await prisma.downtimeReason.findUnique({
+      where: {
+        code: normalizeReasonCode(code),
+      },
+    });
+    return reason;
+  } catch (error) {
+    throw new Error(`Failed to fetch downtime reason ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a downtime reason
+ * @param {string} code - Reason code
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated downtime reason
+ */
+export async function updateReason(code, updateData) {
+  const reasonCode = normalizeReasonCode(code);
+
+  try {
+    if (!/^[A-Z0-9_-]+$/.test(reasonCode)) {
+      throw new Error('Invalid code: use letters, digits, "-" and "_" only');
+    }
+
+    // Validate category if provided
+    if (updateData.category && !VALID_CATEGORIES.includes(updateData.category)) {
+      throw new Error(
+        `Invalid category: ${updateData.category}. Must be one of: ${VALID_CATEGORIES.join(', ')}`
+      );
+    }
+
+    const dataToUpdate = {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.category !== undefined && { category: updateData.category }),
+      ...(updateData.description !== undefined && { description: updateData.description }),
+      ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+      updated_at: new Date(),
+    };
+
+    const reason = await prisma.downtimeReason.upsert({
+      where: {
+        code: reasonCode,
+      },
+      update: dataToUpdate,
+      create: {
+        code: reasonCode,
+        name: updateData.name || reasonCode,
+        category: updateData.category || 'Other',
+        description: updateData.description ?? null,
+        active: updateData.active ?? true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return reason;
+  } catch (error) {
+    throw new Error(`Failed to update downtime reason ${reasonCode}: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a reason code exists in the catalogue and is active
+ * @param {string} code - Reason code referenced by a machine update
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<string>} Normalized reason code
+ */
+export async function validateReasonCode(code, client = prisma) {
+  const reasonCode = normalizeReasonCode(code);
+  const reason = await client.downtimeReason.findUnique({
+    where: {
+      code: reasonCode,
+    },
+  });
+
+  if (!reason || !reason.active) {
+    throw new Error(`Unknown downtime reason code: ${reasonCode}`);
+  }
+
+  return reasonCode;
+}
+
+/**
+ * Close an open downtime interval
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} interval - Open interval
+ * @param {Date} endedAt - Time the interval ends
+ * @returns {Promise<Object>} Closed interval
+ */
+async function closeInterval(client, interval, endedAt) {
+  return client.downtimeInterval.update({
+    where: {
+      id: interval.id,
+    },
+    data: {
+      ended_at: endedAt,
+      duration_seconds: Math.max(0, Math.round((endedAt - interval.started_at) / 1000)),
+    },
+  });
+}
+
+/**
+ * Open or close downtime intervals for a machine status change
+ * Called by the shop-floor service inside the machine update transaction.
+ *
+ * - Entering Error/Maintenance opens an interval
+ * - Switching between Error and Maintenance closes the old interval and opens a new one
+ * - Returning to Running closes the open interval
+ * - A reason code sent while the machine stays down is attached to the open interval
+ *
+ * @param {Object} client - Prisma transaction client
+ * @param {Object} change - Status change
+ * @param {Object} change.machine - Machine row after the update
+ * @param {string|null} change.reasonCode - Validated reason code from the update
+ * @param {string} change.source - Update source
+ * @returns {Promise<Object|null>} The interval that was opened, closed or updated, if any
+ */
+export async function recordStatusChange(client, { machine, reasonCode = null, source }) {
+  const at = machine.last_updated;
+  const openInterval = await client.downtimeInterval.findFirst({
+    where: {
+      machine_id: machine.machine_id,
+      ended_at: null,
+    },
+    orderBy: {
+      started_at: 'desc',
+    },
+  });
+
+  if (machine.status === RECOVERY_STATUS) {
+    return openInterval ? closeInterval(client, openInterval, at) : null;
+  }
+
+  if (!DOWNTIME_STATUSES.includes(machine.status)) {
+    // Idle (or any other status) keeps an open interval running until the machine runs again
+    return null;
+  }
+
+  if (openInterval && openInterval.status === machine.status) {
+    if (reasonCode && reasonCode !== openInterval.reason_code) {
+      return client.downtimeInterval.update({
+        where: {
+          id: openInterval.id,
+        },
+        data: {
+          reason_code: reasonCode,
+        },
+      });
+    }
+    return openInterval;
+  }
+
+  if (openInterval) {
+    await closeInterval(client, openInterval, at);
+  }
+
+  return client.downtimeInterval.create({
+    data: {
+      machine_id: machine.machine_id,
+      status: machine.status,
+      reason_code: reasonCode,
+      error_message: machine.error_message ?? null,
+      source,
+      started_at: at,
+    },
+  });
+}
+
+/**
+ * Get downtime intervals
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only intervals of this machine
+ * @param {string} filters.reasonCode - Only intervals with this reason code
+ * @param {boolean} filters.openOnly - Only intervals that are still open
+ * @param {Date|null} filters.from - Only intervals started at or after this time
+ * @param {Date|null} filters.to - Only intervals started at or before this time
+ * @returns {Promise<Array>} Array of downtime intervals (newest first)
+ */
+export async function getIntervals({ machineId = null, reasonCode = null, openOnly = false, from = null, to = null } = {}) {
+  try {
+    const intervals = await prisma.downtimeInterval.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(reasonCode && { reason_code: normalizeReasonCode(reasonCode) }),
+        ...(openOnly && { ended_at: null }),
+        started_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        started_at: 'desc',
+      },
+    });
+    return intervals;
+  } catch (error) {
+    throw new Error(`Failed to fetch downtime intervals: ${error.message}`);
+  }
+}
+
+/**
+ * Get downtime intervals that overlap a time window, with the seconds that fall inside it
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Array>} Intervals (oldest first) with a window_seconds field
+ */
+export async function getIntervalsOverlapping(from, to) {
+  try {
+    const intervals = await prisma.downtimeInterval.findMany({
+      where: {
+        started_at: { lt: to },
+        OR: [{ ended_at: null }, { ended_at: { gt: from } }],
+      },
+      orderBy: {
+        started_at: 'asc',
+      },
+    });
+
+    const now = new Date();
+    return intervals.map((interval) => {
+      const start = interval.started_at > from ? interval.started_at : from;
+      const intervalEnd = interval.ended_at || now;
+      const end = intervalEnd < to ? intervalEnd : to;
+      return {
+        ...interval,
+        window_seconds: Math.max(0, Math.round((end - start) / 1000)),
+      };
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch downtime intervals: ${error.message}`);
+  }
+}
+
+/**
+ * Duration of an interval in seconds (open intervals count up to now)
+ * @param {Object} interval - Downtime interval
+ * @returns {number} Duration in seconds
+ */
+function intervalSeconds(interval) {
+  if (interval.duration_seconds !== null && interval.duration_seconds !== undefined) {
+    return interval.duration_seconds;
+  }
+  return Math.max(0, Math.round((new Date() - interval.started_at) / 1000));
+}
+
+/**
+ * MTTR / MTBF report per machine
+ * - MTTR: mean duration of closed Error intervals (time to repair)
+ * - MTBF: Running time / number of failures (Error intervals) in the range
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only report this machine
+ * @param {Date|null} filters.from - Range start
+ * @param {Date|null} filters.to - Range end
+ * @returns {Promise<Object>} Per-machine and plant-wide reliability figures (seconds)
+ */
+export async function getReliabilityReport({ machineId = null, from = null, to = null } = {}) {
+  try {
+    const machines = machineId
+      ? [await machineService.getMachine(machineId)].filter(Boolean)
+      : await machineService.getAllMachines();
+
+    const failures = await getIntervals({ machineId, from, to });
+
+    const results = [];
+    for (const machine of machines) {
+      const machineFailures = failures.filter(
+        (interval) => interval.machine_id === machine.machine_id && interval.status === 'Error'
+      );
+      const repaired = machineFailures.filter((interval) => interval.ended_at);
+      const repairSeconds = repaired.reduce((sum, interval) => sum + interval.duration_seconds, 0);
+
+      const history = await machineService.getMachineHistory(machine.machine_id, { from, to });
+      const runSeconds = history.status_durations.Running || 0;
+
+      results.push({
+        machine_id: machine.machine_id,
+        failures: machineFailures.length,
+        repaired: repaired.length,
+        run_seconds: Math.round(runSeconds),
+        repair_seconds: repairSeconds,
+        mttr_seconds: repaired.length > 0 ? Math.round(repairSeconds / repaired.length) : null,
+        mtbf_seconds: machineFailures.length > 0 ? Math.round(runSeconds / machineFailures.length) : null,
+      });
+    }
+
+    const totalFailures = results.reduce((sum, r) => sum + r.failures, 0);
+    const totalRepaired = results.reduce((sum, r) => sum + r.repaired, 0);
+    const totalRepairSeconds = results.reduce((sum, r) => sum + r.repair_seconds, 0);
+    const totalRunSeconds = results.reduce((sum, r) => sum + r.run_seconds, 0);
+
+    return {
+      from,
+      to,
+      plant: {
+        failures: totalFailures,
+        mttr_seconds: totalRepaired > 0 ? Math.round(totalRepairSeconds / totalRepaired) : null,
+        mtbf_seconds: totalFailures > 0 ? Math.round(totalRunSeconds / totalFailures) : null,
+      },
+      machines: results.sort((a, b) => b.failures - a.failures),
+    };
+  } catch (error) {
+    throw new Error(`Failed to build MTTR/MTBF report: ${error.message}`);
+  }
+}
+
+/**
+ * Pareto of downtime reasons
+ * Groups intervals by reason code, ordered by total downtime, with the
+ * cumulative share so maintenance can see which few reasons cause most of it.
+ *
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only this machine
+ * @param {string} filters.status - Only Error or only Maintenance intervals
+ * @param {Date|null} filters.from - Range start
+ * @param {Date|null} filters.to - Range end
+ * @returns {Promise<Object>} Pareto rows
+ */
+export async function getParetoReport({ machineId = null, status = null, from = null, to = null } = {}) {
+  try {
+    if (status && !DOWNTIME_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of: ${DOWNTIME_STATUSES.join(', ')}`);
+    }
+
+    const intervals = (await getIntervals({ machineId, from, to })).filter(
+      (interval) => !status || interval.status === status
+    );
+    const reasons = await getAllReasons({ includeInactive: true });
+
+    const byReason = {};
+    for (const interval of intervals) {
+      const code = interval.reason_code || UNCODED_REASON;
+      byReason[code] = byReason[code] || { reason_code: code, occurrences: 0, downtime_seconds: 0, machines: new Set() };
+      byReason[code].occurrences += 1;
+      byReason[code].downtime_seconds += intervalSeconds(interval);
+      byReason[code].machines.add(interval.machine_id);
+    }
+
+    const totalSeconds = Object.values(byReason).reduce((sum, row) => sum + row.downtime_seconds, 0);
+    let cumulative = 0;
+
+    const rows = Object.values(byReason)
+      .sort((a, b) => b.downtime_seconds - a.downtime_seconds)
+      .map((row) => {
+        const reason = reasons.find((r) => r.code === row.reason_code);
+        const share = totalSeconds > 0 ? (row.downtime_seconds / totalSeconds) * 100 : 0;
+        cumulative += share;
+        return {
+          reason_code: row.reason_code,
+          name: reason ? reason.name : 'No reason given',
+          category: reason ? reason.category : null,
+          occurrences: row.occurrences,
+          downtime_seconds: row.downtime_seconds,
+          machines: [...row.machines],
+          percentage: Math.round(share * 100) / 100,
+          cumulative_percentage: Math.round(cumulative * 100) / 100,
+        };
+      });
+
+    return {
+      from,
+      to,
+      total_downtime_seconds: totalSeconds,
+      reasons: rows,
+    };
+  } catch (error) {
+    throw new Error(`Failed to build downtime Pareto report: ${error.message}`);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Controller layer for the Energy ledger
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { VALID_GRANULARITIES } from '../production/utils.js';
+import { isValidTimeZone } from '../shifts/utils.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Record energy meter readings or consumption
+ * POST /energy/readings
+ */
+export async function recordEnergy(req, res) {
+  try {
+    const entries = await service.recordEnergy(req.body);
+
+    res.json({
+      success: true,
+      message: `${entries.length} energy reading(s) recorded`,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get ledger entries
+ * GET /energy/readings?machine_id=&line=&type=&from=&to=
+ */
+export async function getEnergyReadings(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const entries = await service.getEnergyReadings({
+      machineId: req.query.machine_id || null,
+      line: req.query.line || null,
+      entryType: req.query.type || null,
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get energy use, idle energy and energy per unit per machine and line
+ * GET /energy/summary?machine_id=&line=&from=&to=
+ */
+export async function getEnergySummary(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const summary = await service.getEnergySummary({
+      machineId: req.query.machine_id || null,
+      line: req.query.line || null,
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: summary.machines.length,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get energy use per hour, shift or day
+ * GET /energy/trend?granularity=hour|shift|day&machine_id=&line=&from=&to=&plant=&timezone=
+ */
+export async function getEnergyTrend(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const granularity = req.query.granularity || 'hour';
+    if (!VALID_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`,
+      });
+    }
+
+    if (req.query.timezone && !isValidTimeZone(req.query.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${req.query.timezone}`,
+      });
+    }
+
+    const trend = await service.getEnergyTrend({
+      granularity,
+      machineId: req.query.machine_id || null,
+      line: req.query.line || null,
+      ...(req.query.plant && { plant: req.query.plant }),
+      ...(req.query.timezone && { timeZone: req.query.timezone }),
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: trend.buckets.length,
+      data: trend,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get energy status formatted for LLM
+ * GET /energy/status/llm
+ */
+export async function getEnergyStatusForLLM(req, res) {
+  try {
+    const status = await service.getEnergyStatus();
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
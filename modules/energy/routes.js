@@ -0,0 +1,51 @@
+/**
+ * Routes for Energy Ledger Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /energy/readings
+ * @desc    Record kWh meter readings or consumption of a machine or line meter
+ * @access  Public
+ * @body    { machine_id | line, reading (cumulative kWh) | kwh (drawn since the previous entry), recorded_at,
+ *            period_start (kwh postings) } or { readings: [...] }
+ */
+router.post('/readings', controller.recordEnergy);
+
+/**
+ * @route   GET /energy/readings
+ * @desc    Get energy ledger entries
+ * @access  Public
+ * @query   machine_id, line (line meter entries), type ('Reading' | 'Delta'), from, to
+ */
+router.get('/readings', controller.getEnergyReadings);
+
+/**
+ * @route   GET /energy/summary
+ * @desc    Energy, idle energy and energy per unit per machine (most idle energy first) and line
+ * @access  Public
+ * @query   machine_id, line, from, to (default last 24 hours)
+ */
+router.get('/summary', controller.getEnergySummary);
+
+/**
+ * @route   GET /energy/trend
+ * @desc    Energy, idle energy and energy per unit per hour, shift or day
+ * @access  Public
+ * @query   granularity ('hour' | 'shift' | 'day', default 'hour'), machine_id, line,
+ *          from, to (default last 24 hours), plant (shift granularity), timezone (default PLANT_TIMEZONE)
+ */
+router.get('/trend', controller.getEnergyTrend);
+
+/**
+ * @route   GET /energy/status/llm
+ * @desc    Get energy status formatted for LLM
+ * @access  Public
+ */
+router.get('/status/llm', controller.getEnergyStatusForLLM);
+
+export default router;
@@ -0,0 +1,571 @@
+/**
+ * Service layer for the Energy ledger
+ * Energy drawn by machine meters and line meters is recorded as ledger entries, either
+ * derived from cumulative kWh meter readings or posted as consumption. Machine energy is
+ * split over the statuses the machine was in while drawing it (from its MachineEvent
+ * history), which gives idle energy, and combined with the production ledger for
+ * energy per unit.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import * as machineService from '../shop-floor/service.js';
+import * as productionService from '../production/service.js';
+import * as shiftService from '../shifts/service.js';
+import { EventSource } from '../shop-floor/model.js';
+import { isValidTimeZone } from '../shifts/utils.js';
+import { computeCounterDelta, Granularity, VALID_GRANULARITIES } from '../production/utils.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import { attributeEnergyByStatus, addEnergy, buildEnergyResult, bucketEnergy, roundKwh } from './utils.js';
+
+const prisma = new PrismaClient();
+
+// Ledger entry types
+const ENTRY_TYPE_READING = 'Reading';
+const ENTRY_TYPE_DELTA = 'Delta';
+
+const MAX_ENTRIES_PER_REQUEST = 5000;
+const DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * Check that an energy figure is a non-negative number
+ * @param {*} value - kWh
+ * @param {string} name - Field name for the error message
+ * @param {string} label - Entry label for the error message
+ */
+function assertKwh(value, name, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`${label}: ${name} must be a non-negative number of kWh`);
+  }
+}
+
+/**
+ * Parse an optional timestamp of an entry
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for the error message
+ * @param {string} label - Entry label for the error message
+ * @returns {Date|null} Parsed date, or null if not given
+ */
+function parseTimestamp(value, name, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${label} has an invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Status split of a line meter entry
+ * Line meters are not split by status; their energy only counts towards line totals.
+ * @param {Object} entry - EnergyReading row
+ * @returns {{kwh: number, by_status: Object}} Split
+ */
+function lineMeterSplit(entry) {
+  return { kwh: entry.kwh, by_status: {} };
+}
+
+/**
+ * Bucket fields of an energy or production bucket
+ * @param {Object} bucket - Bucket
+ * @returns {Object} { bucket, date, hour?, shift?, from, to }
+ */
+function bucketInfo({ bucket, date, hour, shift, from, to }) {
+  return {
+    bucket,
+    date,
+    ...(hour !== undefined && { hour }),
+    ...(shift !== undefined && { shift }),
+    from,
+    to,
+  };
+}
+
+/**
+ * Prisma filter selecting the entries of one meter
+ * @param {{machine_id: string|null, line: string|null}} meter - Machine or line of the meter
+ * @returns {Object} Prisma where condition
+ */
+function meterWhere({ machine_id: machineId, line }) {
+  return machineId ? { machine_id: machineId } : { machine_id: null, line };
+}
+
+/**
+ * Flatten an energy payload into entries
+ * Accepts one entry { machine_id | line, reading | kwh, recorded_at, period_start } or
+ * { readings: [entry, ...] }.
+ * @param {Object} payload - Request body
+ * @returns {Array} Entries as { label, machine_id, line, reading, kwh, recorded_at, period_start }
+ */
+function toEntries(payload) {
+  const batch = Array.isArray(payload?.readings);
+  const items = batch ? payload.readings : [payload];
+  if (items.length === 0) {
+    throw new Error('readings is empty');
+  }
+  if (items.length > MAX_ENTRIES_PER_REQUEST) {
+    throw new Error(`At most ${MAX_ENTRIES_PER_REQUEST} readings can be sent in one request`);
+  }
+
+  return items.map((item, index) => {
+    const label = batch ? `readings[${index}]` : 'reading';
+    if (!item || typeof item !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (Boolean(item.machine_id) === Boolean(item.line)) {
+      throw new Error(`${label} needs either a machine_id or a line`);
+    }
+
+    const hasReading = item.reading !== undefined && item.reading !== null;
+    const hasKwh = item.kwh !== undefined && item.kwh !== null;
+    if (hasReading === hasKwh) {
+      throw new Error(`${label} needs either a cumulative meter reading or the kwh drawn`);
+    }
+    if (hasReading) {
+      assertKwh(item.reading, 'reading', label);
+    } else {
+      assertKwh(item.kwh, 'kwh', label);
+    }
+
+    const recordedAt = parseTimestamp(item.recorded_at, 'recorded_at', label) || new Date();
+    const periodStart = parseTimestamp(item.period_start, 'period_start', label);
+    if (periodStart && hasReading) {
+      throw new Error(`${label}: period_start only applies to kwh postings; a reading's period starts at the previous reading`);
+    }
+    if (periodStart && periodStart >= recordedAt) {
+      throw new Error(`${label}: period_start must be before recorded_at`);
+    }
+
+    return {
+      label,
+      machine_id: item.machine_id || null,
+      line: item.line || null,
+      reading: hasReading ? item.reading : null,
+      kwh: hasKwh ? item.kwh : null,
+      recorded_at: recordedAt,
+      period_start: periodStart,
+    };
+  });
+}
+
+/**
+ * Check that every machine and line referenced by the entries exists
+ * @param {Array} entries - Entries from toEntries
+ */
+async function assertMetersExist(entries) {
+  const machineIds = [...new Set(entries.map((entry) => entry.machine_id).filter(Boolean))];
+  const lines = [...new Set(entries.map((entry) => entry.line).filter(Boolean))];
+
+  const [machines, lineRows] = await Promise.all([
+    machineIds.length ? prisma.machine.findMany({ where: { machine_id: { in: machineIds } } }) : [],
+    lines.length ? prisma.line.findMany({ where: { code: { in: lines } } }) : [],
+  ]);
+
+  const missingMachine = machineIds.find((id) => !machines.some((machine) => machine.machine_id === id));
+  if (missingMachine) {
+    throw new Error(`Machine ${missingMachine} not found`);
+  }
+  const missingLine = lines.find((code) => !lineRows.some((line) => line.code === code));
+  if (missingLine) {
+    throw new Error(`Line ${missingLine} not found`);
+  }
+}
+
+/**
+ * Write one entry to the ledger
+ * The first reading of a meter is stored as a baseline; later readings add the increase
+ * since the previous reading, and a reading below it counts as a meter reset. Every reading
+ * is stored, including ones that add nothing, so each entry's period is the time since
+ * the previous entry of the same meter.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry - Entry from toEntries
+ * @param {string} source - Entry source
+ * @returns {Promise<Object>} Created ledger entry
+ */
+async function writeEntry(tx, entry, source) {
+  const meter = { machine_id: entry.machine_id, line: entry.line };
+  const last = await tx.energyReading.findFirst({
+    where: meterWhere(meter),
+    orderBy: {
+      recorded_at: 'desc',
+    },
+  });
+  if (last && entry.recorded_at <= last.recorded_at) {
+    throw new Error(
+      `${entry.label}: recorded_at must be after the meter's last entry (${last.recorded_at.toISOString()})`
+    );
+  }
+
+  if (entry.reading !== null) {
+    const lastReading = await tx.energyReading.findFirst({
+      where: {
+        ...meterWhere(meter),
+        meter_reading: { not: null },
+      },
+      orderBy: {
+        recorded_at: 'desc',
+      },
+    });
+    const { delta, event } = computeCounterDelta(lastReading ? lastReading.meter_reading : null, entry.reading);
+
+    return tx.energyReading.create({
+      data: {
+        ...meter,
+        entry_type: ENTRY_TYPE_READING,
+        kwh: delta,
+        meter_reading: entry.reading,
+        counter_event: event,
+        period_start: last ? last.recorded_at : null,
+        source,
+        recorded_at: entry.recorded_at,
+      },
+    });
+  }
+
+  return tx.energyReading.create({
+    data: {
+      ...meter,
+      entry_type: ENTRY_TYPE_DELTA,
+      kwh: entry.kwh,
+      period_start: entry.period_start || (last ? last.recorded_at : null),
+      source,
+      recorded_at: entry.recorded_at,
+    },
+  });
+}
+
+/**
+ * Record energy meter readings or consumption
+ * All entries are written in one transaction; any invalid entry rejects the whole request.
+ * @param {Object} payload - One entry or { readings: [...] } (see toEntries)
+ * @param {Object} options - Recording options
+ * @param {string} options.source - Where the entries came from (see EventSource), defaults to REST
+ * @returns {Promise<Array>} Created ledger entries
+ */
+export async function recordEnergy(payload, options = {}) {
+  try {
+    const entries = toEntries(payload).sort((a, b) => a.recorded_at - b.recorded_at);
+    await assertMetersExist(entries);
+
+    return await prisma.$transaction(async (tx) => {
+      const created = [];
+      for (const entry of entries) {
+        created.push(await writeEntry(tx, entry, options.source || EventSource.REST));
+      }
+      return created;
+    });
+  } catch (error) {
+    throw new Error(`Failed to record energy: ${error.message}`);
+  }
+}
+
+/**
+ * Get ledger entries
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only entries of this machine's meter
+ * @param {string} filters.line - Only entries of this line's meter
+ * @param {string} filters.entryType - Only "Reading" or "Delta" entries
+ * @param {Date|null} filters.from - Only entries recorded at or after this time
+ * @param {Date|null} filters.to - Only entries recorded at or before this time
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function getEnergyReadings({ machineId = null, line = null, entryType = null, from = null, to = null } = {}) {
+  try {
+    if (entryType && ![ENTRY_TYPE_READING, ENTRY_TYPE_DELTA].includes(entryType)) {
+      throw new Error(`Invalid type: ${entryType}. Must be one of: ${ENTRY_TYPE_READING}, ${ENTRY_TYPE_DELTA}`);
+    }
+
+    return await prisma.energyReading.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(line && { line }),
+        ...(entryType && { entry_type: entryType }),
+        recorded_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        recorded_at: 'desc',
+      },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch energy readings: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve an energy window, defaulting to the last 24 hours
+ * @param {Object} range - Range from the query string
+ * @returns {{from: Date, to: Date}} Closed window
+ */
+function resolveWindow({ from = null, to = null } = {}) {
+  const windowEnd = to || new Date();
+  const windowStart = from || new Date(windowEnd.getTime() - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+  return { from: windowStart, to: windowEnd };
+}
+
+/**
+ * Fetch the ledger entries in a window and split machine energy by status
+ * With a machine filter only that machine's meter is read; with a line filter the meters
+ * of the machines on the line plus the line's own meter; otherwise every meter.
+ *
+ * @param {Object} filters - Filters
+ * @param {string|null} filters.machineId - Only this machine
+ * @param {string|null} filters.line - Only this line
+ * @param {{from: Date, to: Date}} window - Closed window
+ * @returns {Promise<{machines: Array, items: Array}>} Machine rows in scope and the entries
+ *   as { entry, split } (oldest first)
+ */
+async function loadSplitEntries({ machineId = null, line = null }, window) {
+  const machines = (await machineService.getAllMachines(line ? { line } : {})).filter(
+    (machine) => !machineId || machine.machine_id === machineId
+  );
+  const machineIds = machines.map((machine) => machine.machine_id);
+
+  const meterFilters = [{ machine_id: { in: machineIds } }];
+  if (!machineId) {
+    meterFilters.push({ machine_id: null, ...(line && { line }) });
+  }
+
+  const entries = await prisma.energyReading.findMany({
+    where: {
+      OR: meterFilters,
+      recorded_at: toPrismaDateFilter(window),
+    },
+    orderBy: {
+      recorded_at: 'asc',
+    },
+  });
+
+  const items = entries.filter((entry) => !entry.machine_id).map((entry) => ({ entry, split: lineMeterSplit(entry) }));
+
+  for (const id of machineIds) {
+    const machineEntries = entries.filter((entry) => entry.machine_id === id);
+    if (machineEntries.length === 0) {
+      continue;
+    }
+
+    const periodStart = new Date(
+      Math.min(...machineEntries.map((entry) => new Date(entry.period_start || entry.recorded_at).getTime()))
+    );
+    const history = await machineService.getMachineHistory(id, { from: periodStart, to: window.to });
+    const splits = attributeEnergyByStatus(
+      machineEntries,
+      history.events,
+      history.initial_event ? history.initial_event.new_status : null
+    );
+    machineEntries.forEach((entry, index) => items.push({ entry, split: splits[index] }));
+  }
+
+  items.sort((a, b) => new Date(a.entry.recorded_at) - new Date(b.entry.recorded_at));
+  return { machines, items };
+}
+
+/**
+ * Sum split entries
+ * @param {Array} items - { entry, split } items
+ * @returns {{kwh: number, by_status: Object}} Totals
+ */
+function sumEnergy(items) {
+  const totals = { kwh: 0, by_status: {} };
+  items.forEach(({ split }) => addEnergy(totals, split));
+  return totals;
+}
+
+/**
+ * Sum production totals
+ * @param {Array<{total: number, good: number, scrap: number}>} totals - Totals
+ * @returns {{total: number, good: number, scrap: number}} Sum
+ */
+function sumProduction(totals) {
+  return totals.reduce(
+    (sum, production) => ({
+      total: sum.total + production.total,
+      good: sum.good + production.good,
+      scrap: sum.scrap + production.scrap,
+    }),
+    { total: 0, good: 0, scrap: 0 }
+  );
+}
+
+/**
+ * Energy use per machine and line in a window
+ * Machines are listed by idle energy, most wasteful first. A line's energy is its
+ * machines' energy plus its own meter; its units are its machines' units.
+ *
+ * @param {Object} options - Summary options
+ * @param {string} options.machineId - Only this machine
+ * @param {string} options.line - Only this line
+ * @param {Date|null} options.from - Window start (defaults to 24 hours before "to")
+ * @param {Date|null} options.to - Window end (defaults to now)
+ * @returns {Promise<Object>} { from, to, totals, lines, machines }
+ */
+export async function getEnergySummary({ machineId = null, line = null, from = null, to = null } = {}) {
+  try {
+    const window = resolveWindow({ from, to });
+    const { machines, items } = await loadSplitEntries({ machineId, line }, window);
+
+    const machineResults = [];
+    for (const machine of machines) {
+      const machineItems = items.filter(({ entry }) => entry.machine_id === machine.machine_id);
+      if (machineItems.length === 0) {
+        continue;
+      }
+      const production = await productionService.getProductionTotals(machine.machine_id, window);
+      machineResults.push({
+        machine_id: machine.machine_id,
+        line: machine.line ?? null,
+        raw: { energy: sumEnergy(machineItems), production },
+      });
+    }
+
+    const lineCodes = new Set([
+      ...machineResults.map((result) => result.line || 'Unassigned'),
+      ...items.filter(({ entry }) => !entry.machine_id).map(({ entry }) => entry.line),
+    ]);
+    const lines = [...lineCodes].sort().map((code) => {
+      const lineMachines = machineResults.filter((result) => (result.line || 'Unassigned') === code);
+      const machineEnergy = { kwh: 0, by_status: {} };
+      lineMachines.forEach((result) => addEnergy(machineEnergy, result.raw.energy));
+      const meterKwh = items
+        .filter(({ entry }) => !entry.machine_id && entry.line === code)
+        .reduce((sum, { entry }) => sum + entry.kwh, 0);
+
+      return {
+        line: code,
+        machine_kwh: roundKwh(machineEnergy.kwh),
+        line_meter_kwh: roundKwh(meterKwh),
+        ...buildEnergyResult(
+          { kwh: machineEnergy.kwh + meterKwh, by_status: machineEnergy.by_status },
+          sumProduction(lineMachines.map((result) => result.raw.production))
+        ),
+      };
+    });
+
+    return {
+      from: window.from,
+      to: window.to,
+      totals: buildEnergyResult(
+        sumEnergy(items),
+        sumProduction(machineResults.map((result) => result.raw.production))
+      ),
+      lines,
+      machines: machineResults
+        .map(({ raw, ...result }) => ({ ...result, ...buildEnergyResult(raw.energy, raw.production) }))
+        .sort((a, b) => b.idle_kwh - a.idle_kwh || a.machine_id.localeCompare(b.machine_id)),
+    };
+  } catch (error) {
+    throw new Error(`Failed to summarize energy: ${error.message}`);
+  }
+}
+
+/**
+ * Energy use per hour, shift or day, with production for energy per unit
+ * Entries land in the bucket they were recorded in, like production counts.
+ *
+ * @param {Object} options - Trend options
+ * @param {string} options.granularity - "hour", "shift" or "day"
+ * @param {string} options.machineId - Only this machine
+ * @param {string} options.line - Only this line
+ * @param {Date|null} options.from - Window start (defaults to 24 hours before "to")
+ * @param {Date|null} options.to - Window end (defaults to now)
+ * @param {string} options.plant - Plant whose shifts are used (shift granularity)
+ * @param {string} options.timeZone - Timezone for hour and day boundaries (defaults to the plant timezone)
+ * @returns {Promise<Object>} { granularity, from, to, timezone, totals, buckets }
+ */
+export async function getEnergyTrend({
+  granularity = Granularity.HOUR,
+  machineId = null,
+  line = null,
+  from = null,
+  to = null,
+  plant = config.plant.defaultCode,
+  timeZone = config.plant.timezone,
+} = {}) {
+  try {
+    if (!VALID_GRANULARITIES.includes(granularity)) {
+      throw new Error(
+        `Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`
+      );
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+
+    const window = resolveWindow({ from, to });
+    const { items } = await loadSplitEntries({ machineId, line }, window);
+    const shifts = granularity === Granularity.SHIFT ? await shiftService.getAllShifts(plant) : [];
+    const energyBuckets = bucketEnergy(items, granularity, { timeZone, shifts });
+
+    const production = await productionService.getProductionSummary({
+      granularity,
+      machineId,
+      line,
+      ...window,
+      plant,
+      timeZone,
+    });
+    const productionBuckets = new Map(production.buckets.map((bucket) => [bucket.bucket, bucket]));
+
+    const keys = new Set([...energyBuckets.keys(), ...productionBuckets.keys()]);
+    const buckets = [...keys]
+      .map((key) => {
+        const energy = energyBuckets.get(key);
+        const produced = productionBuckets.get(key);
+        return {
+          ...bucketInfo(energy || produced),
+          ...buildEnergyResult(energy || { kwh: 0, by_status: {} }, produced || { total: 0, good: 0 }),
+        };
+      })
+      .sort((a, b) => (a.from ? a.from.getTime() : Infinity) - (b.from ? b.from.getTime() : Infinity));
+
+    return {
+      granularity,
+      from: window.from,
+      to: window.to,
+      timezone: timeZone,
+      ...(granularity === Granularity.SHIFT && { plant }),
+      totals: buildEnergyResult(sumEnergy(items), production.totals),
+      buckets,
+    };
+  } catch (error) {
+    throw new Error(`Failed to build energy trend: ${error.message}`);
+  }
+}
+
+/**
+ * Get energy status formatted for LLM
+ * @returns {Promise<Object>} Energy use over the last 24 hours, machines ranked by idle energy
+ */
+export async function getEnergyStatus() {
+  try {
+    const summary = await getEnergySummary();
+
+    return {
+      window_hours: DEFAULT_WINDOW_HOURS,
+      from: summary.from,
+      to: summary.to,
+      totals: summary.totals,
+      lines: summary.lines,
+      machines_by_idle_energy: summary.machines.map((machine) => ({
+        machine_id: machine.machine_id,
+        line: machine.line,
+        kwh: machine.kwh,
+        idle_kwh: machine.idle_kwh,
+        idle_share: machine.idle_share,
+        kwh_per_unit: machine.kwh_per_unit,
+      })),
+    };
+  } catch (error) {
+    throw new Error(`Failed to get energy status: ${error.message}`);
+  }
+}
+
+/**
+ * Get Prisma client instance (for advanced queries if needed)
+ * @returns {PrismaClient} Prisma client instance
+ */
+export function getPrismaClient() {
+  return prisma;
+}
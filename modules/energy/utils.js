@@ -0,0 +1,153 @@
+/**
+ * Utility functions for the Energy ledger
+ * Splits metered energy over the statuses a machine was in while drawing it and
+ * groups ledger entries into hour, shift and day buckets. All functions here are pure.
+ */
+
+import { MachineStatus } from '../shop-floor/model.js';
+import { summarizeStatusDurations } from '../shop-floor/utils.js';
+import { getBucket } from '../production/utils.js';
+
+// Status key for energy drawn while the machine status is not known (no events yet)
+export const UNKNOWN_STATUS = 'Unknown';
+
+/**
+ * Round an energy figure for API output
+ * @param {number} value - kWh
+ * @returns {number} kWh rounded to 3 decimals
+ */
+export function roundKwh(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Round a ratio for API output
+ * @param {number|null} value - Ratio
+ * @returns {number|null} Ratio rounded to 4 decimals, or null if it cannot be computed
+ */
+function roundRatio(value) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Status in force at an instant
+ * @param {Array} events - MachineEvent rows, oldest first
+ * @param {Date} at - Instant
+ * @param {string|null} initialStatus - Status in force before the first event
+ * @returns {string|null} Status
+ */
+function statusAt(events, at, initialStatus) {
+  let status = initialStatus;
+  for (const event of events) {
+    if (event.created_at > at) {
+      break;
+    }
+    status = event.new_status;
+  }
+  return status;
+}
+
+/**
+ * Split the energy of ledger entries over the statuses the machine was in
+ * Each entry's kWh is spread evenly over its period (period_start to recorded_at), so
+ * an entry covering 45 idle minutes and 15 running minutes puts 75% of its energy on Idle.
+ * Entries without a period take the status in force when they were recorded.
+ *
+ * @param {Array} entries - EnergyReading rows of one machine meter
+ * @param {Array} events - MachineEvent rows of the machine covering the entries' periods, oldest first
+ * @param {string|null} initialStatus - Status in force before the first event
+ * @returns {Array<Object>} One { kwh, by_status: { Running: 1.2, Idle: 0.4 } } per entry, in entry order
+ */
+export function attributeEnergyByStatus(entries, events, initialStatus = null) {
+  return entries.map((entry) => {
+    const end = new Date(entry.recorded_at);
+    const start = entry.period_start ? new Date(entry.period_start) : end;
+
+    if (entry.kwh === 0) {
+      return { kwh: 0, by_status: {} };
+    }
+
+    const startStatus = statusAt(events, start, initialStatus);
+    if (start >= end) {
+      return { kwh: entry.kwh, by_status: { [startStatus || UNKNOWN_STATUS]: entry.kwh } };
+    }
+
+    const durations = summarizeStatusDurations(
+      events.filter((event) => event.created_at > start && event.created_at <= end),
+      { from: start, to: end, initialStatus: startStatus }
+    );
+    const knownSeconds = Object.values(durations).reduce((sum, seconds) => sum + seconds, 0);
+    const periodSeconds = (end - start) / 1000;
+
+    // Time before the machine's first event has no status (allowing for rounding of the summed durations)
+    if (periodSeconds - knownSeconds > 0.001) {
+      durations[UNKNOWN_STATUS] = periodSeconds - knownSeconds;
+    }
+
+    const byStatus = {};
+    for (const [status, seconds] of Object.entries(durations)) {
+      byStatus[status] = (entry.kwh * seconds) / periodSeconds;
+    }
+    return { kwh: entry.kwh, by_status: byStatus };
+  });
+}
+
+/**
+ * Add split entries to a running energy total
+ * @param {Object} totals - { kwh, by_status }
+ * @param {Object} split - attributeEnergyByStatus result (or { kwh, by_status: {} } for line meters)
+ */
+export function addEnergy(totals, split) {
+  totals.kwh += split.kwh;
+  for (const [status, kwh] of Object.entries(split.by_status)) {
+    totals.by_status[status] = (totals.by_status[status] || 0) + kwh;
+  }
+}
+
+/**
+ * Turn raw energy and production totals into the reported figures
+ * @param {Object} totals - Raw totals
+ * @param {number} totals.kwh - Energy drawn
+ * @param {Object} totals.by_status - kWh per machine status
+ * @param {{total: number, good: number}} production - Units produced in the same window
+ * @returns {Object} kwh, idle_kwh, idle_share, kwh_by_status, units, good_units, kwh_per_unit, kwh_per_good_unit
+ */
+export function buildEnergyResult({ kwh, by_status: byStatus }, production) {
+  const idleKwh = byStatus[MachineStatus.IDLE] || 0;
+  return {
+    kwh: roundKwh(kwh),
+    idle_kwh: roundKwh(idleKwh),
+    idle_share: kwh > 0 ? roundRatio(idleKwh / kwh) : null,
+    kwh_by_status: Object.fromEntries(Object.entries(byStatus).map(([status, value]) => [status, roundKwh(value)])),
+    units: production.total,
+    good_units: production.good,
+    kwh_per_unit: production.total > 0 ? roundKwh(kwh / production.total) : null,
+    kwh_per_good_unit: production.good > 0 ? roundKwh(kwh / production.good) : null,
+  };
+}
+
+/**
+ * Group split energy entries into hour, shift or day buckets by the time they were recorded
+ * @param {Array<{entry: Object, split: Object}>} items - Ledger entries with their status split
+ * @param {string} granularity - One of Granularity (see production utils)
+ * @param {Object} options - Bucketing options
+ * @param {string} options.timeZone - Timezone for hour and day boundaries
+ * @param {Array} options.shifts - Shift rows (for shift granularity)
+ * @returns {Map<string, Object>} Buckets by key, each { bucket, date, hour?, shift?, from, to, kwh, by_status }
+ */
+export function bucketEnergy(items, granularity, { timeZone = 'UTC', shifts = [] } = {}) {
+  const buckets = new Map();
+
+  for (const { entry, split } of items) {
+    const { key, ...bucketInfo } = getBucket(new Date(entry.recorded_at), granularity, { timeZone, shifts });
+    if (!buckets.has(key)) {
+      buckets.set(key, { bucket: key, ...bucketInfo, kwh: 0, by_status: {} });
+    }
+    addEnergy(buckets.get(key), split);
+  }
+
+  return buckets;
+}
@@ -0,0 +1,217 @@
+/**
+ * Controller layer for the Plant Hierarchy
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Send a list response
+ * @param {Object} res - Express response
+ * @param {Promise<Array>} listPromise - Service call returning the list
+ */
+async function sendList(res, listPromise) {
+  try {
+    const rows = await listPromise;
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Send the response of an upsert-style update
+ * @param {Object} req - Express request (body carries the code)
+ * @param {Object} res - Express response
+ * @param {string} label - Node label for messages
+ * @param {Function} update - Service update function (code, data)
+ */
+async function sendUpdate(req, res, label, update) {
+  try {
+    const { code, ...updateData } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required',
+      });
+    }
+
+    const updated = await update(code, updateData);
+
+    res.json({
+      success: true,
+      message: `${label} ${updated.code} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Send a status rollup response
+ * @param {Object} req - Express request (:id param, ?from=&to=)
+ * @param {Object} res - Express response
+ * @param {string} label - Node label for messages
+ * @param {Function} getStatus - Service status function (code, range)
+ */
+async function sendStatus(req, res, label, getStatus) {
+  try {
+    const { id } = req.params;
+
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const status = await getStatus(id, range);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: `${label} with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get all plants
+ * GET /plants
+ */
+export async function getAllPlants(req, res) {
+  await sendList(res, service.getAllPlants());
+}
+
+/**
+ * Get a plant with its areas, lines and cells
+ * GET /plants/:id
+ */
+export async function getPlant(req, res) {
+  try {
+    const { id } = req.params;
+    const plant = await service.getPlantTree(id);
+
+    if (!plant) {
+      return res.status(404).json({
+        success: false,
+        error: `Plant with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plant,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a plant
+ * POST /plants/update
+ */
+export async function updatePlant(req, res) {
+  await sendUpdate(req, res, 'Plant', service.updatePlant);
+}
+
+/**
+ * Get the status rollup of a plant
+ * GET /plants/:id/status?from=&to=
+ */
+export async function getPlantStatus(req, res) {
+  await sendStatus(req, res, 'Plant', service.getPlantStatus);
+}
+
+/**
+ * Get areas
+ * GET /areas?plant=
+ */
+export async function getAllAreas(req, res) {
+  await sendList(res, service.getAllAreas({ plant: req.query.plant || null }));
+}
+
+/**
+ * Update or create an area
+ * POST /areas/update
+ */
+export async function updateArea(req, res) {
+  await sendUpdate(req, res, 'Area', service.updateArea);
+}
+
+/**
+ * Get lines
+ * GET /lines?plant=&area=
+ */
+export async function getAllLines(req, res) {
+  await sendList(
+    res,
+    service.getAllLines({
+      plant: req.query.plant || null,
+      area: req.query.area || null,
+    })
+  );
+}
+
+/**
+ * Update or create a line
+ * POST /lines/update
+ */
+export async function updateLine(req, res) {
+  await sendUpdate(req, res, 'Line', service.updateLine);
+}
+
+/**
+ * Get the status rollup of a line
+ * GET /lines/:id/status?from=&to=
+ */
+export async function getLineStatus(req, res) {
+  await sendStatus(req, res, 'Line', service.getLineStatus);
+}
+
+/**
+ * Get cells
+ * GET /cells?line=
+ */
+export async function getAllCells(req, res) {
+  await sendList(res, service.getAllCells({ line: req.query.line || null }));
+}
+
+/**
+ * Update or create a cell
+ * POST /cells/update
+ */
+export async function updateCell(req, res) {
+  await sendUpdate(req, res, 'Cell', service.updateCell);
+}
@@ -0,0 +1,99 @@
+/**
+ * Routes for Plant Hierarchy Module
+ * Mounted at the root, as the hierarchy spans /plants, /areas, /lines and /cells
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /plants
+ * @desc    Get all plants
+ * @access  Public
+ */
+router.get('/plants', controller.getAllPlants);
+
+/**
+ * @route   POST /plants/update
+ * @desc    Update or create a plant
+ * @access  Public
+ * @body    { code, name }
+ */
+router.post('/plants/update', controller.updatePlant);
+
+/**
+ * @route   GET /plants/:id
+ * @desc    Get a plant with its areas, lines and cells
+ * @access  Public
+ */
+router.get('/plants/:id', controller.getPlant);
+
+/**
+ * @route   GET /plants/:id/status
+ * @desc    Plant status rollup (machine status counts, stale machines, open downtime, OEE) per area and line
+ * @access  Public
+ * @query   from - Optional ISO date for OEE, defaults to 24 hours before "to"
+ * @query   to - Optional ISO date for OEE, defaults to now
+ */
+router.get('/plants/:id/status', controller.getPlantStatus);
+
+/**
+ * @route   GET /areas
+ * @desc    Get areas
+ * @access  Public
+ * @query   plant - Optional plant code
+ */
+router.get('/areas', controller.getAllAreas);
+
+/**
+ * @route   POST /areas/update
+ * @desc    Update or create an area
+ * @access  Public
+ * @body    { code, plant, name }
+ */
+router.post('/areas/update', controller.updateArea);
+
+/**
+ * @route   GET /lines
+ * @desc    Get lines
+ * @access  Public
+ * @query   plant, area - Optional filters
+ */
+router.get('/lines', controller.getAllLines);
+
+/**
+ * @route   POST /lines/update
+ * @desc    Update or create a line
+ * @access  Public
+ * @body    { code, area, name }
+ */
+router.post('/lines/update', controller.updateLine);
+
+/**
+ * @route   GET /lines/:id/status
+ * @desc    Line status rollup (machine status counts, stale machines, open downtime, OEE) per cell and machine
+ * @access  Public
+ * @query   from - Optional ISO date for OEE, defaults to 24 hours before "to"
+ * @query   to - Optional ISO date for OEE, defaults to now
+ */
+router.get('/lines/:id/status', controller.getLineStatus);
+
+/**
+ * @route   GET /cells
+ * @desc    Get cells
+ * @access  Public
+ * @query   line - Optional line code
+ */
+router.get('/cells', controller.getAllCells);
+
+/**
+ * @route   POST /cells/update
+ * @desc    Update or create a cell
+ * @access  Public
+ * @body    { code, line, name }
+ */
+router.post('/cells/update', controller.updateCell);
+
+export default router;
@@ -0,0 +1,436 @@
+/**
+ * Service layer for the Plant Hierarchy
+ * Manages the Plant -> Area -> Line -> Cell tree that machines attach to
+ * (machines reference a line and optionally a cell) and the status rollups
+ * for lines and plants
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import * as downtimeService from '../downtime/service.js';
+import { rollupOee } from '../shop-floor/oee.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Hierarchy levels (each key is also the Prisma model name), with the field
+ * holding the parent code and the parent level
+ */
+const LEVELS = {
+  plant: { label: 'Plant', parentField: null, parentLevel: null },
+  area: { label: 'Area', parentField: 'plant', parentLevel: 'plant' },
+  line: { label: 'Line', parentField: 'area', parentLevel: 'area' },
+  cell: { label: 'Cell', parentField: 'line', parentLevel: 'line' },
+};
+
+/**
+ * Find a node of the hierarchy by code
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} level - plant | area | line | cell
+ * @param {string} code - Node code
+ * @returns {Promise<Object|null>} Node or null if not found
+ */
+function findNode(client, level, code) {
+  return client[level].findUnique({
+    where: {
+      code,
+    },
+  });
+}
+
+/**
+ * Create or update a node of the hierarchy
+ * @param {string} level - plant | area | line | cell
+ * @param {string} code - Node code
+ * @param {Object} updateData - { name, <parent field> }
+ * @returns {Promise<Object>} Updated node
+ */
+async function upsertNode(level, code, updateData) {
+  const { label, parentField, parentLevel } = LEVELS[level];
+  const existing = await findNode(prisma, level, code);
+
+  if (!existing && !updateData.name) {
+    throw new Error(`name is required for a new ${label.toLowerCase()}`);
+  }
+
+  if (parentField) {
+    const parentCode = updateData[parentField] ?? existing?.[parentField];
+    if (!parentCode) {
+      throw new Error(`${parentField} is required for a new ${label.toLowerCase()}`);
+    }
+    if (!(await findNode(prisma, parentLevel, parentCode))) {
+      throw new Error(`${LEVELS[parentLevel].label} ${parentCode} not found`);
+    }
+  }
+
+  const now = new Date();
+  return prisma[level].upsert({
+    where: {
+      code,
+    },
+    update: {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(parentField && updateData[parentField] !== undefined && { [parentField]: updateData[parentField] }),
+      updated_at: now,
+    },
+    create: {
+      code,
+      name: updateData.name,
+      ...(parentField && { [parentField]: updateData[parentField] }),
+      created_at: now,
+      updated_at: now,
+    },
+  });
+}
+
+/**
+ * Get all plants
+ * @returns {Promise<Array>} Plants ordered by code
+ */
+export async function getAllPlants() {
+  try {
+    return await prisma.plant.findMany({
+      orderBy: { code: 'asc' },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch plants: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a plant
+ * @param {string} code - Plant code
+ * @param {Object} updateData - { name }
+ * @returns {Promise<Object>} Updated plant
+ */
+export async function updatePlant(code, updateData) {
+  try {
+    return await upsertNode('plant', code, updateData);
+  } catch (error) {
+    throw new Error(`Failed to update plant ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Get areas
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.plant - Only areas of this plant
+ * @returns {Promise<Array>} Areas ordered by code
+ */
+export async function getAllAreas({ plant = null } = {}) {
+  try {
+    return await prisma.area.findMany({
+      where: {
+        ...(plant && { plant }),
+      },
+      orderBy: { code: 'asc' },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch areas: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create an area
+ * @param {string} code - Area code
+ * @param {Object} updateData - { name, plant }
+ * @returns {Promise<Object>} Updated area
+ */
+export async function updateArea(code, updateData) {
+  try {
+    return await upsertNode('area', code, updateData);
+  } catch (error) {
+    throw new Error(`Failed to update area ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Get lines
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.plant - Only lines in areas of this plant
+ * @param {string} filters.area - Only lines of this area
+ * @returns {Promise<Array>} Lines ordered by code
+ */
+export async function getAllLines({ plant = null, area = null } = {}) {
+  try {
+    let areaFilter = area;
+    if (plant) {
+      const areas = await prisma.area.findMany({ where: { plant }, select: { code: true } });
+      const areaCodes = areas.map((row) => row.code);
+      areaFilter = { in: area ? areaCodes.filter((code) => code === area) : areaCodes };
+    }
+
+    return await prisma.line.findMany({
+      where: {
+        ...(areaFilter && { area: areaFilter }),
+      },
+      orderBy: { code: 'asc' },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch lines: ${error.message}`);
+  }
+}
+
+/**
+ * Codes of the lines under a plant and/or area
+ * @param {Object} filters - { plant, area }
+ * @returns {Promise<Array<string>>} Line codes
+ */
+export async function getLineCodes(filters) {
+  const lines = await getAllLines(filters);
+  return lines.map((line) => line.code);
+}
+
+/**
+ * Update or create a line
+ * @param {string} code - Line code
+ * @param {Object} updateData - { name, area }
+ * @returns {Promise<Object>} Updated line
+ */
+export async function updateLine(code, updateData) {
+  try {
+    return await upsertNode('line', code, updateData);
+  } catch (error) {
+    throw new Error(`Failed to update line ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Get cells
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.line - Only cells of this line
+ * @returns {Promise<Array>} Cells ordered by code
+ */
+export async function getAllCells({ line = null } = {}) {
+  try {
+    return await prisma.cell.findMany({
+      where: {
+        ...(line && { line }),
+      },
+      orderBy: { code: 'asc' },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch cells: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a cell
+ * @param {string} code - Cell code
+ * @param {Object} updateData - { name, line }
+ * @returns {Promise<Object>} Updated cell
+ */
+export async function updateCell(code, updateData) {
+  try {
+    return await upsertNode('cell', code, updateData);
+  } catch (error) {
+    throw new Error(`Failed to update cell ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Work out the line and cell a machine update places the machine in
+ * Called by the shop-floor service inside the machine update transaction.
+ * - A line must exist; a cell must exist and belong to the machine's line
+ * - A cell sent without a line places the machine on the cell's line
+ * - Moving a machine to another line drops a cell that belongs to the old line
+ *
+ * @param {Object} client - Prisma transaction client
+ * @param {Object} updateData - Machine update (line and/or cell)
+ * @param {Object|null} existing - Current machine row
+ * @returns {Promise<Object>} { line?, cell? } fields to write (empty if neither changes)
+ */
+export async function resolveMachinePlacement(client, updateData, existing) {
+  const placement = {};
+
+  if (updateData.line !== undefined) {
+    if (updateData.line !== null && !(await findNode(client, 'line', updateData.line))) {
+      throw new Error(`Line ${updateData.line} not found`);
+    }
+    placement.line = updateData.line;
+  }
+
+  const line = placement.line !== undefined ? placement.line : existing?.line ?? null;
+
+  if (updateData.cell !== undefined && updateData.cell !== null) {
+    const cell = await findNode(client, 'cell', updateData.cell);
+    if (!cell) {
+      throw new Error(`Cell ${updateData.cell} not found`);
+    }
+    if (updateData.line === undefined || updateData.line === null) {
+      placement.line = cell.line;
+    } else if (cell.line !== line) {
+      throw new Error(`Cell ${cell.code} belongs to line ${cell.line}, not ${line}`);
+    }
+    placement.cell = cell.code;
+  } else if (updateData.cell === null) {
+    placement.cell = null;
+  } else if (placement.line !== undefined && existing?.cell) {
+    const currentCell = await findNode(client, 'cell', existing.cell);
+    if (!currentCell || currentCell.line !== placement.line) {
+      placement.cell = null;
+    }
+  }
+
+  return placement;
+}
+
+/**
+ * Roll up status, OEE and open downtime for a set of machines
+ * @param {Array} machines - Machine rows (with heartbeat fields)
+ * @param {Array} oeeResults - OEE result per machine
+ * @param {Array} openDowntime - Open downtime intervals
+ * @returns {Object} Summary
+ */
+function summarizeMachines(machines, oeeResults, openDowntime) {
+  const machineIds = new Set(machines.map((machine) => machine.machine_id));
+  const statusCounts = {};
+  for (const machine of machines) {
+    statusCounts[machine.status] = (statusCounts[machine.status] || 0) + 1;
+  }
+
+  return {
+    machine_count: machines.length,
+    status_counts: statusCounts,
+    stale_count: machines.filter((machine) => machine.stale).length,
+    open_downtime: openDowntime.filter((interval) => machineIds.has(interval.machine_id)).length,
+    oee: rollupOee(oeeResults.filter((result) => machineIds.has(result.machine_id))),
+  };
+}
+
+/**
+ * Get the status rollup of a line
+ * @param {string} code - Line code
+ * @param {Object} range - Optional OEE window, defaults to the last 24 hours
+ * @returns {Promise<Object|null>} Line status or null if the line does not exist
+ */
+export async function getLineStatus(code, range = {}) {
+  try {
+    const line = await findNode(prisma, 'line', code);
+    if (!line) {
+      return null;
+    }
+
+    const area = await findNode(prisma, 'area', line.area);
+    const cells = await getAllCells({ line: code });
+    const machines = await machineService.getAllMachines({ line: code });
+    const oee = await machineService.getOeeForMachines(machines, range);
+    const openDowntime = await downtimeService.getIntervals({ openOnly: true });
+
+    return {
+      line,
+      area,
+      plant: area ? area.plant : null,
+      from: oee.from,
+      to: oee.to,
+      ...summarizeMachines(machines, oee.machines, openDowntime),
+      cells: cells.map((cell) => ({
+        ...cell,
+        ...summarizeMachines(
+          machines.filter((machine) => machine.cell === cell.code),
+          oee.machines,
+          openDowntime
+        ),
+      })),
+      machines: machines.map((machine) => ({
+        machine_id: machine.machine_id,
+        name: machine.name,
+        cell: machine.cell,
+        status: machine.status,
+        stale: machine.stale,
+        output: machine.output,
+        oee: oee.machines.find((result) => result.machine_id === machine.machine_id)?.oee ?? null,
+      })),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch status of line ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the status rollup of a plant, with a breakdown per area and line
+ * @param {string} code - Plant code
+ * @param {Object} range - Optional OEE window, defaults to the last 24 hours
+ * @returns {Promise<Object|null>} Plant status or null if the plant does not exist
+ */
+export async function getPlantStatus(code, range = {}) {
+  try {
+    const plant = await findNode(prisma, 'plant', code);
+    if (!plant) {
+      return null;
+    }
+
+    const areas = await getAllAreas({ plant: code });
+    const lines = await getAllLines({ plant: code });
+    const machines = await machineService.getAllMachines({ plant: code });
+    const oee = await machineService.getOeeForMachines(machines, range);
+    const openDowntime = await downtimeService.getIntervals({ openOnly: true });
+
+    const linesWithStatus = lines.map((line) => ({
+      ...line,
+      ...summarizeMachines(
+        machines.filter((machine) => machine.line === line.code),
+        oee.machines,
+        openDowntime
+      ),
+    }));
+
+    return {
+      plant,
+      from: oee.from,
+      to: oee.to,
+      ...summarizeMachines(machines, oee.machines, openDowntime),
+      areas: areas.map((area) => {
+        const areaLines = linesWithStatus.filter((line) => line.area === area.code);
+        const areaLineCodes = new Set(areaLines.map((line) => line.code));
+        return {
+          ...area,
+          ...summarizeMachines(
+            machines.filter((machine) => areaLineCodes.has(machine.line)),
+            oee.machines,
+            openDowntime
+          ),
+          lines: areaLines,
+        };
+      }),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch status of plant ${code}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the full hierarchy tree of a plant
+ * @param {string} code - Plant code
+ * @returns {Promise<Object|null>} Plant with nested areas, lines and cells, or null if not found
+ */
+export async function getPlantTree(code) {
+  try {
+    const plant = await findNode(prisma, 'plant', code);
+    if (!plant) {
+      return null;
+    }
+
+    const areas = await getAllAreas({ plant: code });
+    const lines = await getAllLines({ plant: code });
+    const cells = await prisma.cell.findMany({
+      where: { line: { in: lines.map((line) => line.code) } },
+      orderBy: { code: 'asc' },
+    });
+
+    return {
+      ...plant,
+      areas: areas.map((area) => ({
+        ...area,
+        lines: lines
+          .filter((line) => line.area === area.code)
+          .map((line) => ({
+            ...line,
+            cells: cells.filter((cell) => cell.line === line.code),
+          })),
+      })),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch plant ${code}: ${error.message}`);
+  }
+}
@@ -6,6 +6,7 @@
 import * as machineService from '../shop-floor/service.js';
 import * as safetyService from '../safety/service.js';
 import * as orderService from '../orders/service.js';
+import * as energyService from '../energy/service.js';
 
 // OpenAI API configuration
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
@@ -65,7 +66,7 @@ async function callOpenAI(systemPrompt, userMessage, options = {}) {
 
 /**
  * Generate shop floor summary using LLM
- * @param {Array} machineData - Machine data array
+ * @param {Object} machineData - Machine data ({ machines, energy })
  * @param {string} query - User query
  * @returns {Promise<string>} AI-generated summary
  */
@@ -73,6 +74,8 @@ export async function generateShopFloorSummary(machineData, query = 'Give me a s
   try {
     const systemPrompt = `You are an AI assistant for a manufacturing shop floor management system. 
 You analyze machine data and provide insights, summaries, and recommendations.
+Energy data covers the last 24 hours: kWh drawn per machine and line, idle_kwh (energy drawn while the machine was Idle)
+and kWh per unit produced; machines_by_idle_energy is sorted by idle energy, most wasteful first.
 Be concise, clear, and actionable.`;
 
     const userMessage = `${query}\n\nMachine Data:\n${JSON.stringify(machineData, null, 2)}`;
@@ -97,6 +100,11 @@ export async function generateSafetySummary(safetyData, query = 'Give me a summa
   try {
     const systemPrompt = `You are an AI assistant for a manufacturing safety management system.
 You analyze safety data including safety areas, PPE compliance, risk levels, and incidents.
+PPE compliance analytics show compliance rates by zone, shift and reporter, weekly trends, and the PPE items most often missing;
+use them to point out where toolbox talks would help most.
+Active permits to work (hot work, confined space, electrical isolation) are listed per area; flag any that have expired while still active.
+Safety interlocks list zones whose machines are held because an area went Critical; point out interlocks awaiting release confirmation.
+Area risk levels come from risk assessments (worst residual hazard risk); flag areas whose review is overdue or that were never assessed.
 Provide actionable insights and highlight any critical safety concerns.
 Be professional and safety-focused.`;
 
@@ -153,8 +161,9 @@ export async function processAIQuery(workflow, message) {
       case 'shopfloor':
       case 'machines':
         const machines = await machineService.getAllMachines();
-        dataFetched = machines;
-        aiResponse = await generateShopFloorSummary(machines, message);
+        const energy = await energyService.getEnergyStatus();
+        dataFetched = { machines, energy };
+        aiResponse = await generateShopFloorSummary(dataFetched, message);
         break;
 
       case 'safety':
@@ -175,9 +184,11 @@ export async function processAIQuery(workflow, message) {
         const allMachines = await machineService.getAllMachines();
         const allSafety = await safetyService.getSafetyStatus();
         const allOrders = await orderService.getOrderStatus();
+        const allEnergy = await energyService.getEnergyStatus();
 
         const combinedData = {
           machines: allMachines,
+          energy: allEnergy,
           safety: allSafety,
           orders: allOrders,
         };
@@ -186,7 +197,7 @@ export async function processAIQuery(workflow, message) {
 
         // Generate combined summary
         const combinedSystemPrompt = `You are an AI assistant for a comprehensive manufacturing management system.
-You analyze shop floor machines, safety data, and order tracking information.
+You analyze shop floor machines, energy use, safety data, and order tracking information.
 Provide a holistic view of the manufacturing operations, identify correlations, and give actionable recommendations.
 Be comprehensive yet concise.`;
 
@@ -225,20 +236,23 @@ export async function generateDailySummary() {
     const machines = await machineService.getAllMachines();
     const safety = await safetyService.getSafetyStatus();
     const orders = await orderService.getOrderStatus();
+    const energy = await energyService.getEnergyStatus();
 
     const combinedData = {
       machines,
+      energy,
       safety,
       orders,
     };
 
     const systemPrompt = `You are an AI assistant generating a daily manufacturing operations summary.
-Analyze the shop floor machines, safety status, and order tracking data.
+Analyze the shop floor machines, energy use, safety status, and order tracking data.
 Provide a comprehensive daily report highlighting:
 1. Machine performance and any issues
-2. Safety compliance and incidents
-3. Order progress and bottlenecks
-4. Key recommendations for tomorrow
+2. Energy use, idle energy waste and energy per unit
+3. Safety compliance and incidents
+4. Order progress and bottlenecks
+5. Key recommendations for tomorrow
 Be professional, data-driven, and actionable.`;
 
     const userMessage = `Generate today's daily manufacturing operations summary.\n\nData:\n${JSON.stringify(combinedData, null, 2)}`;
@@ -0,0 +1,182 @@
+/**
+ * Controller layer for Preventive Maintenance
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+
+/**
+ * Get maintenance plans
+ * GET /maintenance/plans?machine_id=
+ */
+export async function getAllPlans(req, res) {
+  try {
+    const plans = await service.getAllPlans(req.query.machine_id || null);
+    res.json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a maintenance plan
+ * POST /maintenance/plans/update
+ */
+export async function updatePlan(req, res) {
+  try {
+    const { plan_id, ...updateData } = req.body;
+
+    if (!plan_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'plan_id is required',
+      });
+    }
+
+    const updated = await service.updatePlan(plan_id, updateData);
+
+    res.json({
+      success: true,
+      message: `Maintenance plan ${plan_id} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Check all plans now and generate due work orders
+ * POST /maintenance/plans/run
+ */
+export async function runPlanScheduler(req, res) {
+  try {
+    const result = await service.runPlanScheduler();
+    res.json({
+      success: true,
+      message: `${result.generated.length} work order(s) generated`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get maintenance work orders
+ * GET /maintenance/work-orders?machine_id=&status=&overdue=true
+ */
+export async function getWorkOrders(req, res) {
+  try {
+    const workOrders = await service.getWorkOrders({
+      machineId: req.query.machine_id || null,
+      status: req.query.status || null,
+      overdueOnly: req.query.overdue === 'true',
+    });
+    res.json({
+      success: true,
+      count: workOrders.length,
+      data: workOrders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a single work order
+ * GET /maintenance/work-orders/:id
+ */
+export async function getWorkOrder(req, res) {
+  try {
+    const { id } = req.params;
+    const workOrder = await service.getWorkOrder(id);
+
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        error: `Work order ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: workOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update a work order or create an ad-hoc one
+ * POST /maintenance/work-orders/update
+ */
+export async function updateWorkOrder(req, res) {
+  try {
+    const { work_order_id, ...updateData } = req.body;
+    const updated = await service.updateWorkOrder(work_order_id || null, updateData);
+
+    res.json({
+      success: true,
+      message: `Work order ${updated.work_order_id} ${work_order_id ? 'updated' : 'created'} successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Complete a work order (optionally releasing the machine from Maintenance to Idle)
+ * POST /maintenance/work-orders/complete
+ */
+export async function completeWorkOrder(req, res) {
+  try {
+    const { work_order_id, ...completion } = req.body;
+
+    if (!work_order_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'work_order_id is required',
+      });
+    }
+
+    const result = await service.completeWorkOrder(work_order_id, completion);
+
+    res.json({
+      success: true,
+      message: result.machine
+        ? `Work order ${work_order_id} completed, machine ${result.machine.machine_id} released to ${result.machine.status}`
+        : `Work order ${work_order_id} completed`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
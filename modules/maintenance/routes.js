@@ -0,0 +1,65 @@
+/**
+ * Routes for Preventive Maintenance Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /maintenance/plans
+ * @desc    Get maintenance plans
+ * @access  Public
+ * @query   machine_id - Optional machine filter
+ */
+router.get('/plans', controller.getAllPlans);
+
+/**
+ * @route   POST /maintenance/plans/update
+ * @desc    Update or create a maintenance plan
+ * @access  Public
+ * @body    { plan_id, machine_id, name, trigger_type: "Calendar" | "Runtime" | "Output",
+ *            interval_days | interval_hours | interval_output, checklist: [string], assignee, due_in_days, active }
+ */
+router.post('/plans/update', controller.updatePlan);
+
+/**
+ * @route   POST /maintenance/plans/run
+ * @desc    Check all plans now and generate work orders for the ones that are due
+ * @access  Public
+ */
+router.post('/plans/run', controller.runPlanScheduler);
+
+/**
+ * @route   GET /maintenance/work-orders
+ * @desc    Get maintenance work orders
+ * @access  Public
+ * @query   machine_id, status, overdue ('true' for open work orders past their due date)
+ */
+router.get('/work-orders', controller.getWorkOrders);
+
+/**
+ * @route   GET /maintenance/work-orders/:id
+ * @desc    Get a single work order
+ * @access  Public
+ */
+router.get('/work-orders/:id', controller.getWorkOrder);
+
+/**
+ * @route   POST /maintenance/work-orders/update
+ * @desc    Update a work order, or create an ad-hoc one when work_order_id is omitted
+ * @access  Public
+ * @body    { work_order_id, machine_id, title, checklist, assignee, status, due_date, notes }
+ */
+router.post('/work-orders/update', controller.updateWorkOrder);
+
+/**
+ * @route   POST /maintenance/work-orders/complete
+ * @desc    Complete a work order; release_machine moves the machine from Maintenance to Idle
+ * @access  Public
+ * @body    { work_order_id, completed_by, checklist, notes, release_machine }
+ */
+router.post('/work-orders/complete', controller.completeWorkOrder);
+
+export default router;
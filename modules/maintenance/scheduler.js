@@ -0,0 +1,48 @@
+/**
+ * Background scheduler for Preventive Maintenance
+ * Periodically checks maintenance plans and generates due work orders
+ */
+
+import config from '../../config.js';
+import { runPlanScheduler } from './service.js';
+
+let timer = null;
+
+/**
+ * Start the maintenance plan scheduler
+ * Does nothing when MAINTENANCE_CHECK_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the scheduler was started
+ */
+export function startMaintenanceScheduler() {
+  const minutes = config.maintenance.checkIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await runPlanScheduler();
+      if (result.generated.length > 0) {
+        console.log(
+          `🛠️ Generated ${result.generated.length} maintenance work order(s): ${result.generated
+            .map((workOrder) => workOrder.work_order_id)
+            .join(', ')}`
+        );
+      }
+    } catch (error) {
+      console.error('Maintenance scheduler error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the maintenance plan scheduler
+ */
+export function stopMaintenanceScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
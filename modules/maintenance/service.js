@@ -0,0 +1,506 @@
+/**
+ * Service layer for Preventive Maintenance
+ * Contains business logic for maintenance plans and maintenance work orders
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import * as productionService from '../production/service.js';
+import { EventSource } from '../shop-floor/model.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+// Valid plan trigger types and work order statuses
+const VALID_TRIGGER_TYPES = ['Calendar', 'Runtime', 'Output'];
+const VALID_WORK_ORDER_STATUSES = ['Open', 'InProgress', 'Completed', 'Cancelled'];
+const OPEN_WORK_ORDER_STATUSES = ['Open', 'InProgress'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a JSON checklist column
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Parsed checklist (empty if missing or malformed)
+ */
+function parseChecklist(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format a plan row for API output
+ * @param {Object} plan - MaintenancePlan row
+ * @returns {Object} Plan with the checklist parsed
+ */
+function formatPlan(plan) {
+  return {
+    ...plan,
+    checklist: parseChecklist(plan.checklist),
+  };
+}
+
+/**
+ * Format a work order row for API output
+ * @param {Object} workOrder - MaintenanceWorkOrder row
+ * @returns {Object} Work order with the checklist parsed and an overdue flag
+ */
+function formatWorkOrder(workOrder) {
+  return {
+    ...workOrder,
+    checklist: parseChecklist(workOrder.checklist),
+    overdue: OPEN_WORK_ORDER_STATUSES.includes(workOrder.status) && workOrder.due_date < new Date(),
+  };
+}
+
+/**
+ * Validate the trigger settings of a plan
+ * @param {Object} plan - Plan data after merging the update into the existing row
+ */
+function validatePlanTrigger(plan) {
+  if (!VALID_TRIGGER_TYPES.includes(plan.trigger_type)) {
+    throw new Error(
+      `Invalid trigger_type: ${plan.trigger_type}. Must be one of: ${VALID_TRIGGER_TYPES.join(', ')}`
+    );
+  }
+
+  const requiredField = {
+    Calendar: 'interval_days',
+    Runtime: 'interval_hours',
+    Output: 'interval_output',
+  }[plan.trigger_type];
+
+  if (!(typeof plan[requiredField] === 'number' && plan[requiredField] > 0)) {
+    throw new Error(`${requiredField} must be a positive number for a ${plan.trigger_type} plan`);
+  }
+}
+
+/**
+ * Get maintenance plans
+ * @param {string|null} machineId - Optional machine filter
+ * @returns {Promise<Array>} Array of plans
+ */
+export async function getAllPlans(machineId = null) {
+  try {
+    const plans = await prisma.maintenancePlan.findMany({
+      where: machineId ? { machine_id: machineId } : {},
+      orderBy: [{ machine_id: 'asc' }, { plan_id: 'asc' }],
+    });
+    return plans.map(formatPlan);
+  } catch (error) {
+    throw new Error(`Failed to fetch maintenance plans: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a maintenance plan
+ * @param {string} planId - The plan ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated plan
+ */
+export async function updatePlan(planId, updateData) {
+  try {
+    const existing = await prisma.maintenancePlan.findUnique({
+      where: {
+        plan_id: planId,
+      },
+    });
+
+    const machineId = updateData.machine_id ?? existing?.machine_id;
+    if (!machineId) {
+      throw new Error('machine_id is required for a new plan');
+    }
+
+    if (!existing || updateData.machine_id) {
+      const machine = await machineService.getMachine(machineId);
+      if (!machine) {
+        throw new Error(`Machine with ID ${machineId} not found`);
+      }
+    }
+
+    if (updateData.checklist !== undefined && !Array.isArray(updateData.checklist)) {
+      throw new Error('checklist must be an array of item descriptions');
+    }
+
+    const fields = {
+      ...(updateData.machine_id !== undefined && { machine_id: updateData.machine_id }),
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.trigger_type !== undefined && { trigger_type: updateData.trigger_type }),
+      ...(updateData.interval_days !== undefined && { interval_days: updateData.interval_days }),
+      ...(updateData.interval_hours !== undefined && { interval_hours: updateData.interval_hours }),
+      ...(updateData.interval_output !== undefined && { interval_output: updateData.interval_output }),
+      ...(updateData.checklist !== undefined && { checklist: JSON.stringify(updateData.checklist) }),
+      ...(updateData.assignee !== undefined && { assignee: updateData.assignee }),
+      ...(updateData.due_in_days !== undefined && { due_in_days: updateData.due_in_days }),
+      ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+    };
+
+    validatePlanTrigger({ ...existing, ...fields });
+
+    const plan = await prisma.maintenancePlan.upsert({
+      where: {
+        plan_id: planId,
+      },
+      update: {
+        ...fields,
+        updated_at: new Date(),
+      },
+      create: {
+        plan_id: planId,
+        machine_id: machineId,
+        name: updateData.name || planId,
+        trigger_type: fields.trigger_type,
+        interval_days: fields.interval_days ?? null,
+        interval_hours: fields.interval_hours ?? null,
+        interval_output: fields.interval_output ?? null,
+        checklist: fields.checklist ?? null,
+        assignee: fields.assignee ?? null,
+        due_in_days: fields.due_in_days ?? 3,
+        active: fields.active ?? true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return formatPlan(plan);
+  } catch (error) {
+    throw new Error(`Failed to update maintenance plan ${planId}: ${error.message}`);
+  }
+}
+
+/**
+ * Work out how far a plan has progressed towards its next work order
+ * @param {Object} plan - MaintenancePlan row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} { due, progress, limit } in the plan's trigger unit
+ */
+async function evaluatePlan(plan, now) {
+  const baseline = plan.last_triggered_at || plan.created_at;
+
+  switch (plan.trigger_type) {
+    case 'Calendar': {
+      const days = (now - baseline) / DAY_MS;
+      return { due: days >= plan.interval_days, progress: days, limit: plan.interval_days };
+    }
+
+    case 'Runtime': {
+      const history = await machineService.getMachineHistory(plan.machine_id, { from: baseline, to: now });
+      const hours = (history.status_durations.Running || 0) / 3600;
+      return { due: hours >= plan.interval_hours, progress: hours, limit: plan.interval_hours };
+    }
+
+    case 'Output': {
+      const { total: output } = await productionService.getProductionTotals(plan.machine_id, {
+        from: baseline,
+        to: now,
+      });
+      return { due: output >= plan.interval_output, progress: output, limit: plan.interval_output };
+    }
+
+    default:
+      return { due: false, progress: 0, limit: null };
+  }
+}
+
+/**
+ * Create a work order with the next work order ID, e.g. "WO-000042"
+ * @param {Object} data - Work order data
+ * @returns {Promise<Object>} Created work order row
+ */
+async function createWorkOrder(data) {
+  return withSequenceRetry('work_order_id', async () =>
+    prisma.maintenanceWorkOrder.create({
+      data: {
+        work_order_id: await nextSequenceId(prisma.maintenanceWorkOrder, 'work_order_id', 'WO'),
+        plan_id: data.plan_id ?? null,
+        machine_id: data.machine_id,
+        title: data.title,
+        checklist: JSON.stringify(
+          (data.checklist || []).map((item) => (typeof item === 'string' ? { item, done: false, notes: null } : item))
+        ),
+        assignee: data.assignee ?? null,
+        status: 'Open',
+        due_date: data.due_date,
+        notes: data.notes ?? null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    })
+  );
+}
+
+/**
+ * Check every active plan and generate work orders for the ones that are due
+ * A plan that still has an open work order is skipped, so a late technician
+ * does not end up with a pile of duplicates.
+ *
+ * @returns {Promise<Object>} Plans checked and work orders generated
+ */
+export async function runPlanScheduler() {
+  try {
+    const now = new Date();
+    const plans = await prisma.maintenancePlan.findMany({
+      where: { active: true },
+    });
+
+    const generated = [];
+    const checked = [];
+
+    for (const plan of plans) {
+      const openWorkOrder = await prisma.maintenanceWorkOrder.findFirst({
+        where: {
+          plan_id: plan.plan_id,
+          status: { in: OPEN_WORK_ORDER_STATUSES },
+        },
+      });
+
+      const evaluation = await evaluatePlan(plan, now);
+      checked.push({
+        plan_id: plan.plan_id,
+        machine_id: plan.machine_id,
+        trigger_type: plan.trigger_type,
+        progress: Math.round(evaluation.progress * 100) / 100,
+        limit: evaluation.limit,
+        due: evaluation.due,
+        open_work_order: openWorkOrder ? openWorkOrder.work_order_id : null,
+      });
+
+      if (!evaluation.due || openWorkOrder) {
+        continue;
+      }
+
+      const workOrder = await createWorkOrder({
+        plan_id: plan.plan_id,
+        machine_id: plan.machine_id,
+        title: plan.name,
+        checklist: parseChecklist(plan.checklist),
+        assignee: plan.assignee,
+        due_date: new Date(now.getTime() + plan.due_in_days * DAY_MS),
+      });
+
+      await prisma.maintenancePlan.update({
+        where: { plan_id: plan.plan_id },
+        data: { last_triggered_at: now, updated_at: now },
+      });
+
+      generated.push(formatWorkOrder(workOrder));
+    }
+
+    return {
+      checked,
+      generated,
+      run_at: now.toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to run maintenance scheduler: ${error.message}`);
+  }
+}
+
+/**
+ * Get maintenance work orders
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only work orders of this machine
+ * @param {string} filters.status - Only work orders with this status
+ * @param {boolean} filters.overdueOnly - Only open work orders past their due date
+ * @returns {Promise<Array>} Array of work orders (earliest due first)
+ */
+export async function getWorkOrders({ machineId = null, status = null, overdueOnly = false } = {}) {
+  try {
+    const workOrders = await prisma.maintenanceWorkOrder.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(status && { status }),
+        ...(overdueOnly && {
+          status: { in: OPEN_WORK_ORDER_STATUSES },
+          due_date: { lt: new Date() },
+        }),
+      },
+      orderBy: {
+        due_date: 'asc',
+      },
+    });
+    return workOrders.map(formatWorkOrder);
+  } catch (error) {
+    throw new Error(`Failed to fetch maintenance work orders: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single work order
+ * @param {string} workOrderId - The work order ID
+ * @returns {Promise<Object|null>} Work order or null if not found
+ */
+export async function getWorkOrder(workOrderId) {
+  try {
+    const workOrder = await prisma.maintenanceWorkOrder.findUnique({
+      where: {
+        work_order_id: workOrderId,
+      },
+    });
+    return workOrder ? formatWorkOrder(workOrder) : null;
+  } catch (error) {
+    throw new Error(`Failed to fetch work order ${workOrderId}: ${error.message}`);
+  }
+}
+
+/**
+ * Update a work order, or create an ad-hoc one when no work_order_id is given
+ * Completion goes through completeWorkOrder so the checklist and machine release are handled.
+ *
+ * @param {string|null} workOrderId - The work order ID (null to create)
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated work order
+ */
+export async function updateWorkOrder(workOrderId, updateData) {
+  try {
+    if (updateData.status && !VALID_WORK_ORDER_STATUSES.includes(updateData.status)) {
+      throw new Error(
+        `Invalid status: ${updateData.status}. Must be one of: ${VALID_WORK_ORDER_STATUSES.join(', ')}`
+      );
+    }
+
+    if (updateData.status === 'Completed') {
+      throw new Error('Use /maintenance/work-orders/complete to complete a work order');
+    }
+
+    if (updateData.checklist !== undefined && !Array.isArray(updateData.checklist)) {
+      throw new Error('checklist must be an array');
+    }
+
+    const dueDate = updateData.due_date ? new Date(updateData.due_date) : null;
+    if (dueDate && Number.isNaN(dueDate.getTime())) {
+      throw new Error(`Invalid due_date: ${updateData.due_date}`);
+    }
+
+    if (!workOrderId) {
+      if (!updateData.machine_id || !updateData.title) {
+        throw new Error('machine_id and title are required for a new work order');
+      }
+      const machine = await machineService.getMachine(updateData.machine_id);
+      if (!machine) {
+        throw new Error(`Machine with ID ${updateData.machine_id} not found`);
+      }
+
+      const created = await createWorkOrder({
+        ...updateData,
+        due_date: dueDate || new Date(Date.now() + 3 * DAY_MS),
+      });
+      return formatWorkOrder(created);
+    }
+
+    const existing = await prisma.maintenanceWorkOrder.findUnique({
+      where: { work_order_id: workOrderId },
+    });
+    if (!existing) {
+      throw new Error('Work order not found');
+    }
+    if (!OPEN_WORK_ORDER_STATUSES.includes(existing.status)) {
+      throw new Error(`Work order is already ${existing.status}`);
+    }
+
+    const updated = await prisma.maintenanceWorkOrder.update({
+      where: { work_order_id: workOrderId },
+      data: {
+        ...(updateData.status !== undefined && { status: updateData.status }),
+        ...(updateData.assignee !== undefined && { assignee: updateData.assignee }),
+        ...(updateData.title !== undefined && { title: updateData.title }),
+        ...(updateData.notes !== undefined && { notes: updateData.notes }),
+        ...(updateData.checklist !== undefined && { checklist: JSON.stringify(updateData.checklist) }),
+        ...(dueDate && { due_date: dueDate }),
+        updated_at: new Date(),
+      },
+    });
+
+    return formatWorkOrder(updated);
+  } catch (error) {
+    throw new Error(`Failed to update work order ${workOrderId || '(new)'}: ${error.message}`);
+  }
+}
+
+/**
+ * Complete a work order
+ * All checklist items must be done. With releaseMachine, a machine that is in
+ * Maintenance is moved back to Idle through the regular machine update path, in the
+ * same transaction: if the machine cannot be released the work order stays open.
+ *
+ * @param {string} workOrderId - The work order ID
+ * @param {Object} completion - Completion data
+ * @param {string} completion.completed_by - Who signed off the work
+ * @param {Array} completion.checklist - Optional final checklist state
+ * @param {string} completion.notes - Optional completion notes
+ * @param {boolean} completion.release_machine - Move the machine from Maintenance to Idle
+ * @returns {Promise<Object>} { work_order, machine } (machine is null if not released)
+ */
+export async function completeWorkOrder(workOrderId, completion) {
+  try {
+    if (!completion.completed_by) {
+      throw new Error('completed_by is required');
+    }
+
+    if (completion.checklist !== undefined && !Array.isArray(completion.checklist)) {
+      throw new Error('checklist must be an array');
+    }
+
+    const { workOrder, machine } = await prisma.$transaction(async (tx) => {
+      const existing = await tx.maintenanceWorkOrder.findUnique({
+        where: { work_order_id: workOrderId },
+      });
+      if (!existing) {
+        throw new Error('Work order not found');
+      }
+      if (!OPEN_WORK_ORDER_STATUSES.includes(existing.status)) {
+        throw new Error(`Work order is already ${existing.status}`);
+      }
+
+      const checklist = completion.checklist ?? parseChecklist(existing.checklist);
+      const pending = checklist.filter((item) => !item?.done).map((item) => item?.item ?? item);
+      if (pending.length > 0) {
+        throw new Error(`Checklist items not done: ${pending.join(', ')}`);
+      }
+
+      const now = new Date();
+      const completed = await tx.maintenanceWorkOrder.update({
+        where: { work_order_id: workOrderId },
+        data: {
+          status: 'Completed',
+          checklist: JSON.stringify(checklist),
+          completed_at: now,
+          completed_by: completion.completed_by,
+          ...(completion.notes !== undefined && { notes: completion.notes }),
+          updated_at: now,
+        },
+      });
+
+      let released = null;
+      if (completion.release_machine) {
+        const current = await tx.machine.findUnique({
+          where: { machine_id: existing.machine_id },
+        });
+        // A machine held by the safety interlock stays in Maintenance until the hold is released
+        if (current && current.status === 'Maintenance' && !current.safety_hold_id) {
+          released = await machineService.updateMachine(
+            existing.machine_id,
+            { status: 'Idle' },
+            { source: EventSource.WORK_ORDER, tx }
+          );
+        }
+      }
+
+      return { workOrder: completed, machine: released };
+    });
+
+    return {
+      work_order: formatWorkOrder(workOrder),
+      machine,
+    };
+  } catch (error) {
+    throw new Error(`Failed to complete work order ${workOrderId}: ${error.message}`);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * MQTT ingestion adapter for Shop Floor Management
+ * Subscribes to PLC gateway topics and feeds each message into the machine update service.
+ * Reconnects with exponential backoff when the broker goes away.
+ */
+
+import fs from 'fs';
+import mqtt from 'mqtt';
+import config from '../../config.js';
+import { updateMachine } from '../shop-floor/service.js';
+import { EventSource } from '../shop-floor/model.js';
+import { DEFAULT_MAPPING, validateMapping, toTopicFilter, findSubscription, mapMessage } from './mapping.js';
+
+let client = null;
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let stopping = false;
+let subscriptions = [];
+
+// Messages are applied one at a time so updates for a machine keep their order
+let queue = Promise.resolve();
+
+const state = {
+  url: null,
+  connected: false,
+  connected_at: null,
+  reconnect_attempts: 0,
+  next_reconnect_at: null,
+  received: 0,
+  applied: 0,
+  failed: 0,
+  last_message_at: null,
+  last_error: null,
+};
+
+/**
+ * Load the configured topic/payload mapping, falling back to the default
+ * @returns {Object} Mapping
+ */
+export function loadMapping() {
+  const file = config.mqtt.mappingFile;
+  if (!file) {
+    return DEFAULT_MAPPING;
+  }
+
+  try {
+    return validateMapping(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid MQTT mapping in ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Delay before the next reconnect attempt: doubles per failed attempt, up to the maximum
+ * @param {number} attempt - Failed attempts so far (0 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+  const { reconnectMinMs, reconnectMaxMs } = config.mqtt;
+  return Math.min(reconnectMaxMs, reconnectMinMs * 2 ** attempt);
+}
+
+/**
+ * Apply one MQTT message as a machine update
+ * @param {string} topic - Topic the message was published on
+ * @param {Buffer|string} payload - Message payload
+ * @param {Array} messageSubscriptions - Mapping subscriptions (defaults to the active ones)
+ * @returns {Promise<Object>} { topic, success, machine_id?, data?, error? }
+ */
+export async function handleMessage(topic, payload, messageSubscriptions = subscriptions) {
+  try {
+    const match = findSubscription(messageSubscriptions, topic);
+    if (!match) {
+      throw new Error('No subscription matches this topic');
+    }
+
+    const { machineId, updateData } = mapMessage(match.subscription, match.params, payload.toString());
+    const machine = await updateMachine(machineId, updateData, { source: EventSource.MQTT });
+    return { topic, success: true, machine_id: machineId, data: machine };
+  } catch (error) {
+    return { topic, success: false, error: error.message };
+  }
+}
+
+/**
+ * Show how a message would be mapped, without applying it
+ * Uses the active subscriptions, or the configured mapping when the adapter is not running.
+ * @param {string} topic - Topic
+ * @param {string} payload - Payload text
+ * @returns {Object} { topic, subscription, machine_id, update }
+ */
+export function previewMessage(topic, payload) {
+  const active = subscriptions.length > 0 ? subscriptions : loadMapping().subscriptions;
+  const match = findSubscription(active, topic);
+  if (!match) {
+    throw new Error(`No subscription matches topic ${topic}`);
+  }
+
+  const { machineId, updateData } = mapMessage(match.subscription, match.params, String(payload));
+  return {
+    topic,
+    subscription: match.subscription.topic,
+    machine_id: machineId,
+    update: updateData,
+  };
+}
+
+/**
+ * Subscribe to every mapped topic
+ */
+function subscribeAll() {
+  for (const subscription of subscriptions) {
+    const filter = toTopicFilter(subscription.topic);
+    client.subscribe(filter, { qos: subscription.qos ?? 1 }, (error) => {
+      if (error) {
+        state.last_error = `Subscribe to ${filter} failed: ${error.message}`;
+        console.error(`MQTT ${state.last_error}`);
+      }
+    });
+  }
+}
+
+/**
+ * Schedule the next reconnect attempt
+ */
+function scheduleReconnect() {
+  if (stopping || reconnectTimer) {
+    return;
+  }
+
+  const delay = getReconnectDelay(reconnectAttempt);
+  reconnectAttempt += 1;
+  state.reconnect_attempts += 1;
+  state.next_reconnect_at = new Date(Date.now() + delay);
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    state.next_reconnect_at = null;
+    if (client && !stopping) {
+      client.reconnect();
+    }
+  }, delay);
+}
+
+/**
+ * Start the MQTT adapter
+ * Does nothing when MQTT_URL is not set.
+ * @param {Object} options - Overrides for tests or scripts
+ * @param {string} options.url - Broker URL (defaults to MQTT_URL)
+ * @param {Object} options.mapping - Topic/payload mapping (defaults to MQTT_MAPPING_FILE or DEFAULT_MAPPING)
+ * @returns {boolean} True if the adapter was started
+ */
+export function startMqttAdapter({ url = config.mqtt.url, mapping = null } = {}) {
+  if (!url || client) {
+    return false;
+  }
+
+  subscriptions = validateMapping(mapping || loadMapping()).subscriptions;
+  stopping = false;
+  reconnectAttempt = 0;
+  state.url = url;
+
+  // Reconnects are scheduled here (with backoff) rather than by the client's fixed period
+  client = mqtt.connect(url, {
+    clientId: config.mqtt.clientId,
+    username: config.mqtt.username || undefined,
+    password: config.mqtt.password || undefined,
+    reconnectPeriod: 0,
+  });
+
+  client.on('connect', () => {
+    reconnectAttempt = 0;
+    state.connected = true;
+    state.connected_at = new Date();
+    console.log(`📶 MQTT connected to ${url}`);
+    subscribeAll();
+  });
+
+  client.on('message', (topic, payload) => {
+    state.received += 1;
+    state.last_message_at = new Date();
+    queue = queue.then(async () => {
+      const result = await handleMessage(topic, payload);
+      if (result.success) {
+        state.applied += 1;
+      } else {
+        state.failed += 1;
+        state.last_error = `${topic}: ${result.error}`;
+        console.error(`MQTT message on ${topic} rejected: ${result.error}`);
+      }
+    });
+  });
+
+  client.on('error', (error) => {
+    state.last_error = error.message;
+    console.error('MQTT error:', error.message);
+  });
+
+  client.on('close', () => {
+    if (state.connected) {
+      console.log(`📴 MQTT connection to ${url} closed`);
+    }
+    state.connected = false;
+    scheduleReconnect();
+  });
+
+  return true;
+}
+
+/**
+ * Stop the MQTT adapter and wait for queued messages to be applied
+ * @returns {Promise<void>}
+ */
+export async function stopMqttAdapter() {
+  stopping = true;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.endAsync();
+  }
+  await queue;
+  state.connected = false;
+  state.next_reconnect_at = null;
+}
+
+/**
+ * Get the adapter's connection state and message counters
+ * @returns {Object} Adapter status
+ */
+export function getMqttStatus() {
+  return {
+    enabled: Boolean(config.mqtt.url || state.url),
+    ...state,
+    subscriptions: subscriptions.map((subscription) => ({
+      topic: subscription.topic,
+      filter: toTopicFilter(subscription.topic),
+      format: subscription.format || 'auto',
+      ...(subscription.machine_id && { machine_id: subscription.machine_id }),
+    })),
+  };
+}
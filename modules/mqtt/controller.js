@@ -0,0 +1,54 @@
+/**
+ * Controller layer for the MQTT ingestion adapter
+ * Handles HTTP request/response logic
+ */
+
+import * as adapter from './adapter.js';
+
+/**
+ * Get the adapter's connection state, subscriptions and message counters
+ * GET /mqtt/status
+ */
+export async function getStatus(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: adapter.getMqttStatus(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Show how a message would be mapped to a machine update, without applying it
+ * POST /mqtt/preview
+ * Body: { topic, payload }
+ */
+export async function previewMessage(req, res) {
+  try {
+    const { topic, payload } = req.body;
+
+    if (!topic || payload === undefined || payload === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'topic and payload are required',
+      });
+    }
+
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    res.json({
+      success: true,
+      data: adapter.previewMessage(topic, text),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
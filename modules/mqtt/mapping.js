@@ -0,0 +1,304 @@
+/**
+ * Topic and payload mapping for the MQTT adapter
+ * Turns an MQTT message into a machine ID and a machine update payload.
+ * All functions here are pure.
+ *
+ * A mapping lists subscriptions; the first one whose topic matches a message is used:
+ * {
+ *   "subscriptions": [
+ *     { "topic": "shopfloor/machines/{machine_id}", "format": "auto" },
+ *     {
+ *       "topic": "plc/line2/press4/state",
+ *       "machine_id": "M04",
+ *       "format": "json",
+ *       "fields": { "status": "state.code", "output": "counters.good" },
+ *       "status_map": { "1": "Running", "0": "Idle", "3": "Error" }
+ *     }
+ *   ]
+ * }
+ */
+
+import { normalizeStatus } from '../shop-floor/utils.js';
+
+export const PayloadFormat = {
+  AUTO: 'auto',
+  JSON: 'json',
+  KEY_VALUE: 'kv',
+};
+
+export const VALID_FORMATS = Object.values(PayloadFormat);
+
+const MACHINE_ID_PLACEHOLDER = '{machine_id}';
+
+const SUBSCRIPTION_KEYS = ['topic', 'format', 'machine_id', 'fields', 'status_map', 'qos'];
+
+// Machine update fields read from a payload, and where each is found by default
+const JSON_FIELDS = {
+  machine_id: 'machine_id',
+  status: 'status',
+  output: 'output',
+  scrap: 'scrap',
+  reason_code: 'reason_code',
+  reason: 'reason',
+  error_message: 'error_message',
+  operator: 'operator',
+  role: 'role',
+  acknowledged_by: 'acknowledged_by',
+};
+
+// Same keys as WhatsApp messages: "STATUS=Error REASON=ELEC-01 ERROR=Motor trip ACK=Ravi"
+const KEY_VALUE_FIELDS = {
+  machine_id: 'machine',
+  status: 'status',
+  output: 'output',
+  scrap: 'scrap',
+  reason_code: 'reason',
+  error_message: 'error',
+  operator: 'operator',
+  role: 'role',
+  acknowledged_by: 'ack',
+};
+
+const COUNT_FIELDS = ['output', 'scrap'];
+
+/**
+ * Default mapping: one topic per machine, JSON or key=value payloads
+ */
+export const DEFAULT_MAPPING = {
+  subscriptions: [{ topic: `shopfloor/machines/${MACHINE_ID_PLACEHOLDER}`, format: PayloadFormat.AUTO }],
+};
+
+/**
+ * Check that a mapping only uses known keys, formats and fields
+ * @param {Object} mapping - Mapping
+ * @returns {Object} The same mapping
+ */
+export function validateMapping(mapping) {
+  if (!mapping || !Array.isArray(mapping.subscriptions) || mapping.subscriptions.length === 0) {
+    throw new Error('MQTT mapping must have a non-empty subscriptions array');
+  }
+
+  mapping.subscriptions.forEach((subscription, index) => {
+    const label = `subscriptions[${index}]`;
+    if (!subscription || typeof subscription.topic !== 'string' || !subscription.topic.trim()) {
+      throw new Error(`${label} needs a topic`);
+    }
+
+    const unknownKeys = Object.keys(subscription).filter((key) => !SUBSCRIPTION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown keys in ${label}: ${unknownKeys.join(', ')}`);
+    }
+    if (subscription.format !== undefined && !VALID_FORMATS.includes(subscription.format)) {
+      throw new Error(`Invalid format in ${label}: ${subscription.format}. Must be one of: ${VALID_FORMATS.join(', ')}`);
+    }
+    if (subscription.fields !== undefined) {
+      const unknownFields = Object.keys(subscription.fields).filter((field) => !(field in JSON_FIELDS));
+      if (unknownFields.length > 0) {
+        throw new Error(`Unknown fields in ${label}: ${unknownFields.join(', ')}`);
+      }
+    }
+    if (subscription.qos !== undefined && ![0, 1, 2].includes(subscription.qos)) {
+      throw new Error(`Invalid qos in ${label}: must be 0, 1 or 2`);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Topic filter to subscribe to for a subscription topic
+ * Placeholders such as {machine_id} match one topic level.
+ * @param {string} topic - Subscription topic
+ * @returns {string} MQTT topic filter
+ */
+export function toTopicFilter(topic) {
+  return topic.replace(/\{[^}/]+\}/g, '+');
+}
+
+/**
+ * Match a topic against a subscription topic
+ * @param {string} pattern - Subscription topic (may use +, # and {name} placeholders)
+ * @param {string} topic - Topic a message was published on
+ * @returns {Object|null} Placeholder values, or null if the topic does not match
+ */
+export function matchTopic(pattern, topic) {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+  const params = {};
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+    if (level === '#') {
+      return params;
+    }
+    if (i >= topicLevels.length) {
+      return null;
+    }
+
+    const placeholder = level.match(/^\{([^}/]+)\}$/);
+    if (placeholder) {
+      params[placeholder[1]] = topicLevels[i];
+    } else if (level !== '+' && level !== topicLevels[i]) {
+      return null;
+    }
+  }
+
+  return patternLevels.length === topicLevels.length ? params : null;
+}
+
+/**
+ * Parse a key=value payload
+ * Values run until the next KEY=, so "ERROR=Motor trip OPERATOR=Arun" keeps the space.
+ * Text before the first key (e.g. "M03 STATUS=Running") is taken as the machine.
+ * @param {string} text - Payload text
+ * @returns {Object} Values keyed by lower-case key
+ */
+export function parseKeyValuePayload(text) {
+  const values = {};
+  const parts = text.trim().split(/\s+(?=[A-Za-z_][\w.-]*\s*=)/);
+
+  for (const part of parts) {
+    const separator = part.indexOf('=');
+    if (separator === -1) {
+      if (part.trim()) {
+        values.machine = part.trim();
+      }
+      continue;
+    }
+    values[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim();
+  }
+
+  return values;
+}
+
+/**
+ * Decode a payload as JSON or key=value
+ * @param {string} text - Payload text
+ * @param {string} format - One of PayloadFormat
+ * @returns {{format: string, values: Object}} Format actually used and the decoded values
+ */
+export function decodePayload(text, format = PayloadFormat.AUTO) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('Empty payload');
+  }
+
+  if (format === PayloadFormat.JSON || (format === PayloadFormat.AUTO && /^[{[]/.test(trimmed))) {
+    let values;
+    try {
+      values = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON payload: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('JSON payload must be an object');
+    }
+    return { format: PayloadFormat.JSON, values };
+  }
+
+  return { format: PayloadFormat.KEY_VALUE, values: parseKeyValuePayload(trimmed) };
+}
+
+/**
+ * Read a value by dotted path ("counters.good"), ignoring key case
+ * @param {Object} values - Decoded payload
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined if missing
+ */
+function readPath(values, path) {
+  return path.split('.').reduce((current, key) => {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    if (key in current) {
+      return current[key];
+    }
+    const match = Object.keys(current).find((candidate) => candidate.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : current[match];
+  }, values);
+}
+
+/**
+ * Map a status value through the subscription's status_map and normalize it
+ * @param {*} value - Raw status value
+ * @param {Object} statusMap - Raw value -> status
+ * @returns {string} Status
+ */
+function mapStatus(value, statusMap = {}) {
+  const raw = String(value).trim();
+  const mapped = statusMap[raw] ?? statusMap[raw.toUpperCase()] ?? statusMap[raw.toLowerCase()];
+  return mapped ?? normalizeStatus(raw);
+}
+
+/**
+ * Find the subscription a topic belongs to
+ * @param {Array} subscriptions - Mapping subscriptions
+ * @param {string} topic - Message topic
+ * @returns {{subscription: Object, params: Object}|null} Matching subscription and placeholder values
+ */
+export function findSubscription(subscriptions, topic) {
+  for (const subscription of subscriptions) {
+    const params = matchTopic(subscription.topic, topic);
+    if (params) {
+      return { subscription, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn an MQTT message into a machine update
+ * The machine comes from the subscription's machine_id, the {machine_id} placeholder
+ * or the payload, in that order.
+ *
+ * @param {Object} subscription - Matching subscription
+ * @param {Object} params - Placeholder values from the topic
+ * @param {string} text - Payload text
+ * @returns {{machineId: string, updateData: Object}} Machine ID and update payload
+ */
+export function mapMessage(subscription, params, text) {
+  const { format, values } = decodePayload(text, subscription.format || PayloadFormat.AUTO);
+  const defaults = format === PayloadFormat.JSON ? JSON_FIELDS : KEY_VALUE_FIELDS;
+  const fields = { ...defaults, ...(subscription.fields || {}) };
+
+  const updateData = {};
+  for (const [field, path] of Object.entries(fields)) {
+    if (field === 'machine_id') {
+      continue;
+    }
+    const value = readPath(values, path);
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (field === 'status') {
+      updateData.status = mapStatus(value, subscription.status_map);
+    } else if (COUNT_FIELDS.includes(field)) {
+      updateData[field] = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    } else {
+      updateData[field] = typeof value === 'string' ? value : String(value);
+    }
+  }
+
+  const payloadMachineId = readPath(values, fields.machine_id);
+  const machineId = subscription.machine_id || params.machine_id || payloadMachineId;
+  if (!machineId) {
+    throw new Error('No machine ID in topic, mapping or payload');
+  }
+  if (Object.keys(updateData).length === 0) {
+    throw new Error('Payload has no machine update fields');
+  }
+
+  return { machineId: String(machineId).toUpperCase(), updateData };
+}
+
+export default {
+  DEFAULT_MAPPING,
+  validateMapping,
+  toTopicFilter,
+  matchTopic,
+  parseKeyValuePayload,
+  decodePayload,
+  findSubscription,
+  mapMessage,
+};
@@ -0,0 +1,25 @@
+/**
+ * Routes for MQTT Ingestion Adapter Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /mqtt/status
+ * @desc    Broker connection state, subscribed topics and message counters
+ * @access  Public
+ */
+router.get('/status', controller.getStatus);
+
+/**
+ * @route   POST /mqtt/preview
+ * @desc    Map a topic and payload to a machine update without applying it (checks a mapping)
+ * @access  Public
+ * @body    { topic, payload } - payload as a key=value string or a JSON object
+ */
+router.post('/preview', controller.previewMessage);
+
+export default router;
@@ -0,0 +1,313 @@
+/**
+ * Controller layer for Operators
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+
+/**
+ * Parse the ?within_days= look-ahead
+ * @param {string|undefined} value - Raw query value
+ * @param {number} fallback - Default number of days
+ * @returns {number} Days
+ */
+function parseWithinDays(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`Invalid within_days: ${value}`);
+  }
+
+  return days;
+}
+
+/**
+ * Get all operators
+ * GET /operators?all=true
+ */
+export async function getAllOperators(req, res) {
+  try {
+    const operators = await service.getAllOperators({ includeInactive: req.query.all === 'true' });
+    res.json({
+      success: true,
+      count: operators.length,
+      data: operators,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a single operator with their certificates
+ * GET /operators/:id
+ */
+export async function getOperator(req, res) {
+  try {
+    const { id } = req.params;
+    const operator = await service.getOperator(id);
+
+    if (!operator) {
+      return res.status(404).json({
+        success: false,
+        error: `Operator with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: operator,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create an operator
+ * POST /operators/update
+ */
+export async function updateOperator(req, res) {
+  try {
+    const { operator_id, ...updateData } = req.body;
+
+    if (!operator_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'operator_id is required',
+      });
+    }
+
+    const updated = await service.updateOperator(operator_id, updateData);
+
+    res.json({
+      success: true,
+      message: `Operator ${operator_id} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the skills matrix
+ * GET /operators/skills-matrix?all=true
+ */
+export async function getSkillsMatrix(req, res) {
+  try {
+    const matrix = await service.getSkillsMatrix({ includeInactive: req.query.all === 'true' });
+    res.json({
+      success: true,
+      data: matrix,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get an operator's certificates, upcoming expiries and the machines they may run
+ * GET /operators/:id/qualifications?within_days=30
+ */
+export async function getQualifications(req, res) {
+  try {
+    const { id } = req.params;
+
+    let withinDays;
+    try {
+      withinDays = parseWithinDays(req.query.within_days, 30);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const qualifications = await service.getQualifications(id, { withinDays });
+
+    if (!qualifications) {
+      return res.status(404).json({
+        success: false,
+        error: `Operator with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: qualifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a certificate an operator holds (or renew it)
+ * POST /operators/:id/certifications
+ */
+export async function grantCertification(req, res) {
+  try {
+    const { id } = req.params;
+    const certificate = await service.grantCertification(id, req.body);
+
+    res.json({
+      success: true,
+      message: `Certification ${certificate.certification} recorded for operator ${id}`,
+      data: certificate,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the certification catalogue
+ * GET /operators/certifications
+ */
+export async function getAllCertifications(req, res) {
+  try {
+    const certifications = await service.getAllCertifications();
+    res.json({
+      success: true,
+      count: certifications.length,
+      data: certifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a certification
+ * POST /operators/certifications
+ */
+export async function updateCertification(req, res) {
+  try {
+    const { code, ...updateData } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'code is required',
+      });
+    }
+
+    const updated = await service.updateCertification(code, updateData);
+
+    res.json({
+      success: true,
+      message: `Certification ${updated.code} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get every certificate expiring soon or already expired (quarterly audit)
+ * GET /operators/certifications/expiring?within_days=90
+ */
+export async function getExpiringCertifications(req, res) {
+  try {
+    let withinDays;
+    try {
+      withinDays = parseWithinDays(req.query.within_days, 90);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const certificates = await service.getExpiringCertifications({ withinDays });
+    res.json({
+      success: true,
+      count: certificates.length,
+      data: certificates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the certifications machines require
+ * GET /operators/requirements?machine_id=
+ */
+export async function getMachineRequirements(req, res) {
+  try {
+    const requirements = await service.getMachineRequirements(req.query.machine_id || null);
+    res.json({
+      success: true,
+      count: requirements.length,
+      data: requirements,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Replace the certifications a machine requires
+ * POST /operators/requirements
+ */
+export async function setMachineRequirements(req, res) {
+  try {
+    const { machine_id, certifications } = req.body;
+
+    if (!machine_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'machine_id is required',
+      });
+    }
+
+    const requirements = await service.setMachineRequirements(machine_id, certifications);
+
+    res.json({
+      success: true,
+      message: `Certification requirements of machine ${machine_id} updated successfully`,
+      data: requirements,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Routes for Operators Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /operators
+ * @desc    Get all operators
+ * @access  Public
+ * @query   all - Optional: 'true' to include deactivated operators
+ */
+router.get('/', controller.getAllOperators);
+
+/**
+ * @route   POST /operators/update
+ * @desc    Update or create an operator
+ * @access  Public
+ * @body    { operator_id, name, skills: [{ skill, level: 1-4 }], active }
+ */
+router.post('/update', controller.updateOperator);
+
+/**
+ * @route   GET /operators/skills-matrix
+ * @desc    Skill levels of every operator, one column per skill
+ * @access  Public
+ * @query   all - Optional: 'true' to include deactivated operators
+ */
+router.get('/skills-matrix', controller.getSkillsMatrix);
+
+/**
+ * @route   GET /operators/certifications
+ * @desc    Get the certification catalogue
+ * @access  Public
+ */
+router.get('/certifications', controller.getAllCertifications);
+
+/**
+ * @route   POST /operators/certifications
+ * @desc    Update or create a certification
+ * @access  Public
+ * @body    { code, name, validity_days, description }
+ */
+router.post('/certifications', controller.updateCertification);
+
+/**
+ * @route   GET /operators/certifications/expiring
+ * @desc    Certificates of all operators expiring soon or already expired, earliest first
+ * @access  Public
+ * @query   within_days - Optional look-ahead, defaults to 90
+ */
+router.get('/certifications/expiring', controller.getExpiringCertifications);
+
+/**
+ * @route   GET /operators/requirements
+ * @desc    Get the certifications machines require
+ * @access  Public
+ * @query   machine_id - Optional machine filter
+ */
+router.get('/requirements', controller.getMachineRequirements);
+
+/**
+ * @route   POST /operators/requirements
+ * @desc    Replace the certifications a machine requires
+ * @access  Public
+ * @body    { machine_id, certifications: [code] }
+ */
+router.post('/requirements', controller.setMachineRequirements);
+
+/**
+ * @route   GET /operators/:id
+ * @desc    Get a single operator with their certificates
+ * @access  Public
+ */
+router.get('/:id', controller.getOperator);
+
+/**
+ * @route   GET /operators/:id/qualifications
+ * @desc    Certificates with expiry state, upcoming expiries and the machines the operator may run
+ * @access  Public
+ * @query   within_days - Optional look-ahead for upcoming expiries, defaults to 30
+ */
+router.get('/:id/qualifications', controller.getQualifications);
+
+/**
+ * @route   POST /operators/:id/certifications
+ * @desc    Record a certificate the operator holds, or renew it
+ * @access  Public
+ * @body    { certification, issued_at, expires_at, issued_by, notes } (expires_at defaults to
+ *          issued_at + the certification's validity_days)
+ */
+router.post('/:id/certifications', controller.grantCertification);
+
+export default router;
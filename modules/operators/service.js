@@ -0,0 +1,678 @@
+/**
+ * Service layer for Operators
+ * Manages operators and their skills matrix, the certification catalogue, the
+ * certificates operators hold (with expiry) and the certifications each machine
+ * requires. Machine updates are checked against these when an operator is
+ * assigned to or starts a machine (see checkOperatorCertification).
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import { MachineStatus } from '../shop-floor/model.js';
+import config from '../../config.js';
+
+const prisma = new PrismaClient();
+
+// Skill levels of the skills matrix: 1 in training, 2 works under supervision,
+// 3 works independently, 4 can train others
+const MIN_SKILL_LEVEL = 1;
+const MAX_SKILL_LEVEL = 4;
+
+// What happens when an uncertified operator is assigned to or starts a machine
+export const CertificationCheck = {
+  OFF: 'off',
+  WARN: 'warn',
+  REJECT: 'reject',
+};
+
+export const CertificateState = {
+  VALID: 'Valid',
+  EXPIRING: 'Expiring',
+  EXPIRED: 'Expired',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a certification code (codes are stored upper-case)
+ * @param {string} code - Raw certification code
+ * @returns {string} Normalized code
+ */
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Parse the JSON skills column
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Skills as [{ skill, level }] (empty if missing or malformed)
+ */
+function parseSkills(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format an operator row for API output
+ * @param {Object} operator - Operator row
+ * @returns {Object} Operator with the skills parsed
+ */
+function formatOperator(operator) {
+  return {
+    ...operator,
+    skills: parseSkills(operator.skills),
+  };
+}
+
+/**
+ * Check a skills list
+ * @param {*} skills - Skills sent with an operator update
+ */
+function validateSkills(skills) {
+  if (!Array.isArray(skills)) {
+    throw new Error('skills must be an array of { skill, level }');
+  }
+
+  const seen = new Set();
+  for (const entry of skills) {
+    if (!entry || typeof entry.skill !== 'string' || !entry.skill.trim()) {
+      throw new Error('Every skill needs a skill name');
+    }
+    if (!(Number.isInteger(entry.level) && entry.level >= MIN_SKILL_LEVEL && entry.level <= MAX_SKILL_LEVEL)) {
+      throw new Error(`Invalid level for ${entry.skill}: must be a whole number from ${MIN_SKILL_LEVEL} to ${MAX_SKILL_LEVEL}`);
+    }
+    if (seen.has(entry.skill)) {
+      throw new Error(`Duplicate skill: ${entry.skill}`);
+    }
+    seen.add(entry.skill);
+  }
+}
+
+/**
+ * Add state (Valid | Expiring | Expired) and days_until_expiry to a certificate
+ * @param {Object} certificate - OperatorCertification row
+ * @param {Date} now - Reference time
+ * @param {number} withinDays - Certificates expiring within this many days are Expiring
+ * @returns {Object} Certificate with state fields
+ */
+function describeCertificate(certificate, now, withinDays) {
+  const expiresAt = certificate.expires_at;
+  if (!expiresAt) {
+    return { ...certificate, state: CertificateState.VALID, days_until_expiry: null };
+  }
+
+  const msLeft = expiresAt - now;
+  let state = CertificateState.VALID;
+  if (msLeft <= 0) {
+    state = CertificateState.EXPIRED;
+  } else if (msLeft <= withinDays * DAY_MS) {
+    state = CertificateState.EXPIRING;
+  }
+
+  return { ...certificate, state, days_until_expiry: Math.floor(msLeft / DAY_MS) };
+}
+
+/**
+ * Whether a certificate is valid at a point in time
+ * @param {Object} certificate - OperatorCertification row
+ * @param {Date} at - Reference time
+ * @returns {boolean} True if it has not expired
+ */
+function isCertificateValid(certificate, at) {
+  return !certificate.expires_at || certificate.expires_at > at;
+}
+
+/**
+ * Find the operator a Machine.operator value refers to (badge number first, then name)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} value - Machine.operator value
+ * @returns {Promise<Object|null>} Operator or null if none matches
+ */
+async function findOperator(client, value) {
+  const byId = await client.operator.findUnique({
+    where: {
+      operator_id: value,
+    },
+  });
+  if (byId) {
+    return byId;
+  }
+
+  return client.operator.findFirst({
+    where: {
+      name: value,
+    },
+  });
+}
+
+/**
+ * Get all operators
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeInactive - Include deactivated operators
+ * @returns {Promise<Array>} Array of operators
+ */
+export async function getAllOperators({ includeInactive = false } = {}) {
+  try {
+    const operators = await prisma.operator.findMany({
+      where: includeInactive ? {} : { active: true },
+      orderBy: {
+        operator_id: 'asc',
+      },
+    });
+    return operators.map(formatOperator);
+  } catch (error) {
+    throw new Error(`Failed to fetch operators: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single operator with the certificates they hold
+ * @param {string} operatorId - The operator ID
+ * @returns {Promise<Object|null>} Operator or null if not found
+ */
+export async function getOperator(operatorId) {
+  try {
+    const operator = await prisma.operator.findUnique({
+      where: {
+        operator_id: operatorId,
+      },
+    });
+    if (!operator) {
+      return null;
+    }
+
+    const certificates = await prisma.operatorCertification.findMany({
+      where: {
+        operator_id: operatorId,
+      },
+      orderBy: {
+        certification: 'asc',
+      },
+    });
+
+    const now = new Date();
+    return {
+      ...formatOperator(operator),
+      certifications: certificates.map((certificate) => describeCertificate(certificate, now, 0)),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch operator ${operatorId}: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create an operator
+ * @param {string} operatorId - The operator ID
+ * @param {Object} updateData - { name, skills: [{ skill, level }], active }
+ * @returns {Promise<Object>} Updated operator
+ */
+export async function updateOperator(operatorId, updateData) {
+  try {
+    if (updateData.skills !== undefined) {
+      validateSkills(updateData.skills);
+    }
+
+    const existing = await prisma.operator.findUnique({
+      where: {
+        operator_id: operatorId,
+      },
+    });
+
+    if (!existing && !updateData.name) {
+      throw new Error('name is required for a new operator');
+    }
+
+    const fields = {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.skills !== undefined && { skills: JSON.stringify(updateData.skills) }),
+      ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+    };
+
+    const operator = await prisma.operator.upsert({
+      where: {
+        operator_id: operatorId,
+      },
+      update: {
+        ...fields,
+        updated_at: new Date(),
+      },
+      create: {
+        operator_id: operatorId,
+        name: fields.name,
+        skills: fields.skills ?? null,
+        active: fields.active ?? true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return formatOperator(operator);
+  } catch (error) {
+    throw new Error(`Failed to update operator ${operatorId}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the skills matrix: one row per operator, one column per skill
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeInactive - Include deactivated operators
+ * @returns {Promise<Object>} { skills: [skill], operators: [{ operator_id, name, levels: { skill: level } }] }
+ */
+export async function getSkillsMatrix({ includeInactive = false } = {}) {
+  try {
+    const operators = await getAllOperators({ includeInactive });
+    const skills = new Set();
+
+    const rows = operators.map((operator) => {
+      const levels = {};
+      for (const { skill, level } of operator.skills) {
+        skills.add(skill);
+        levels[skill] = level;
+      }
+      return { operator_id: operator.operator_id, name: operator.name, levels };
+    });
+
+    return {
+      skills: [...skills].sort(),
+      operators: rows,
+    };
+  } catch (error) {
+    throw new Error(`Failed to build skills matrix: ${error.message}`);
+  }
+}
+
+/**
+ * Get the certification catalogue
+ * @returns {Promise<Array>} Array of certifications
+ */
+export async function getAllCertifications() {
+  try {
+    const certifications = await prisma.certification.findMany({
+      orderBy: {
+        code: 'asc',
+      },
+    });
+    return certifications;
+  } catch (error) {
+    throw new Error(`Failed to fetch certifications: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a certification in the catalogue
+ * @param {string} code - Certification code
+ * @param {Object} updateData - { name, validity_days, description }
+ * @returns {Promise<Object>} Updated certification
+ */
+export async function updateCertification(code, updateData) {
+  const certificationCode = normalizeCode(code);
+
+  try {
+    if (!/^[A-Z0-9_-]+$/.test(certificationCode)) {
+      throw new Error('Invalid code: use letters, digits, "-" and "_" only');
+    }
+
+    if (
+      updateData.validity_days !== undefined &&
+      updateData.validity_days !== null &&
+      !(Number.isInteger(updateData.validity_days) && updateData.validity_days > 0)
+    ) {
+      throw new Error('Invalid validity_days: must be a positive whole number of days');
+    }
+
+    const dataToUpdate = {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.validity_days !== undefined && { validity_days: updateData.validity_days }),
+      ...(updateData.description !== undefined && { description: updateData.description }),
+      updated_at: new Date(),
+    };
+
+    const certification = await prisma.certification.upsert({
+      where: {
+        code: certificationCode,
+      },
+      update: dataToUpdate,
+      create: {
+        code: certificationCode,
+        name: updateData.name || certificationCode,
+        validity_days: updateData.validity_days ?? null,
+        description: updateData.description ?? null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return certification;
+  } catch (error) {
+    throw new Error(`Failed to update certification ${certificationCode}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a certificate an operator holds (or renew it)
+ * Without expires_at, the certificate expires validity_days after issued_at (never if the
+ * certification has no validity).
+ * @param {string} operatorId - The operator ID
+ * @param {Object} data - { certification, issued_at, expires_at, issued_by, notes }
+ * @returns {Promise<Object>} Certificate with its state
+ */
+export async function grantCertification(operatorId, data) {
+  try {
+    if (!data.certification) {
+      throw new Error('certification is required');
+    }
+    const certificationCode = normalizeCode(data.certification);
+
+    const operator = await prisma.operator.findUnique({
+      where: {
+        operator_id: operatorId,
+      },
+    });
+    if (!operator) {
+      throw new Error(`Operator with ID ${operatorId} not found`);
+    }
+
+    const certification = await prisma.certification.findUnique({
+      where: {
+        code: certificationCode,
+      },
+    });
+    if (!certification) {
+      throw new Error(`Unknown certification: ${certificationCode}`);
+    }
+
+    const issuedAt = data.issued_at ? new Date(data.issued_at) : new Date();
+    if (Number.isNaN(issuedAt.getTime())) {
+      throw new Error(`Invalid issued_at: ${data.issued_at}`);
+    }
+
+    let expiresAt = null;
+    if (data.expires_at) {
+      expiresAt = new Date(data.expires_at);
+      if (Number.isNaN(expiresAt.getTime())) {
+        throw new Error(`Invalid expires_at: ${data.expires_at}`);
+      }
+    } else if (certification.validity_days) {
+      expiresAt = new Date(issuedAt.getTime() + certification.validity_days * DAY_MS);
+    }
+
+    const fields = {
+      issued_at: issuedAt,
+      expires_at: expiresAt,
+      issued_by: data.issued_by ?? null,
+      notes: data.notes ?? null,
+      updated_at: new Date(),
+    };
+
+    const certificate = await prisma.operatorCertification.upsert({
+      where: {
+        operator_id_certification: {
+          operator_id: operatorId,
+          certification: certificationCode,
+        },
+      },
+      update: fields,
+      create: {
+        operator_id: operatorId,
+        certification: certificationCode,
+        ...fields,
+        created_at: new Date(),
+      },
+    });
+
+    return describeCertificate(certificate, new Date(), 0);
+  } catch (error) {
+    throw new Error(`Failed to grant certification to operator ${operatorId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the certifications machines require
+ * @param {string|null} machineId - Optional machine filter
+ * @returns {Promise<Array>} [{ machine_id, certifications: [code] }]
+ */
+export async function getMachineRequirements(machineId = null) {
+  try {
+    const requirements = await prisma.machineCertification.findMany({
+      where: machineId ? { machine_id: machineId } : {},
+      orderBy: [{ machine_id: 'asc' }, { certification: 'asc' }],
+    });
+
+    const byMachine = new Map();
+    for (const requirement of requirements) {
+      if (!byMachine.has(requirement.machine_id)) {
+        byMachine.set(requirement.machine_id, []);
+      }
+      byMachine.get(requirement.machine_id).push(requirement.certification);
+    }
+
+    return [...byMachine.entries()].map(([id, certifications]) => ({ machine_id: id, certifications }));
+  } catch (error) {
+    throw new Error(`Failed to fetch machine certification requirements: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the certifications a machine requires
+ * @param {string} machineId - The machine ID
+ * @param {Array<string>} certifications - Certification codes (empty to drop all requirements)
+ * @returns {Promise<Object>} { machine_id, certifications }
+ */
+export async function setMachineRequirements(machineId, certifications) {
+  try {
+    if (!Array.isArray(certifications)) {
+      throw new Error('certifications must be an array of certification codes');
+    }
+
+    const machine = await machineService.getMachine(machineId);
+    if (!machine) {
+      throw new Error(`Machine with ID ${machineId} not found`);
+    }
+
+    const codes = [...new Set(certifications.map(normalizeCode))];
+    const known = await prisma.certification.findMany({
+      where: {
+        code: { in: codes },
+      },
+    });
+    const unknown = codes.filter((code) => !known.some((certification) => certification.code === code));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown certification: ${unknown.join(', ')}`);
+    }
+
+    await prisma.$transaction([
+      prisma.machineCertification.deleteMany({
+        where: {
+          machine_id: machineId,
+        },
+      }),
+      ...codes.map((code) =>
+        prisma.machineCertification.create({
+          data: {
+            machine_id: machineId,
+            certification: code,
+            created_at: new Date(),
+          },
+        })
+      ),
+    ]);
+
+    return { machine_id: machineId, certifications: codes.sort() };
+  } catch (error) {
+    throw new Error(`Failed to set certification requirements of machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get an operator's qualifications: certificates with their expiry state and the
+ * machines with certification requirements the operator may or may not run
+ * @param {string} operatorId - The operator ID
+ * @param {Object} options - Query options
+ * @param {number} options.withinDays - Certificates expiring within this many days are upcoming expiries
+ * @returns {Promise<Object|null>} Qualifications or null if the operator does not exist
+ */
+export async function getQualifications(operatorId, { withinDays = 30 } = {}) {
+  try {
+    const operator = await prisma.operator.findUnique({
+      where: {
+        operator_id: operatorId,
+      },
+    });
+    if (!operator) {
+      return null;
+    }
+
+    const now = new Date();
+    const certificates = await prisma.operatorCertification.findMany({
+      where: {
+        operator_id: operatorId,
+      },
+      orderBy: {
+        certification: 'asc',
+      },
+    });
+    const described = certificates.map((certificate) => describeCertificate(certificate, now, withinDays));
+    const validCodes = new Set(
+      certificates.filter((certificate) => isCertificateValid(certificate, now)).map((c) => c.certification)
+    );
+
+    const machines = (await getMachineRequirements()).map(({ machine_id: machineId, certifications }) => {
+      const missing = certifications.filter((code) => !validCodes.has(code));
+      return { machine_id: machineId, required: certifications, qualified: missing.length === 0, missing };
+    });
+
+    return {
+      operator_id: operator.operator_id,
+      name: operator.name,
+      active: operator.active,
+      as_of: now.toISOString(),
+      within_days: withinDays,
+      certifications: described,
+      upcoming_expiries: described
+        .filter((certificate) => certificate.state === CertificateState.EXPIRING)
+        .sort((a, b) => a.expires_at - b.expires_at),
+      expired: described.filter((certificate) => certificate.state === CertificateState.EXPIRED),
+      machines,
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch qualifications of operator ${operatorId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get every certificate that expires within a number of days, or has already expired
+ * Used for the quarterly certification audit.
+ * @param {Object} options - Query options
+ * @param {number} options.withinDays - Look-ahead in days
+ * @returns {Promise<Array>} Certificates with operator name and state, earliest expiry first
+ */
+export async function getExpiringCertifications({ withinDays = 90 } = {}) {
+  try {
+    const now = new Date();
+    const certificates = await prisma.operatorCertification.findMany({
+      where: {
+        expires_at: { lte: new Date(now.getTime() + withinDays * DAY_MS) },
+      },
+      orderBy: {
+        expires_at: 'asc',
+      },
+    });
+
+    const operators = await prisma.operator.findMany({
+      where: {
+        operator_id: { in: [...new Set(certificates.map((certificate) => certificate.operator_id))] },
+      },
+    });
+    const names = new Map(operators.map((operator) => [operator.operator_id, operator.name]));
+
+    return certificates.map((certificate) => ({
+      ...describeCertificate(certificate, now, withinDays),
+      operator_name: names.get(certificate.operator_id) ?? null,
+    }));
+  } catch (error) {
+    throw new Error(`Failed to fetch expiring certifications: ${error.message}`);
+  }
+}
+
+/**
+ * Check that the operator of a machine update holds the certifications the machine requires
+ * Runs when an operator is assigned or the machine is started with an operator on it.
+ * Depending on OPERATOR_CERTIFICATION_CHECK a failure rejects the update (reject) or is
+ * returned as a warning to record on the machine event (warn, the default).
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} machineId - The machine ID
+ * @param {Object|null} existing - Machine before the update
+ * @param {Object} updateData - Validated update data
+ * @returns {Promise<string|null>} Warning or null if the operator is certified or no check applies
+ */
+export async function checkOperatorCertification(client, machineId, existing, updateData) {
+  const mode = config.operators.certificationCheck;
+  if (mode === CertificationCheck.OFF) {
+    return null;
+  }
+
+  const operatorName = updateData.operator !== undefined ? updateData.operator : existing?.operator;
+  const assigning = updateData.operator !== undefined && updateData.operator !== existing?.operator;
+  const starting = updateData.status === MachineStatus.RUNNING && existing?.status !== MachineStatus.RUNNING;
+  if (!operatorName || (!assigning && !starting)) {
+    return null;
+  }
+
+  const requirements = await client.machineCertification.findMany({
+    where: {
+      machine_id: machineId,
+    },
+  });
+  if (requirements.length === 0) {
+    return null;
+  }
+
+  const operator = await findOperator(client, operatorName);
+  let message = null;
+
+  if (!operator || !operator.active) {
+    const codes = requirements.map(({ certification }) => certification).join(', ');
+    message = `Operator ${operatorName} is not registered; machine ${machineId} requires ${codes}`;
+  } else {
+    const now = new Date();
+    const certificates = await client.operatorCertification.findMany({
+      where: {
+        operator_id: operator.operator_id,
+      },
+    });
+
+    const gaps = requirements
+      .map(({ certification }) => {
+        const certificate = certificates.find((c) => c.certification === certification);
+        if (!certificate) {
+          return `missing ${certification}`;
+        }
+        if (!isCertificateValid(certificate, now)) {
+          return `${certification} expired ${certificate.expires_at.toISOString().slice(0, 10)}`;
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    if (gaps.length > 0) {
+      message = `Operator ${operator.name} (${operator.operator_id}) is not certified for machine ${machineId}: ${gaps.join(', ')}`;
+    }
+  }
+
+  if (!message) {
+    return null;
+  }
+
+  if (mode === CertificationCheck.REJECT) {
+    throw new Error(message);
+  }
+  return message;
+}
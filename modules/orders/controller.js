@@ -4,18 +4,33 @@
  */
 
 import * as service from './service.js';
+import { parseBatchOptions } from '../../utils/batch.js';
+import { parseListQuery } from '../../utils/listQuery.js';
+import { resolveFormat, readSpreadsheet, describeImport, sendSpreadsheet, SpreadsheetFormat } from '../../utils/spreadsheet.js';
 
 /**
- * Get all orders
- * GET /orders
+ * Get a page of orders
+ * GET /orders?status=&stage=&priority=&sort=&limit=&cursor=&fields=
  */
 export async function getAllOrders(req, res) {
   try {
-    const orders = await service.getAllOrders();
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, service.ORDER_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await service.listOrders(listQuery);
     res.json({
       success: true,
-      count: orders.length,
-      data: orders,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
     });
   } catch (error) {
     res.status(500).json({
@@ -98,13 +113,36 @@ export async function batchUpdateOrders(req, res) {
       });
     }
 
-    const results = await service.batchUpdateOrders(orders);
+    const { atomic, dryRun } = parseBatchOptions(req.query, req.body);
+    const { results, committed } = await service.batchUpdateOrders(orders, { atomic, dryRun });
 
     const successCount = results.filter((r) => r.success).length;
     const failureCount = results.filter((r) => !r.success).length;
 
+    if (dryRun) {
+      return res.json({
+        success: failureCount === 0,
+        dry_run: true,
+        committed,
+        message: `Dry run: ${successCount} would succeed, ${failureCount} would fail`,
+        results,
+      });
+    }
+
+    // An atomic batch with any failure was rolled back as a whole
+    if (atomic && !committed) {
+      return res.status(400).json({
+        success: false,
+        atomic: true,
+        committed,
+        error: `Batch rolled back: ${failureCount} of ${results.length} failed, nothing was applied`,
+        results,
+      });
+    }
+
     res.json({
       success: true,
+      ...(atomic && { atomic: true, committed }),
       message: `Batch update completed: ${successCount} succeeded, ${failureCount} failed`,
       results,
     });
@@ -116,6 +154,59 @@ export async function batchUpdateOrders(req, res) {
   }
 }
 
+/**
+ * Preview or commit a CSV / XLSX import of orders
+ * POST /orders/import?format=csv|xlsx&commit=true&sheet=&map[Header]=field
+ */
+export async function importOrders(req, res) {
+  try {
+    const format = resolveFormat(req.query.format, req.body);
+    const rows = await readSpreadsheet(req.body, format, { sheet: req.query.sheet || null });
+    const commit = req.query.commit === 'true';
+    const report = await service.importOrders(rows, { commit, columnMap: req.query.map || {} });
+
+    res.status(commit && !report.committed ? 400 : 200).json({
+      success: report.summary.rows > 0 && report.summary.failed === 0,
+      dry_run: !commit,
+      message: describeImport(report, commit),
+      ...report,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Export orders matching the list query as CSV or XLSX
+ * GET /orders/export?format=csv|xlsx&<list query>
+ */
+export async function exportOrders(req, res) {
+  try {
+    let listQuery;
+    let format;
+    try {
+      listQuery = parseListQuery(req.query, service.ORDER_LIST_SPEC);
+      format = resolveFormat(req.query.format || SpreadsheetFormat.CSV);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const { columns, records } = await service.exportOrders(listQuery);
+    await sendSpreadsheet(res, { name: 'orders', format, columns, records });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Get order status formatted for LLM
  * GET /orders/status/llm
@@ -4,13 +4,20 @@
 
 import express from 'express';
 import * as controller from './controller.js';
+import { spreadsheetUpload } from '../../utils/spreadsheet.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /orders
- * @desc    Get all orders
+ * @desc    Get a page of orders with the total count and next cursor
  * @access  Public
+ * @query   order_id, status, stage, priority, customer_name, assigned_to - Optional filters
+ *          (comma-separated values match any)
+ * @query   from, to, date_field - Optional date range on updated_at (default) or created_at
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
  */
 router.get('/', controller.getAllOrders);
 
@@ -21,6 +28,14 @@ router.get('/', controller.getAllOrders);
  */
 router.get('/status/llm', controller.getOrderStatusForLLM);
 
+/**
+ * @route   GET /orders/export
+ * @desc    Download the orders matching the list query (see GET /orders) as a spreadsheet
+ * @access  Public
+ * @query   format - Optional: csv (default) or xlsx
+ */
+router.get('/export', controller.exportOrders);
+
 /**
  * @route   GET /orders/:id
  * @desc    Get a single order by order_id
@@ -40,9 +55,23 @@ router.post('/update', controller.updateOrder);
  * @route   POST /orders/batch
  * @desc    Batch update multiple orders
  * @access  Public
+ * @query   atomic - true to apply every update or none (also accepted in the body)
+ * @query   dryRun - true to validate and report a field-level diff per record without writing (also accepted in the body)
  * @body    { orders: [{ order_id, stage, ... }, ...] }
  */
 router.post('/batch', controller.batchUpdateOrders);
 
+/**
+ * @route   POST /orders/import
+ * @desc    Preview a CSV / XLSX order list with a validation report per row, or commit it
+ * @access  Public
+ * @query   commit - true to apply every row, only if all rows are valid (default: preview only)
+ * @query   format - Optional: csv or xlsx (detected from the file otherwise)
+ * @query   sheet - Optional XLSX worksheet name (defaults to the first sheet)
+ * @query   map[Header] - Optional: order field a column maps to, e.g. map[PO Number]=order_id
+ * @body    The CSV or XLSX file itself
+ */
+router.post('/import', spreadsheetUpload, controller.importOrders);
+
 export default router;
 
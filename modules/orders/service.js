@@ -4,6 +4,10 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import { runBatchTransaction, describeChange } from '../../utils/batch.js';
+import { findPage, findAll, selectFields } from '../../utils/listQuery.js';
+import { mapImportRows, runImport } from '../../utils/spreadsheet.js';
 
 const prisma = new PrismaClient();
 
@@ -12,6 +16,63 @@ const VALID_STAGES = ['Planning', 'Production', 'Quality', 'Packaging', 'Shippin
 const VALID_STATUSES = ['Active', 'OnHold', 'Completed', 'Cancelled'];
 const VALID_PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
 
+// Generated ID, timestamps and the priority rank derived from priority, left out of dry-run diffs
+const DIFF_IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'priority_rank'];
+
+// Sortable, filterable and selectable fields of GET /orders (see utils/listQuery.js)
+export const ORDER_LIST_SPEC = {
+  fields: {
+    order_id: 'string',
+    customer_name: 'string',
+    stage: 'string',
+    priority: 'string',
+    quantity: 'number',
+    materials: 'string',
+    eta: 'string',
+    status: 'string',
+    assigned_to: 'string',
+    created_at: 'date',
+    updated_at: 'date',
+  },
+  filters: {
+    order_id: {},
+    status: { values: VALID_STATUSES },
+    stage: { values: VALID_STAGES },
+    priority: { values: VALID_PRIORITIES },
+    customer_name: {},
+    assigned_to: {},
+  },
+  dateFields: ['updated_at', 'created_at'],
+  defaultSort: '-updated_at',
+  // Priority sorts by urgency (Low < Medium < High < Urgent), not alphabetically
+  sortColumns: { priority: 'priority_rank' },
+};
+
+// Columns POST /orders/import maps to order fields (see utils/spreadsheet.js)
+export const ORDER_IMPORT_SPEC = {
+  key: 'order_id',
+  columns: {
+    order_id: 'string',
+    customer_name: 'string',
+    stage: 'string',
+    priority: 'string',
+    quantity: 'int',
+    materials: 'string',
+    eta: 'string',
+    status: 'string',
+    assigned_to: 'string',
+  },
+  aliases: {
+    order: 'order_id',
+    order_no: 'order_id',
+    po_number: 'order_id',
+    customer: 'customer_name',
+    qty: 'quantity',
+    due_date: 'eta',
+    assignee: 'assigned_to',
+  },
+};
+
 /**
  * Get all orders
  * @returns {Promise<Array>} Array of all orders
@@ -29,6 +90,20 @@ export async function getAllOrders() {
   }
 }
 
+/**
+ * Get one page of orders
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of orders
+ */
+export async function listOrders({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.order, listQuery);
+    return { ...page, data: selectFields(page.data, fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch orders: ${error.message}`);
+  }
+}
+
 /**
  * Get a single order by order_id
  * @param {string} orderId - The order ID
@@ -47,60 +122,110 @@ export async function getOrder(orderId) {
   }
 }
 
+/**
+ * Check an update payload before it touches the database
+ * @param {Object} updateData - Data to update
+ */
+function validateOrderUpdate(updateData) {
+  // Validate stage if provided
+  if (updateData.stage && !VALID_STAGES.includes(updateData.stage)) {
+    throw new Error(
+      `Invalid stage: ${updateData.stage}. Must be one of: ${VALID_STAGES.join(', ')}`
+    );
+  }
+
+  // Validate status if provided
+  if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
+    throw new Error(
+      `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
+    );
+  }
+
+  // Validate priority if provided
+  if (updateData.priority && !VALID_PRIORITIES.includes(updateData.priority)) {
+    throw new Error(
+      `Invalid priority: ${updateData.priority}. Must be one of: ${VALID_PRIORITIES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Rank of a priority, stored as priority_rank so lists can sort by urgency
+ * @param {string} priority - One of VALID_PRIORITIES
+ * @returns {number} 1 (Low) to 4 (Urgent)
+ */
+function getPriorityRank(priority) {
+  return VALID_PRIORITIES.indexOf(priority) + 1;
+}
+
+/**
+ * Apply a validated update to an order inside a transaction, recording the OrderEvent
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId - The order ID
+ * @param {Object} updateData - Validated data to update
+ * @returns {Promise<{previous: Object|null, order: Object}>} Order before and after the update
+ */
+async function applyOrderUpdate(tx, orderId, updateData) {
+  // Ensure updated_at is set to current time
+  const dataToUpdate = {
+    ...updateData,
+    ...(updateData.priority && { priority_rank: getPriorityRank(updateData.priority) }),
+    updated_at: new Date(),
+  };
+
+  const existing = await tx.order.findUnique({
+    where: {
+      order_id: orderId,
+    },
+  });
+
+  const updated = await tx.order.upsert({
+    where: {
+      order_id: orderId,
+    },
+    update: dataToUpdate,
+    create: {
+      order_id: orderId,
+      customer_name: updateData.customer_name || null,
+      stage: updateData.stage || 'Planning',
+      priority: updateData.priority || 'Medium',
+      priority_rank: getPriorityRank(updateData.priority || 'Medium'),
+      quantity: updateData.quantity ?? 0,
+      materials: updateData.materials || null,
+      eta: updateData.eta || null,
+      status: updateData.status || 'Active',
+      assigned_to: updateData.assigned_to || null,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  await tx.orderEvent.create({
+    data: {
+      order_id: orderId,
+      previous_stage: existing ? existing.stage : null,
+      new_stage: updated.stage,
+      previous_status: existing ? existing.status : null,
+      new_status: updated.status,
+      created_at: updated.updated_at,
+    },
+  });
+
+  return { previous: existing, order: updated };
+}
+
 /**
  * Update or create an order
+ * Every update is recorded as an OrderEvent in the same transaction
  * @param {string} orderId - The order ID
  * @param {Object} updateData - Data to update
  * @returns {Promise<Object>} Updated order object
  */
 export async function updateOrder(orderId, updateData) {
   try {
-    // Validate stage if provided
-    if (updateData.stage && !VALID_STAGES.includes(updateData.stage)) {
-      throw new Error(
-        `Invalid stage: ${updateData.stage}. Must be one of: ${VALID_STAGES.join(', ')}`
-      );
-    }
+    validateOrderUpdate(updateData);
 
-    // Validate status if provided
-    if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
-      throw new Error(
-        `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
-      );
-    }
-
-    // Validate priority if provided
-    if (updateData.priority && !VALID_PRIORITIES.includes(updateData.priority)) {
-      throw new Error(
-        `Invalid priority: ${updateData.priority}. Must be one of: ${VALID_PRIORITIES.join(', ')}`
-      );
-    }
-
-    // Ensure updated_at is set to current time
-    const dataToUpdate = {
-      ...updateData,
-      updated_at: new Date(),
-    };
-
-    const order = await prisma.order.upsert({
-      where: {
-        order_id: orderId,
-      },
-      update: dataToUpdate,
-      create: {
-        order_id: orderId,
-        customer_name: updateData.customer_name || null,
-        stage: updateData.stage || 'Planning',
-        priority: updateData.priority || 'Medium',
-        quantity: updateData.quantity ?? 0,
-        materials: updateData.materials || null,
-        eta: updateData.eta || null,
-        status: updateData.status || 'Active',
-        assigned_to: updateData.assigned_to || null,
-        created_at: new Date(),
-        updated_at: new Date(),
-      },
-    });
+    const { order } = await prisma.$transaction((tx) => applyOrderUpdate(tx, orderId, updateData));
 
     return order;
   } catch (error) {
@@ -110,15 +235,45 @@ export async function updateOrder(orderId, updateData) {
 
 /**
  * Batch update multiple orders
+ * By default each order is updated on its own and failures do not stop the rest.
+ * atomic applies every update or none; dryRun reports a field-level diff per order
+ * without writing anything (see utils/batch.js).
  * @param {Array} ordersData - Array of order update objects
- * @returns {Promise<Array>} Array of update results
+ * @param {Object} options - Batch options
+ * @param {boolean} options.atomic - Apply every update or none
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @returns {Promise<{results: Array, committed: boolean}>} Per-order results and whether they were written
  */
-export async function batchUpdateOrders(ordersData) {
+export async function batchUpdateOrders(ordersData, { atomic = false, dryRun = false } = {}) {
   try {
     if (!Array.isArray(ordersData)) {
       throw new Error('Expected an array of orders');
     }
 
+    if (atomic || dryRun) {
+      return await runBatchTransaction(
+        prisma,
+        ordersData,
+        async (tx, orderData) => {
+          const orderId = orderData?.order_id;
+          if (!orderId) {
+            throw new Error('order_id is required');
+          }
+
+          try {
+            validateOrderUpdate(orderData);
+            const { previous, order } = await applyOrderUpdate(tx, orderId, orderData);
+            return dryRun
+              ? { order_id: orderId, ...describeChange(previous, order, DIFF_IGNORED_FIELDS) }
+              : { order };
+          } catch (error) {
+            throw new Error(`Failed to update order ${orderId}: ${error.message}`);
+          }
+        },
+        { idField: 'order_id', commit: !dryRun }
+      );
+    }
+
     const results = [];
 
     for (const orderData of ordersData) {
@@ -146,12 +301,67 @@ export async function batchUpdateOrders(ordersData) {
       }
     }
 
-    return results;
+    // Each successful update was committed on its own
+    return { results, committed: results.some((result) => result.success) };
   } catch (error) {
     throw new Error(`Failed to batch update orders: ${error.message}`);
   }
 }
 
+/**
+ * Preview or commit an order import
+ * @param {Array<Array<*>>} rows - Spreadsheet rows, header row first
+ * @param {Object} options - Import options
+ * @param {boolean} options.commit - Apply the orders (all or nothing) instead of only previewing them
+ * @param {Object} options.columnMap - Extra { header: field } column mappings
+ * @returns {Promise<Object>} Import report with one result per row (see runImport)
+ */
+export async function importOrders(rows, { commit = false, columnMap = {} } = {}) {
+  try {
+    const mapped = mapImportRows(rows, ORDER_IMPORT_SPEC, columnMap);
+    return await runImport(mapped, ORDER_IMPORT_SPEC, batchUpdateOrders, { commit });
+  } catch (error) {
+    throw new Error(`Failed to import orders: ${error.message}`);
+  }
+}
+
+/**
+ * Get every order matching a list query, for export
+ * @param {Object} listQuery - Parsed list query (see parseListQuery)
+ * @returns {Promise<{columns: Array<string>, records: Array}>} Exported columns and orders
+ */
+export async function exportOrders({ fields = null, ...listQuery }) {
+  try {
+    const orders = await findAll(prisma.order, listQuery);
+    return { columns: fields || Object.keys(ORDER_LIST_SPEC.fields), records: orders };
+  } catch (error) {
+    throw new Error(`Failed to export orders: ${error.message}`);
+  }
+}
+
+/**
+ * Get orders that changed stage in a time range
+ * @param {Object} range - Time range
+ * @param {Date|null} range.from - Range start
+ * @param {Date|null} range.to - Range end
+ * @returns {Promise<Array>} Stage-change OrderEvents (oldest first); previous_stage is null for new orders
+ */
+export async function getStageChanges({ from = null, to = null } = {}) {
+  try {
+    const events = await prisma.orderEvent.findMany({
+      where: {
+        created_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        created_at: 'asc',
+      },
+    });
+    return events.filter((event) => event.previous_stage !== event.new_stage);
+  } catch (error) {
+    throw new Error(`Failed to fetch order stage changes: ${error.message}`);
+  }
+}
+
 /**
  * Parse order message (used for WhatsApp updates)
  * @param {string} message - Order update message
@@ -0,0 +1,252 @@
+/**
+ * Controller layer for Permits to Work
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { parseListQuery } from '../../utils/listQuery.js';
+
+/**
+ * Get a page of permits
+ * GET /permits?status=&type=&area=&machine_id=&from=&to=&sort=&limit=&cursor=&fields=
+ */
+export async function getPermits(req, res) {
+  try {
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, service.PERMIT_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await service.listPermits(listQuery);
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get active permits
+ * GET /permits/active?area=&machine_id=
+ */
+export async function getActivePermits(req, res) {
+  try {
+    const permits = await service.getActivePermits({
+      areaName: req.query.area || null,
+      machineId: req.query.machine_id || null,
+    });
+    res.json({
+      success: true,
+      count: permits.length,
+      data: permits,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a permit
+ * GET /permits/:id
+ */
+export async function getPermit(req, res) {
+  try {
+    const { id } = req.params;
+    const permit = await service.getPermit(id);
+
+    if (!permit) {
+      return res.status(404).json({
+        success: false,
+        error: `Permit "${id}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Request a permit
+ * POST /permits
+ */
+export async function requestPermit(req, res) {
+  try {
+    const permit = await service.requestPermit(req.body);
+
+    res.json({
+      success: true,
+      message: `Permit ${permit.permit_id} requested for ${permit.area_name}`,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Approve a requested permit
+ * POST /permits/approve
+ */
+export async function approvePermit(req, res) {
+  try {
+    const { permit_id, approved_by, role, notes } = req.body;
+
+    if (!permit_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'permit_id is required',
+      });
+    }
+
+    const permit = await service.decidePermit(permit_id, { approve: true, by: approved_by, role, notes });
+
+    res.json({
+      success: true,
+      message: `Permit ${permit_id} approved by ${permit.approved_by} (${permit.approver_role})`,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reject a requested permit
+ * POST /permits/reject
+ */
+export async function rejectPermit(req, res) {
+  try {
+    const { permit_id, rejected_by, role, notes } = req.body;
+
+    if (!permit_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'permit_id is required',
+      });
+    }
+
+    const permit = await service.decidePermit(permit_id, { approve: false, by: rejected_by, role, notes });
+
+    res.json({
+      success: true,
+      message: `Permit ${permit_id} rejected by ${permit.approved_by} (${permit.approver_role})`,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Activate an approved permit
+ * POST /permits/activate
+ */
+export async function activatePermit(req, res) {
+  try {
+    const { permit_id, activated_by } = req.body;
+
+    if (!permit_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'permit_id is required',
+      });
+    }
+
+    const permit = await service.activatePermit(permit_id, { activated_by });
+
+    res.json({
+      success: true,
+      message: `Permit ${permit_id} active until ${permit.valid_to.toISOString()}`,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Close an active permit
+ * POST /permits/close
+ */
+export async function closePermit(req, res) {
+  try {
+    const { permit_id, closed_by, closure_notes } = req.body;
+
+    if (!permit_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'permit_id is required',
+      });
+    }
+
+    const permit = await service.closePermit(permit_id, { closed_by, closure_notes });
+
+    res.json({
+      success: true,
+      message: `Permit ${permit_id} closed by ${permit.closed_by}`,
+      data: permit,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Check active permits for expiry now
+ * POST /permits/check
+ */
+export async function runPermitExpiryCheck(req, res) {
+  try {
+    const result = await service.runPermitExpiryCheck();
+
+    res.json({
+      success: true,
+      message: `${result.warnings.length} expired permit(s) found`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
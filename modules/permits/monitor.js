@@ -0,0 +1,44 @@
+/**
+ * Background job for permit expiry
+ * Periodically checks active permits for work past their validity (see runPermitExpiryCheck) and logs each warning
+ */
+
+import config from '../../config.js';
+import { runPermitExpiryCheck } from './service.js';
+
+let timer = null;
+
+/**
+ * Start the permit expiry monitor
+ * Does nothing when PERMIT_CHECK_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the monitor was started
+ */
+export function startPermitMonitor() {
+  const minutes = config.permits.checkIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await runPermitExpiryCheck();
+      for (const warning of result.warnings) {
+        console.warn(`📝 ${warning.message}`);
+      }
+    } catch (error) {
+      console.error('Permit expiry check error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the permit expiry monitor
+ */
+export function stopPermitMonitor() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Routes for Permit to Work Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /permits
+ * @desc    Get a page of permits with their hazards, controls and expired flag
+ * @access  Public
+ * @query   status, type, area, zone, machine_id, requested_by - Optional filters
+ *          (comma-separated values match any)
+ * @query   from, to - Optional requested_at date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
+ */
+router.get('/', controller.getPermits);
+
+/**
+ * @route   GET /permits/active
+ * @desc    Get active permits, soonest to expire first (expired: true once past valid_to)
+ * @access  Public
+ * @query   area, machine_id - Optional filters
+ */
+router.get('/active', controller.getActivePermits);
+
+/**
+ * @route   GET /permits/:id
+ * @desc    Get a permit
+ * @access  Public
+ */
+router.get('/:id', controller.getPermit);
+
+/**
+ * @route   POST /permits
+ * @desc    Request a permit to work (PPE is the area's required PPE plus ppe_required)
+ * @access  Public
+ * @body    { type: "HotWork" | "ConfinedSpace" | "ElectricalIsolation", area_name, machine_id?, description,
+ *            hazards: [...], controls: [...], ppe_required?, requested_by, valid_from?, valid_to }
+ */
+router.post('/', controller.requestPermit);
+
+/**
+ * @route   POST /permits/approve
+ * @desc    Approve a requested permit under one of its type's approver roles
+ * @access  Public
+ * @body    { permit_id, approved_by, role, notes? }
+ */
+router.post('/approve', controller.approvePermit);
+
+/**
+ * @route   POST /permits/reject
+ * @desc    Reject a requested permit under one of its type's approver roles
+ * @access  Public
+ * @body    { permit_id, rejected_by, role, notes? }
+ */
+router.post('/reject', controller.rejectPermit);
+
+/**
+ * @route   POST /permits/activate
+ * @desc    Activate an approved permit when work starts (only within valid_from - valid_to)
+ * @access  Public
+ * @body    { permit_id, activated_by }
+ */
+router.post('/activate', controller.activatePermit);
+
+/**
+ * @route   POST /permits/close
+ * @desc    Close an active permit when the work is done
+ * @access  Public
+ * @body    { permit_id, closed_by, closure_notes? }
+ */
+router.post('/close', controller.closePermit);
+
+/**
+ * @route   POST /permits/check
+ * @desc    Check active permits now and raise warnings for the ones past their validity
+ * @access  Public
+ */
+router.post('/check', controller.runPermitExpiryCheck);
+
+export default router;
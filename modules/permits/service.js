@@ -0,0 +1,542 @@
+/**
+ * Service layer for Permits to Work
+ * Hazardous jobs (hot work, confined-space entry, electrical isolation) need a permit for a
+ * safety area and optionally a machine. A permit is requested with its hazards, controls and
+ * PPE, approved under one of its type's approver roles, activated when work starts within its
+ * validity and closed when the work is done. Work past a permit's validity raises a safety warning.
+ *
+ * Machines and safety areas are read through Prisma directly: the machine and safety services
+ * call into this module, so importing them here would be circular.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { MachineStatus } from '../shop-floor/model.js';
+import { parsePpeList } from '../safety/utils.js';
+import { findPage, selectFields } from '../../utils/listQuery.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+export const PermitStatus = {
+  REQUESTED: 'Requested',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  ACTIVE: 'Active',
+  CLOSED: 'Closed',
+};
+
+/**
+ * Permit types and the roles that may approve them
+ * Approval is recorded with the approver's role, as machine status transitions are (ROLE=...).
+ */
+export const PERMIT_TYPES = {
+  HotWork: { approverRoles: ['Supervisor', 'SafetyOfficer'] },
+  ConfinedSpace: { approverRoles: ['SafetyOfficer'] },
+  ElectricalIsolation: { approverRoles: ['Supervisor', 'Electrician'] },
+};
+
+export const VALID_PERMIT_TYPES = Object.keys(PERMIT_TYPES);
+export const VALID_PERMIT_STATUSES = Object.values(PermitStatus);
+
+// Area status set when work goes on under an expired permit
+const WARNING_AREA_STATUS = 'Warning';
+
+// Sortable, filterable and selectable fields of GET /permits (see utils/listQuery.js)
+export const PERMIT_LIST_SPEC = {
+  fields: {
+    permit_id: 'string',
+    type: 'string',
+    area_name: 'string',
+    zone: 'string',
+    machine_id: 'string',
+    description: 'string',
+    ppe_required: 'string',
+    status: 'string',
+    requested_by: 'string',
+    approved_by: 'string',
+    approver_role: 'string',
+    activated_by: 'string',
+    closed_by: 'string',
+    requested_at: 'date',
+    valid_from: 'date',
+    valid_to: 'date',
+    approved_at: 'date',
+    activated_at: 'date',
+    closed_at: 'date',
+  },
+  computedFields: ['hazards', 'controls', 'expired'],
+  filters: {
+    area: { field: 'area_name' },
+    area_name: {},
+    zone: {},
+    machine_id: {},
+    type: { values: VALID_PERMIT_TYPES },
+    status: { values: VALID_PERMIT_STATUSES },
+    requested_by: {},
+  },
+  dateFields: ['requested_at', 'valid_from', 'valid_to', 'closed_at'],
+  defaultSort: '-requested_at',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse a JSON list column
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Parsed list (empty if missing or malformed)
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Whether a permit's work is past its validity
+ * @param {Object} permit - WorkPermit row
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True for an approved or active permit past valid_to
+ */
+function isExpired(permit, now) {
+  return [PermitStatus.APPROVED, PermitStatus.ACTIVE].includes(permit.status) && permit.valid_to < now;
+}
+
+/**
+ * Format a permit row for API output
+ * @param {Object} permit - WorkPermit row
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Permit with hazards and controls parsed and an expired flag
+ */
+function formatPermit(permit, now = new Date()) {
+  return {
+    ...permit,
+    hazards: parseList(permit.hazards),
+    controls: parseList(permit.controls),
+    expired: isExpired(permit, now),
+  };
+}
+
+/**
+ * Check a list of hazards or controls
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for the error message
+ * @returns {Array<string>} Trimmed items
+ */
+function validateList(value, name) {
+  const valid =
+    Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item.trim());
+  if (!valid) {
+    throw new Error(`${name} must be a non-empty array of descriptions`);
+  }
+  return value.map((item) => item.trim());
+}
+
+/**
+ * Parse a date field
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for the error message
+ * @returns {Date} Parsed date
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Find a permit in an expected status
+ * @param {string} permitId - The permit ID
+ * @param {string} status - Status the permit must be in
+ * @param {string} action - Action for the error message
+ * @returns {Promise<Object>} Permit row
+ */
+async function findPermitIn(permitId, status, action) {
+  const permit = await prisma.workPermit.findUnique({
+    where: { permit_id: permitId },
+  });
+  if (!permit) {
+    throw new Error('Permit not found');
+  }
+  if (permit.status !== status) {
+    throw new Error(`Only a ${status} permit can be ${action} (it is ${permit.status})`);
+  }
+  return permit;
+}
+
+/**
+ * Request a permit to work
+ * The permit's PPE is the area's required PPE plus any extra items the job needs.
+ * @param {Object} data - Permit data
+ * @param {string} data.type - One of PERMIT_TYPES
+ * @param {string} data.area_name - Safety area of the work
+ * @param {string} data.machine_id - Optional machine worked on
+ * @param {string} data.description - Work to be done
+ * @param {Array<string>} data.hazards - Hazards of the job
+ * @param {Array<string>} data.controls - Control measures
+ * @param {string|Array<string>} data.ppe_required - Optional PPE in addition to the area's
+ * @param {string} data.requested_by - Who requests the permit
+ * @param {string} data.valid_from - Optional start of validity (defaults to now)
+ * @param {string} data.valid_to - End of validity (at most PERMIT_MAX_VALIDITY_HOURS after valid_from)
+ * @returns {Promise<Object>} Requested permit
+ */
+export async function requestPermit(data) {
+  try {
+    if (!VALID_PERMIT_TYPES.includes(data.type)) {
+      throw new Error(`Invalid type: ${data.type}. Must be one of: ${VALID_PERMIT_TYPES.join(', ')}`);
+    }
+    if (!data.area_name || !data.description || !data.requested_by) {
+      throw new Error('area_name, description and requested_by are required');
+    }
+
+    const hazards = validateList(data.hazards, 'hazards');
+    const controls = validateList(data.controls, 'controls');
+
+    const validFrom = data.valid_from ? parseDate(data.valid_from, 'valid_from') : new Date();
+    const validTo = parseDate(data.valid_to, 'valid_to');
+    if (validTo <= validFrom) {
+      throw new Error('valid_to must be after valid_from');
+    }
+    if (validTo - validFrom > config.permits.maxValidityHours * HOUR_MS) {
+      throw new Error(`A permit can be valid for at most ${config.permits.maxValidityHours} hours`);
+    }
+
+    const area = await prisma.safetyArea.findUnique({
+      where: { area_name: data.area_name },
+    });
+    if (!area) {
+      throw new Error(`Safety area "${data.area_name}" not found`);
+    }
+
+    if (data.machine_id) {
+      const machine = await prisma.machine.findUnique({
+        where: { machine_id: data.machine_id },
+      });
+      if (!machine) {
+        throw new Error(`Machine with ID ${data.machine_id} not found`);
+      }
+    }
+
+    const ppe = [];
+    for (const item of [...parsePpeList(area.ppe_required), ...parsePpeList(data.ppe_required)]) {
+      if (!ppe.some((existing) => existing.toLowerCase() === item.toLowerCase())) {
+        ppe.push(item);
+      }
+    }
+
+    const permit = await withSequenceRetry('permit_id', async () =>
+      prisma.workPermit.create({
+        data: {
+          permit_id: await nextSequenceId(prisma.workPermit, 'permit_id', 'PTW'),
+          type: data.type,
+          area_name: area.area_name,
+          zone: area.zone,
+          machine_id: data.machine_id || null,
+          description: data.description,
+          hazards: JSON.stringify(hazards),
+          controls: JSON.stringify(controls),
+          ppe_required: ppe.join(','),
+          status: PermitStatus.REQUESTED,
+          requested_by: data.requested_by,
+          requested_at: new Date(),
+          valid_from: validFrom,
+          valid_to: validTo,
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      })
+    );
+
+    return formatPermit(permit);
+  } catch (error) {
+    throw new Error(`Failed to request permit: ${error.message}`);
+  }
+}
+
+/**
+ * Approve or reject a requested permit
+ * The decision must be made under one of the permit type's approver roles, by someone
+ * other than the requester.
+ * @param {string} permitId - The permit ID
+ * @param {Object} decision - Decision details
+ * @param {boolean} decision.approve - Approve (true) or reject (false)
+ * @param {string} decision.by - Approver
+ * @param {string} decision.role - Role the decision is made under
+ * @param {string} decision.notes - Optional notes (the reason for a rejection)
+ * @returns {Promise<Object>} Approved or rejected permit
+ */
+export async function decidePermit(permitId, { approve, by = null, role = null, notes = null }) {
+  const action = approve ? 'approve' : 'reject';
+  try {
+    if (!by || !role) {
+      throw new Error(`${approve ? 'approved_by' : 'rejected_by'} and role are required`);
+    }
+
+    const permit = await findPermitIn(permitId, PermitStatus.REQUESTED, approve ? 'approved' : 'rejected');
+
+    const { approverRoles } = PERMIT_TYPES[permit.type];
+    if (!approverRoles.includes(role)) {
+      throw new Error(`A ${permit.type} permit can only be ${approve ? 'approved' : 'rejected'} by: ${approverRoles.join(', ')}`);
+    }
+    if (by === permit.requested_by) {
+      throw new Error(`A permit cannot be ${approve ? 'approved' : 'rejected'} by the person who requested it`);
+    }
+    if (approve && permit.valid_to < new Date()) {
+      throw new Error(`Permit validity ended ${permit.valid_to.toISOString()}; request a new permit`);
+    }
+
+    const now = new Date();
+    const updated = await prisma.workPermit.update({
+      where: { permit_id: permitId },
+      data: {
+        status: approve ? PermitStatus.APPROVED : PermitStatus.REJECTED,
+        approved_by: by,
+        approver_role: role,
+        approved_at: now,
+        decision_notes: notes,
+        updated_at: now,
+      },
+    });
+
+    return formatPermit(updated, now);
+  } catch (error) {
+    throw new Error(`Failed to ${action} permit ${permitId}: ${error.message}`);
+  }
+}
+
+/**
+ * Activate an approved permit when work starts
+ * @param {string} permitId - The permit ID
+ * @param {Object} activation - Activation details
+ * @param {string} activation.activated_by - Who starts the work
+ * @returns {Promise<Object>} Active permit
+ */
+export async function activatePermit(permitId, { activated_by = null } = {}) {
+  try {
+    if (!activated_by) {
+      throw new Error('activated_by is required');
+    }
+
+    const permit = await findPermitIn(permitId, PermitStatus.APPROVED, 'activated');
+    const now = new Date();
+    if (now < permit.valid_from) {
+      throw new Error(`Permit is not valid before ${permit.valid_from.toISOString()}`);
+    }
+    if (now > permit.valid_to) {
+      throw new Error(`Permit expired ${permit.valid_to.toISOString()}; request a new permit`);
+    }
+
+    const updated = await prisma.workPermit.update({
+      where: { permit_id: permitId },
+      data: {
+        status: PermitStatus.ACTIVE,
+        activated_by,
+        activated_at: now,
+        updated_at: now,
+      },
+    });
+
+    return formatPermit(updated, now);
+  } catch (error) {
+    throw new Error(`Failed to activate permit ${permitId}: ${error.message}`);
+  }
+}
+
+/**
+ * Close an active permit when the work is done
+ * @param {string} permitId - The permit ID
+ * @param {Object} closure - Closure details
+ * @param {string} closure.closed_by - Who closes the permit
+ * @param {string} closure.closure_notes - Optional notes (e.g. area left safe)
+ * @returns {Promise<Object>} Closed permit
+ */
+export async function closePermit(permitId, { closed_by = null, closure_notes = null } = {}) {
+  try {
+    if (!closed_by) {
+      throw new Error('closed_by is required');
+    }
+
+    await findPermitIn(permitId, PermitStatus.ACTIVE, 'closed');
+    const now = new Date();
+    const updated = await prisma.workPermit.update({
+      where: { permit_id: permitId },
+      data: {
+        status: PermitStatus.CLOSED,
+        closed_by,
+        closed_at: now,
+        closure_notes,
+        updated_at: now,
+      },
+    });
+
+    return formatPermit(updated, now);
+  } catch (error) {
+    throw new Error(`Failed to close permit ${permitId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of permits
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of permits
+ */
+export async function listPermits({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.workPermit, listQuery);
+    const now = new Date();
+    return { ...page, data: selectFields(page.data.map((permit) => formatPermit(permit, now)), fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch permits: ${error.message}`);
+  }
+}
+
+/**
+ * Get a permit
+ * @param {string} permitId - The permit ID
+ * @returns {Promise<Object|null>} Permit or null if not found
+ */
+export async function getPermit(permitId) {
+  try {
+    const permit = await prisma.workPermit.findUnique({
+      where: { permit_id: permitId },
+    });
+    return permit ? formatPermit(permit) : null;
+  } catch (error) {
+    throw new Error(`Failed to fetch permit ${permitId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get active permits (including ones past their validity that were never closed)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.areaName - Only permits of this area
+ * @param {string} filters.machineId - Only permits of this machine
+ * @returns {Promise<Array>} Active permits, soonest to expire first
+ */
+export async function getActivePermits({ areaName = null, machineId = null } = {}) {
+  try {
+    const permits = await prisma.workPermit.findMany({
+      where: {
+        status: PermitStatus.ACTIVE,
+        ...(areaName && { area_name: areaName }),
+        ...(machineId && { machine_id: machineId }),
+      },
+      orderBy: { valid_to: 'asc' },
+    });
+    const now = new Date();
+    return permits.map((permit) => formatPermit(permit, now));
+  } catch (error) {
+    throw new Error(`Failed to fetch active permits: ${error.message}`);
+  }
+}
+
+/**
+ * Raise the safety warning for work under an expired permit
+ * Sets the permit's area to Warning (unless it is already in a worse state) and marks the
+ * permit as warned, so the warning is raised once per permit.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} permit - WorkPermit row
+ * @param {Date} now - Time of the warning
+ */
+async function raiseExpiryWarning(client, permit, now) {
+  const area = await client.safetyArea.findUnique({
+    where: { area_name: permit.area_name },
+  });
+  if (area && area.status === 'Safe') {
+    await client.safetyArea.update({
+      where: { area_name: permit.area_name },
+      data: { status: WARNING_AREA_STATUS },
+    });
+  }
+
+  await client.workPermit.update({
+    where: { permit_id: permit.permit_id },
+    data: { expiry_warned_at: now },
+  });
+}
+
+/**
+ * Check that a machine being started is not worked on under an expired permit
+ * Runs when a machine moves to Running. A permit covers the machine if it names the machine,
+ * or if it names no machine and is for the machine's safety zone. If the covering approved or
+ * active permits are all past their validity and none is still valid, the start goes ahead with
+ * a warning that is recorded on the machine event, and the permits' areas are set to Warning.
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} machineId - The machine ID
+ * @param {Object|null} existing - Machine before the update
+ * @param {Object} updateData - Validated update data
+ * @returns {Promise<string|null>} Warning or null if no permit has expired
+ */
+export async function checkMachinePermit(client, machineId, existing, updateData) {
+  const starting = updateData.status === MachineStatus.RUNNING && existing?.status !== MachineStatus.RUNNING;
+  if (!starting) {
+    return null;
+  }
+
+  const zone = updateData.safety_zone !== undefined ? updateData.safety_zone : existing?.safety_zone;
+  const permits = await client.workPermit.findMany({
+    where: {
+      OR: [{ machine_id: machineId }, ...(zone ? [{ machine_id: null, zone }] : [])],
+      status: { in: [PermitStatus.APPROVED, PermitStatus.ACTIVE] },
+    },
+  });
+
+  const now = new Date();
+  const expired = permits.filter((permit) => isExpired(permit, now));
+  const valid = permits.some((permit) => permit.status === PermitStatus.ACTIVE && !isExpired(permit, now));
+  if (expired.length === 0 || valid) {
+    return null;
+  }
+
+  for (const permit of expired) {
+    await raiseExpiryWarning(client, permit, now);
+  }
+
+  return `Machine ${machineId} started under expired permit(s): ${expired
+    .map((permit) => `${permit.permit_id} (${permit.type}, ${permit.area_name}) expired ${permit.valid_to.toISOString()}`)
+    .join(', ')}`;
+}
+
+/**
+ * Raise a safety warning for every active permit whose work has run past its validity
+ * Each permit is warned once.
+ * @returns {Promise<Object>} Active permits checked and warnings raised
+ */
+export async function runPermitExpiryCheck() {
+  try {
+    const now = new Date();
+    const permits = await prisma.workPermit.findMany({
+      where: {
+        status: PermitStatus.ACTIVE,
+        valid_to: { lt: now },
+        expiry_warned_at: null,
+      },
+    });
+
+    const warnings = [];
+    for (const permit of permits) {
+      await prisma.$transaction((tx) => raiseExpiryWarning(tx, permit, now));
+      warnings.push({
+        ...formatPermit({ ...permit, expiry_warned_at: now }, now),
+        message: `Permit ${permit.permit_id} (${permit.type}) in ${permit.area_name} expired ${permit.valid_to.toISOString()} and is still active`,
+      });
+    }
+
+    return {
+      checked: permits.length,
+      warnings,
+      run_at: now.toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to check permit expiry: ${error.message}`);
+  }
+}
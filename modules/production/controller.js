@@ -0,0 +1,125 @@
+/**
+ * Controller layer for the Production Count ledger
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { VALID_GRANULARITIES } from './utils.js';
+import { isValidTimeZone } from '../shifts/utils.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Get ledger entries
+ * GET /production/counts?machine_id=&type=&from=&to=
+ */
+export async function getProductionCounts(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const entries = await service.getProductionCounts({
+      machineId: req.query.machine_id || null,
+      entryType: req.query.type || null,
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Post produced units (good/scrap) directly to the ledger
+ * POST /production/counts
+ */
+export async function postDelta(req, res) {
+  try {
+    if (!req.body.machine_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'machine_id is required',
+      });
+    }
+
+    const entry = await service.postDelta(req.body);
+
+    res.json({
+      success: true,
+      message: `Posted ${entry.quantity} unit(s) for machine ${entry.machine_id}`,
+      data: entry,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get production aggregated per hour, shift or day
+ * GET /production/summary?granularity=hour|shift|day&machine_id=&line=&from=&to=&plant=&timezone=
+ */
+export async function getProductionSummary(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const granularity = req.query.granularity || 'hour';
+    if (!VALID_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`,
+      });
+    }
+
+    if (req.query.timezone && !isValidTimeZone(req.query.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${req.query.timezone}`,
+      });
+    }
+
+    const summary = await service.getProductionSummary({
+      granularity,
+      machineId: req.query.machine_id || null,
+      line: req.query.line || null,
+      ...(req.query.plant && { plant: req.query.plant }),
+      ...(req.query.timezone && { timeZone: req.query.timezone }),
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      count: summary.buckets.length,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
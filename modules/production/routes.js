@@ -0,0 +1,35 @@
+/**
+ * Routes for Production Count Ledger Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /production/counts
+ * @desc    Get production ledger entries (counter readings and delta postings)
+ * @access  Public
+ * @query   machine_id, type ('Reading' | 'Delta'), from, to
+ */
+router.get('/counts', controller.getProductionCounts);
+
+/**
+ * @route   POST /production/counts
+ * @desc    Post produced units directly to the ledger (counter readings come in through /machines/update)
+ * @access  Public
+ * @body    { machine_id, good, scrap, recorded_at, operator, notes }
+ */
+router.post('/counts', controller.postDelta);
+
+/**
+ * @route   GET /production/summary
+ * @desc    Production (total/good/scrap) per hour, shift or day, with a per-machine breakdown
+ * @access  Public
+ * @query   granularity ('hour' | 'shift' | 'day', default 'hour'), machine_id, line,
+ *          from, to (default last 24 hours), plant (shift granularity), timezone (default PLANT_TIMEZONE)
+ */
+router.get('/summary', controller.getProductionSummary);
+
+export default router;
@@ -0,0 +1,293 @@
+/**
+ * Service layer for the Production Count ledger
+ * Every produced unit is recorded as a ledger entry, either derived from a
+ * cumulative counter reading (sent with a machine update) or posted as a delta.
+ * Output figures in OEE and reports are sums over this ledger.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { EventSource } from '../shop-floor/model.js';
+import * as shiftService from '../shifts/service.js';
+import { isValidTimeZone } from '../shifts/utils.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import {
+  computeCounterDelta,
+  bucketProductionCounts,
+  sumProductionCounts,
+  Granularity,
+  VALID_GRANULARITIES,
+} from './utils.js';
+
+const prisma = new PrismaClient();
+
+// Ledger entry types
+const ENTRY_TYPE_READING = 'Reading';
+const ENTRY_TYPE_DELTA = 'Delta';
+
+const DEFAULT_SUMMARY_HOURS = 24;
+
+/**
+ * Check that a count is a non-negative whole number
+ * @param {*} value - Count
+ * @param {string} name - Field name for the error message
+ */
+function assertCount(value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid ${name}: must be a non-negative whole number`);
+  }
+}
+
+/**
+ * Last reading of a counter on a machine
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} machineId - The machine ID
+ * @param {string} field - "output_reading" or "scrap_reading"
+ * @returns {Promise<number|null>} Last reading or null if the counter was never read
+ */
+async function getLastReading(client, machineId, field) {
+  const entry = await client.productionCount.findFirst({
+    where: {
+      machine_id: machineId,
+      [field]: { not: null },
+    },
+    orderBy: {
+      recorded_at: 'desc',
+    },
+  });
+  return entry ? entry[field] : null;
+}
+
+/**
+ * Record cumulative counter readings from a machine update
+ * Called by the shop-floor service inside the machine update transaction.
+ * The first reading of a counter is stored as a baseline; later readings add
+ * the increase since the previous one, allowing for resets and rollovers.
+ * Readings that add nothing are not stored.
+ *
+ * @param {Object} client - Prisma transaction client
+ * @param {Object} reading - Counter reading
+ * @param {Object} reading.machine - Machine row after the update (needs counter_max)
+ * @param {number|undefined} reading.output - Cumulative output counter, if sent
+ * @param {number|undefined} reading.scrap - Cumulative scrap counter, if sent
+ * @param {string} reading.source - Update source
+ * @returns {Promise<Object|null>} The ledger entry, if one was written
+ */
+export async function recordCounterReading(client, { machine, output, scrap, source }) {
+  const hasOutput = output !== undefined && output !== null;
+  const hasScrap = scrap !== undefined && scrap !== null;
+  if (!hasOutput && !hasScrap) {
+    return null;
+  }
+
+  const outputChange = hasOutput
+    ? computeCounterDelta(await getLastReading(client, machine.machine_id, 'output_reading'), output, machine.counter_max)
+    : { delta: 0, event: null };
+  const scrapChange = hasScrap
+    ? computeCounterDelta(await getLastReading(client, machine.machine_id, 'scrap_reading'), scrap, machine.counter_max)
+    : { delta: 0, event: null };
+
+  const counterEvent = outputChange.event || scrapChange.event;
+  if (outputChange.delta === 0 && scrapChange.delta === 0 && !counterEvent) {
+    return null;
+  }
+
+  return client.productionCount.create({
+    data: {
+      machine_id: machine.machine_id,
+      entry_type: ENTRY_TYPE_READING,
+      quantity: outputChange.delta,
+      scrap: scrapChange.delta,
+      output_reading: hasOutput ? output : null,
+      scrap_reading: hasScrap ? scrap : null,
+      counter_event: counterEvent,
+      operator: machine.operator ?? null,
+      source,
+      recorded_at: machine.last_updated,
+    },
+  });
+}
+
+/**
+ * Post produced units directly to the ledger
+ * @param {Object} data - Delta posting
+ * @param {string} data.machine_id - The machine ID
+ * @param {number} data.good - Good units
+ * @param {number} data.scrap - Scrap units
+ * @param {string} [data.recorded_at] - When the units were produced (defaults to now)
+ * @param {string} [data.operator] - Operator who produced them
+ * @param {string} [data.notes] - Free-text notes
+ * @param {Object} options - Posting options
+ * @param {string} options.source - Where the posting came from (see EventSource), defaults to REST
+ * @returns {Promise<Object>} Created ledger entry
+ */
+export async function postDelta(data, options = {}) {
+  try {
+    const good = data.good ?? 0;
+    const scrap = data.scrap ?? 0;
+    assertCount(good, 'good');
+    assertCount(scrap, 'scrap');
+    if (good + scrap === 0) {
+      throw new Error('A delta posting needs good or scrap units');
+    }
+
+    const recordedAt = data.recorded_at ? new Date(data.recorded_at) : new Date();
+    if (Number.isNaN(recordedAt.getTime())) {
+      throw new Error(`Invalid recorded_at: ${data.recorded_at}`);
+    }
+
+    const machine = await prisma.machine.findUnique({
+      where: {
+        machine_id: data.machine_id,
+      },
+    });
+    if (!machine) {
+      throw new Error(`Machine ${data.machine_id} not found`);
+    }
+
+    return await prisma.productionCount.create({
+      data: {
+        machine_id: machine.machine_id,
+        entry_type: ENTRY_TYPE_DELTA,
+        quantity: good + scrap,
+        scrap,
+        operator: data.operator ?? machine.operator ?? null,
+        notes: data.notes ?? null,
+        source: options.source || EventSource.REST,
+        recorded_at: recordedAt,
+      },
+    });
+  } catch (error) {
+    throw new Error(`Failed to post production for machine ${data.machine_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Get ledger entries
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only entries of this machine
+ * @param {string} filters.entryType - Only "Reading" or "Delta" entries
+ * @param {Date|null} filters.from - Only entries recorded at or after this time
+ * @param {Date|null} filters.to - Only entries recorded at or before this time
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function getProductionCounts({ machineId = null, entryType = null, from = null, to = null } = {}) {
+  try {
+    if (entryType && ![ENTRY_TYPE_READING, ENTRY_TYPE_DELTA].includes(entryType)) {
+      throw new Error(`Invalid type: ${entryType}. Must be one of: ${ENTRY_TYPE_READING}, ${ENTRY_TYPE_DELTA}`);
+    }
+
+    const entries = await prisma.productionCount.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(entryType && { entry_type: entryType }),
+        recorded_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        recorded_at: 'desc',
+      },
+    });
+    return entries;
+  } catch (error) {
+    throw new Error(`Failed to fetch production counts: ${error.message}`);
+  }
+}
+
+/**
+ * Total units a machine produced in a window
+ * @param {string} machineId - The machine ID
+ * @param {{from: Date, to: Date}} window - Window
+ * @returns {Promise<{total: number, good: number, scrap: number}>} Totals
+ */
+export async function getProductionTotals(machineId, { from = null, to = null } = {}) {
+  try {
+    const entries = await prisma.productionCount.findMany({
+      where: {
+        machine_id: machineId,
+        recorded_at: toPrismaDateFilter({ from, to }),
+      },
+    });
+    return sumProductionCounts(entries);
+  } catch (error) {
+    throw new Error(`Failed to total production for machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Aggregate the ledger into hour, shift or day buckets
+ * @param {Object} options - Summary options
+ * @param {string} options.granularity - "hour", "shift" or "day"
+ * @param {string} options.machineId - Only this machine
+ * @param {string} options.line - Only machines on this line
+ * @param {Date|null} options.from - Window start (defaults to 24 hours before "to")
+ * @param {Date|null} options.to - Window end (defaults to now)
+ * @param {string} options.plant - Plant whose shifts are used (shift granularity)
+ * @param {string} options.timeZone - Timezone for hour and day boundaries (defaults to the plant timezone)
+ * @returns {Promise<Object>} { granularity, from, to, timezone, totals, buckets }
+ */
+export async function getProductionSummary({
+  granularity = Granularity.HOUR,
+  machineId = null,
+  line = null,
+  from = null,
+  to = null,
+  plant = config.plant.defaultCode,
+  timeZone = config.plant.timezone,
+} = {}) {
+  try {
+    if (!VALID_GRANULARITIES.includes(granularity)) {
+      throw new Error(
+        `Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`
+      );
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+
+    const windowEnd = to || new Date();
+    const windowStart = from || new Date(windowEnd.getTime() - DEFAULT_SUMMARY_HOURS * 60 * 60 * 1000);
+
+    let machineIds = null;
+    if (line) {
+      const machines = await prisma.machine.findMany({
+        where: { line },
+        select: { machine_id: true },
+      });
+      machineIds = machines
+        .map((machine) => machine.machine_id)
+        .filter((id) => !machineId || id === machineId);
+    }
+
+    const entries = await prisma.productionCount.findMany({
+      where: {
+        ...(machineIds ? { machine_id: { in: machineIds } } : machineId && { machine_id: machineId }),
+        recorded_at: toPrismaDateFilter({ from: windowStart, to: windowEnd }),
+      },
+      orderBy: {
+        recorded_at: 'asc',
+      },
+    });
+
+    const shifts = granularity === Granularity.SHIFT ? await shiftService.getAllShifts(plant) : [];
+
+    return {
+      granularity,
+      from: windowStart,
+      to: windowEnd,
+      timezone: timeZone,
+      ...(granularity === Granularity.SHIFT && { plant }),
+      totals: sumProductionCounts(entries),
+      buckets: bucketProductionCounts(entries, granularity, { timeZone, shifts }),
+    };
+  } catch (error) {
+    throw new Error(`Failed to summarize production: ${error.message}`);
+  }
+}
+
+/**
+ * Get Prisma client instance (for advanced queries if needed)
+ * @returns {PrismaClient} Prisma client instance
+ */
+export function getPrismaClient() {
+  return prisma;
+}
@@ -0,0 +1,165 @@
+/**
+ * Utility functions for the Production Count ledger
+ * Turns raw counter readings into increments and groups ledger entries into
+ * hour, shift and day buckets. All functions here are pure.
+ */
+
+import { toLocalDate, toLocalHour, zonedTimeToUtc, addDays, findShiftAt } from '../shifts/utils.js';
+
+// A reading below the previous one counts as a rollover (not a reset) when the
+// previous reading was at least this share of the machine's counter_max
+const ROLLOVER_THRESHOLD = 0.9;
+
+export const CounterEvent = {
+  BASELINE: 'Baseline',
+  RESET: 'Reset',
+  ROLLOVER: 'Rollover',
+};
+
+export const Granularity = {
+  HOUR: 'hour',
+  SHIFT: 'shift',
+  DAY: 'day',
+};
+
+export const VALID_GRANULARITIES = Object.values(Granularity);
+
+/**
+ * Work out how many units a cumulative counter reading adds
+ * - No previous reading: the reading is a baseline and adds nothing
+ * - Reading below the previous one near counter_max: the counter rolled over
+ * - Any other reading below the previous one: the counter was reset, the reading counts in full
+ *
+ * @param {number|null} previous - Previous reading of the same counter
+ * @param {number} value - New reading
+ * @param {number|null} counterMax - Highest value the counter reaches before wrapping to 0
+ * @returns {{delta: number, event: string|null}} Units added and the CounterEvent, if any
+ */
+export function computeCounterDelta(previous, value, counterMax = null) {
+  if (previous === null || previous === undefined) {
+    return { delta: 0, event: CounterEvent.BASELINE };
+  }
+
+  if (value >= previous) {
+    return { delta: value - previous, event: null };
+  }
+
+  if (counterMax && previous >= counterMax * ROLLOVER_THRESHOLD) {
+    return { delta: counterMax - previous + value + 1, event: CounterEvent.ROLLOVER };
+  }
+
+  return { delta: value, event: CounterEvent.RESET };
+}
+
+/**
+ * Bucket an instant at the given granularity
+ * Also used by the energy ledger, so energy and production buckets line up.
+ * @param {Date} at - Instant
+ * @param {string} granularity - One of Granularity
+ * @param {Object} options - Bucketing options
+ * @param {string} options.timeZone - Timezone for hour and day boundaries
+ * @param {Array} options.shifts - Shift rows (for shift granularity)
+ * @returns {Object} { key, date, hour?, shift?, from, to }
+ */
+export function getBucket(at, granularity, { timeZone, shifts }) {
+  if (granularity === Granularity.SHIFT) {
+    const match = findShiftAt(shifts, at);
+    if (!match) {
+      return { key: 'unscheduled', date: null, shift: null, from: null, to: null };
+    }
+    return {
+      key: `${match.date} ${match.shift.name}`,
+      date: match.date,
+      shift: match.shift.name,
+      from: match.from,
+      to: match.to,
+    };
+  }
+
+  const date = toLocalDate(at, timeZone);
+
+  if (granularity === Granularity.HOUR) {
+    const hour = String(toLocalHour(at, timeZone)).padStart(2, '0');
+    const from = zonedTimeToUtc(date, `${hour}:00`, timeZone);
+    return {
+      key: `${date} ${hour}`,
+      date,
+      hour: Number(hour),
+      from,
+      to: new Date(from.getTime() + 60 * 60 * 1000),
+    };
+  }
+
+  return {
+    key: date,
+    date,
+    from: zonedTimeToUtc(date, '00:00', timeZone),
+    to: zonedTimeToUtc(addDays(date, 1), '00:00', timeZone),
+  };
+}
+
+/**
+ * Add a ledger entry's counts to a running total
+ * @param {Object} totals - { total, good, scrap }
+ * @param {Object} entry - ProductionCount row
+ */
+function addCounts(totals, entry) {
+  totals.total += entry.quantity;
+  totals.scrap += entry.scrap;
+  totals.good += entry.quantity - entry.scrap;
+}
+
+/**
+ * Group ledger entries into hour, shift or day buckets
+ * Entries outside every shift land in an "unscheduled" bucket at shift granularity.
+ *
+ * @param {Array} entries - ProductionCount rows
+ * @param {string} granularity - One of Granularity
+ * @param {Object} options - Bucketing options
+ * @param {string} options.timeZone - Timezone for hour and day boundaries
+ * @param {Array} options.shifts - Shift rows (for shift granularity)
+ * @returns {Array} Buckets (oldest first) with total/good/scrap and a per-machine breakdown
+ */
+export function bucketProductionCounts(entries, granularity, { timeZone = 'UTC', shifts = [] } = {}) {
+  const buckets = new Map();
+
+  for (const entry of entries) {
+    const { key, ...bucketInfo } = getBucket(new Date(entry.recorded_at), granularity, { timeZone, shifts });
+
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        bucket: key,
+        ...bucketInfo,
+        total: 0,
+        good: 0,
+        scrap: 0,
+        byMachine: new Map(),
+      });
+    }
+    const bucket = buckets.get(key);
+    addCounts(bucket, entry);
+
+    if (!bucket.byMachine.has(entry.machine_id)) {
+      bucket.byMachine.set(entry.machine_id, { machine_id: entry.machine_id, total: 0, good: 0, scrap: 0 });
+    }
+    addCounts(bucket.byMachine.get(entry.machine_id), entry);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => (a.from ? a.from.getTime() : Infinity) - (b.from ? b.from.getTime() : Infinity))
+    .map(({ byMachine, ...bucket }) => ({
+      ...bucket,
+      machines: [...byMachine.values()].sort((a, b) => a.machine_id.localeCompare(b.machine_id)),
+    }));
+}
+
+/**
+ * Sum ledger entries
+ * @param {Array} entries - ProductionCount rows
+ * @returns {{total: number, good: number, scrap: number}} Totals
+ */
+export function sumProductionCounts(entries) {
+  const totals = { total: 0, good: 0, scrap: 0 };
+  entries.forEach((entry) => addCounts(totals, entry));
+  return totals;
+}
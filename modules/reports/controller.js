@@ -0,0 +1,43 @@
+/**
+ * Controller layer for Reports
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { isValidDate } from '../shifts/utils.js';
+
+/**
+ * Get the end-of-shift report
+ * GET /reports/shift/:date/:shift?plant=
+ */
+export async function getShiftReport(req, res) {
+  try {
+    const { date, shift } = req.params;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid date: ${date}. Use "YYYY-MM-DD"`,
+      });
+    }
+
+    const report = await service.getShiftReport(date, shift, req.query.plant || undefined);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: `Shift "${shift}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Routes for Reports Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /reports/shift/:date/:shift
+ * @desc    End-of-shift report: output and OEE per machine, downtime, operators on duty,
+ *          safety logs raised and orders that moved stage
+ * @access  Public
+ * @param   date - Local date the shift starts on, "YYYY-MM-DD"
+ * @param   shift - Shift name, e.g. "A"
+ * @query   plant - Optional plant code (defaults to DEFAULT_PLANT)
+ */
+router.get('/shift/:date/:shift', controller.getShiftReport);
+
+export default router;
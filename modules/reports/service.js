@@ -0,0 +1,120 @@
+/**
+ * Service layer for Reports
+ * Builds end-of-shift production reports from machine events, downtime
+ * intervals, safety logs and order stage changes
+ */
+
+import * as machineService from '../shop-floor/service.js';
+import * as downtimeService from '../downtime/service.js';
+import * as safetyService from '../safety/service.js';
+import * as orderService from '../orders/service.js';
+import * as shiftService from '../shifts/service.js';
+
+/**
+ * Build the report for one shift
+ * A shift still in progress is reported up to now, so status durations and OEE do not count
+ * the rest of the shift as time in the current status.
+ * @param {string} date - Local date the shift starts on, "YYYY-MM-DD"
+ * @param {string} shiftName - Shift name
+ * @param {string} plant - Plant code (defaults to the configured plant)
+ * @returns {Promise<Object|null>} Shift report or null if the shift does not exist
+ */
+export async function getShiftReport(date, shiftName, plant) {
+  const window = await shiftService.resolveShiftWindow(date, shiftName, plant);
+  if (!window) {
+    return null;
+  }
+
+  try {
+    const { shift, from } = window;
+    const now = new Date();
+    const inProgress = window.to > now;
+    const to = inProgress ? new Date(Math.max(from.getTime(), now.getTime())) : window.to;
+    const range = { from, to };
+
+    const machines = await machineService.getAllMachines();
+    const downtime = await downtimeService.getIntervalsOverlapping(from, to);
+    const safetyLogs = await safetyService.getSafetyLogsInRange(range);
+    const stageChanges = await orderService.getStageChanges(range);
+
+    const operatorsOnDuty = new Set();
+    const machineRows = [];
+
+    for (const machine of machines) {
+      const history = await machineService.getMachineHistory(machine.machine_id, range);
+      const oee = await machineService.getMachineOee(machine.machine_id, range);
+
+      // Operators who reported during the shift, plus whoever was on a machine that ran from the shift start
+      const machineOperators = new Set(
+        history.events.map((event) => event.operator).filter(Boolean)
+      );
+      if (history.initial_event?.operator && history.status_durations.Running) {
+        machineOperators.add(history.initial_event.operator);
+      }
+      machineOperators.forEach((operator) => operatorsOnDuty.add(operator));
+
+      const machineDowntime = downtime.filter((interval) => interval.machine_id === machine.machine_id);
+
+      machineRows.push({
+        machine_id: machine.machine_id,
+        name: machine.name,
+        line: machine.line ?? null,
+        output: oee.total_count,
+        scrap: oee.scrap_count,
+        good: oee.good_count,
+        oee: oee.oee,
+        availability: oee.availability,
+        performance: oee.performance,
+        quality: oee.quality,
+        status_durations: history.status_durations,
+        downtime_seconds: machineDowntime.reduce((sum, interval) => sum + interval.window_seconds, 0),
+        downtime_events: machineDowntime.length,
+        operators: [...machineOperators],
+        updates: history.events.length,
+      });
+    }
+
+    return {
+      plant: shift.plant,
+      shift: shift.name,
+      date,
+      timezone: shift.timezone,
+      from,
+      to,
+      shift_end: window.to,
+      in_progress: inProgress,
+      summary: {
+        total_output: machineRows.reduce((sum, row) => sum + row.output, 0),
+        total_scrap: machineRows.reduce((sum, row) => sum + row.scrap, 0),
+        total_downtime_seconds: downtime.reduce((sum, interval) => sum + interval.window_seconds, 0),
+        downtime_events: downtime.length,
+        operators_on_duty: operatorsOnDuty.size,
+        safety_logs: safetyLogs.length,
+        incidents: safetyLogs.filter((log) => log.incident_type && log.incident_type !== 'Inspection').length,
+        orders_moved: new Set(stageChanges.map((change) => change.order_id)).size,
+      },
+      machines: machineRows,
+      downtime: downtime.map((interval) => ({
+        machine_id: interval.machine_id,
+        status: interval.status,
+        reason_code: interval.reason_code,
+        error_message: interval.error_message,
+        started_at: interval.started_at,
+        ended_at: interval.ended_at,
+        seconds_in_shift: interval.window_seconds,
+      })),
+      operators_on_duty: [...operatorsOnDuty].sort(),
+      safety_logs: safetyLogs,
+      order_stage_changes: stageChanges.map((change) => ({
+        order_id: change.order_id,
+        from_stage: change.previous_stage,
+        to_stage: change.new_stage,
+        status: change.new_status,
+        changed_at: change.created_at,
+      })),
+      generated_at: new Date().toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to build shift report: ${error.message}`);
+  }
+}
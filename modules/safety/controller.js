@@ -4,18 +4,39 @@
  */
 
 import * as service from './service.js';
+import * as incidents from './incidents.js';
+import * as inspections from './inspections.js';
+import * as interlocks from './interlocks.js';
+import * as risk from './risk.js';
+import { parseListQuery } from '../../utils/listQuery.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+import { isValidTimeZone } from '../shifts/utils.js';
+import { VALID_TREND_GRANULARITIES } from './utils.js';
+import { resolveFormat, readSpreadsheet, describeImport, sendSpreadsheet, SpreadsheetFormat } from '../../utils/spreadsheet.js';
 
 /**
- * Get all safety areas
- * GET /safety
+ * Get a page of safety areas
+ * GET /safety?zone=&status=&risk_level=&sort=&limit=&cursor=&fields=
  */
 export async function getAllSafetyAreas(req, res) {
   try {
-    const areas = await service.getAllSafetyAreas();
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, service.SAFETY_AREA_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await service.listSafetyAreas(listQuery);
     res.json({
       success: true,
-      count: areas.length,
-      data: areas,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
     });
   } catch (error) {
     res.status(500).json({
@@ -32,7 +53,7 @@ export async function getAllSafetyAreas(req, res) {
 export async function getSafetyArea(req, res) {
   try {
     const { area } = req.params;
-    const safetyArea = await service.getSafetyArea(area);
+    const safetyArea = await service.getSafetyAreaStatus(area);
 
     if (!safetyArea) {
       return res.status(404).json({
@@ -70,9 +91,21 @@ export async function updateSafetyArea(req, res) {
 
     const updated = await service.updateSafetyArea(area_name, updateData);
 
+    let message = `Safety area "${area_name}" updated successfully`;
+    if (updated.warning) {
+      message += `; ${updated.warning}`;
+    }
+    if (updated.interlock?.status === interlocks.InterlockStatus.ACTIVE) {
+      message += `; interlock ${updated.interlock.interlock_id} holds ${updated.interlock.machines.length} machine(s) in ${updated.interlock.zone}`;
+    } else if (updated.interlock?.status === interlocks.InterlockStatus.CLEARED) {
+      message += `; interlock ${updated.interlock.interlock_id} cleared, confirm the release of its machines`;
+    } else if (updated.interlock_error) {
+      message += `; ${updated.interlock_error} (send the status again to retry)`;
+    }
+
     res.json({
       success: true,
-      message: `Safety area "${area_name}" updated successfully`,
+      message,
       data: updated,
     });
   } catch (error) {
@@ -83,6 +116,60 @@ export async function updateSafetyArea(req, res) {
   }
 }
 
+
+/**
+ * Preview or commit a CSV / XLSX import of safety areas
+ * POST /safety/import?format=csv|xlsx&commit=true&sheet=&map[Header]=field
+ */
+export async function importSafetyAreas(req, res) {
+  try {
+    const format = resolveFormat(req.query.format, req.body);
+    const rows = await readSpreadsheet(req.body, format, { sheet: req.query.sheet || null });
+    const commit = req.query.commit === 'true';
+    const report = await service.importSafetyAreas(rows, { commit, columnMap: req.query.map || {} });
+
+    res.status(commit && !report.committed ? 400 : 200).json({
+      success: report.summary.rows > 0 && report.summary.failed === 0,
+      dry_run: !commit,
+      message: describeImport(report, commit),
+      ...report,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Export safety areas matching the list query as CSV or XLSX
+ * GET /safety/export?format=csv|xlsx&<list query>
+ */
+export async function exportSafetyAreas(req, res) {
+  try {
+    let listQuery;
+    let format;
+    try {
+      listQuery = parseListQuery(req.query, service.SAFETY_AREA_LIST_SPEC);
+      format = resolveFormat(req.query.format || SpreadsheetFormat.CSV);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const { columns, records } = await service.exportSafetyAreas(listQuery);
+    await sendSpreadsheet(res, { name: 'safety-areas', format, columns, records });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Create a safety log entry
  * POST /safety/log
@@ -102,7 +189,9 @@ export async function createSafetyLog(req, res) {
 
     res.json({
       success: true,
-      message: 'Safety log created successfully',
+      message: log.incident_id
+        ? `Safety log created successfully, incident ${log.incident_id} opened`
+        : 'Safety log created successfully',
       data: log,
     });
   } catch (error) {
@@ -114,18 +203,28 @@ export async function createSafetyLog(req, res) {
 }
 
 /**
- * Get safety logs
- * GET /safety/logs?area=optional
+ * Get a page of safety logs
+ * GET /safety/logs?area=&ppe_compliance=&from=&to=&sort=&limit=&cursor=&fields=
  */
 export async function getSafetyLogs(req, res) {
   try {
-    const { area } = req.query;
-    const logs = await service.getSafetyLogs(area || null);
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, service.SAFETY_LOG_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
 
+    const page = await service.listSafetyLogs(listQuery);
     res.json({
       success: true,
-      count: logs.length,
-      data: logs,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
     });
   } catch (error) {
     res.status(500).json({
@@ -151,6 +250,16 @@ export async function getSafetyStatusForLLM(req, res) {
         warning: status.statistics.warning,
         critical: status.statistics.critical,
         maintenance: status.statistics.maintenance,
+        open_incidents: status.statistics.open_incidents,
+        overdue_actions: status.statistics.overdue_actions,
+        inspections_due: status.statistics.inspections_due,
+        inspections_overdue: status.statistics.inspections_overdue,
+        active_permits: status.statistics.active_permits,
+        expired_permits: status.statistics.expired_permits,
+        active_interlocks: status.statistics.active_interlocks,
+        interlocks_awaiting_release: status.statistics.interlocks_awaiting_release,
+        risk_reviews_overdue: status.statistics.risk_reviews_overdue,
+        risk_unassessed: status.statistics.risk_unassessed,
       },
       areas: status.areas.map((area) => ({
         area_name: area.area_name,
@@ -158,8 +267,16 @@ export async function getSafetyStatusForLLM(req, res) {
         status: area.status,
         risk_level: area.risk_level,
         ppe_required: area.ppe_required,
-        last_inspection: area.last_inspection.toISOString(),
+        last_inspection: area.last_inspection?.toISOString() ?? null,
         notes: area.notes,
+        active_permits: area.active_permits.map((permit) => ({
+          permit_id: permit.permit_id,
+          type: permit.type,
+          machine_id: permit.machine_id,
+          description: permit.description,
+          valid_to: permit.valid_to.toISOString(),
+          expired: permit.expired,
+        })),
       })),
       recent_incidents: status.logs.map((log) => ({
         area_name: log.area_name,
@@ -170,6 +287,51 @@ export async function getSafetyStatusForLLM(req, res) {
         reported_by: log.reported_by,
         created_at: log.created_at.toISOString(),
       })),
+      open_incidents: status.open_incidents.map((incident) => ({
+        incident_id: incident.incident_id,
+        area_name: incident.area_name,
+        title: incident.title,
+        severity: incident.severity,
+        status: incident.status,
+        investigator: incident.investigator,
+        root_cause: incident.root_cause,
+        actions_open: incident.actions_open,
+        actions_overdue: incident.actions_overdue,
+        reported_at: incident.reported_at.toISOString(),
+      })),
+      inspections_due: status.inspections_due.map((entry) => ({
+        area_name: entry.area_name,
+        zone: entry.zone,
+        inspection_status: entry.inspection_status,
+        last_inspection: entry.last_inspection?.toISOString() ?? null,
+        next_due: entry.next_due.toISOString(),
+      })),
+      interlocks: status.interlocks.map((interlock) => ({
+        interlock_id: interlock.interlock_id,
+        area_name: interlock.area_name,
+        zone: interlock.zone,
+        status: interlock.status,
+        hold_status: interlock.hold_status,
+        machines: interlock.machines.map((machine) => machine.machine_id),
+        triggered_at: interlock.triggered_at.toISOString(),
+      })),
+      risk_reviews_due: status.risk_reviews_due.map((entry) => ({
+        area_name: entry.area_name,
+        zone: entry.zone,
+        risk_level: entry.risk_level,
+        review_status: entry.review_status,
+        assessment_id: entry.assessment_id,
+        review_date: entry.review_date?.toISOString() ?? null,
+      })),
+      ppe_compliance: {
+        from: status.ppe_compliance.from,
+        to: status.ppe_compliance.to,
+        overall: status.ppe_compliance.overall,
+        by_zone: status.ppe_compliance.by_zone,
+        by_shift: status.ppe_compliance.by_shift,
+        weekly: status.ppe_compliance.trend.map(({ bucket, logs, compliance_rate }) => ({ week: bucket, logs, compliance_rate })),
+        most_missing_items: status.ppe_compliance.missing_items.slice(0, 5),
+      },
       last_updated: status.last_updated,
     };
 
@@ -186,3 +348,686 @@ export async function getSafetyStatusForLLM(req, res) {
   }
 }
 
+
+/**
+ * Get a page of incidents with their action counts
+ * GET /safety/incidents?status=&severity=&area=&from=&to=&sort=&limit=&cursor=&fields=
+ */
+export async function getIncidents(req, res) {
+  try {
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, incidents.INCIDENT_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await incidents.listIncidents(listQuery);
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get an incident with its actions
+ * GET /safety/incidents/:id
+ */
+export async function getIncident(req, res) {
+  try {
+    const { id } = req.params;
+    const incident = await incidents.getIncident(id);
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: `Incident "${id}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: incident,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Report an incident
+ * POST /safety/incidents
+ */
+export async function reportIncident(req, res) {
+  try {
+    const incident = await incidents.reportIncident(req.body);
+
+    res.json({
+      success: true,
+      message: `Incident ${incident.incident_id} reported`,
+      data: incident,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update an incident's investigation or move it to the next stage
+ * POST /safety/incidents/update
+ */
+export async function updateIncident(req, res) {
+  try {
+    const { incident_id, ...updateData } = req.body;
+
+    if (!incident_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'incident_id is required',
+      });
+    }
+
+    const incident = await incidents.updateIncident(incident_id, updateData);
+
+    res.json({
+      success: true,
+      message: `Incident ${incident_id} updated (${incident.status})`,
+      data: incident,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Assign or update a corrective / preventive action
+ * POST /safety/incidents/actions
+ */
+export async function updateAction(req, res) {
+  try {
+    const { incident_id, action_id = null, ...updateData } = req.body;
+
+    if (!incident_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'incident_id is required',
+      });
+    }
+
+    const action = await incidents.updateAction(incident_id, action_id, updateData);
+
+    res.json({
+      success: true,
+      message: action_id
+        ? `Action ${action.action_id} updated (${action.status})`
+        : `Action ${action.action_id} assigned to ${action.owner}`,
+      data: action,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get corrective / preventive actions across incidents
+ * GET /safety/incidents/actions?incident_id=&owner=&status=&overdue=true
+ */
+export async function getActions(req, res) {
+  try {
+    const { incident_id, owner, status, overdue } = req.query;
+
+    if (status && !incidents.VALID_ACTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}. Must be one of: ${incidents.VALID_ACTION_STATUSES.join(', ')}`,
+      });
+    }
+
+    const actions = await incidents.getActions({
+      incidentId: incident_id || null,
+      owner: owner || null,
+      status: status || null,
+      overdueOnly: overdue === 'true',
+    });
+
+    res.json({
+      success: true,
+      count: actions.length,
+      data: actions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Close an incident with a sign-off
+ * POST /safety/incidents/close
+ */
+export async function closeIncident(req, res) {
+  try {
+    const { incident_id, closed_by, closure_notes } = req.body;
+
+    if (!incident_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'incident_id is required',
+      });
+    }
+
+    const incident = await incidents.closeIncident(incident_id, { closed_by, closure_notes });
+
+    res.json({
+      success: true,
+      message: `Incident ${incident_id} closed by ${incident.closed_by}`,
+      data: incident,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Escalate overdue corrective / preventive actions now
+ * POST /safety/incidents/escalate
+ */
+export async function escalateActions(req, res) {
+  try {
+    const result = await incidents.escalateOverdueActions();
+
+    res.json({
+      success: true,
+      message: `${result.escalated.length} of ${result.checked} overdue action(s) escalated`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get inspection templates
+ * GET /safety/inspections/templates
+ */
+export async function getInspectionTemplates(req, res) {
+  try {
+    const templates = await inspections.getTemplates();
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create the inspection template of a zone
+ * POST /safety/inspections/templates
+ */
+export async function updateInspectionTemplate(req, res) {
+  try {
+    const { zone, ...updateData } = req.body;
+
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        error: 'zone is required',
+      });
+    }
+
+    const template = await inspections.updateTemplate(zone, updateData);
+
+    res.json({
+      success: true,
+      message: `Inspection template for ${zone} updated successfully`,
+      data: template,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a page of recorded inspections
+ * GET /safety/inspections?area=&zone=&inspector=&result=&from=&to=&sort=&limit=&cursor=&fields=
+ */
+export async function getInspections(req, res) {
+  try {
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, inspections.INSPECTION_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await inspections.listInspections(listQuery);
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the inspection schedule of the safety areas
+ * GET /safety/inspections/schedule?status=Due,Overdue&zone=
+ */
+export async function getInspectionSchedule(req, res) {
+  try {
+    const { status, zone } = req.query;
+    const statuses = status ? status.split(',').map((value) => value.trim()) : null;
+
+    const invalid = (statuses || []).filter((value) => !inspections.VALID_INSPECTION_STATUSES.includes(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${invalid.join(', ')}. Must be one of: ${inspections.VALID_INSPECTION_STATUSES.join(', ')}`,
+      });
+    }
+
+    const schedule = await inspections.getInspectionSchedule({ statuses, zone: zone || null });
+
+    res.json({
+      success: true,
+      count: schedule.length,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a recorded inspection
+ * GET /safety/inspections/:id
+ */
+export async function getInspection(req, res) {
+  try {
+    const { id } = req.params;
+    const inspection = await inspections.getInspection(id);
+
+    if (!inspection) {
+      return res.status(404).json({
+        success: false,
+        error: `Inspection "${id}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: inspection,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record an inspection of a safety area
+ * POST /safety/inspections
+ */
+export async function recordInspection(req, res) {
+  try {
+    const inspection = await inspections.recordInspection(req.body);
+
+    res.json({
+      success: true,
+      message: `Inspection ${inspection.inspection_id} of ${inspection.area_name}: ${inspection.result}`,
+      data: inspection,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Check the inspection schedule and raise due / overdue alerts now
+ * POST /safety/inspections/check
+ */
+export async function checkInspections(req, res) {
+  try {
+    const result = await inspections.runInspectionCheck();
+
+    res.json({
+      success: true,
+      message: `${result.alerts.length} inspection alert(s) raised for ${result.checked} due or overdue area(s)`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get PPE compliance analytics
+ * GET /safety/ppe/analytics?from=&to=&granularity=day|week&zone=&plant=&timezone=
+ */
+export async function getPpeAnalytics(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const granularity = req.query.granularity || 'day';
+    if (!VALID_TREND_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity: ${granularity}. Must be one of: ${VALID_TREND_GRANULARITIES.join(', ')}`,
+      });
+    }
+
+    if (req.query.timezone && !isValidTimeZone(req.query.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${req.query.timezone}`,
+      });
+    }
+
+    const analytics = await service.getPpeAnalytics({
+      granularity,
+      zone: req.query.zone || null,
+      ...(req.query.plant && { plant: req.query.plant }),
+      ...(req.query.timezone && { timeZone: req.query.timezone }),
+      ...range,
+    });
+
+    res.json({
+      success: true,
+      data: analytics,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get safety interlocks, newest first
+ * GET /safety/interlocks?status=&zone=
+ */
+export async function getInterlocks(req, res) {
+  try {
+    const { status, zone } = req.query;
+
+    if (status && !interlocks.VALID_INTERLOCK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}. Must be one of: ${interlocks.VALID_INTERLOCK_STATUSES.join(', ')}`,
+      });
+    }
+
+    const list = await interlocks.getInterlocks({
+      status: status || null,
+      zone: zone || null,
+    });
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a safety interlock with the machine events it caused
+ * GET /safety/interlocks/:id
+ */
+export async function getInterlock(req, res) {
+  try {
+    const { id } = req.params;
+    const interlock = await interlocks.getInterlock(id);
+
+    if (!interlock) {
+      return res.status(404).json({
+        success: false,
+        error: `Interlock "${id}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: interlock,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Confirm the release of a cleared safety interlock
+ * POST /safety/interlocks/release
+ */
+export async function releaseInterlock(req, res) {
+  try {
+    const { interlock_id, released_by, role, notes } = req.body;
+
+    if (!interlock_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'interlock_id is required',
+      });
+    }
+
+    const interlock = await interlocks.releaseInterlock(interlock_id, { released_by, role, notes });
+
+    res.status(interlock.errors.length > 0 ? 400 : 200).json({
+      success: interlock.errors.length === 0,
+      message:
+        interlock.errors.length > 0
+          ? `${interlock.errors.length} machine(s) could not be released; interlock ${interlock_id} is still ${interlock.status}`
+          : `Interlock ${interlock_id} released by ${released_by}: ${interlock.released.length} machine(s) released`,
+      data: interlock,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the risk matrix: likelihood and severity scales, risk bands and the level of each cell
+ * GET /safety/risk/matrix
+ */
+export async function getRiskMatrix(req, res) {
+  res.json({
+    success: true,
+    data: risk.getRiskMatrix(),
+  });
+}
+
+/**
+ * Get the hazard register of every area with its review status, highest residual risk first
+ * GET /safety/risk/register?review_status=Overdue,Unassessed&zone=
+ */
+export async function getRiskRegister(req, res) {
+  try {
+    const { review_status, zone } = req.query;
+    const reviewStatuses = review_status ? review_status.split(',').map((value) => value.trim()) : null;
+
+    const invalid = (reviewStatuses || []).filter((value) => !risk.VALID_RISK_REVIEW_STATUSES.includes(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid review_status: ${invalid.join(', ')}. Must be one of: ${risk.VALID_RISK_REVIEW_STATUSES.join(', ')}`,
+      });
+    }
+
+    const register = await risk.getRiskRegister({ zone: zone || null, reviewStatuses });
+
+    res.json({
+      success: true,
+      count: register.length,
+      data: register,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a page of risk assessments, current and superseded
+ * GET /safety/risk/assessments?area=&zone=&status=&residual_risk_level=&assessed_by=&from=&to=&sort=&limit=&cursor=&fields=
+ */
+export async function getRiskAssessments(req, res) {
+  try {
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, risk.RISK_ASSESSMENT_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await risk.listAssessments(listQuery);
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a risk assessment
+ * GET /safety/risk/assessments/:id
+ */
+export async function getRiskAssessment(req, res) {
+  try {
+    const { id } = req.params;
+    const assessment = await risk.getAssessment(id);
+
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        error: `Risk assessment "${id}" not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: assessment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a risk assessment of an area, superseding its current one
+ * POST /safety/risk/assessments
+ */
+export async function recordRiskAssessment(req, res) {
+  try {
+    const assessment = await risk.recordAssessment(req.body);
+
+    res.json({
+      success: true,
+      message: `Risk assessment ${assessment.assessment_id} of ${assessment.area_name}: risk level ${assessment.residual_risk_level} (was ${assessment.previous_risk_level})`,
+      data: assessment,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
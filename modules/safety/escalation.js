@@ -0,0 +1,44 @@
+/**
+ * Background job for corrective / preventive action escalation
+ * Periodically escalates overdue incident actions (see escalateOverdueActions) and logs each escalation
+ */
+
+import config from '../../config.js';
+import { escalateOverdueActions } from './incidents.js';
+
+let timer = null;
+
+/**
+ * Start the CAPA escalation job
+ * Does nothing when CAPA_CHECK_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the job was started
+ */
+export function startCapaEscalation() {
+  const minutes = config.safety.capaCheckIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await escalateOverdueActions();
+      for (const action of result.escalated) {
+        console.warn(`🦺 ${action.message}`);
+      }
+    } catch (error) {
+      console.error('CAPA escalation error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the CAPA escalation job
+ */
+export function stopCapaEscalation() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,634 @@
+/**
+ * Service layer for Safety Incidents and corrective/preventive actions (CAPA)
+ * An incident moves Reported → Investigating → ActionPending → Closed. The investigation
+ * records the root cause, actions with owners and due dates are assigned, overdue actions
+ * escalate, and closing needs every action finished and a sign-off.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { findPage, selectFields } from '../../utils/listQuery.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+export const IncidentStatus = {
+  REPORTED: 'Reported',
+  INVESTIGATING: 'Investigating',
+  ACTION_PENDING: 'ActionPending',
+  CLOSED: 'Closed',
+};
+
+export const ActionStatus = {
+  OPEN: 'Open',
+  IN_PROGRESS: 'InProgress',
+  DONE: 'Done',
+  CANCELLED: 'Cancelled',
+};
+
+export const VALID_INCIDENT_STATUSES = Object.values(IncidentStatus);
+export const VALID_ACTION_STATUSES = Object.values(ActionStatus);
+export const VALID_SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+export const VALID_ACTION_TYPES = ['Corrective', 'Preventive'];
+export const VALID_ROOT_CAUSE_CATEGORIES = ['People', 'Process', 'Equipment', 'Material', 'Environment'];
+
+// Safety log incident types that open an incident
+export const INCIDENT_LOG_TYPES = ['Incident', 'NearMiss'];
+
+const OPEN_ACTION_STATUSES = [ActionStatus.OPEN, ActionStatus.IN_PROGRESS];
+
+// Status changes allowed through POST /safety/incidents/update; Closed is reached through /close
+const INCIDENT_TRANSITIONS = {
+  [IncidentStatus.REPORTED]: [IncidentStatus.INVESTIGATING],
+  [IncidentStatus.INVESTIGATING]: [IncidentStatus.ACTION_PENDING],
+  [IncidentStatus.ACTION_PENDING]: [IncidentStatus.INVESTIGATING],
+  [IncidentStatus.CLOSED]: [],
+};
+
+// Sortable, filterable and selectable fields of GET /safety/incidents (see utils/listQuery.js)
+export const INCIDENT_LIST_SPEC = {
+  fields: {
+    incident_id: 'string',
+    log_id: 'string',
+    area_name: 'string',
+    zone: 'string',
+    title: 'string',
+    description: 'string',
+    severity: 'string',
+    status: 'string',
+    reported_by: 'string',
+    investigator: 'string',
+    root_cause: 'string',
+    root_cause_category: 'string',
+    closed_by: 'string',
+    reported_at: 'date',
+    closed_at: 'date',
+    updated_at: 'date',
+  },
+  computedFields: ['actions_total', 'actions_open', 'actions_overdue'],
+  filters: {
+    area: { field: 'area_name' },
+    area_name: {},
+    zone: {},
+    status: { values: VALID_INCIDENT_STATUSES },
+    severity: { values: VALID_SEVERITIES },
+    investigator: {},
+    root_cause_category: { values: VALID_ROOT_CAUSE_CATEGORIES },
+  },
+  dateFields: ['reported_at', 'closed_at', 'updated_at'],
+  defaultSort: '-reported_at',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a value against a list of valid values
+ * @param {*} value - Value (undefined and null pass)
+ * @param {Array<string>} valid - Valid values
+ * @param {string} name - Field name for the error message
+ */
+function assertOneOf(value, valid, name) {
+  if (value !== undefined && value !== null && !valid.includes(value)) {
+    throw new Error(`Invalid ${name}: ${value}. Must be one of: ${valid.join(', ')}`);
+  }
+}
+
+/**
+ * Parse a date field
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for the error message
+ * @returns {Date} Parsed date
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Format an action row for API output
+ * @param {Object} action - CorrectiveAction row
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Action with overdue and days_overdue
+ */
+function formatAction(action, now = new Date()) {
+  const overdue = OPEN_ACTION_STATUSES.includes(action.status) && action.due_date < now;
+  return {
+    ...action,
+    overdue,
+    days_overdue: overdue ? Math.floor((now - action.due_date) / DAY_MS) : 0,
+  };
+}
+
+/**
+ * Count the actions of an incident
+ * @param {Array} actions - Formatted actions of the incident
+ * @returns {Object} { actions_total, actions_open, actions_overdue }
+ */
+function countActions(actions) {
+  return {
+    actions_total: actions.length,
+    actions_open: actions.filter((action) => OPEN_ACTION_STATUSES.includes(action.status)).length,
+    actions_overdue: actions.filter((action) => action.overdue).length,
+  };
+}
+
+/**
+ * Create an incident with the next incident ID, e.g. "INC-000042"
+ * Callers run it in withSequenceRetry('incident_id', ...) with their transaction, if any.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} data - Incident data (validated)
+ * @returns {Promise<Object>} Created incident row
+ */
+async function createIncident(client, data) {
+  return client.safetyIncident.create({
+    data: {
+      incident_id: await nextSequenceId(client.safetyIncident, 'incident_id', 'INC'),
+      log_id: data.log_id ?? null,
+      area_name: data.area_name,
+      zone: data.zone,
+      title: data.title,
+      description: data.description ?? null,
+      severity: data.severity,
+      status: IncidentStatus.REPORTED,
+      reported_by: data.reported_by ?? null,
+      reported_at: data.reported_at || new Date(),
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+}
+
+/**
+ * Open an incident for a safety log entry
+ * Called by the safety service in the log's transaction for Incident and NearMiss logs.
+ * The severity follows the area's risk level.
+ *
+ * @param {Object} client - Prisma transaction client
+ * @param {Object} log - Created SafetyLog row
+ * @returns {Promise<Object|null>} Created incident, or null if the log type does not open one
+ */
+export async function openIncidentForLog(client, log) {
+  if (!INCIDENT_LOG_TYPES.includes(log.incident_type)) {
+    return null;
+  }
+
+  const area = await client.safetyArea.findUnique({
+    where: { area_name: log.area_name },
+  });
+
+  return createIncident(client, {
+    log_id: log.id,
+    area_name: log.area_name,
+    zone: log.zone,
+    title: `${log.incident_type === 'NearMiss' ? 'Near miss' : 'Incident'} in ${log.area_name}`,
+    description: log.description,
+    severity: area?.risk_level || 'Medium',
+    reported_by: log.reported_by,
+    reported_at: log.created_at,
+  });
+}
+
+/**
+ * Report an incident
+ * @param {Object} data - Incident data
+ * @returns {Promise<Object>} Created incident with its (empty) action list
+ */
+export async function reportIncident(data) {
+  try {
+    if (!data.area_name || !data.title) {
+      throw new Error('area_name and title are required');
+    }
+    assertOneOf(data.severity, VALID_SEVERITIES, 'severity');
+
+    const area = await prisma.safetyArea.findUnique({
+      where: { area_name: data.area_name },
+    });
+
+    const reportedAt = data.reported_at ? parseDate(data.reported_at, 'reported_at') : null;
+    const incident = await withSequenceRetry('incident_id', () =>
+      createIncident(prisma, {
+        area_name: data.area_name,
+        zone: data.zone || area?.zone || data.area_name.replace('_Area', ''),
+        title: data.title,
+        description: data.description,
+        severity: data.severity || area?.risk_level || 'Medium',
+        reported_by: data.reported_by,
+        reported_at: reportedAt,
+      })
+    );
+
+    return { ...incident, actions: [], ...countActions([]) };
+  } catch (error) {
+    throw new Error(`Failed to report incident: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of incidents with their action counts
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of incidents
+ */
+export async function listIncidents({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.safetyIncident, listQuery);
+
+    const actions = await prisma.correctiveAction.findMany({
+      where: { incident_id: { in: page.data.map((incident) => incident.incident_id) } },
+    });
+    const now = new Date();
+    const data = page.data.map((incident) => ({
+      ...incident,
+      ...countActions(
+        actions.filter((action) => action.incident_id === incident.incident_id).map((action) => formatAction(action, now))
+      ),
+    }));
+
+    return { ...page, data: selectFields(data, fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch incidents: ${error.message}`);
+  }
+}
+
+/**
+ * Get an incident with its actions and the safety log it was reported with
+ * @param {string} incidentId - The incident ID
+ * @returns {Promise<Object|null>} Incident or null if not found
+ */
+export async function getIncident(incidentId) {
+  try {
+    const incident = await prisma.safetyIncident.findUnique({
+      where: { incident_id: incidentId },
+    });
+    if (!incident) {
+      return null;
+    }
+
+    const actions = await prisma.correctiveAction.findMany({
+      where: { incident_id: incidentId },
+      orderBy: { due_date: 'asc' },
+    });
+    const log = incident.log_id ? await prisma.safetyLog.findUnique({ where: { id: incident.log_id } }) : null;
+
+    const formatted = actions.map((action) => formatAction(action));
+    return {
+      ...incident,
+      log,
+      actions: formatted,
+      ...countActions(formatted),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch incident ${incidentId}: ${error.message}`);
+  }
+}
+
+/**
+ * Find an incident that can still be changed
+ * @param {string} incidentId - The incident ID
+ * @returns {Promise<Object>} Incident row
+ */
+async function findOpenIncident(incidentId) {
+  const incident = await prisma.safetyIncident.findUnique({
+    where: { incident_id: incidentId },
+  });
+  if (!incident) {
+    throw new Error('Incident not found');
+  }
+  if (incident.status === IncidentStatus.CLOSED) {
+    throw new Error('Incident is already closed');
+  }
+  return incident;
+}
+
+/**
+ * Update an incident's investigation and move it through its lifecycle
+ * - Investigating needs an investigator
+ * - ActionPending needs a root cause and at least one action that is not cancelled
+ * - ActionPending can go back to Investigating; closing goes through closeIncident
+ *
+ * @param {string} incidentId - The incident ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated incident with its actions
+ */
+export async function updateIncident(incidentId, updateData) {
+  try {
+    assertOneOf(updateData.status, VALID_INCIDENT_STATUSES, 'status');
+    assertOneOf(updateData.severity, VALID_SEVERITIES, 'severity');
+    assertOneOf(updateData.root_cause_category, VALID_ROOT_CAUSE_CATEGORIES, 'root_cause_category');
+
+    if (updateData.status === IncidentStatus.CLOSED) {
+      throw new Error('Use /safety/incidents/close to close an incident');
+    }
+
+    const incident = await findOpenIncident(incidentId);
+
+    const fields = {
+      ...(updateData.title !== undefined && { title: updateData.title }),
+      ...(updateData.description !== undefined && { description: updateData.description }),
+      ...(updateData.severity !== undefined && { severity: updateData.severity }),
+      ...(updateData.investigator !== undefined && { investigator: updateData.investigator }),
+      ...(updateData.root_cause !== undefined && { root_cause: updateData.root_cause }),
+      ...(updateData.root_cause_category !== undefined && { root_cause_category: updateData.root_cause_category }),
+      ...(updateData.contributing_factors !== undefined && { contributing_factors: updateData.contributing_factors }),
+    };
+    const merged = { ...incident, ...fields };
+
+    if (updateData.status && updateData.status !== incident.status) {
+      if (!INCIDENT_TRANSITIONS[incident.status].includes(updateData.status)) {
+        throw new Error(`Cannot move an incident from ${incident.status} to ${updateData.status}`);
+      }
+      if (updateData.status === IncidentStatus.INVESTIGATING && !merged.investigator) {
+        throw new Error('An investigator is required to start the investigation');
+      }
+      if (updateData.status === IncidentStatus.ACTION_PENDING) {
+        if (!merged.root_cause) {
+          throw new Error('A root cause is required before actions are pending');
+        }
+        const actions = await prisma.correctiveAction.count({
+          where: { incident_id: incidentId, status: { not: ActionStatus.CANCELLED } },
+        });
+        if (actions === 0) {
+          throw new Error('Assign at least one corrective or preventive action first');
+        }
+      }
+      fields.status = updateData.status;
+    }
+
+    await prisma.safetyIncident.update({
+      where: { incident_id: incidentId },
+      data: {
+        ...fields,
+        updated_at: new Date(),
+      },
+    });
+
+    return await getIncident(incidentId);
+  } catch (error) {
+    throw new Error(`Failed to update incident ${incidentId}: ${error.message}`);
+  }
+}
+
+/**
+ * Assign a corrective or preventive action to an incident, or update one
+ * Completing an action (status Done) records who completed it and when.
+ *
+ * @param {string} incidentId - The incident ID
+ * @param {string|null} actionId - The action ID (null to create)
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated action
+ */
+export async function updateAction(incidentId, actionId, updateData) {
+  try {
+    assertOneOf(updateData.type, VALID_ACTION_TYPES, 'type');
+    assertOneOf(updateData.status, VALID_ACTION_STATUSES, 'status');
+
+    await findOpenIncident(incidentId);
+
+    const dueDate = updateData.due_date !== undefined ? parseDate(updateData.due_date, 'due_date') : null;
+    const completed = updateData.status === ActionStatus.DONE;
+    if (completed && !updateData.completed_by) {
+      throw new Error('completed_by is required to complete an action');
+    }
+
+    const fields = {
+      ...(updateData.type !== undefined && { type: updateData.type }),
+      ...(updateData.description !== undefined && { description: updateData.description }),
+      ...(updateData.owner !== undefined && { owner: updateData.owner }),
+      ...(dueDate && { due_date: dueDate }),
+      ...(updateData.status !== undefined && { status: updateData.status }),
+      ...(updateData.completion_notes !== undefined && { completion_notes: updateData.completion_notes }),
+      ...(completed && { completed_at: new Date(), completed_by: updateData.completed_by }),
+    };
+
+    if (!actionId) {
+      if (!updateData.description || !updateData.owner || !dueDate) {
+        throw new Error('description, owner and due_date are required for a new action');
+      }
+      const created = await withSequenceRetry('action_id', async () =>
+        prisma.correctiveAction.create({
+          data: {
+            action_id: await nextSequenceId(prisma.correctiveAction, 'action_id', 'CAPA'),
+            incident_id: incidentId,
+            type: fields.type || 'Corrective',
+            description: fields.description,
+            owner: fields.owner,
+            due_date: dueDate,
+            status: fields.status || ActionStatus.OPEN,
+            completion_notes: fields.completion_notes ?? null,
+            completed_at: fields.completed_at ?? null,
+            completed_by: fields.completed_by ?? null,
+            created_at: new Date(),
+            updated_at: new Date(),
+          },
+        })
+      );
+      return formatAction(created);
+    }
+
+    const existing = await prisma.correctiveAction.findUnique({
+      where: { action_id: actionId },
+    });
+    if (!existing || existing.incident_id !== incidentId) {
+      throw new Error(`Action ${actionId} not found on incident ${incidentId}`);
+    }
+    if (!OPEN_ACTION_STATUSES.includes(existing.status)) {
+      throw new Error(`Action ${actionId} is already ${existing.status}`);
+    }
+
+    const updated = await prisma.correctiveAction.update({
+      where: { action_id: actionId },
+      data: {
+        ...fields,
+        // A new due date starts the escalation over
+        ...(dueDate && { escalation_level: 0, escalated_to: null, escalated_at: null }),
+        updated_at: new Date(),
+      },
+    });
+    return formatAction(updated);
+  } catch (error) {
+    throw new Error(`Failed to update action${actionId ? ` ${actionId}` : ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Close an incident with a sign-off
+ * Every action must be Done or Cancelled, with at least one Done.
+ * @param {string} incidentId - The incident ID
+ * @param {Object} closure - Closure details
+ * @param {string} closure.closed_by - Who signs the incident off
+ * @param {string} closure.closure_notes - Closure notes
+ * @returns {Promise<Object>} Closed incident with its actions
+ */
+export async function closeIncident(incidentId, { closed_by = null, closure_notes = null } = {}) {
+  try {
+    if (!closed_by) {
+      throw new Error('closed_by is required to sign off an incident');
+    }
+
+    const incident = await findOpenIncident(incidentId);
+    if (incident.status !== IncidentStatus.ACTION_PENDING) {
+      throw new Error(`Only an incident in ${IncidentStatus.ACTION_PENDING} can be closed (it is ${incident.status})`);
+    }
+
+    const actions = await prisma.correctiveAction.findMany({
+      where: { incident_id: incidentId },
+    });
+    const open = actions.filter((action) => OPEN_ACTION_STATUSES.includes(action.status));
+    if (open.length > 0) {
+      throw new Error(`${open.length} action(s) still open: ${open.map((action) => action.action_id).join(', ')}`);
+    }
+    if (!actions.some((action) => action.status === ActionStatus.DONE)) {
+      throw new Error('At least one action must be done before the incident is closed');
+    }
+
+    const now = new Date();
+    await prisma.safetyIncident.update({
+      where: { incident_id: incidentId },
+      data: {
+        status: IncidentStatus.CLOSED,
+        closed_at: now,
+        closed_by,
+        closure_notes,
+        updated_at: now,
+      },
+    });
+
+    return await getIncident(incidentId);
+  } catch (error) {
+    throw new Error(`Failed to close incident ${incidentId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get corrective and preventive actions across incidents
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.incidentId - Only actions of this incident
+ * @param {string} filters.owner - Only actions owned by this person
+ * @param {string} filters.status - Only actions with this status
+ * @param {boolean} filters.overdueOnly - Only open actions past their due date
+ * @returns {Promise<Array>} Actions, earliest due first
+ */
+export async function getActions({ incidentId = null, owner = null, status = null, overdueOnly = false } = {}) {
+  try {
+    assertOneOf(status, VALID_ACTION_STATUSES, 'status');
+
+    const actions = await prisma.correctiveAction.findMany({
+      where: {
+        ...(incidentId && { incident_id: incidentId }),
+        ...(owner && { owner }),
+        ...(status && { status }),
+        ...(overdueOnly && {
+          status: { in: OPEN_ACTION_STATUSES },
+          due_date: { lt: new Date() },
+        }),
+      },
+      orderBy: {
+        due_date: 'asc',
+      },
+    });
+    return actions.map((action) => formatAction(action));
+  } catch (error) {
+    throw new Error(`Failed to fetch corrective actions: ${error.message}`);
+  }
+}
+
+/**
+ * Who an overdue action escalates to at a level
+ * Level 1 reminds the owner, level 2 goes to the incident investigator, and from
+ * level 3 (or level 2 without an investigator) to CAPA_ESCALATION_CONTACT.
+ * @param {number} level - Escalation level
+ * @param {Object} action - CorrectiveAction row
+ * @param {Object} incident - SafetyIncident row
+ * @returns {string} Escalation target
+ */
+function escalationTarget(level, action, incident) {
+  if (level === 1) {
+    return action.owner;
+  }
+  if (level === 2 && incident?.investigator) {
+    return incident.investigator;
+  }
+  return config.safety.capaEscalationContact;
+}
+
+/**
+ * Escalate overdue actions
+ * An action reaches level 1 on its due date and one level more every CAPA_ESCALATION_DAYS
+ * after that; each level is escalated once.
+ * @returns {Promise<Object>} Open actions checked and escalations raised
+ */
+export async function escalateOverdueActions() {
+  try {
+    const now = new Date();
+    const overdue = await prisma.correctiveAction.findMany({
+      where: {
+        status: { in: OPEN_ACTION_STATUSES },
+        due_date: { lt: now },
+      },
+    });
+
+    const escalated = [];
+    for (const action of overdue) {
+      const daysOverdue = (now - action.due_date) / DAY_MS;
+      const level = 1 + Math.floor(daysOverdue / Math.max(config.safety.capaEscalationDays, 1));
+      if (level <= action.escalation_level) {
+        continue;
+      }
+
+      const incident = await prisma.safetyIncident.findUnique({
+        where: { incident_id: action.incident_id },
+      });
+      const target = escalationTarget(level, action, incident);
+
+      const updated = await prisma.correctiveAction.update({
+        where: { action_id: action.action_id },
+        data: {
+          escalation_level: level,
+          escalated_to: target,
+          escalated_at: now,
+        },
+      });
+
+      escalated.push({
+        ...formatAction(updated, now),
+        message: `${action.action_id} (${action.incident_id}) owned by ${action.owner} is ${Math.floor(daysOverdue)} day(s) overdue, escalated to ${target}`,
+      });
+    }
+
+    return {
+      checked: overdue.length,
+      escalated,
+      run_at: now.toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to escalate corrective actions: ${error.message}`);
+  }
+}
+
+/**
+ * Incidents that are not closed, for the LLM safety summary
+ * @returns {Promise<Array>} Open incidents (newest first) with their action counts
+ */
+export async function getOpenIncidents() {
+  try {
+    const incidents = await prisma.safetyIncident.findMany({
+      where: { status: { not: IncidentStatus.CLOSED } },
+      orderBy: { reported_at: 'desc' },
+    });
+    const actions = await prisma.correctiveAction.findMany({
+      where: { incident_id: { in: incidents.map((incident) => incident.incident_id) } },
+    });
+
+    const now = new Date();
+    return incidents.map((incident) => ({
+      ...incident,
+      ...countActions(
+        actions.filter((action) => action.incident_id === incident.incident_id).map((action) => formatAction(action, now))
+      ),
+    }));
+  } catch (error) {
+    throw new Error(`Failed to fetch open incidents: ${error.message}`);
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Background monitor for Safety Inspections
+ * Periodically checks the inspection schedule and logs areas whose inspection is due or overdue
+ */
+
+import config from '../../config.js';
+import { runInspectionCheck } from './inspections.js';
+
+let timer = null;
+
+/**
+ * Start the inspection monitor
+ * Does nothing when INSPECTION_CHECK_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the monitor was started
+ */
+export function startInspectionMonitor() {
+  const minutes = config.safety.inspectionCheckIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await runInspectionCheck();
+      for (const alert of result.alerts) {
+        console.warn(`📋 ${alert.message}`);
+      }
+    } catch (error) {
+      console.error('Inspection monitor error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the inspection monitor
+ */
+export function stopInspectionMonitor() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,456 @@
+/**
+ * Service layer for Safety Inspections
+ * Each zone has an inspection template: a checklist and how many days may pass between
+ * inspections of its areas. Recording an inspection is the only thing that moves an area's
+ * last_inspection, and the schedule derived from it marks areas as due or overdue.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { findPage, selectFields } from '../../utils/listQuery.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+export const ItemResult = {
+  PASS: 'Pass',
+  FAIL: 'Fail',
+  NA: 'NA',
+};
+
+export const InspectionStatus = {
+  OK: 'OK',
+  DUE: 'Due',
+  OVERDUE: 'Overdue',
+  UNSCHEDULED: 'Unscheduled',
+};
+
+export const VALID_ITEM_RESULTS = Object.values(ItemResult);
+export const VALID_INSPECTION_STATUSES = Object.values(InspectionStatus);
+export const VALID_INSPECTION_RESULTS = [ItemResult.PASS, ItemResult.FAIL];
+
+// Order in which inspection alerts are raised; an alert is logged once per level
+const ALERT_RANK = {
+  [InspectionStatus.DUE]: 1,
+  [InspectionStatus.OVERDUE]: 2,
+};
+
+// Sortable, filterable and selectable fields of GET /safety/inspections (see utils/listQuery.js)
+export const INSPECTION_LIST_SPEC = {
+  fields: {
+    inspection_id: 'string',
+    area_name: 'string',
+    zone: 'string',
+    inspector: 'string',
+    result: 'string',
+    passed: 'number',
+    failed: 'number',
+    not_applicable: 'number',
+    notes: 'string',
+    inspected_at: 'date',
+  },
+  computedFields: ['checklist'],
+  filters: {
+    area: { field: 'area_name' },
+    area_name: {},
+    zone: {},
+    inspector: {},
+    result: { values: VALID_INSPECTION_RESULTS },
+  },
+  dateFields: ['inspected_at'],
+  defaultSort: '-inspected_at',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a JSON checklist column
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Parsed checklist (empty if missing or malformed)
+ */
+function parseChecklist(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format a template row for API output
+ * @param {Object} template - InspectionTemplate row
+ * @returns {Object} Template with the checklist parsed
+ */
+function formatTemplate(template) {
+  return {
+    ...template,
+    checklist: parseChecklist(template.checklist),
+  };
+}
+
+/**
+ * Format an inspection row for API output
+ * @param {Object} inspection - SafetyInspection row
+ * @returns {Object} Inspection with the checklist parsed
+ */
+function formatInspection(inspection) {
+  return {
+    ...inspection,
+    checklist: parseChecklist(inspection.checklist),
+  };
+}
+
+/**
+ * Get inspection templates
+ * @returns {Promise<Array>} Templates by zone
+ */
+export async function getTemplates() {
+  try {
+    const templates = await prisma.inspectionTemplate.findMany({
+      orderBy: { zone: 'asc' },
+    });
+    return templates.map(formatTemplate);
+  } catch (error) {
+    throw new Error(`Failed to fetch inspection templates: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create the inspection template of a zone
+ * @param {string} zone - The zone
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated template
+ */
+export async function updateTemplate(zone, updateData) {
+  try {
+    const existing = await prisma.inspectionTemplate.findUnique({
+      where: { zone },
+    });
+
+    if (updateData.checklist !== undefined) {
+      const valid =
+        Array.isArray(updateData.checklist) &&
+        updateData.checklist.length > 0 &&
+        updateData.checklist.every((item) => typeof item === 'string' && item.trim());
+      if (!valid) {
+        throw new Error('checklist must be a non-empty array of item descriptions');
+      }
+      const items = updateData.checklist.map((item) => item.trim());
+      if (new Set(items).size !== items.length) {
+        throw new Error('checklist items must be unique');
+      }
+    }
+
+    if (
+      updateData.frequency_days !== undefined &&
+      !(Number.isInteger(updateData.frequency_days) && updateData.frequency_days > 0)
+    ) {
+      throw new Error('frequency_days must be a positive whole number of days');
+    }
+
+    const fields = {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.checklist !== undefined && {
+        checklist: JSON.stringify(updateData.checklist.map((item) => item.trim())),
+      }),
+      ...(updateData.frequency_days !== undefined && { frequency_days: updateData.frequency_days }),
+      ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+    };
+
+    if (!existing && (!fields.checklist || !fields.frequency_days)) {
+      throw new Error('checklist and frequency_days are required for a new template');
+    }
+
+    const template = await prisma.inspectionTemplate.upsert({
+      where: { zone },
+      update: {
+        ...fields,
+        updated_at: new Date(),
+      },
+      create: {
+        zone,
+        name: fields.name || `${zone} inspection`,
+        checklist: fields.checklist,
+        frequency_days: fields.frequency_days,
+        active: fields.active ?? true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return formatTemplate(template);
+  } catch (error) {
+    throw new Error(`Failed to update inspection template for ${zone}: ${error.message}`);
+  }
+}
+
+/**
+ * Check inspection results against the template checklist
+ * Every template item needs a result; items that are not on the template are rejected.
+ * @param {Array<string>} templateItems - Template checklist
+ * @param {Array} results - [{ item, result, comment }]
+ * @returns {Array} Results in template order
+ */
+function validateResults(templateItems, results) {
+  if (!Array.isArray(results)) {
+    throw new Error('checklist must be an array of { item, result, comment }');
+  }
+
+  const byItem = new Map();
+  for (const entry of results) {
+    const item = typeof entry?.item === 'string' ? entry.item.trim() : '';
+    if (!templateItems.includes(item)) {
+      throw new Error(`"${entry?.item}" is not on the inspection checklist`);
+    }
+    if (byItem.has(item)) {
+      throw new Error(`"${item}" is listed more than once`);
+    }
+    if (!VALID_ITEM_RESULTS.includes(entry.result)) {
+      throw new Error(
+        `Invalid result for "${item}": ${entry.result}. Must be one of: ${VALID_ITEM_RESULTS.join(', ')}`
+      );
+    }
+    byItem.set(item, { item, result: entry.result, comment: entry.comment || null });
+  }
+
+  const missing = templateItems.filter((item) => !byItem.has(item));
+  if (missing.length > 0) {
+    throw new Error(`No result for: ${missing.join(', ')}`);
+  }
+
+  return templateItems.map((item) => byItem.get(item));
+}
+
+/**
+ * Record an inspection of a safety area
+ * The area's last_inspection moves to the inspection time (an inspection recorded late for
+ * an earlier date never moves it back) and its inspection alert is cleared.
+ *
+ * @param {Object} data - Inspection data
+ * @param {string} data.area_name - Inspected area
+ * @param {string} data.inspector - Who inspected it
+ * @param {Array} data.checklist - [{ item, result: Pass | Fail | NA, comment }] for every template item
+ * @param {string} data.notes - Optional notes
+ * @param {string} data.inspected_at - Optional inspection time (defaults to now)
+ * @returns {Promise<Object>} Recorded inspection
+ */
+export async function recordInspection(data) {
+  try {
+    if (!data.area_name || !data.inspector) {
+      throw new Error('area_name and inspector are required');
+    }
+
+    const area = await prisma.safetyArea.findUnique({
+      where: { area_name: data.area_name },
+    });
+    if (!area) {
+      throw new Error(`Safety area "${data.area_name}" not found`);
+    }
+
+    const template = await prisma.inspectionTemplate.findUnique({
+      where: { zone: area.zone },
+    });
+    if (!template || !template.active) {
+      throw new Error(`No active inspection template for zone ${area.zone}`);
+    }
+
+    const inspectedAt = data.inspected_at ? new Date(data.inspected_at) : new Date();
+    if (Number.isNaN(inspectedAt.getTime()) || inspectedAt > new Date()) {
+      throw new Error(`Invalid inspected_at: ${data.inspected_at}`);
+    }
+
+    const checklist = validateResults(parseChecklist(template.checklist), data.checklist);
+    const count = (result) => checklist.filter((entry) => entry.result === result).length;
+    const failed = count(ItemResult.FAIL);
+
+    const inspection = await withSequenceRetry('inspection_id', () =>
+      prisma.$transaction(async (tx) => {
+        const created = await tx.safetyInspection.create({
+          data: {
+            inspection_id: await nextSequenceId(tx.safetyInspection, 'inspection_id', 'INS'),
+            area_name: area.area_name,
+            zone: area.zone,
+            inspector: data.inspector,
+            result: failed > 0 ? ItemResult.FAIL : ItemResult.PASS,
+            checklist: JSON.stringify(checklist),
+            passed: count(ItemResult.PASS),
+            failed,
+            not_applicable: count(ItemResult.NA),
+            notes: data.notes || null,
+            inspected_at: inspectedAt,
+            created_at: new Date(),
+          },
+        });
+
+        if (!area.last_inspection || inspectedAt > area.last_inspection) {
+          await tx.safetyArea.update({
+            where: { area_name: area.area_name },
+            data: {
+              last_inspection: inspectedAt,
+              inspection_alert: null,
+            },
+          });
+        }
+
+        return created;
+      })
+    );
+
+    return formatInspection(inspection);
+  } catch (error) {
+    throw new Error(`Failed to record inspection: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of recorded inspections
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of inspections
+ */
+export async function listInspections({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.safetyInspection, listQuery);
+    return { ...page, data: selectFields(page.data.map(formatInspection), fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch inspections: ${error.message}`);
+  }
+}
+
+/**
+ * Get a recorded inspection
+ * @param {string} inspectionId - The inspection ID
+ * @returns {Promise<Object|null>} Inspection or null if not found
+ */
+export async function getInspection(inspectionId) {
+  try {
+    const inspection = await prisma.safetyInspection.findUnique({
+      where: { inspection_id: inspectionId },
+    });
+    return inspection ? formatInspection(inspection) : null;
+  } catch (error) {
+    throw new Error(`Failed to fetch inspection ${inspectionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Inspection schedule of an area
+ * An area that was never inspected is due from its creation, and overdue INSPECTION_DUE_SOON_DAYS later.
+ * @param {Object} area - SafetyArea row
+ * @param {Object|undefined} template - Active template of the area's zone
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Schedule entry
+ */
+function scheduleArea(area, template, now) {
+  const entry = {
+    area_name: area.area_name,
+    zone: area.zone,
+    risk_level: area.risk_level,
+    last_inspection: area.last_inspection,
+    frequency_days: template?.frequency_days ?? null,
+    next_due: null,
+    days_until_due: null,
+    inspection_status: InspectionStatus.UNSCHEDULED,
+    inspection_alert: area.inspection_alert,
+  };
+  if (!template) {
+    return entry;
+  }
+
+  const nextDue = area.last_inspection
+    ? new Date(area.last_inspection.getTime() + template.frequency_days * DAY_MS)
+    : new Date(area.created_at.getTime() + config.safety.inspectionDueSoonDays * DAY_MS);
+  const daysUntilDue = (nextDue - now) / DAY_MS;
+
+  let status = InspectionStatus.OK;
+  if (daysUntilDue < 0) {
+    status = InspectionStatus.OVERDUE;
+  } else if (daysUntilDue <= config.safety.inspectionDueSoonDays) {
+    status = InspectionStatus.DUE;
+  }
+
+  return {
+    ...entry,
+    next_due: nextDue,
+    days_until_due: Math.floor(daysUntilDue),
+    inspection_status: status,
+  };
+}
+
+/**
+ * Get the inspection schedule of every safety area
+ * An area is Due from INSPECTION_DUE_SOON_DAYS before its next inspection date and Overdue
+ * after it; areas in a zone without an active template are Unscheduled.
+ * @param {Object} filters - Optional filters
+ * @param {Array<string>} filters.statuses - Only areas with one of these inspection statuses
+ * @param {string} filters.zone - Only areas of this zone
+ * @returns {Promise<Array>} Schedule entries, next due first (unscheduled last)
+ */
+export async function getInspectionSchedule({ statuses = null, zone = null } = {}) {
+  try {
+    const [areas, templates] = await Promise.all([
+      prisma.safetyArea.findMany({ where: zone ? { zone } : {} }),
+      prisma.inspectionTemplate.findMany({ where: { active: true } }),
+    ]);
+
+    const templateByZone = new Map(templates.map((template) => [template.zone, template]));
+    const now = new Date();
+
+    return areas
+      .map((area) => scheduleArea(area, templateByZone.get(area.zone), now))
+      .filter((entry) => !statuses || statuses.includes(entry.inspection_status))
+      .sort((a, b) => {
+        if (!a.next_due || !b.next_due) {
+          return (a.next_due ? 0 : 1) - (b.next_due ? 0 : 1);
+        }
+        return a.next_due - b.next_due;
+      });
+  } catch (error) {
+    throw new Error(`Failed to fetch inspection schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Check the schedule and raise an alert for each area that became due or overdue
+ * Each level is alerted once per inspection cycle; recording an inspection starts a new cycle.
+ * @returns {Promise<Object>} Areas checked and alerts raised
+ */
+export async function runInspectionCheck() {
+  try {
+    const schedule = await getInspectionSchedule({
+      statuses: [InspectionStatus.DUE, InspectionStatus.OVERDUE],
+    });
+
+    const alerts = [];
+    for (const entry of schedule) {
+      if (ALERT_RANK[entry.inspection_status] <= (ALERT_RANK[entry.inspection_alert] || 0)) {
+        continue;
+      }
+
+      await prisma.safetyArea.update({
+        where: { area_name: entry.area_name },
+        data: { inspection_alert: entry.inspection_status },
+      });
+
+      alerts.push({
+        ...entry,
+        inspection_alert: entry.inspection_status,
+        message:
+          entry.inspection_status === InspectionStatus.OVERDUE
+            ? `Inspection of ${entry.area_name} is ${-entry.days_until_due} day(s) overdue`
+            : `Inspection of ${entry.area_name} is due by ${entry.next_due.toISOString().slice(0, 10)}`,
+      });
+    }
+
+    return {
+      checked: schedule.length,
+      alerts,
+      run_at: new Date().toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to check inspection schedule: ${error.message}`);
+  }
+}
@@ -0,0 +1,458 @@
+/**
+ * Service layer for the Safety-to-machine interlock
+ * When a safety area goes Critical, every machine assigned to its zone (Machine.safety_zone) is
+ * switched to SafetyHold or Maintenance (SAFETY_INTERLOCK_POLICY) and the supervisors are notified.
+ * Once no area of the zone is Critical any more the interlock is Cleared, and the machines stay
+ * held until a supervisor confirms the release. An interlock goes Active → Cleared → Released.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import * as machineService from '../shop-floor/service.js';
+import { EventSource, MachineStatus } from '../shop-floor/model.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+export const InterlockStatus = {
+  ACTIVE: 'Active',
+  CLEARED: 'Cleared',
+  RELEASED: 'Released',
+};
+
+export const InterlockPolicy = {
+  SAFETY_HOLD: MachineStatus.SAFETY_HOLD,
+  MAINTENANCE: MachineStatus.MAINTENANCE,
+  OFF: 'off',
+};
+
+export const VALID_INTERLOCK_STATUSES = Object.values(InterlockStatus);
+export const VALID_INTERLOCK_POLICIES = Object.values(InterlockPolicy);
+
+// Roles that may confirm a release
+export const INTERLOCK_RELEASE_ROLES = ['Supervisor', 'SafetyOfficer'];
+
+// Interlocks still holding machines
+const OPEN_INTERLOCK_STATUSES = [InterlockStatus.ACTIVE, InterlockStatus.CLEARED];
+
+// Area status that engages the interlock
+const CRITICAL_AREA_STATUS = 'Critical';
+
+/**
+ * Parse the held machines of an interlock
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Held machines (empty if missing or malformed)
+ */
+function parseMachines(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format an interlock row for API output
+ * @param {Object} interlock - SafetyInterlock row
+ * @returns {Object} Interlock with machines parsed
+ */
+function formatInterlock(interlock) {
+  return {
+    ...interlock,
+    machines: parseMachines(interlock.machines),
+  };
+}
+
+/**
+ * Contacts notified when the interlock holds or clears a zone
+ * @returns {Array<string>} SAFETY_INTERLOCK_NOTIFY entries
+ */
+function getNotifyContacts() {
+  return config.safety.interlockNotify
+    .split(',')
+    .map((contact) => contact.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Notify the supervisors
+ * There is no outbound channel yet, so each notification is logged and returned.
+ * @param {string} message - Notification text
+ * @returns {Array<{to: string, message: string}>} Notifications sent
+ */
+function notify(message) {
+  return getNotifyContacts().map((to) => {
+    console.warn(`🚨 To ${to}: ${message}`);
+    return { to, message };
+  });
+}
+
+/**
+ * Status a held machine goes back to on release
+ * A machine that was running comes back Idle and has to be restarted deliberately.
+ * @param {Object} held - Held machine entry
+ * @returns {string} Status after the release
+ */
+function releaseStatus(held) {
+  if (!held.previous_status || held.previous_status === MachineStatus.RUNNING) {
+    return MachineStatus.IDLE;
+  }
+  return held.previous_status;
+}
+
+/**
+ * Hold the machines of a zone that are not held yet
+ * Each machine is updated on its own (like the heartbeat sweeper), so one failure does not
+ * stop the rest; the MachineEvent of each hold carries the interlock ID.
+ * @param {Object} interlock - SafetyInterlock row
+ * @returns {Promise<{held: Array, errors: Array}>} Machines held and the ones that could not be
+ */
+async function holdZoneMachines(interlock) {
+  const machines = await prisma.machine.findMany({
+    where: {
+      safety_zone: interlock.zone,
+      safety_hold_id: null,
+    },
+    orderBy: { machine_id: 'asc' },
+  });
+
+  const held = [];
+  const errors = [];
+
+  for (const machine of machines) {
+    try {
+      await machineService.updateMachine(
+        machine.machine_id,
+        {
+          status: interlock.hold_status,
+          reason: `Safety interlock ${interlock.interlock_id}: ${interlock.area_name} is Critical`,
+        },
+        {
+          source: EventSource.SAFETY_INTERLOCK,
+          interlock: { interlock_id: interlock.interlock_id, hold: true },
+        }
+      );
+      held.push({
+        machine_id: machine.machine_id,
+        previous_status: machine.status,
+        error_message: machine.error_message,
+        held_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      errors.push({
+        machine_id: machine.machine_id,
+        error: error.message,
+      });
+    }
+  }
+
+  return { held, errors };
+}
+
+/**
+ * Find the open interlock of an area's zone, opening one or re-activating a cleared one
+ * Run in withSequenceRetry: when two areas of a zone go Critical at once, the retry of the
+ * second finds the interlock the first one opened instead of opening another.
+ * @param {Object} area - SafetyArea row (status Critical)
+ * @param {string} policy - Hold status, see SAFETY_INTERLOCK_POLICY
+ * @returns {Promise<{interlock: Object, engaging: boolean}>} Active interlock, and whether it was
+ *   opened or re-activated by this call
+ */
+async function openZoneInterlock(area, policy) {
+  const interlock = await prisma.safetyInterlock.findFirst({
+    where: {
+      zone: area.zone,
+      status: { in: OPEN_INTERLOCK_STATUSES },
+    },
+  });
+
+  if (!interlock) {
+    const created = await prisma.safetyInterlock.create({
+      data: {
+        interlock_id: await nextSequenceId(prisma.safetyInterlock, 'interlock_id', 'SIL'),
+        area_name: area.area_name,
+        zone: area.zone,
+        hold_status: policy,
+        status: InterlockStatus.ACTIVE,
+        machines: '[]',
+        notified: getNotifyContacts().join(',') || null,
+        triggered_at: new Date(),
+      },
+    });
+    return { interlock: created, engaging: true };
+  }
+
+  if (interlock.status === InterlockStatus.CLEARED) {
+    const reactivated = await prisma.safetyInterlock.update({
+      where: { interlock_id: interlock.interlock_id },
+      data: {
+        area_name: area.area_name,
+        status: InterlockStatus.ACTIVE,
+        cleared_at: null,
+        cleared_status: null,
+      },
+    });
+    return { interlock: reactivated, engaging: true };
+  }
+
+  return { interlock, engaging: false };
+}
+
+/**
+ * Engage the interlock for the zone of an area that is Critical
+ * Opens an interlock for the zone (or re-activates its cleared one) and holds every machine of
+ * the zone that is not held yet, so sending Critical again picks up machines assigned since.
+ * Supervisors are notified when the interlock is opened or re-activated.
+ * @param {Object} area - SafetyArea row (status Critical)
+ * @returns {Promise<Object|null>} Interlock with held, errors and notifications, or null when
+ *   SAFETY_INTERLOCK_POLICY is off
+ */
+async function engageInterlock(area) {
+  const policy = config.safety.interlockPolicy;
+  if (policy === InterlockPolicy.OFF) {
+    return null;
+  }
+  if (!VALID_INTERLOCK_POLICIES.includes(policy)) {
+    throw new Error(`Invalid SAFETY_INTERLOCK_POLICY: ${policy}. Must be one of: ${VALID_INTERLOCK_POLICIES.join(', ')}`);
+  }
+
+  const opened = await withSequenceRetry('interlock_id', () => openZoneInterlock(area, policy));
+  let { interlock } = opened;
+
+  const { held, errors } = await holdZoneMachines(interlock);
+  if (held.length > 0) {
+    interlock = await prisma.safetyInterlock.update({
+      where: { interlock_id: interlock.interlock_id },
+      data: { machines: JSON.stringify([...parseMachines(interlock.machines), ...held]) },
+    });
+  }
+
+  const machineIds = parseMachines(interlock.machines).map((machine) => machine.machine_id);
+  const notifications = opened.engaging
+    ? notify(
+        `Safety interlock ${interlock.interlock_id}: ${area.area_name} in ${area.zone} is Critical; ` +
+          (machineIds.length > 0
+            ? `${machineIds.length} machine(s) switched to ${interlock.hold_status}: ${machineIds.join(', ')}`
+            : 'no machines are assigned to the zone')
+      )
+    : [];
+
+  return { ...formatInterlock(interlock), held, errors, notifications };
+}
+
+/**
+ * Clear the interlock of a zone once none of its areas is Critical
+ * The machines stay held until the release is confirmed (see releaseInterlock).
+ * @param {Object} area - SafetyArea row that left Critical
+ * @returns {Promise<Object|null>} Cleared interlock with notifications, or null if the zone has
+ *   no active interlock or another of its areas is still Critical
+ */
+async function clearInterlock(area) {
+  const interlock = await prisma.safetyInterlock.findFirst({
+    where: {
+      zone: area.zone,
+      status: InterlockStatus.ACTIVE,
+    },
+  });
+  if (!interlock) {
+    return null;
+  }
+
+  const critical = await prisma.safetyArea.count({
+    where: {
+      zone: area.zone,
+      status: CRITICAL_AREA_STATUS,
+    },
+  });
+  if (critical > 0) {
+    return null;
+  }
+
+  const cleared = await prisma.safetyInterlock.update({
+    where: { interlock_id: interlock.interlock_id },
+    data: {
+      status: InterlockStatus.CLEARED,
+      cleared_at: new Date(),
+      cleared_status: area.status,
+    },
+  });
+
+  const notifications = notify(
+    `Safety interlock ${interlock.interlock_id}: ${area.zone} is no longer Critical (${area.area_name} is ${area.status}); ` +
+      'confirm the release of its machines with POST /safety/interlocks/release'
+  );
+
+  return { ...formatInterlock(cleared), notifications };
+}
+
+/**
+ * Engage or clear the interlock after a safety area update
+ * @param {Object} area - SafetyArea row after the update
+ * @returns {Promise<Object|null>} Interlock engaged or cleared by the update, or null
+ */
+export async function applyAreaStatus(area) {
+  try {
+    if (area.status === CRITICAL_AREA_STATUS) {
+      return await engageInterlock(area);
+    }
+    return await clearInterlock(area);
+  } catch (error) {
+    throw new Error(`Failed to apply safety interlock for ${area.area_name}: ${error.message}`);
+  }
+}
+
+/**
+ * Confirm the release of a cleared interlock
+ * Each held machine goes back to the status it had before the hold (Running comes back as
+ * Idle, an Error with its error message). The interlock stays Cleared if any machine could
+ * not be released, so the release can be confirmed again.
+ * @param {string} interlockId - The interlock ID
+ * @param {Object} confirmation - Release confirmation
+ * @param {string} confirmation.released_by - Who confirms the release
+ * @param {string} confirmation.role - One of INTERLOCK_RELEASE_ROLES
+ * @param {string} confirmation.notes - Optional release notes
+ * @returns {Promise<Object>} Interlock with released machines and errors
+ */
+export async function releaseInterlock(interlockId, { released_by = null, role = null, notes = null } = {}) {
+  try {
+    if (!released_by) {
+      throw new Error('released_by is required');
+    }
+    if (!INTERLOCK_RELEASE_ROLES.includes(role)) {
+      throw new Error(`A release must be confirmed by role ${INTERLOCK_RELEASE_ROLES.join(' or ')}`);
+    }
+
+    const interlock = await prisma.safetyInterlock.findUnique({
+      where: { interlock_id: interlockId },
+    });
+    if (!interlock) {
+      throw new Error('Interlock not found');
+    }
+    if (interlock.status === InterlockStatus.ACTIVE) {
+      throw new Error(`${interlock.zone} still has a Critical area; clear it before releasing the machines`);
+    }
+    if (interlock.status !== InterlockStatus.CLEARED) {
+      throw new Error(`Interlock is already ${interlock.status}`);
+    }
+
+    const heldMachines = parseMachines(interlock.machines);
+    const machines = await prisma.machine.findMany({
+      where: { safety_hold_id: interlockId },
+      orderBy: { machine_id: 'asc' },
+    });
+
+    const released = [];
+    const errors = [];
+
+    for (const machine of machines) {
+      const held = heldMachines.find((entry) => entry.machine_id === machine.machine_id) || {};
+      const status = releaseStatus(held);
+      try {
+        await machineService.updateMachine(
+          machine.machine_id,
+          {
+            status,
+            ...(status === MachineStatus.ERROR && { error_message: held.error_message }),
+            reason: `Safety interlock ${interlockId} released by ${released_by}`,
+            role,
+          },
+          {
+            source: EventSource.SAFETY_INTERLOCK,
+            interlock: { interlock_id: interlockId, hold: false },
+          }
+        );
+        released.push({ machine_id: machine.machine_id, status });
+      } catch (error) {
+        errors.push({
+          machine_id: machine.machine_id,
+          error: error.message,
+        });
+      }
+    }
+
+    let updated = interlock;
+    if (errors.length === 0) {
+      updated = await prisma.safetyInterlock.update({
+        where: { interlock_id: interlockId },
+        data: {
+          status: InterlockStatus.RELEASED,
+          released_by,
+          released_role: role,
+          released_at: new Date(),
+          release_notes: notes,
+        },
+      });
+    }
+
+    return { ...formatInterlock(updated), released, errors };
+  } catch (error) {
+    throw new Error(`Failed to release interlock ${interlockId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get interlocks, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only interlocks with this status
+ * @param {string} filters.zone - Only interlocks of this zone
+ * @returns {Promise<Array>} Interlocks
+ */
+export async function getInterlocks({ status = null, zone = null } = {}) {
+  try {
+    const interlocks = await prisma.safetyInterlock.findMany({
+      where: {
+        ...(status && { status }),
+        ...(zone && { zone }),
+      },
+      orderBy: { triggered_at: 'desc' },
+    });
+    return interlocks.map(formatInterlock);
+  } catch (error) {
+    throw new Error(`Failed to fetch safety interlocks: ${error.message}`);
+  }
+}
+
+/**
+ * Get an interlock with the machine events it caused
+ * @param {string} interlockId - The interlock ID
+ * @returns {Promise<Object|null>} Interlock with events, or null if not found
+ */
+export async function getInterlock(interlockId) {
+  try {
+    const interlock = await prisma.safetyInterlock.findUnique({
+      where: { interlock_id: interlockId },
+    });
+    if (!interlock) {
+      return null;
+    }
+
+    const events = await prisma.machineEvent.findMany({
+      where: { interlock_id: interlockId },
+      orderBy: { created_at: 'asc' },
+    });
+
+    return { ...formatInterlock(interlock), events };
+  } catch (error) {
+    throw new Error(`Failed to fetch interlock ${interlockId}: ${error.message}`);
+  }
+}
+
+/**
+ * Interlocks still holding machines, for the safety status
+ * @returns {Promise<Array>} Active and cleared interlocks, newest first
+ */
+export async function getOpenInterlocks() {
+  try {
+    const interlocks = await prisma.safetyInterlock.findMany({
+      where: { status: { in: OPEN_INTERLOCK_STATUSES } },
+      orderBy: { triggered_at: 'desc' },
+    });
+    return interlocks.map(formatInterlock);
+  } catch (error) {
+    throw new Error(`Failed to fetch open safety interlocks: ${error.message}`);
+  }
+}
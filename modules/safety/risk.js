@@ -0,0 +1,417 @@
+/**
+ * Service layer for Risk Assessments
+ * An assessment is an area's hazard register: each hazard is scored likelihood × severity
+ * before controls (inherent) and after them (residual). The worst residual risk becomes the
+ * area's risk_level, so it is no longer typed in by hand once the area has been assessed.
+ * A new assessment supersedes the previous one, which is kept as history, and every
+ * assessment sets the date it must be reviewed by.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { findPage, selectFields } from '../../utils/listQuery.js';
+import { nextSequenceId, withSequenceRetry } from '../../utils/sequence.js';
+
+const prisma = new PrismaClient();
+
+export const AssessmentStatus = {
+  CURRENT: 'Current',
+  SUPERSEDED: 'Superseded',
+};
+
+export const RiskReviewStatus = {
+  OK: 'OK',
+  OVERDUE: 'Overdue',
+  UNASSESSED: 'Unassessed',
+};
+
+export const VALID_ASSESSMENT_STATUSES = Object.values(AssessmentStatus);
+export const VALID_RISK_REVIEW_STATUSES = Object.values(RiskReviewStatus);
+
+// Likelihood and severity ratings, scored 1-5
+export const LIKELIHOOD_SCALE = ['Rare', 'Unlikely', 'Possible', 'Likely', 'AlmostCertain'];
+export const SEVERITY_SCALE = ['Negligible', 'Minor', 'Moderate', 'Major', 'Catastrophic'];
+
+// Risk level of a likelihood × severity score: the first band whose max_score it does not exceed
+export const RISK_BANDS = [
+  { level: 'Low', max_score: 3 },
+  { level: 'Medium', max_score: 6 },
+  { level: 'High', max_score: 12 },
+  { level: 'Critical', max_score: 25 },
+];
+
+// Sortable, filterable and selectable fields of GET /safety/risk/assessments (see utils/listQuery.js)
+export const RISK_ASSESSMENT_LIST_SPEC = {
+  fields: {
+    assessment_id: 'string',
+    area_name: 'string',
+    zone: 'string',
+    status: 'string',
+    hazard_count: 'number',
+    inherent_risk_level: 'string',
+    residual_risk_level: 'string',
+    max_residual_score: 'number',
+    previous_risk_level: 'string',
+    assessed_by: 'string',
+    notes: 'string',
+    assessed_at: 'date',
+    review_date: 'date',
+    superseded_at: 'date',
+  },
+  computedFields: ['hazards'],
+  filters: {
+    area: { field: 'area_name' },
+    area_name: {},
+    zone: {},
+    status: { values: VALID_ASSESSMENT_STATUSES },
+    residual_risk_level: { values: RISK_BANDS.map((band) => band.level) },
+    assessed_by: {},
+  },
+  dateFields: ['assessed_at', 'review_date'],
+  defaultSort: '-assessed_at',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the JSON hazards column
+ * @param {string|null} value - Stored JSON
+ * @returns {Array} Scored hazards (empty if missing or malformed)
+ */
+function parseHazards(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format an assessment row for API output
+ * @param {Object} assessment - RiskAssessment row
+ * @returns {Object} Assessment with hazards parsed
+ */
+function formatAssessment(assessment) {
+  return {
+    ...assessment,
+    hazards: parseHazards(assessment.hazards),
+  };
+}
+
+/**
+ * Risk level of a score
+ * @param {number} score - Likelihood × severity (1-25)
+ * @returns {string} Risk level
+ */
+export function getRiskLevel(score) {
+  return RISK_BANDS.find((band) => score <= band.max_score).level;
+}
+
+/**
+ * Rank of a risk level, for finding the worst one
+ * @param {string} level - Risk level
+ * @returns {number} Index in RISK_BANDS
+ */
+function levelRank(level) {
+  return RISK_BANDS.findIndex((band) => band.level === level);
+}
+
+/**
+ * Parse a likelihood or severity rating
+ * @param {number|string} value - Score 1-5 or the rating's name (case-insensitive)
+ * @param {Array<string>} scale - LIKELIHOOD_SCALE or SEVERITY_SCALE
+ * @param {string} name - Field name for the error message
+ * @returns {number} Score 1-5
+ */
+export function parseRating(value, scale, name) {
+  const index = scale.findIndex((rating) => rating.toLowerCase() === String(value).toLowerCase());
+  if (index >= 0) {
+    return index + 1;
+  }
+  if (Number.isInteger(value) && value >= 1 && value <= scale.length) {
+    return value;
+  }
+  throw new Error(`Invalid ${name}: ${value}. Must be 1-${scale.length} or one of: ${scale.join(', ')}`);
+}
+
+/**
+ * Validate and score one hazard
+ * Residual ratings default to the inherent ones. Controls cannot make a rating worse, and a
+ * residual score below the inherent score needs at least one control.
+ * @param {Object} input - { hazard, likelihood, severity, controls?, residual_likelihood?, residual_severity? }
+ * @returns {Object} Scored hazard
+ */
+export function scoreHazard(input) {
+  if (!input || typeof input.hazard !== 'string' || !input.hazard.trim()) {
+    throw new Error('hazard is required');
+  }
+
+  const controls = input.controls ?? [];
+  if (!Array.isArray(controls) || !controls.every((control) => typeof control === 'string' && control.trim())) {
+    throw new Error('controls must be an array of control measures');
+  }
+
+  const likelihood = parseRating(input.likelihood, LIKELIHOOD_SCALE, 'likelihood');
+  const severity = parseRating(input.severity, SEVERITY_SCALE, 'severity');
+  const residualLikelihood =
+    input.residual_likelihood === undefined || input.residual_likelihood === null
+      ? likelihood
+      : parseRating(input.residual_likelihood, LIKELIHOOD_SCALE, 'residual_likelihood');
+  const residualSeverity =
+    input.residual_severity === undefined || input.residual_severity === null
+      ? severity
+      : parseRating(input.residual_severity, SEVERITY_SCALE, 'residual_severity');
+
+  if (residualLikelihood > likelihood || residualSeverity > severity) {
+    throw new Error('residual likelihood and severity cannot be higher than before controls');
+  }
+
+  const inherentScore = likelihood * severity;
+  const residualScore = residualLikelihood * residualSeverity;
+  if (residualScore < inherentScore && controls.length === 0) {
+    throw new Error('a residual risk below the inherent risk needs the controls that reduce it');
+  }
+
+  return {
+    hazard: input.hazard.trim(),
+    likelihood,
+    severity,
+    inherent_score: inherentScore,
+    inherent_level: getRiskLevel(inherentScore),
+    controls: controls.map((control) => control.trim()),
+    residual_likelihood: residualLikelihood,
+    residual_severity: residualSeverity,
+    residual_score: residualScore,
+    residual_level: getRiskLevel(residualScore),
+  };
+}
+
+/**
+ * Worst inherent and residual risk of a hazard register
+ * @param {Array} hazards - Scored hazards
+ * @returns {{inherent_risk_level: string, residual_risk_level: string, max_residual_score: number}} Summary
+ */
+export function summarizeHazards(hazards) {
+  const worst = (field) =>
+    hazards.reduce((max, hazard) => (levelRank(hazard[field]) > levelRank(max) ? hazard[field] : max), RISK_BANDS[0].level);
+
+  return {
+    inherent_risk_level: worst('inherent_level'),
+    residual_risk_level: worst('residual_level'),
+    max_residual_score: Math.max(...hazards.map((hazard) => hazard.residual_score)),
+  };
+}
+
+/**
+ * Get the risk matrix: rating scales, bands and the level of every likelihood × severity cell
+ * @returns {Object} { likelihood, severity, bands, matrix }
+ */
+export function getRiskMatrix() {
+  return {
+    likelihood: LIKELIHOOD_SCALE.map((name, index) => ({ score: index + 1, name })),
+    severity: SEVERITY_SCALE.map((name, index) => ({ score: index + 1, name })),
+    bands: RISK_BANDS,
+    matrix: LIKELIHOOD_SCALE.map((likelihood, l) => ({
+      likelihood,
+      cells: SEVERITY_SCALE.map((severity, s) => ({
+        severity,
+        score: (l + 1) * (s + 1),
+        level: getRiskLevel((l + 1) * (s + 1)),
+      })),
+    })),
+  };
+}
+
+/**
+ * Get the current assessment of an area
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} areaName - The area name
+ * @returns {Promise<Object|null>} Current RiskAssessment row, or null if the area was never assessed
+ */
+export async function getCurrentAssessment(client, areaName) {
+  return client.riskAssessment.findFirst({
+    where: {
+      area_name: areaName,
+      status: AssessmentStatus.CURRENT,
+    },
+  });
+}
+
+/**
+ * Record a risk assessment of an area
+ * The assessment supersedes the area's current one and sets its risk_level to the worst
+ * residual risk, in one transaction.
+ * @param {Object} data - Assessment data
+ * @param {string} data.area_name - Area assessed
+ * @param {string} data.assessed_by - Assessor
+ * @param {Array} data.hazards - Hazard register, see scoreHazard
+ * @param {string} data.review_date - Date the assessment must be reviewed by (within RISK_REVIEW_MAX_DAYS)
+ * @param {string} data.notes - Optional notes
+ * @returns {Promise<Object>} Recorded assessment
+ */
+export async function recordAssessment(data) {
+  try {
+    if (!data.area_name || !data.assessed_by) {
+      throw new Error('area_name and assessed_by are required');
+    }
+    if (!Array.isArray(data.hazards) || data.hazards.length === 0) {
+      throw new Error('hazards must be a non-empty array');
+    }
+
+    const now = new Date();
+    const reviewDate = new Date(data.review_date);
+    if (!data.review_date || Number.isNaN(reviewDate.getTime())) {
+      throw new Error(`review_date is required and must be a date (got ${data.review_date})`);
+    }
+    if (reviewDate <= now) {
+      throw new Error('review_date must be in the future');
+    }
+    if (reviewDate - now > config.safety.riskReviewMaxDays * DAY_MS) {
+      throw new Error(`review_date must be within ${config.safety.riskReviewMaxDays} days`);
+    }
+
+    const hazards = data.hazards.map((hazard, index) => {
+      try {
+        return scoreHazard(hazard);
+      } catch (error) {
+        throw new Error(`Hazard ${index + 1}${hazard?.hazard ? ` (${hazard.hazard})` : ''}: ${error.message}`);
+      }
+    });
+    const summary = summarizeHazards(hazards);
+
+    const area = await prisma.safetyArea.findUnique({
+      where: { area_name: data.area_name },
+    });
+    if (!area) {
+      throw new Error(`Safety area "${data.area_name}" not found`);
+    }
+
+    const assessment = await withSequenceRetry('assessment_id', () =>
+      prisma.$transaction(async (tx) => {
+        await tx.riskAssessment.updateMany({
+          where: {
+            area_name: area.area_name,
+            status: AssessmentStatus.CURRENT,
+          },
+          data: {
+            status: AssessmentStatus.SUPERSEDED,
+            superseded_at: now,
+          },
+        });
+
+        const created = await tx.riskAssessment.create({
+          data: {
+            assessment_id: await nextSequenceId(tx.riskAssessment, 'assessment_id', 'RA'),
+            area_name: area.area_name,
+            zone: area.zone,
+            status: AssessmentStatus.CURRENT,
+            hazards: JSON.stringify(hazards),
+            hazard_count: hazards.length,
+            ...summary,
+            previous_risk_level: area.risk_level,
+            assessed_by: data.assessed_by,
+            assessed_at: now,
+            review_date: reviewDate,
+            notes: data.notes || null,
+            created_at: now,
+          },
+        });
+
+        await tx.safetyArea.update({
+          where: { area_name: area.area_name },
+          data: { risk_level: summary.residual_risk_level },
+        });
+
+        return created;
+      })
+    );
+
+    return formatAssessment(assessment);
+  } catch (error) {
+    throw new Error(`Failed to record risk assessment: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of risk assessments (the assessment history)
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of assessments
+ */
+export async function listAssessments({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.riskAssessment, listQuery);
+    return { ...page, data: selectFields(page.data.map(formatAssessment), fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch risk assessments: ${error.message}`);
+  }
+}
+
+/**
+ * Get a risk assessment
+ * @param {string} assessmentId - The assessment ID
+ * @returns {Promise<Object|null>} Assessment or null if not found
+ */
+export async function getAssessment(assessmentId) {
+  try {
+    const assessment = await prisma.riskAssessment.findUnique({
+      where: { assessment_id: assessmentId },
+    });
+    return assessment ? formatAssessment(assessment) : null;
+  } catch (error) {
+    throw new Error(`Failed to fetch risk assessment ${assessmentId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the hazard register of every area: its current assessment and review status
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.zone - Only areas of this zone
+ * @param {Array<string>} filters.reviewStatuses - Only areas with one of these review statuses
+ * @returns {Promise<Array>} One entry per area, highest residual risk first
+ */
+export async function getRiskRegister({ zone = null, reviewStatuses = null } = {}) {
+  try {
+    const areas = await prisma.safetyArea.findMany({
+      where: zone ? { zone } : {},
+      orderBy: { area_name: 'asc' },
+    });
+    const assessments = await prisma.riskAssessment.findMany({
+      where: { status: AssessmentStatus.CURRENT },
+    });
+    const byArea = new Map(assessments.map((assessment) => [assessment.area_name, assessment]));
+
+    const now = new Date();
+    const register = areas.map((area) => {
+      const assessment = byArea.get(area.area_name);
+      let reviewStatus = RiskReviewStatus.UNASSESSED;
+      if (assessment) {
+        reviewStatus = assessment.review_date < now ? RiskReviewStatus.OVERDUE : RiskReviewStatus.OK;
+      }
+
+      return {
+        area_name: area.area_name,
+        zone: area.zone,
+        risk_level: area.risk_level,
+        assessment_id: assessment?.assessment_id ?? null,
+        inherent_risk_level: assessment?.inherent_risk_level ?? null,
+        max_residual_score: assessment?.max_residual_score ?? null,
+        assessed_by: assessment?.assessed_by ?? null,
+        assessed_at: assessment?.assessed_at ?? null,
+        review_date: assessment?.review_date ?? null,
+        review_status: reviewStatus,
+        days_until_review: assessment ? Math.floor((assessment.review_date - now) / DAY_MS) : null,
+        hazards: parseHazards(assessment?.hazards),
+      };
+    });
+
+    return register
+      .filter((entry) => !reviewStatuses || reviewStatuses.includes(entry.review_status))
+      .sort((a, b) => (b.max_residual_score ?? 0) - (a.max_residual_score ?? 0) || a.area_name.localeCompare(b.area_name));
+  } catch (error) {
+    throw new Error(`Failed to fetch risk register: ${error.message}`);
+  }
+}
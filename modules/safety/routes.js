@@ -4,24 +4,47 @@
 
 import express from 'express';
 import * as controller from './controller.js';
+import { spreadsheetUpload } from '../../utils/spreadsheet.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /safety
- * @desc    Get all safety areas
+ * @desc    Get a page of safety areas with the total count and next cursor
  * @access  Public
+ * @query   area_name, zone, status, risk_level - Optional filters (comma-separated values match any)
+ * @query   from, to - Optional last_inspection date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
  */
 router.get('/', controller.getAllSafetyAreas);
 
 /**
  * @route   GET /safety/logs
- * @desc    Get safety logs (optionally filtered by area)
+ * @desc    Get a page of safety logs with the total count and next cursor
  * @access  Public
- * @query   area - Optional area name filter
+ * @query   area, zone, ppe_compliance, incident_type, reported_by - Optional filters
+ *          (comma-separated values match any)
+ * @query   from, to - Optional created_at date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
  */
 router.get('/logs', controller.getSafetyLogs);
 
+/**
+ * @route   GET /safety/ppe/analytics
+ * @desc    Get PPE compliance rates by zone, shift and reporter, their trend, and the PPE items most often missing
+ * @access  Public
+ * @query   from, to - Optional safety log date range (defaults to the last 30 days)
+ * @query   granularity - Optional trend buckets: day (default) or week
+ * @query   zone - Optional zone filter
+ * @query   plant - Optional plant whose shifts logs are grouped by (defaults to DEFAULT_PLANT)
+ * @query   timezone - Optional IANA timezone for trend buckets (defaults to PLANT_TIMEZONE)
+ */
+router.get('/ppe/analytics', controller.getPpeAnalytics);
+
 /**
  * @route   GET /safety/status/llm
  * @desc    Get safety status formatted for LLM
@@ -29,18 +52,142 @@ router.get('/logs', controller.getSafetyLogs);
  */
 router.get('/status/llm', controller.getSafetyStatusForLLM);
 
+/**
+ * @route   GET /safety/export
+ * @desc    Download the safety areas matching the list query (see GET /safety) as a spreadsheet
+ * @access  Public
+ * @query   format - Optional: csv (default) or xlsx
+ */
+router.get('/export', controller.exportSafetyAreas);
+
+/**
+ * @route   GET /safety/incidents
+ * @desc    Get a page of incidents with their open and overdue action counts
+ * @access  Public
+ * @query   status, severity, area, zone, investigator, root_cause_category - Optional filters
+ *          (comma-separated values match any)
+ * @query   from, to - Optional reported_at date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
+ */
+router.get('/incidents', controller.getIncidents);
+
+/**
+ * @route   GET /safety/incidents/actions
+ * @desc    Get corrective / preventive actions, earliest due first
+ * @access  Public
+ * @query   incident_id, owner, status - Optional filters
+ * @query   overdue - true for open actions past their due date only
+ */
+router.get('/incidents/actions', controller.getActions);
+
+/**
+ * @route   GET /safety/incidents/:id
+ * @desc    Get an incident with its actions and the safety log it was reported with
+ * @access  Public
+ */
+router.get('/incidents/:id', controller.getIncident);
+
+/**
+ * @route   GET /safety/inspections
+ * @desc    Get a page of recorded inspections with their checklist results
+ * @access  Public
+ * @query   area, zone, inspector, result - Optional filters (comma-separated values match any)
+ * @query   from, to - Optional inspected_at date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
+ */
+router.get('/inspections', controller.getInspections);
+
+/**
+ * @route   GET /safety/inspections/schedule
+ * @desc    Get each area's last inspection, next due date and inspection status, next due first
+ * @access  Public
+ * @query   status - Optional comma-separated statuses: OK, Due, Overdue, Unscheduled
+ * @query   zone - Optional zone filter
+ */
+router.get('/inspections/schedule', controller.getInspectionSchedule);
+
+/**
+ * @route   GET /safety/inspections/templates
+ * @desc    Get the inspection template (checklist and frequency) of each zone
+ * @access  Public
+ */
+router.get('/inspections/templates', controller.getInspectionTemplates);
+
+/**
+ * @route   GET /safety/inspections/:id
+ * @desc    Get a recorded inspection
+ * @access  Public
+ */
+router.get('/inspections/:id', controller.getInspection);
+
+/**
+ * @route   GET /safety/interlocks
+ * @desc    Get safety interlocks (machines held while an area of their zone is Critical), newest first
+ * @access  Public
+ * @query   status ('Active' | 'Cleared' | 'Released'), zone - Optional filters
+ */
+router.get('/interlocks', controller.getInterlocks);
+
+/**
+ * @route   GET /safety/interlocks/:id
+ * @desc    Get a safety interlock with the machine events that held and released its machines
+ * @access  Public
+ */
+router.get('/interlocks/:id', controller.getInterlock);
+
+/**
+ * @route   GET /safety/risk/matrix
+ * @desc    Get the risk matrix: likelihood and severity scales (1-5), risk bands and the level of each cell
+ * @access  Public
+ */
+router.get('/risk/matrix', controller.getRiskMatrix);
+
+/**
+ * @route   GET /safety/risk/register
+ * @desc    Get each area's current hazard register and review status, highest residual risk first
+ * @access  Public
+ * @query   review_status - Optional comma-separated statuses: OK, Overdue, Unassessed
+ * @query   zone - Optional zone filter
+ */
+router.get('/risk/register', controller.getRiskRegister);
+
+/**
+ * @route   GET /safety/risk/assessments
+ * @desc    Get a page of risk assessments, current and superseded (the assessment history)
+ * @access  Public
+ * @query   area, zone, status, residual_risk_level, assessed_by - Optional filters (comma-separated values match any)
+ * @query   from, to - Optional assessed_at date range
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
+ */
+router.get('/risk/assessments', controller.getRiskAssessments);
+
+/**
+ * @route   GET /safety/risk/assessments/:id
+ * @desc    Get a risk assessment with its scored hazards
+ * @access  Public
+ */
+router.get('/risk/assessments/:id', controller.getRiskAssessment);
+
 /**
  * @route   GET /safety/:area
- * @desc    Get a single safety area by area name
+ * @desc    Get a single safety area by area name, with its active permits to work
  * @access  Public
  */
 router.get('/:area', controller.getSafetyArea);
 
 /**
  * @route   POST /safety/update
- * @desc    Update or create a safety area
+ * @desc    Update or create a safety area; Critical holds the machines of its zone (safety interlock)
  * @access  Public
  * @body    { area_name, zone, ppe_required, risk_level, status, notes }
+ *          (does not count as an inspection; use POST /safety/inspections; the risk_level of an
+ *          assessed area is derived from its risk assessment, use POST /safety/risk/assessments)
  */
 router.post('/update', controller.updateSafetyArea);
 
@@ -48,9 +195,104 @@ router.post('/update', controller.updateSafetyArea);
  * @route   POST /safety/log
  * @desc    Create a safety log entry
  * @access  Public
- * @body    { area_name, zone, ppe_compliance, incident_type, description, reported_by }
+ * @body    { area_name, zone, ppe_compliance, ppe_missing, incident_type, description, reported_by }
+ *          ppe_missing: PPE items missing (array or comma-separated), for Partial / NonCompliant logs
  */
 router.post('/log', controller.createSafetyLog);
 
+/**
+ * @route   POST /safety/incidents
+ * @desc    Report an incident (Incident and NearMiss safety logs open one automatically)
+ * @access  Public
+ * @body    { area_name, title, zone?, description?, severity?, reported_by?, reported_at? }
+ */
+router.post('/incidents', controller.reportIncident);
+
+/**
+ * @route   POST /safety/incidents/update
+ * @desc    Record the investigation and move an incident through Reported → Investigating → ActionPending
+ * @access  Public
+ * @body    { incident_id, status?, investigator?, root_cause?, root_cause_category?, contributing_factors?,
+ *            severity?, title?, description? }
+ */
+router.post('/incidents/update', controller.updateIncident);
+
+/**
+ * @route   POST /safety/incidents/actions
+ * @desc    Assign a corrective / preventive action (no action_id) or update one
+ * @access  Public
+ * @body    { incident_id, action_id?, type?, description, owner, due_date, status?, completed_by?, completion_notes? }
+ */
+router.post('/incidents/actions', controller.updateAction);
+
+/**
+ * @route   POST /safety/incidents/close
+ * @desc    Sign off and close an incident once all its actions are done or cancelled
+ * @access  Public
+ * @body    { incident_id, closed_by, closure_notes? }
+ */
+router.post('/incidents/close', controller.closeIncident);
+
+/**
+ * @route   POST /safety/incidents/escalate
+ * @desc    Escalate overdue actions now instead of waiting for the escalation job
+ * @access  Public
+ */
+router.post('/incidents/escalate', controller.escalateActions);
+
+/**
+ * @route   POST /safety/inspections/templates
+ * @desc    Update or create the inspection template of a zone
+ * @access  Public
+ * @body    { zone, name?, checklist: ["Fire extinguishers charged", ...], frequency_days, active? }
+ */
+router.post('/inspections/templates', controller.updateInspectionTemplate);
+
+/**
+ * @route   POST /safety/inspections
+ * @desc    Record an inspection (the only way an area's last_inspection moves)
+ * @access  Public
+ * @body    { area_name, inspector, checklist: [{ item, result: Pass|Fail|NA, comment? }], notes?, inspected_at? }
+ */
+router.post('/inspections', controller.recordInspection);
+
+/**
+ * @route   POST /safety/inspections/check
+ * @desc    Check the inspection schedule and log due / overdue alerts now instead of waiting for the monitor
+ * @access  Public
+ */
+router.post('/inspections/check', controller.checkInspections);
+
+/**
+ * @route   POST /safety/interlocks/release
+ * @desc    Confirm the release of a cleared interlock and return its machines to their previous status
+ *          (Running machines come back Idle)
+ * @access  Public
+ * @body    { interlock_id, released_by, role: "Supervisor" | "SafetyOfficer", notes? }
+ */
+router.post('/interlocks/release', controller.releaseInterlock);
+
+/**
+ * @route   POST /safety/risk/assessments
+ * @desc    Record a risk assessment of an area; it supersedes the current one and sets the area's
+ *          risk_level to the worst residual risk
+ * @access  Public
+ * @body    { area_name, assessed_by, review_date, notes?, hazards: [{ hazard, likelihood, severity,
+ *          controls?: [...], residual_likelihood?, residual_severity? }] } - ratings are 1-5 or their names
+ */
+router.post('/risk/assessments', controller.recordRiskAssessment);
+
+/**
+ * @route   POST /safety/import
+ * @desc    Preview a CSV / XLSX safety area register with a validation report per row, or commit it
+ * @access  Public
+ * @query   commit - true to apply every row, only if all rows are valid (default: preview only)
+ * @query   format - Optional: csv or xlsx (detected from the file otherwise)
+ * @query   sheet - Optional XLSX worksheet name (defaults to the first sheet)
+ * @query   map[Header] - Optional: safety area field a column maps to, e.g. map[Location]=area_name
+ * @body    The CSV or XLSX file itself
+ */
+router.post('/import', spreadsheetUpload, controller.importSafetyAreas);
+
 export default router;
 
@@ -4,13 +4,98 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import * as shiftService from '../shifts/service.js';
+import { getActivePermits } from '../permits/service.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import { findPage, findAll, selectFields } from '../../utils/listQuery.js';
+import { runBatchTransaction, describeChange } from '../../utils/batch.js';
+import { mapImportRows, runImport } from '../../utils/spreadsheet.js';
+import { withSequenceRetry } from '../../utils/sequence.js';
+import { openIncidentForLog, getOpenIncidents } from './incidents.js';
+import { getInspectionSchedule, InspectionStatus } from './inspections.js';
+import { applyAreaStatus, getOpenInterlocks, InterlockStatus } from './interlocks.js';
+import { getCurrentAssessment, getRiskRegister, RiskReviewStatus } from './risk.js';
+import { VALID_PPE_COMPLIANCE, PpeCompliance, TrendGranularity, matchMissingPpe, summarizePpeCompliance } from './utils.js';
 
 const prisma = new PrismaClient();
 
 // Valid safety statuses
 const VALID_STATUSES = ['Safe', 'Warning', 'Critical', 'Maintenance'];
 const VALID_RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
-const VALID_PPE_COMPLIANCE = ['Compliant', 'NonCompliant', 'Partial'];
+
+// Sortable, filterable and selectable fields of GET /safety (see utils/listQuery.js)
+export const SAFETY_AREA_LIST_SPEC = {
+  fields: {
+    area_name: 'string',
+    zone: 'string',
+    ppe_required: 'string',
+    risk_level: 'string',
+    status: 'string',
+    notes: 'string',
+    last_inspection: 'date',
+  },
+  filters: {
+    area_name: {},
+    zone: {},
+    status: { values: VALID_STATUSES },
+    risk_level: { values: VALID_RISK_LEVELS },
+  },
+  dateFields: ['last_inspection'],
+  defaultSort: '-last_inspection',
+};
+
+// Generated ID, left out of dry-run diffs
+const DIFF_IGNORED_FIELDS = ['id'];
+
+// Days of safety logs PPE analytics cover when no range is given
+const DEFAULT_PPE_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns POST /safety/import maps to safety area fields (see utils/spreadsheet.js)
+export const SAFETY_AREA_IMPORT_SPEC = {
+  key: 'area_name',
+  columns: {
+    area_name: 'string',
+    zone: 'string',
+    ppe_required: 'string',
+    risk_level: 'string',
+    status: 'string',
+    notes: 'string',
+  },
+  aliases: {
+    area: 'area_name',
+    ppe: 'ppe_required',
+    risk: 'risk_level',
+  },
+  // Reported by the commit on the row whose status change engaged or cleared an interlock
+  commitFields: ['interlock', 'interlock_error'],
+};
+
+// Sortable, filterable and selectable fields of GET /safety/logs
+export const SAFETY_LOG_LIST_SPEC = {
+  fields: {
+    area_name: 'string',
+    zone: 'string',
+    ppe_compliance: 'string',
+    ppe_missing: 'string',
+    incident_type: 'string',
+    description: 'string',
+    reported_by: 'string',
+    created_at: 'date',
+  },
+  filters: {
+    // ?area= is the original name of the area filter
+    area: { field: 'area_name' },
+    area_name: {},
+    zone: {},
+    ppe_compliance: { values: VALID_PPE_COMPLIANCE },
+    incident_type: {},
+    reported_by: {},
+  },
+  dateFields: ['created_at'],
+  defaultSort: '-created_at',
+};
 
 /**
  * Get all safety areas
@@ -29,6 +114,20 @@ export async function getAllSafetyAreas() {
   }
 }
 
+/**
+ * Get one page of safety areas
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of safety areas
+ */
+export async function listSafetyAreas({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.safetyArea, listQuery);
+    return { ...page, data: selectFields(page.data, fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch safety areas: ${error.message}`);
+  }
+}
+
 /**
  * Get a single safety area by area_name
  * @param {string} areaName - The area name
@@ -47,60 +146,264 @@ export async function getSafetyArea(areaName) {
   }
 }
 
+/**
+ * Get a safety area with its active permits to work
+ * @param {string} areaName - The area name
+ * @returns {Promise<Object|null>} Safety area with active_permits, or null if not found
+ */
+export async function getSafetyAreaStatus(areaName) {
+  try {
+    const area = await getSafetyArea(areaName);
+    if (!area) {
+      return null;
+    }
+    return { ...area, active_permits: await getActivePermits({ areaName }) };
+  } catch (error) {
+    throw new Error(`Failed to fetch safety area ${areaName}: ${error.message}`);
+  }
+}
+
 /**
  * Update or create a safety area
+ * An update is not an inspection: last_inspection only moves when an inspection is recorded
+ * (see inspections.js). A new area has none and is due for its first inspection at once.
+ * A Critical area engages the safety interlock for its zone, and the interlock is cleared once
+ * no area of the zone is Critical (see interlocks.js). The area is saved first; if the
+ * interlock then fails, the saved area is returned with interlock_error and sending the
+ * status again retries the interlock.
  * @param {string} areaName - The area name
  * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} Updated safety area object
+ * @returns {Promise<Object>} Updated safety area object, with the interlock engaged or cleared by the
+ *   update, or interlock_error, and a warning if a risk_level was ignored
  */
 export async function updateSafetyArea(areaName, updateData) {
   try {
-    // Validate status if provided
-    if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
-      throw new Error(
-        `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
-      );
+    validateSafetyAreaUpdate(updateData);
+
+    const { area, warning } = await prisma.$transaction((tx) => applySafetyAreaUpdate(tx, areaName, updateData));
+    const saved = warning ? { ...area, warning } : area;
+
+    let interlock;
+    try {
+      interlock = await applyAreaStatus(area);
+    } catch (error) {
+      console.error(`Safety area ${areaName} saved: ${error.message}`);
+      return { ...saved, interlock_error: error.message };
     }
 
-    // Validate risk level if provided
-    if (updateData.risk_level && !VALID_RISK_LEVELS.includes(updateData.risk_level)) {
-      throw new Error(
-        `Invalid risk_level: ${updateData.risk_level}. Must be one of: ${VALID_RISK_LEVELS.join(', ')}`
-      );
+    return interlock ? { ...saved, interlock } : saved;
+  } catch (error) {
+    throw new Error(`Failed to update safety area ${areaName}: ${error.message}`);
+  }
+}
+
+/**
+ * Check an update payload before it touches the database
+ * @param {Object} updateData - Data to update
+ */
+function validateSafetyAreaUpdate(updateData) {
+  // Validate status if provided
+  if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
+    throw new Error(
+      `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
+    );
+  }
+
+  // Validate risk level if provided
+  if (updateData.risk_level && !VALID_RISK_LEVELS.includes(updateData.risk_level)) {
+    throw new Error(
+      `Invalid risk_level: ${updateData.risk_level}. Must be one of: ${VALID_RISK_LEVELS.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Write a validated safety area update
+ * last_inspection and inspection_alert belong to recorded inspections and are ignored here.
+ * An assessed area's risk_level is derived from its risk assessment (see risk.js): another
+ * level is ignored with a warning and the rest of the update is still applied.
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} areaName - The area name
+ * @param {Object} data - Validated data to update
+ * @returns {Promise<{previous: Object|null, area: Object, warning: string|null}>} Area before and
+ *   after the update, and the warning for an ignored risk_level
+ */
+async function applySafetyAreaUpdate(tx, areaName, data) {
+  const { last_inspection, inspection_alert, ...updateData } = data;
+
+  const existing = await tx.safetyArea.findUnique({
+    where: {
+      area_name: areaName,
+    },
+  });
+
+  let warning = null;
+  if (existing && updateData.risk_level && updateData.risk_level !== existing.risk_level) {
+    const assessment = await getCurrentAssessment(tx, areaName);
+    if (assessment) {
+      warning = `risk_level ${updateData.risk_level} ignored: the risk level of ${areaName} is derived from risk assessment ${assessment.assessment_id} (${existing.risk_level}); record a new assessment to change it`;
+      delete updateData.risk_level;
     }
+  }
+
+  const area = await tx.safetyArea.upsert({
+    where: {
+      area_name: areaName,
+    },
+    update: updateData,
+    create: {
+      area_name: areaName,
+      zone: updateData.zone || areaName.replace('_Area', ''),
+      ppe_required: updateData.ppe_required || 'Helmet,Gloves,Safety Shoes',
+      risk_level: updateData.risk_level || 'Medium',
+      status: updateData.status || 'Safe',
+      notes: updateData.notes ?? null,
+    },
+  });
+
+  return { previous: existing, area, warning };
+}
+
+/**
+ * Engage or clear the safety interlocks of a committed batch
+ * Runs once for each area whose status the batch changed, with the area as committed, and
+ * reports the interlock (or interlock_error, as in updateSafetyArea) on the area's last result.
+ * @param {Array} results - Batch results; successful ones hold the updated area
+ * @param {Set<string>} statusChanged - Names of the areas whose status changed
+ */
+async function applyBatchInterlocks(results, statusChanged) {
+  const lastResults = new Map();
+  for (const result of results) {
+    if (result.success && statusChanged.has(result.area.area_name)) {
+      lastResults.set(result.area.area_name, result);
+    }
+  }
+
+  for (const result of lastResults.values()) {
+    try {
+      const interlock = await applyAreaStatus(result.area);
+      if (interlock) {
+        result.interlock = interlock;
+      }
+    } catch (error) {
+      console.error(`Safety area ${result.area.area_name} saved: ${error.message}`);
+      result.interlock_error = error.message;
+    }
+  }
+}
+
+/**
+ * Batch update multiple safety areas
+ * Like updateSafetyArea, a batch does not count as an inspection, and once committed it engages
+ * or clears the interlock of every area whose status it changed. Modes as in utils/batch.js.
+ * @param {Array} areasData - Array of safety area update objects
+ * @param {Object} options - Batch options
+ * @param {boolean} options.atomic - Apply every update or none
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @returns {Promise<{results: Array, committed: boolean}>} Per-area results, with the interlocks
+ *   engaged or cleared, and whether they were written
+ */
+export async function batchUpdateSafetyAreas(areasData, { atomic = false, dryRun = false } = {}) {
+  try {
+    if (!Array.isArray(areasData)) {
+      throw new Error('Expected an array of safety areas');
+    }
+
+    const statusChanged = new Set();
+
+    const applyItem = async (tx, areaData) => {
+      const areaName = areaData?.area_name;
+      if (!areaName) {
+        throw new Error('area_name is required');
+      }
 
-    // Ensure last_inspection is set to current time
-    const dataToUpdate = {
-      ...updateData,
-      last_inspection: new Date(),
+      try {
+        validateSafetyAreaUpdate(areaData);
+        const { previous, area, warning } = await applySafetyAreaUpdate(tx, areaName, areaData);
+        if (area.status !== previous?.status) {
+          statusChanged.add(area.area_name);
+        }
+        if (dryRun) {
+          return {
+            area_name: areaName,
+            ...describeChange(previous, area, DIFF_IGNORED_FIELDS),
+            ...(warning && { warning }),
+          };
+        }
+        return { area: warning ? { ...area, warning } : area };
+      } catch (error) {
+        throw new Error(`Failed to update safety area ${areaName}: ${error.message}`);
+      }
     };
 
-    const area = await prisma.safetyArea.upsert({
-      where: {
-        area_name: areaName,
-      },
-      update: dataToUpdate,
-      create: {
-        area_name: areaName,
-        zone: updateData.zone || areaName.replace('_Area', ''),
-        ppe_required: updateData.ppe_required || 'Helmet,Gloves,Safety Shoes',
-        risk_level: updateData.risk_level || 'Medium',
-        status: updateData.status || 'Safe',
-        notes: updateData.notes ?? null,
-        last_inspection: new Date(),
-      },
-    });
+    if (atomic || dryRun) {
+      const batch = await runBatchTransaction(prisma, areasData, applyItem, { idField: 'area_name', commit: !dryRun });
+      if (batch.committed) {
+        await applyBatchInterlocks(batch.results, statusChanged);
+      }
+      return batch;
+    }
 
-    return area;
+    const results = [];
+
+    for (const areaData of areasData) {
+      try {
+        const result = await prisma.$transaction((tx) => applyItem(tx, areaData));
+        results.push({ success: true, ...result });
+      } catch (error) {
+        results.push({
+          success: false,
+          area_name: areaData?.area_name || 'unknown',
+          error: error.message,
+        });
+      }
+    }
+
+    // Each successful update was committed on its own
+    await applyBatchInterlocks(results, statusChanged);
+    return { results, committed: results.some((result) => result.success) };
   } catch (error) {
-    throw new Error(`Failed to update safety area ${areaName}: ${error.message}`);
+    throw new Error(`Failed to batch update safety areas: ${error.message}`);
+  }
+}
+
+/**
+ * Preview or commit a safety area import
+ * @param {Array<Array<*>>} rows - Spreadsheet rows, header row first
+ * @param {Object} options - Import options
+ * @param {boolean} options.commit - Apply the areas (all or nothing) instead of only previewing them
+ * @param {Object} options.columnMap - Extra { header: field } column mappings
+ * @returns {Promise<Object>} Import report with one result per row (see runImport)
+ */
+export async function importSafetyAreas(rows, { commit = false, columnMap = {} } = {}) {
+  try {
+    const mapped = mapImportRows(rows, SAFETY_AREA_IMPORT_SPEC, columnMap);
+    return await runImport(mapped, SAFETY_AREA_IMPORT_SPEC, batchUpdateSafetyAreas, { commit });
+  } catch (error) {
+    throw new Error(`Failed to import safety areas: ${error.message}`);
+  }
+}
+
+/**
+ * Get every safety area matching a list query, for export
+ * @param {Object} listQuery - Parsed list query (see parseListQuery)
+ * @returns {Promise<{columns: Array<string>, records: Array}>} Exported columns and safety areas
+ */
+export async function exportSafetyAreas({ fields = null, ...listQuery }) {
+  try {
+    const areas = await findAll(prisma.safetyArea, listQuery);
+    return { columns: fields || Object.keys(SAFETY_AREA_LIST_SPEC.fields), records: areas };
+  } catch (error) {
+    throw new Error(`Failed to export safety areas: ${error.message}`);
   }
 }
 
 /**
  * Create a safety log entry
+ * Incident and NearMiss logs open an incident (see incidents.js) in the same transaction.
+ * ppe_missing (array or comma-separated) is matched against the area's ppe_required.
  * @param {Object} logData - Log data
- * @returns {Promise<Object>} Created safety log
+ * @returns {Promise<Object>} Created safety log with the incident_id it opened (or null)
  */
 export async function createSafetyLog(logData) {
   try {
@@ -110,28 +413,48 @@ export async function createSafetyLog(logData) {
       );
     }
 
-    const log = await prisma.safetyLog.create({
-      data: {
-        area_name: logData.area_name,
-        zone: logData.zone || logData.area_name.replace('_Area', ''),
-        ppe_compliance: logData.ppe_compliance || 'Compliant',
-        incident_type: logData.incident_type || null,
-        description: logData.description || null,
-        reported_by: logData.reported_by || null,
-        created_at: new Date(),
-      },
-    });
+    const area = await getSafetyArea(logData.area_name);
+
+    let ppeMissing = null;
+    if (logData.ppe_missing && logData.ppe_missing.length > 0) {
+      if (!logData.ppe_compliance || logData.ppe_compliance === PpeCompliance.COMPLIANT) {
+        throw new Error('ppe_missing is only recorded for Partial or NonCompliant logs');
+      }
+      if (!area) {
+        throw new Error(`Safety area "${logData.area_name}" not found to match ppe_missing against`);
+      }
+      ppeMissing = matchMissingPpe(logData.ppe_missing, area.ppe_required).join(',') || null;
+    }
 
-    return log;
+    // A log that opens an incident is created again if the incident ID was taken concurrently
+    return await withSequenceRetry('incident_id', () =>
+      prisma.$transaction(async (tx) => {
+        const log = await tx.safetyLog.create({
+          data: {
+            area_name: logData.area_name,
+            zone: logData.zone || area?.zone || logData.area_name.replace('_Area', ''),
+            ppe_compliance: logData.ppe_compliance || 'Compliant',
+            ppe_missing: ppeMissing,
+            incident_type: logData.incident_type || null,
+            description: logData.description || null,
+            reported_by: logData.reported_by || null,
+            created_at: new Date(),
+          },
+        });
+
+        const incident = await openIncidentForLog(tx, log);
+        return { ...log, incident_id: incident?.incident_id ?? null };
+      })
+    );
   } catch (error) {
     throw new Error(`Failed to create safety log: ${error.message}`);
   }
 }
 
 /**
- * Get safety logs for an area
+ * Get the most recent safety logs for an area (LLM summaries; GET /safety/logs pages through all logs)
  * @param {string} areaName - Area name (optional)
- * @returns {Promise<Array>} Array of safety logs
+ * @returns {Promise<Array>} Array of up to 100 safety logs, newest first
  */
 export async function getSafetyLogs(areaName = null) {
   try {
@@ -150,6 +473,92 @@ export async function getSafetyLogs(areaName = null) {
   }
 }
 
+/**
+ * Get one page of safety logs
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of safety logs
+ */
+export async function listSafetyLogs({ fields = null, ...listQuery }) {
+  try {
+    const page = await findPage(prisma.safetyLog, listQuery);
+    return { ...page, data: selectFields(page.data, fields) };
+  } catch (error) {
+    throw new Error(`Failed to fetch safety logs: ${error.message}`);
+  }
+}
+
+/**
+ * Get all safety logs created in a time range (not capped, used by reports)
+ * @param {Object} range - Time range
+ * @param {Date|null} range.from - Range start
+ * @param {Date|null} range.to - Range end
+ * @returns {Promise<Array>} Array of safety logs (oldest first)
+ */
+export async function getSafetyLogsInRange({ from = null, to = null } = {}) {
+  try {
+    const logs = await prisma.safetyLog.findMany({
+      where: {
+        created_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        created_at: 'asc',
+      },
+    });
+    return logs;
+  } catch (error) {
+    throw new Error(`Failed to fetch safety logs: ${error.message}`);
+  }
+}
+
+/**
+ * PPE compliance analytics of the safety logs in a time range
+ * @param {Object} options - Analytics options
+ * @param {Date|null} options.from - Range start (defaults to 30 days before the end)
+ * @param {Date|null} options.to - Range end (defaults to now)
+ * @param {string} options.granularity - Trend granularity: day or week
+ * @param {string} options.zone - Only logs of this zone
+ * @param {string} options.plant - Plant whose shifts the logs are grouped by
+ * @param {string} options.timeZone - Timezone for trend buckets
+ * @returns {Promise<Object>} Window plus overall, by_zone, by_shift, by_reporter, trend and missing_items
+ */
+export async function getPpeAnalytics({
+  from = null,
+  to = null,
+  granularity = TrendGranularity.DAY,
+  zone = null,
+  plant = config.plant.defaultCode,
+  timeZone = config.plant.timezone,
+} = {}) {
+  try {
+    const windowEnd = to || new Date();
+    const windowStart = from || new Date(windowEnd.getTime() - DEFAULT_PPE_WINDOW_DAYS * DAY_MS);
+
+    const [logs, areas, shifts] = await Promise.all([
+      prisma.safetyLog.findMany({
+        where: {
+          ...(zone && { zone }),
+          created_at: toPrismaDateFilter({ from: windowStart, to: windowEnd }),
+        },
+        orderBy: {
+          created_at: 'asc',
+        },
+      }),
+      getAllSafetyAreas(),
+      shiftService.getAllShifts(plant),
+    ]);
+
+    return {
+      from: windowStart.toISOString(),
+      to: windowEnd.toISOString(),
+      granularity,
+      timezone: timeZone,
+      ...summarizePpeCompliance(logs, { areas, shifts, granularity, timeZone }),
+    };
+  } catch (error) {
+    throw new Error(`Failed to compute PPE analytics: ${error.message}`);
+  }
+}
+
 /**
  * Parse safety codes and return formatted data
  * @param {string} codes - Safety codes string
@@ -191,6 +600,16 @@ export async function getSafetyStatus() {
   try {
     const areas = await getAllSafetyAreas();
     const logs = await getSafetyLogs();
+    const incidents = await getOpenIncidents();
+    const ppe = await getPpeAnalytics({ granularity: TrendGranularity.WEEK });
+    const permits = await getActivePermits();
+    const interlocks = await getOpenInterlocks();
+    const riskReviews = await getRiskRegister({
+      reviewStatuses: [RiskReviewStatus.OVERDUE, RiskReviewStatus.UNASSESSED],
+    });
+    const inspectionsDue = await getInspectionSchedule({
+      statuses: [InspectionStatus.DUE, InspectionStatus.OVERDUE],
+    });
 
     // Calculate statistics
     const stats = {
@@ -200,11 +619,29 @@ export async function getSafetyStatus() {
       critical: areas.filter((a) => a.status === 'Critical').length,
       maintenance: areas.filter((a) => a.status === 'Maintenance').length,
       recent_logs_count: logs.length,
+      open_incidents: incidents.length,
+      overdue_actions: incidents.reduce((sum, incident) => sum + incident.actions_overdue, 0),
+      inspections_due: inspectionsDue.filter((entry) => entry.inspection_status === InspectionStatus.DUE).length,
+      inspections_overdue: inspectionsDue.filter((entry) => entry.inspection_status === InspectionStatus.OVERDUE).length,
+      active_permits: permits.length,
+      expired_permits: permits.filter((permit) => permit.expired).length,
+      active_interlocks: interlocks.filter((interlock) => interlock.status === InterlockStatus.ACTIVE).length,
+      interlocks_awaiting_release: interlocks.filter((interlock) => interlock.status === InterlockStatus.CLEARED).length,
+      risk_reviews_overdue: riskReviews.filter((entry) => entry.review_status === RiskReviewStatus.OVERDUE).length,
+      risk_unassessed: riskReviews.filter((entry) => entry.review_status === RiskReviewStatus.UNASSESSED).length,
     };
 
     return {
-      areas,
+      areas: areas.map((area) => ({
+        ...area,
+        active_permits: permits.filter((permit) => permit.area_name === area.area_name),
+      })),
       logs: logs.slice(0, 10), // Recent 10 logs
+      open_incidents: incidents,
+      inspections_due: inspectionsDue,
+      interlocks,
+      risk_reviews_due: riskReviews.map(({ hazards, ...entry }) => entry),
+      ppe_compliance: ppe,
       statistics: stats,
       last_updated: new Date().toISOString(),
     };
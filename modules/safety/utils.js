@@ -0,0 +1,237 @@
+/**
+ * Utility functions for PPE compliance analytics
+ * Matches missing PPE against an area's required PPE and summarises safety logs by zone,
+ * shift, reporter and over time. All functions here are pure.
+ */
+
+import { toLocalDate, zonedTimeToUtc, addDays, findShiftAt } from '../shifts/utils.js';
+
+export const PpeCompliance = {
+  COMPLIANT: 'Compliant',
+  PARTIAL: 'Partial',
+  NON_COMPLIANT: 'NonCompliant',
+};
+
+export const VALID_PPE_COMPLIANCE = Object.values(PpeCompliance);
+
+export const TrendGranularity = {
+  DAY: 'day',
+  WEEK: 'week',
+};
+
+export const VALID_TREND_GRANULARITIES = Object.values(TrendGranularity);
+
+// Bucket for logs outside every shift, or without a reporter
+const UNSCHEDULED = 'unscheduled';
+const UNKNOWN_REPORTER = 'unknown';
+
+/**
+ * Split a PPE list into items
+ * @param {string|Array<string>|null} value - Comma-separated string or array
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+export function parsePpeList(value) {
+  if (!value) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Match reported missing PPE against an area's required PPE
+ * Items match case-insensitively and take the name used in ppe_required.
+ * @param {string|Array<string>} missing - Missing items as reported
+ * @param {string} ppeRequired - Area's comma-separated ppe_required
+ * @returns {Array<string>} Missing items named as in ppe_required, without duplicates
+ */
+export function matchMissingPpe(missing, ppeRequired) {
+  const required = parsePpeList(ppeRequired);
+  const matched = [];
+
+  for (const item of parsePpeList(missing)) {
+    const match = required.find((name) => name.toLowerCase() === item.toLowerCase());
+    if (!match) {
+      throw new Error(`"${item}" is not in the required PPE (${required.join(', ') || 'none'})`);
+    }
+    if (!matched.includes(match)) {
+      matched.push(match);
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Round a ratio for API output
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null} Ratio rounded to 4 decimals, or null without a denominator
+ */
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+/**
+ * Empty compliance counts
+ * @returns {Object} { logs, compliant, partial, non_compliant }
+ */
+function emptyCounts() {
+  return { logs: 0, compliant: 0, partial: 0, non_compliant: 0 };
+}
+
+/**
+ * Add a log to compliance counts
+ * @param {Object} counts - Running counts
+ * @param {Object} log - SafetyLog row
+ */
+function addLog(counts, log) {
+  counts.logs += 1;
+  if (log.ppe_compliance === PpeCompliance.PARTIAL) {
+    counts.partial += 1;
+  } else if (log.ppe_compliance === PpeCompliance.NON_COMPLIANT) {
+    counts.non_compliant += 1;
+  } else {
+    counts.compliant += 1;
+  }
+}
+
+/**
+ * Add rates to compliance counts
+ * @param {Object} counts - { logs, compliant, partial, non_compliant }
+ * @returns {Object} Counts with compliance_rate, partial_rate and non_compliance_rate
+ */
+function withRates(counts) {
+  return {
+    ...counts,
+    compliance_rate: ratio(counts.compliant, counts.logs),
+    partial_rate: ratio(counts.partial, counts.logs),
+    non_compliance_rate: ratio(counts.non_compliant, counts.logs),
+  };
+}
+
+/**
+ * Group logs by a key and count compliance per group
+ * @param {Array} logs - SafetyLog rows
+ * @param {Function} keyOf - (log) => group key
+ * @returns {Map<string, Object>} Counts by key
+ */
+function groupCounts(logs, keyOf) {
+  const groups = new Map();
+  for (const log of logs) {
+    const key = keyOf(log);
+    if (!groups.has(key)) {
+      groups.set(key, emptyCounts());
+    }
+    addLog(groups.get(key), log);
+  }
+  return groups;
+}
+
+/**
+ * Turn grouped counts into rows, least compliant first
+ * @param {Map<string, Object>} groups - Counts by key
+ * @param {string} name - Name of the key field
+ * @returns {Array<Object>} Rows with rates
+ */
+function rankGroups(groups, name) {
+  return [...groups.entries()]
+    .map(([key, counts]) => ({ [name]: key, ...withRates(counts) }))
+    .sort((a, b) => a.compliance_rate - b.compliance_rate || b.logs - a.logs);
+}
+
+/**
+ * Trend bucket of an instant
+ * Weeks start on Monday in the plant timezone.
+ * @param {Date} at - Instant
+ * @param {string} granularity - One of TrendGranularity
+ * @param {string} timeZone - IANA timezone
+ * @returns {{key: string, from: Date, to: Date}} Bucket
+ */
+export function getTrendBucket(at, granularity, timeZone) {
+  let date = toLocalDate(at, timeZone);
+  let days = 1;
+
+  if (granularity === TrendGranularity.WEEK) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    date = addDays(date, -((weekday + 6) % 7));
+    days = 7;
+  }
+
+  return {
+    key: date,
+    from: zonedTimeToUtc(date, '00:00', timeZone),
+    to: zonedTimeToUtc(addDays(date, days), '00:00', timeZone),
+  };
+}
+
+/**
+ * Summarise PPE compliance of safety logs
+ * Missing items are counted against the logs of areas that require them, so an item's
+ * miss_rate is the share of those logs that reported it missing. Partial and NonCompliant
+ * logs that do not say what was missing are counted as missing_unspecified.
+ *
+ * @param {Array} logs - SafetyLog rows, oldest first
+ * @param {Object} options - Summary options
+ * @param {Array} options.areas - SafetyArea rows (for ppe_required)
+ * @param {Array} options.shifts - Shift rows
+ * @param {string} options.granularity - Trend granularity, one of TrendGranularity
+ * @param {string} options.timeZone - Timezone for trend buckets
+ * @returns {Object} overall, by_zone, by_shift, by_reporter, trend and missing_items
+ */
+export function summarizePpeCompliance(logs, { areas = [], shifts = [], granularity = TrendGranularity.DAY, timeZone = 'UTC' } = {}) {
+  const overall = emptyCounts();
+  let missingUnspecified = 0;
+  const requiredByArea = new Map(areas.map((area) => [area.area_name, parsePpeList(area.ppe_required)]));
+  const items = new Map();
+
+  const itemStats = (item) => {
+    if (!items.has(item)) {
+      items.set(item, { item, missing: 0, required_logs: 0, zones: {} });
+    }
+    return items.get(item);
+  };
+
+  for (const log of logs) {
+    addLog(overall, log);
+
+    const missing = parsePpeList(log.ppe_missing);
+    if (log.ppe_compliance !== PpeCompliance.COMPLIANT && missing.length === 0) {
+      missingUnspecified += 1;
+    }
+
+    for (const item of requiredByArea.get(log.area_name) || []) {
+      itemStats(item).required_logs += 1;
+    }
+    for (const item of missing) {
+      const stats = itemStats(item);
+      stats.missing += 1;
+      stats.zones[log.zone] = (stats.zones[log.zone] || 0) + 1;
+    }
+  }
+
+  const trend = new Map();
+  for (const log of logs) {
+    const { key, from, to } = getTrendBucket(new Date(log.created_at), granularity, timeZone);
+    if (!trend.has(key)) {
+      trend.set(key, { bucket: key, from, to, ...emptyCounts() });
+    }
+    addLog(trend.get(key), log);
+  }
+
+  return {
+    overall: { ...withRates(overall), missing_unspecified: missingUnspecified },
+    by_zone: rankGroups(groupCounts(logs, (log) => log.zone), 'zone'),
+    by_shift: rankGroups(
+      groupCounts(logs, (log) => findShiftAt(shifts, new Date(log.created_at))?.shift.name || UNSCHEDULED),
+      'shift'
+    ),
+    by_reporter: rankGroups(groupCounts(logs, (log) => log.reported_by || UNKNOWN_REPORTER), 'reported_by'),
+    trend: [...trend.values()].map(withRates),
+    missing_items: [...items.values()]
+      .filter((stats) => stats.missing > 0)
+      .map((stats) => ({ ...stats, miss_rate: ratio(stats.missing, stats.required_logs) }))
+      .sort((a, b) => b.missing - a.missing),
+  };
+}
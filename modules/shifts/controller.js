@@ -0,0 +1,85 @@
+/**
+ * Controller layer for Shift Management
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+
+/**
+ * Get all shifts of a plant
+ * GET /shifts?plant=&all=true
+ */
+export async function getAllShifts(req, res) {
+  try {
+    const shifts = await service.getAllShifts(req.query.plant || undefined, {
+      includeInactive: req.query.all === 'true',
+    });
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the shift that is on right now
+ * GET /shifts/current?plant=
+ */
+export async function getCurrentShift(req, res) {
+  try {
+    const current = await service.getShiftAt(new Date(), req.query.plant || undefined);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'No shift covers the current time',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: current,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a shift
+ * POST /shifts/update
+ */
+export async function updateShift(req, res) {
+  try {
+    const { name, ...updateData } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required',
+      });
+    }
+
+    const updated = await service.updateShift(name, updateData);
+
+    res.json({
+      success: true,
+      message: `Shift ${updated.name} (${updated.plant}) updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
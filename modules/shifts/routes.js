@@ -0,0 +1,35 @@
+/**
+ * Routes for Shift Management Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /shifts
+ * @desc    Get the shift definitions of a plant
+ * @access  Public
+ * @query   plant - Optional plant code (defaults to DEFAULT_PLANT)
+ * @query   all - Optional: 'true' to include deactivated shifts
+ */
+router.get('/', controller.getAllShifts);
+
+/**
+ * @route   GET /shifts/current
+ * @desc    Get the shift that is on right now and its time window
+ * @access  Public
+ * @query   plant - Optional plant code
+ */
+router.get('/current', controller.getCurrentShift);
+
+/**
+ * @route   POST /shifts/update
+ * @desc    Update or create a shift
+ * @access  Public
+ * @body    { name, plant, start_time: "HH:MM", end_time: "HH:MM", timezone, active }
+ */
+router.post('/update', controller.updateShift);
+
+export default router;
@@ -0,0 +1,151 @@
+/**
+ * Service layer for Shift Management
+ * Contains business logic for shift definitions
+ */
+
+import { PrismaClient } from '@prisma/client';
+import config from '../../config.js';
+import { isValidTime, isValidTimeZone, isValidDate, getShiftWindow, findShiftAt } from './utils.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all shifts of a plant
+ * @param {string} plant - Plant code (defaults to the configured plant)
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeInactive - Include deactivated shifts
+ * @returns {Promise<Array>} Array of shifts ordered by start time
+ */
+export async function getAllShifts(plant = config.plant.defaultCode, { includeInactive = false } = {}) {
+  try {
+    const shifts = await prisma.shift.findMany({
+      where: {
+        plant,
+        ...(!includeInactive && { active: true }),
+      },
+      orderBy: {
+        start_time: 'asc',
+      },
+    });
+    return shifts;
+  } catch (error) {
+    throw new Error(`Failed to fetch shifts: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single shift by plant and name
+ * @param {string} name - Shift name
+ * @param {string} plant - Plant code (defaults to the configured plant)
+ * @returns {Promise<Object|null>} Shift or null if not found
+ */
+export async function getShift(name, plant = config.plant.defaultCode) {
+  try {
+    const shift = await prisma.shift.findUnique({
+      where: {
+        plant_name: { plant, name },
+      },
+    });
+    return shift;
+  } catch (error) {
+    throw new Error(`Failed to fetch shift ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a shift
+ * @param {string} name - Shift name
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated shift
+ */
+export async function updateShift(name, updateData) {
+  const plant = updateData.plant || config.plant.defaultCode;
+
+  try {
+    if (updateData.start_time !== undefined && !isValidTime(updateData.start_time)) {
+      throw new Error(`Invalid start_time: ${updateData.start_time}. Use 24-hour "HH:MM"`);
+    }
+
+    if (updateData.end_time !== undefined && !isValidTime(updateData.end_time)) {
+      throw new Error(`Invalid end_time: ${updateData.end_time}. Use 24-hour "HH:MM"`);
+    }
+
+    if (updateData.timezone !== undefined && !isValidTimeZone(updateData.timezone)) {
+      throw new Error(`Invalid timezone: ${updateData.timezone}. Use an IANA name such as "Asia/Kolkata"`);
+    }
+
+    const existing = await getShift(name, plant);
+    const startTime = updateData.start_time ?? existing?.start_time;
+    const endTime = updateData.end_time ?? existing?.end_time;
+
+    if (!startTime || !endTime) {
+      throw new Error('start_time and end_time are required for a new shift');
+    }
+
+    if (startTime === endTime) {
+      throw new Error('start_time and end_time must differ');
+    }
+
+    const shift = await prisma.shift.upsert({
+      where: {
+        plant_name: { plant, name },
+      },
+      update: {
+        start_time: startTime,
+        end_time: endTime,
+        ...(updateData.timezone !== undefined && { timezone: updateData.timezone }),
+        ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+        updated_at: new Date(),
+      },
+      create: {
+        plant,
+        name,
+        start_time: startTime,
+        end_time: endTime,
+        timezone: updateData.timezone || config.plant.timezone,
+        active: updateData.active ?? true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return shift;
+  } catch (error) {
+    throw new Error(`Failed to update shift ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the absolute window of a named shift on a date
+ * @param {string} date - Local date the shift starts on, "YYYY-MM-DD"
+ * @param {string} name - Shift name
+ * @param {string} plant - Plant code (defaults to the configured plant)
+ * @returns {Promise<Object|null>} { shift, date, from, to } or null if the shift does not exist
+ */
+export async function resolveShiftWindow(date, name, plant = config.plant.defaultCode) {
+  if (!isValidDate(date)) {
+    throw new Error(`Invalid date: ${date}. Use "YYYY-MM-DD"`);
+  }
+
+  const shift = await getShift(name, plant);
+  if (!shift) {
+    return null;
+  }
+
+  return { shift, date, ...getShiftWindow(shift, date) };
+}
+
+/**
+ * Find the shift that was on at a given time
+ * @param {Date} at - Instant
+ * @param {string} plant - Plant code (defaults to the configured plant)
+ * @returns {Promise<Object|null>} { shift, date, from, to } or null if no shift covers the instant
+ */
+export async function getShiftAt(at = new Date(), plant = config.plant.defaultCode) {
+  try {
+    const shifts = await getAllShifts(plant);
+    return findShiftAt(shifts, at);
+  } catch (error) {
+    throw new Error(`Failed to resolve shift: ${error.message}`);
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Utility functions for Shift Management
+ * Turns shift definitions (local "HH:MM" times in a plant timezone) into
+ * absolute time windows, including shifts that cross midnight
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a "HH:MM" 24-hour time
+ * @param {string} value - Time string
+ * @returns {boolean} True if valid
+ */
+export function isValidTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+/**
+ * Check that a string is a "YYYY-MM-DD" calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check that a string is an IANA timezone known to this runtime
+ * @param {string} timeZone - Timezone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') {
+      values[part.type] = Number(part.value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date and time in a timezone to an absolute Date
+ * @param {string} date - Local date "YYYY-MM-DD"
+ * @param {string} time - Local time "HH:MM"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Absolute instant
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time, then correct once for DST edges
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const corrected = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - corrected);
+}
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Local date "YYYY-MM-DD"
+ */
+export function toLocalDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Local wall-clock hour of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Local hour, 0-23
+ */
+export function toLocalHour(date, timeZone) {
+  return getZonedParts(date, timeZone).hour;
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+export function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Absolute time window of a shift on a given date
+ * The date is the local date the shift starts on; a shift whose end time is
+ * not after its start time ends on the following day.
+ *
+ * @param {Object} shift - Shift row (start_time, end_time, timezone)
+ * @param {string} date - Local start date "YYYY-MM-DD"
+ * @returns {{from: Date, to: Date}} Shift window
+ */
+export function getShiftWindow(shift, date) {
+  const crossesMidnight = shift.end_time <= shift.start_time;
+  return {
+    from: zonedTimeToUtc(date, shift.start_time, shift.timezone),
+    to: zonedTimeToUtc(crossesMidnight ? addDays(date, 1) : date, shift.end_time, shift.timezone),
+  };
+}
+
+/**
+ * Find which shift an instant falls into
+ * @param {Array} shifts - Shift rows
+ * @param {Date} at - Instant
+ * @returns {{shift: Object, date: string, from: Date, to: Date}|null} Matching shift and its window, or null
+ */
+export function findShiftAt(shifts, at) {
+  for (const shift of shifts) {
+    const localDate = toLocalDate(at, shift.timezone);
+
+    // A shift crossing midnight may have started on the previous local date
+    for (const date of [localDate, addDays(localDate, -1)]) {
+      const window = getShiftWindow(shift, date);
+      if (at >= window.from && at < window.to) {
+        return { shift, date, ...window };
+      }
+    }
+  }
+  return null;
+}
@@ -5,18 +5,53 @@
 
 import * as service from './service.js';
 import { parseWhatsappMessage, prepareMachineStatusPrompt, formatMachineStatusForLLM } from './utils.js';
+import { getTransitionGraph } from './transitions.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+import { parseBatchOptions } from '../../utils/batch.js';
+import { parseListQuery } from '../../utils/listQuery.js';
+import { resolveFormat, readSpreadsheet, describeImport, sendSpreadsheet, SpreadsheetFormat } from '../../utils/spreadsheet.js';
 
 /**
- * Get all machines
- * GET /machines
+ * Read the hierarchy filters of a machine list request
+ * @param {Object} query - Express query object
+ * @returns {Object} { plant, area, line, cell }
+ */
+function getHierarchyFilters(query) {
+  return {
+    plant: query.plant || null,
+    area: query.area || null,
+    line: query.line || null,
+    cell: query.cell || null,
+  };
+}
+
+/**
+ * Get a page of machines
+ * GET /machines?plant=&area=&line=&cell=&status=&operator=&sort=&limit=&cursor=&fields=
  */
 export async function getAllMachines(req, res) {
   try {
-    const machines = await service.getAllMachines();
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query, service.MACHINE_LIST_SPEC);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const page = await service.listMachines({
+      ...listQuery,
+      plant: req.query.plant || null,
+      area: req.query.area || null,
+    });
     res.json({
       success: true,
-      count: machines.length,
-      data: machines,
+      count: page.data.length,
+      total: page.total,
+      next_cursor: page.next_cursor,
+      data: page.data,
     });
   } catch (error) {
     res.status(500).json({
@@ -54,6 +89,116 @@ export async function getMachine(req, res) {
   }
 }
 
+/**
+ * Get the status/event history of a machine
+ * GET /machines/:id/history?from=&to=
+ */
+export async function getMachineHistory(req, res) {
+  try {
+    const { id } = req.params;
+
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const machine = await service.getMachine(id);
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        error: `Machine with ID ${id} not found`,
+      });
+    }
+
+    const history = await service.getMachineHistory(id, range);
+
+    res.json({
+      success: true,
+      count: history.events.length,
+      data: history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get OEE for a single machine
+ * GET /machines/:id/oee?from=&to=
+ */
+export async function getMachineOee(req, res) {
+  try {
+    const { id } = req.params;
+
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const oee = await service.getMachineOee(id, range);
+
+    if (!oee) {
+      return res.status(404).json({
+        success: false,
+        error: `Machine with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: oee,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get plant-wide OEE rollup with line and machine breakdowns
+ * GET /machines/oee?from=&to=&plant=&area=&line=&cell=
+ */
+export async function getPlantOee(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const oee = await service.getPlantOee(range, getHierarchyFilters(req.query));
+
+    res.json({
+      success: true,
+      data: oee,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Update a machine (supports both direct JSON and WhatsApp message format)
  * POST /machines/update
@@ -100,6 +245,73 @@ export async function updateMachine(req, res) {
   }
 }
 
+/**
+ * Acknowledge the current fault of a machine in Error
+ * POST /machines/:id/acknowledge
+ */
+export async function acknowledgeFault(req, res) {
+  try {
+    const { id } = req.params;
+    const machine = await service.acknowledgeFault(id, req.body);
+
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        error: `Machine with ID ${id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Fault on machine ${id} acknowledged by ${machine.fault_acknowledged_by}`,
+      data: machine,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Mark machines that stopped reporting as Offline now
+ * POST /machines/sweep
+ */
+export async function sweepOfflineMachines(req, res) {
+  try {
+    const result = await service.sweepOfflineMachines();
+    res.json({
+      success: true,
+      message: `${result.marked.length} machine(s) marked Offline`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the machine status transition graph in force
+ * GET /machines/transitions
+ */
+export async function getTransitions(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: getTransitionGraph(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Batch update multiple machines
  * POST /machines/batch
@@ -115,13 +327,36 @@ export async function batchUpdateMachines(req, res) {
       });
     }
 
-    const results = await service.batchUpdateMachines(machines);
+    const { atomic, dryRun } = parseBatchOptions(req.query, req.body);
+    const { results, committed } = await service.batchUpdateMachines(machines, { atomic, dryRun });
 
     const successCount = results.filter((r) => r.success).length;
     const failureCount = results.filter((r) => !r.success).length;
 
+    if (dryRun) {
+      return res.json({
+        success: failureCount === 0,
+        dry_run: true,
+        committed,
+        message: `Dry run: ${successCount} would succeed, ${failureCount} would fail`,
+        results,
+      });
+    }
+
+    // An atomic batch with any failure was rolled back as a whole
+    if (atomic && !committed) {
+      return res.status(400).json({
+        success: false,
+        atomic: true,
+        committed,
+        error: `Batch rolled back: ${failureCount} of ${results.length} failed, nothing was applied`,
+        results,
+      });
+    }
+
     res.json({
       success: true,
+      ...(atomic && { atomic: true, committed }),
       message: `Batch update completed: ${successCount} succeeded, ${failureCount} failed`,
       results,
     });
@@ -133,6 +368,64 @@ export async function batchUpdateMachines(req, res) {
   }
 }
 
+
+/**
+ * Preview or commit a CSV / XLSX import of machines
+ * POST /machines/import?format=csv|xlsx&commit=true&sheet=&map[Header]=field
+ */
+export async function importMachines(req, res) {
+  try {
+    const format = resolveFormat(req.query.format, req.body);
+    const rows = await readSpreadsheet(req.body, format, { sheet: req.query.sheet || null });
+    const commit = req.query.commit === 'true';
+    const report = await service.importMachines(rows, { commit, columnMap: req.query.map || {} });
+
+    res.status(commit && !report.committed ? 400 : 200).json({
+      success: report.summary.rows > 0 && report.summary.failed === 0,
+      dry_run: !commit,
+      message: describeImport(report, commit),
+      ...report,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Export machines matching the list query as CSV or XLSX
+ * GET /machines/export?format=csv|xlsx&<list query>
+ */
+export async function exportMachines(req, res) {
+  try {
+    let listQuery;
+    let format;
+    try {
+      listQuery = parseListQuery(req.query, service.MACHINE_LIST_SPEC);
+      format = resolveFormat(req.query.format || SpreadsheetFormat.CSV);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const { columns, records } = await service.exportMachines({
+      ...listQuery,
+      plant: req.query.plant || null,
+      area: req.query.area || null,
+    });
+    await sendSpreadsheet(res, { name: 'machines', format, columns, records });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Get machine status formatted for LLM prompt
  * GET /machines/status/llm
@@ -9,11 +9,22 @@
  *   id: string (UUID) - Auto-generated
  *   machine_id: string (unique) - e.g., "M01", "M02", "M03"
  *   name: string - Machine name/description
- *   status: string - One of: "Running" | "Idle" | "Maintenance" | "Error"
- *   output: number - Current production output
+ *   status: string - One of: "Running" | "Idle" | "Maintenance" | "Error" | "Offline" | "SafetyHold"
+ *   output: number - Last cumulative output counter reading (units are counted in the ProductionCount ledger)
  *   last_updated: Date - Timestamp of last update
  *   error_message: string | null - Error description (required if status is "Error")
  *   operator: string | null - Name of operator assigned to machine
+ *   scrap: number - Last cumulative scrap counter reading
+ *   ideal_cycle_rate: number | null - Ideal output in units per hour (OEE performance)
+ *   line: string | null - Code of the production line the machine belongs to
+ *   cell: string | null - Code of the cell within the line
+ *   fault_acknowledged_by: string | null - Who acknowledged the current Error
+ *   fault_acknowledged_at: Date | null - When the current Error was acknowledged
+ *   expected_interval_minutes: number | null - Expected reporting interval (null uses the configured default)
+ *   last_seen_at: Date | null - Last update received from the machine or an operator
+ *   counter_max: number | null - Value the output/scrap counters wrap to 0 after (rollover detection)
+ *   safety_zone: string | null - Safety zone the machine is in (SafetyArea.zone)
+ *   safety_hold_id: string | null - Safety interlock holding the machine
  * }
  * 
  * Usage:
@@ -31,24 +42,94 @@ export const MachineStatus = {
   IDLE: 'Idle',
   MAINTENANCE: 'Maintenance',
   ERROR: 'Error',
+  OFFLINE: 'Offline',
+  // Set and cleared by the safety interlock only (see safety/interlocks.js)
+  SAFETY_HOLD: 'SafetyHold',
 };
 
 export const VALID_STATUSES = Object.values(MachineStatus);
 
+/**
+ * Machine columns an update may write; anything else in the update payload
+ * (e.g. reason_code, role, acknowledged_by) is handled by the service and never written to the row.
+ * line and cell are validated against the plant hierarchy, and safety_zone against the safety
+ * areas, before they are written.
+ */
+export const MACHINE_UPDATE_FIELDS = [
+  'name',
+  'status',
+  'output',
+  'scrap',
+  'error_message',
+  'operator',
+  'ideal_cycle_rate',
+  'expected_interval_minutes',
+  'counter_max',
+  'safety_zone',
+];
+
+/**
+ * Where a machine update came from, recorded on every MachineEvent
+ */
+export const EventSource = {
+  REST: 'REST',
+  BATCH: 'Batch',
+  WHATSAPP: 'WhatsApp',
+  WORK_ORDER: 'WorkOrder',
+  SWEEPER: 'Sweeper',
+  MQTT: 'MQTT',
+  CONNECTOR: 'Connector',
+  TELEMETRY: 'Telemetry',
+  IMPORT: 'Import',
+  SAFETY_INTERLOCK: 'SafetyInterlock',
+};
+
+/**
+ * Machine event structure (one row per update, see MachineEvent in schema.prisma)
+ * @typedef {Object} MachineEventData
+ * @property {string} machine_id - Machine the event belongs to
+ * @property {string|null} previous_status - Status before the update (null if the machine was created)
+ * @property {string} new_status - Status after the update
+ * @property {number|null} output - Output after the update
+ * @property {number|null} scrap - Scrap counter after the update
+ * @property {string|null} reason_code - Downtime reason code sent with the update
+ * @property {string|null} reason - Free-text reason sent with the update
+ * @property {string|null} role - Role the update was made under
+ * @property {string|null} acknowledged_by - Fault acknowledgement sent with the update
+ * @property {string|null} operator - Operator after the update
+ * @property {string|null} error_message - Error message after the update
+ * @property {string|null} interlock_id - Safety interlock that held or released the machine
+ * @property {string} source - One of EventSource
+ * @property {Date} created_at - When the update was applied
+ */
+
 /**
  * Machine data structure interface (TypeScript-like documentation)
  * @typedef {Object} MachineData
  * @property {string} machine_id - Unique machine identifier (e.g., "M01")
  * @property {string} name - Machine name
- * @property {string} status - Machine status (Running | Idle | Maintenance | Error)
- * @property {number} output - Production output value
+ * @property {string} status - Machine status (Running | Idle | Maintenance | Error | Offline | SafetyHold)
+ * @property {number} output - Last cumulative output counter reading
  * @property {Date} last_updated - Last update timestamp
  * @property {string|null} error_message - Error message if status is Error
  * @property {string|null} operator - Operator name
+ * @property {number} scrap - Scrap counter
+ * @property {number|null} ideal_cycle_rate - Ideal output in units per hour
+ * @property {string|null} line - Production line code
+ * @property {string|null} cell - Cell code within the line
+ * @property {string|null} fault_acknowledged_by - Who acknowledged the current Error
+ * @property {Date|null} fault_acknowledged_at - When the current Error was acknowledged
+ * @property {number|null} expected_interval_minutes - Expected reporting interval in minutes
+ * @property {Date|null} last_seen_at - Last update received from the machine or an operator
+ * @property {number|null} counter_max - Value the counters wrap to 0 after
+ * @property {string|null} safety_zone - Safety zone the machine is in
+ * @property {string|null} safety_hold_id - Safety interlock holding the machine
  */
 
 export default {
   MachineStatus,
   VALID_STATUSES,
+  MACHINE_UPDATE_FIELDS,
+  EventSource,
 };
 
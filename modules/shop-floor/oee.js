@@ -0,0 +1,161 @@
+/**
+ * OEE (Overall Equipment Effectiveness) calculations
+ * OEE = Availability × Performance × Quality
+ *
+ * - Availability: Running time / planned production time
+ *   (planned time is all recorded time except Maintenance, which is planned downtime)
+ * - Performance: units produced / units the ideal cycle rate allows in the Running time
+ * - Quality: good units / units produced
+ *
+ * Units come from the production count ledger, time from the MachineEvent rows.
+ * All functions here are pure; the service layer fetches both.
+ */
+
+import { summarizeStatusDurations } from './utils.js';
+
+// Statuses that count as planned downtime (excluded from planned production time)
+const PLANNED_DOWNTIME_STATUSES = ['Maintenance'];
+
+const DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * Resolve the OEE window, defaulting to the last 24 hours
+ * A window reaching into the future (e.g. the current shift) ends now, so time that has not
+ * happened yet is not counted in the machine's current status.
+ * @param {Object} range - Range from the query string
+ * @param {Date|null} range.from - Window start
+ * @param {Date|null} range.to - Window end
+ * @returns {{from: Date, to: Date}} Closed window
+ */
+export function resolveOeeWindow({ from = null, to = null } = {}) {
+  const now = new Date();
+  const windowEnd = to && to < now ? to : now;
+  const windowStart = from || new Date(windowEnd.getTime() - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+  return { from: windowStart, to: new Date(Math.max(windowStart.getTime(), windowEnd.getTime())) };
+}
+
+/**
+ * Round a ratio for API output
+ * @param {number|null} value - Ratio
+ * @returns {number|null} Ratio rounded to 4 decimals
+ */
+function roundRatio(value) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Turn raw OEE totals into availability / performance / quality / OEE ratios
+ * Used for a single machine and for rollups (where the totals are summed first).
+ * rated_count is the part of total_count produced by machines that have an
+ * ideal cycle rate, so unrated machines do not inflate performance.
+ *
+ * @param {Object} totals - Raw totals
+ * @returns {Object} Totals plus the ratios (null when a ratio cannot be computed)
+ */
+export function buildOeeResult(totals) {
+  const {
+    planned_seconds: plannedSeconds,
+    run_seconds: runSeconds,
+    total_count: totalCount,
+    scrap_count: scrapCount,
+    ideal_count: idealCount,
+    rated_count: ratedCount,
+  } = totals;
+
+  const availability = plannedSeconds > 0 ? runSeconds / plannedSeconds : null;
+  const performance = idealCount > 0 ? ratedCount / idealCount : null;
+  const quality = totalCount > 0 ? (totalCount - scrapCount) / totalCount : null;
+  const oee =
+    availability !== null && performance !== null && quality !== null
+      ? availability * performance * quality
+      : null;
+
+  return {
+    ...totals,
+    good_count: totalCount - scrapCount,
+    availability: roundRatio(availability),
+    performance: roundRatio(performance),
+    quality: roundRatio(quality),
+    oee: roundRatio(oee),
+  };
+}
+
+/**
+ * Compute OEE for one machine in a window
+ * @param {Object} machine - Machine row (needs ideal_cycle_rate, units per hour)
+ * @param {Array} events - MachineEvent rows inside the window, oldest first
+ * @param {Object|null} previousEvent - Last MachineEvent before the window
+ * @param {{from: Date, to: Date}} window - Closed window
+ * @param {{total: number, scrap: number}} production - Ledger totals for the machine in the window
+ * @returns {Object} OEE result
+ */
+export function computeMachineOee(machine, events, previousEvent, { from, to }, production) {
+  const durations = summarizeStatusDurations(events, {
+    from,
+    to,
+    initialStatus: previousEvent ? previousEvent.new_status : null,
+  });
+
+  const recordedSeconds = Object.values(durations).reduce((sum, seconds) => sum + seconds, 0);
+  const plannedDowntimeSeconds = PLANNED_DOWNTIME_STATUSES.reduce(
+    (sum, status) => sum + (durations[status] || 0),
+    0
+  );
+  const runSeconds = durations.Running || 0;
+
+  const totalCount = production.total;
+  const scrapCount = Math.min(production.scrap, totalCount);
+  const idealCount = machine.ideal_cycle_rate ? (machine.ideal_cycle_rate * runSeconds) / 3600 : 0;
+
+  return {
+    machine_id: machine.machine_id,
+    line: machine.line ?? null,
+    ideal_cycle_rate: machine.ideal_cycle_rate ?? null,
+    from,
+    to,
+    ...buildOeeResult({
+      planned_seconds: recordedSeconds - plannedDowntimeSeconds,
+      run_seconds: runSeconds,
+      total_count: totalCount,
+      scrap_count: scrapCount,
+      ideal_count: idealCount,
+      rated_count: machine.ideal_cycle_rate ? totalCount : 0,
+    }),
+  };
+}
+
+/**
+ * Roll up several machine OEE results into one
+ * Totals are summed before the ratios are computed, so long-running
+ * machines weigh more than machines that barely ran.
+ *
+ * @param {Array} results - computeMachineOee results
+ * @returns {Object} Rolled-up OEE result
+ */
+export function rollupOee(results) {
+  const totals = {
+    planned_seconds: 0,
+    run_seconds: 0,
+    total_count: 0,
+    scrap_count: 0,
+    ideal_count: 0,
+    rated_count: 0,
+  };
+
+  for (const result of results) {
+    totals.planned_seconds += result.planned_seconds;
+    totals.run_seconds += result.run_seconds;
+    totals.total_count += result.total_count;
+    totals.scrap_count += result.scrap_count;
+    totals.ideal_count += result.ideal_count;
+    totals.rated_count += result.rated_count;
+  }
+
+  return {
+    machine_count: results.length,
+    ...buildOeeResult(totals),
+  };
+}
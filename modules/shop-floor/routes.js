@@ -4,13 +4,21 @@
 
 import express from 'express';
 import * as controller from './controller.js';
+import { spreadsheetUpload } from '../../utils/spreadsheet.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /machines
- * @desc    Get all machines
+ * @desc    Get a page of machines (each with stale / seconds_since_report heartbeat fields)
+ *          with the total count and next cursor
  * @access  Public
+ * @query   plant, area, line, cell - Optional hierarchy filters
+ * @query   machine_id, status, operator - Optional filters (comma-separated values match any)
+ * @query   from, to, date_field - Optional date range on last_updated (default) or last_seen_at
+ * @query   sort - Optional comma-separated sort fields, "-" prefix for descending
+ * @query   limit, cursor - Optional page size (default 100, max 500) and next_cursor of the previous page
+ * @query   fields - Optional comma-separated fields to return
  */
 router.get('/', controller.getAllMachines);
 
@@ -29,6 +37,31 @@ router.get('/health', controller.healthCheck);
  */
 router.get('/status/llm', controller.getMachineStatusForLLM);
 
+/**
+ * @route   GET /machines/oee
+ * @desc    Plant-wide OEE rollup with per-line and per-machine breakdowns
+ * @access  Public
+ * @query   from - Optional ISO date, defaults to 24 hours before "to"
+ * @query   to - Optional ISO date, defaults to now
+ * @query   plant, area, line, cell - Optional hierarchy filters
+ */
+router.get('/oee', controller.getPlantOee);
+
+/**
+ * @route   GET /machines/transitions
+ * @desc    Get the status transition graph (allowed transitions and their requirements)
+ * @access  Public
+ */
+router.get('/transitions', controller.getTransitions);
+
+/**
+ * @route   GET /machines/export
+ * @desc    Download the machines matching the list query (see GET /machines) as a spreadsheet
+ * @access  Public
+ * @query   format - Optional: csv (default) or xlsx
+ */
+router.get('/export', controller.exportMachines);
+
 /**
  * @route   GET /machines/:id
  * @desc    Get a single machine by machine_id
@@ -36,22 +69,72 @@ router.get('/status/llm', controller.getMachineStatusForLLM);
  */
 router.get('/:id', controller.getMachine);
 
+/**
+ * @route   GET /machines/:id/history
+ * @desc    Get status/event history of a machine with time spent per status
+ * @access  Public
+ * @query   from - Optional ISO date, only events at or after this time
+ * @query   to - Optional ISO date, only events at or before this time
+ */
+router.get('/:id/history', controller.getMachineHistory);
+
+/**
+ * @route   GET /machines/:id/oee
+ * @desc    Get OEE (availability × performance × quality) for a machine
+ * @access  Public
+ * @query   from - Optional ISO date, defaults to 24 hours before "to" (use shift start for per-shift OEE)
+ * @query   to - Optional ISO date, defaults to now
+ */
+router.get('/:id/oee', controller.getMachineOee);
+
 /**
  * @route   POST /machines/update
  * @desc    Update a machine (supports both JSON and WhatsApp message format)
  * @access  Public
- * @body    JSON: { machine_id, status, output, error_message, operator }
+ * @body    JSON: { machine_id, status, output, scrap, error_message, reason_code, operator, line, cell, ideal_cycle_rate,
+ *                  expected_interval_minutes, reason, role, acknowledged_by }
  *          OR: { message: "M03 STATUS=Running OUTPUT=120" }
+ *          Status changes not allowed by the transition graph are rejected with 400
  */
 router.post('/update', controller.updateMachine);
 
+/**
+ * @route   POST /machines/:id/acknowledge
+ * @desc    Acknowledge the current fault of a machine in Error
+ * @access  Public
+ * @body    { acknowledged_by, role, reason }
+ */
+router.post('/:id/acknowledge', controller.acknowledgeFault);
+
+/**
+ * @route   POST /machines/sweep
+ * @desc    Mark Running/Idle machines that stopped reporting as Offline now (also runs in the background)
+ * @access  Public
+ */
+router.post('/sweep', controller.sweepOfflineMachines);
+
 /**
  * @route   POST /machines/batch
  * @desc    Batch update multiple machines
  * @access  Public
+ * @query   atomic - true to apply every update or none (also accepted in the body)
+ * @query   dryRun - true to validate and report a field-level diff per record without writing (also accepted in the body)
  * @body    { machines: [{ machine_id, status, output, ... }, ...] }
  */
 router.post('/batch', controller.batchUpdateMachines);
 
+/**
+ * @route   POST /machines/import
+ * @desc    Preview a CSV / XLSX machine register with a validation report per row, or commit it
+ *          (recorded with source Import; output and scrap counters are not imported)
+ * @access  Public
+ * @query   commit - true to apply every row, only if all rows are valid (default: preview only)
+ * @query   format - Optional: csv or xlsx (detected from the file otherwise)
+ * @query   sheet - Optional XLSX worksheet name (defaults to the first sheet)
+ * @query   map[Header] - Optional: machine field a column maps to, e.g. map[Asset No]=machine_id
+ * @body    The CSV or XLSX file itself
+ */
+router.post('/import', spreadsheetUpload, controller.importMachines);
+
 export default router;
 
@@ -4,25 +4,172 @@
  */
 
 import { PrismaClient } from '@prisma/client';
-import { applyStatusValidation } from './utils.js';
+import { applyStatusValidation, summarizeStatusDurations, pickMachineFields, getHeartbeatState } from './utils.js';
+import { EventSource, MachineStatus } from './model.js';
+import { assertTransitionAllowed } from './transitions.js';
+import { resolveOeeWindow, computeMachineOee, rollupOee } from './oee.js';
+import * as downtimeService from '../downtime/service.js';
+import * as productionService from '../production/service.js';
+import * as hierarchyService from '../hierarchy/service.js';
+import * as operatorService from '../operators/service.js';
+import * as permitService from '../permits/service.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import { runBatchTransaction, describeChange } from '../../utils/batch.js';
+import { findPage, findAll, selectFields } from '../../utils/listQuery.js';
+import { mapImportRows, runImport } from '../../utils/spreadsheet.js';
+import config from '../../config.js';
 
 const prisma = new PrismaClient();
 
 // Valid machine statuses
-const VALID_STATUSES = ['Running', 'Idle', 'Maintenance', 'Error'];
+const VALID_STATUSES = ['Running', 'Idle', 'Maintenance', 'Error', 'Offline', 'SafetyHold'];
+
+// Statuses the heartbeat sweeper moves to Offline; Error, Maintenance and SafetyHold keep their
+// status (so the fault/maintenance/interlock rules still apply) and are only flagged as stale
+const SWEPT_STATUSES = [MachineStatus.RUNNING, MachineStatus.IDLE];
+
+// Generated ID and the timestamps every update touches, left out of dry-run diffs
+const DIFF_IGNORED_FIELDS = ['id', 'last_updated', 'last_seen_at'];
+
+// Sortable, filterable and selectable fields of GET /machines (see utils/listQuery.js)
+export const MACHINE_LIST_SPEC = {
+  fields: {
+    machine_id: 'string',
+    name: 'string',
+    status: 'string',
+    output: 'number',
+    scrap: 'number',
+    operator: 'string',
+    line: 'string',
+    cell: 'string',
+    error_message: 'string',
+    ideal_cycle_rate: 'number',
+    expected_interval_minutes: 'number',
+    counter_max: 'number',
+    safety_zone: 'string',
+    safety_hold_id: 'string',
+    fault_acknowledged_by: 'string',
+    fault_acknowledged_at: 'date',
+    last_updated: 'date',
+    last_seen_at: 'date',
+  },
+  computedFields: ['effective_interval_minutes', 'seconds_since_report', 'stale'],
+  filters: {
+    machine_id: {},
+    status: { values: VALID_STATUSES },
+    operator: {},
+    line: {},
+    cell: {},
+    safety_zone: {},
+  },
+  dateFields: ['last_updated', 'last_seen_at'],
+  defaultSort: '-last_updated',
+};
+
+// Columns POST /machines/import maps to machine fields (see utils/spreadsheet.js); the
+// output and scrap counters are left to the machines themselves
+export const MACHINE_IMPORT_SPEC = {
+  key: 'machine_id',
+  columns: {
+    machine_id: 'string',
+    name: 'string',
+    status: 'string',
+    error_message: 'string',
+    operator: 'string',
+    line: 'string',
+    cell: 'string',
+    ideal_cycle_rate: 'float',
+    expected_interval_minutes: 'int',
+    counter_max: 'int',
+    safety_zone: 'string',
+  },
+  aliases: {
+    machine: 'machine_id',
+    asset_id: 'machine_id',
+    machine_name: 'name',
+    description: 'name',
+    cycle_rate: 'ideal_cycle_rate',
+    units_per_hour: 'ideal_cycle_rate',
+    reporting_interval: 'expected_interval_minutes',
+    zone: 'safety_zone',
+  },
+};
+
+/**
+ * Add heartbeat fields (effective_interval_minutes, seconds_since_report, stale) to a machine row
+ * @param {Object} machine - Machine row
+ * @param {Date} now - Reference time
+ * @returns {Object} Machine with heartbeat fields
+ */
+function withHeartbeat(machine, now = new Date()) {
+  return {
+    ...machine,
+    ...getHeartbeatState(machine, {
+      defaultIntervalMinutes: config.machines.defaultExpectedIntervalMinutes,
+      now,
+    }),
+  };
+}
 
 /**
  * Get all machines
- * @returns {Promise<Array>} Array of all machines
+ * @param {Object} filters - Optional hierarchy and status filters
+ * @param {string} filters.plant - Only machines on lines of this plant
+ * @param {string} filters.area - Only machines on lines of this area
+ * @param {string} filters.line - Only machines on this line
+ * @param {string} filters.cell - Only machines in this cell
+ * @param {string} filters.status - Only machines with this status
+ * @returns {Promise<Array>} Array of machines, each flagged stale if it stopped reporting
  */
-export async function getAllMachines() {
+export async function getAllMachines({ plant = null, area = null, line = null, cell = null, status = null } = {}) {
   try {
+    // Plant and area filters resolve to the line codes below them
+    let lineFilter = line;
+    if (plant || area) {
+      const lineCodes = await hierarchyService.getLineCodes({ plant, area });
+      lineFilter = { in: line ? lineCodes.filter((code) => code === line) : lineCodes };
+    }
+
     const machines = await prisma.machine.findMany({
+      where: {
+        ...(lineFilter && { line: lineFilter }),
+        ...(cell && { cell }),
+        ...(status && { status }),
+      },
       orderBy: {
         last_updated: 'desc',
       },
     });
-    return machines;
+    const now = new Date();
+    return machines.map((machine) => withHeartbeat(machine, now));
+  } catch (error) {
+    throw new Error(`Failed to fetch machines: ${error.message}`);
+  }
+}
+
+/**
+ * Get one page of machines
+ * @param {Object} options - Parsed list query (see parseListQuery) plus hierarchy filters
+ * @param {string} options.plant - Only machines on lines of this plant
+ * @param {string} options.area - Only machines on lines of this area
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page of machines,
+ *   each flagged stale if it stopped reporting
+ */
+export async function listMachines({ plant = null, area = null, fields = null, ...listQuery }) {
+  try {
+    let { where } = listQuery;
+    // Plant and area filters resolve to the line codes below them
+    if (plant || area) {
+      const lineCodes = await hierarchyService.getLineCodes({ plant, area });
+      where = { AND: [where, { line: { in: lineCodes } }] };
+    }
+
+    const page = await findPage(prisma.machine, { ...listQuery, where });
+    const now = new Date();
+    return {
+      ...page,
+      data: selectFields(page.data.map((machine) => withHeartbeat(machine, now)), fields),
+    };
   } catch (error) {
     throw new Error(`Failed to fetch machines: ${error.message}`);
   }
@@ -31,7 +178,7 @@ export async function getAllMachines() {
 /**
  * Get a single machine by machine_id
  * @param {string} machineId - The machine ID
- * @returns {Promise<Object|null>} Machine object or null if not found
+ * @returns {Promise<Object|null>} Machine object (flagged stale if it stopped reporting) or null if not found
  */
 export async function getMachine(machineId) {
   try {
@@ -40,69 +187,424 @@ export async function getMachine(machineId) {
         machine_id: machineId,
       },
     });
-    return machine;
+    return machine ? withHeartbeat(machine) : null;
   } catch (error) {
     throw new Error(`Failed to fetch machine ${machineId}: ${error.message}`);
   }
 }
 
 /**
- * Update a single machine
- * @param {string} machineId - The machine ID
+ * Check an update payload before it touches the database
  * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} Updated machine object
+ * @returns {Object} Update data with the status validation rules applied
  */
-export async function updateMachine(machineId, updateData) {
-  try {
-    // Validate status if provided
-    if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
+function validateMachineUpdate(updateData) {
+  // Validate status if provided
+  if (updateData.status && !VALID_STATUSES.includes(updateData.status)) {
+    throw new Error(
+      `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
+    );
+  }
+
+  // Validate ideal cycle rate if provided
+  if (
+    updateData.ideal_cycle_rate !== undefined &&
+    updateData.ideal_cycle_rate !== null &&
+    !(typeof updateData.ideal_cycle_rate === 'number' && updateData.ideal_cycle_rate > 0)
+  ) {
+    throw new Error('Invalid ideal_cycle_rate: must be a positive number of units per hour');
+  }
+
+  // Validate expected reporting interval if provided
+  if (
+    updateData.expected_interval_minutes !== undefined &&
+    updateData.expected_interval_minutes !== null &&
+    !(Number.isInteger(updateData.expected_interval_minutes) && updateData.expected_interval_minutes > 0)
+  ) {
+    throw new Error('Invalid expected_interval_minutes: must be a positive whole number of minutes');
+  }
+
+  // Validate safety zone if provided (null or an empty string unassigns it)
+  if (updateData.safety_zone !== undefined && updateData.safety_zone !== null && typeof updateData.safety_zone !== 'string') {
+    throw new Error('Invalid safety_zone: must be the zone of a safety area');
+  }
+
+  // Validate counters and counter rollover value if provided
+  for (const field of ['output', 'scrap', 'counter_max']) {
+    if (
+      updateData[field] !== undefined &&
+      updateData[field] !== null &&
+      !(Number.isInteger(updateData[field]) && updateData[field] >= 0)
+    ) {
+      throw new Error(`Invalid ${field}: must be a non-negative whole number`);
+    }
+  }
+
+  // Apply status validation rules
+  return applyStatusValidation(updateData);
+}
+
+/**
+ * Apply a validated update to a machine inside a transaction
+ * Records the MachineEvent, downtime interval and production ledger entries.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} machineId - The machine ID
+ * @param {Object} updateData - Validated data to update
+ * @param {string} source - Where the update came from (see EventSource)
+ * @param {Object|null} interlock - Set by the safety interlock only: { interlock_id, hold } holds
+ *   (hold: true) or releases the machine; the transition graph does not apply to either
+ * @returns {Promise<{previous: Object|null, machine: Object, warning: string|null}>} Machine before and
+ *   after the update, and the certification and permit warnings raised by it
+ */
+async function applyMachineUpdate(tx, machineId, updateData, source, interlock = null) {
+  const existing = await tx.machine.findUnique({
+    where: {
+      machine_id: machineId,
+    },
+  });
+
+  if (!interlock) {
+    // A held machine keeps its status until the interlock is released
+    if (existing?.safety_hold_id && updateData.status && updateData.status !== existing.status) {
       throw new Error(
-        `Invalid status: ${updateData.status}. Must be one of: ${VALID_STATUSES.join(', ')}`
+        `Machine ${machineId} is held by safety interlock ${existing.safety_hold_id}; ` +
+          'its status can change once the release is confirmed (POST /safety/interlocks/release)'
       );
     }
+    if (updateData.status === MachineStatus.SAFETY_HOLD && existing?.status !== MachineStatus.SAFETY_HOLD) {
+      throw new Error(`${MachineStatus.SAFETY_HOLD} is only set by the safety interlock`);
+    }
 
-    // Apply status validation rules
-    updateData = applyStatusValidation(updateData);
+    // Reject status changes the transition graph does not allow
+    assertTransitionAllowed(machineId, existing, updateData);
+  }
 
-    // Ensure last_updated is set to current time
-    const dataToUpdate = {
-      ...updateData,
-      last_updated: new Date(),
-    };
+  // Check the operator's certifications when one is assigned or the machine starts
+  const certificationWarning = await operatorService.checkOperatorCertification(tx, machineId, existing, updateData);
+
+  // Warn when the machine starts under an expired permit to work
+  const permitWarning = await permitService.checkMachinePermit(tx, machineId, existing, updateData);
+  const warning = [certificationWarning, permitWarning].filter(Boolean).join('; ') || null;
 
-    const machine = await prisma.machine.upsert({
+  // Validate the machine's place in the plant hierarchy if line or cell is sent
+  const placement = await hierarchyService.resolveMachinePlacement(tx, updateData, existing);
+
+  // Validate the machine's safety zone against the safety areas if one is assigned
+  if (updateData.safety_zone) {
+    const area = await tx.safetyArea.findFirst({
+      where: { zone: updateData.safety_zone },
+    });
+    if (!area) {
+      throw new Error(`Unknown safety_zone: ${updateData.safety_zone} (no safety area is in that zone)`);
+    }
+  }
+
+  // Validate downtime reason code against the catalogue if provided
+  const reasonCode = updateData.reason_code
+    ? await downtimeService.validateReasonCode(updateData.reason_code, tx)
+    : null;
+
+  // Ensure last_updated is set to current time
+  const dataToUpdate = {
+    ...pickMachineFields(updateData),
+    ...placement,
+    last_updated: new Date(),
+  };
+  if (dataToUpdate.safety_zone === '') {
+    dataToUpdate.safety_zone = null;
+  }
+  if (interlock) {
+    dataToUpdate.safety_hold_id = interlock.hold ? interlock.interlock_id : null;
+  }
+
+  // Anything but the sweeper or a register import counts as hearing from the machine
+  if (source !== EventSource.SWEEPER && source !== EventSource.IMPORT) {
+    dataToUpdate.last_seen_at = dataToUpdate.last_updated;
+  }
+
+  // A new fault needs a fresh acknowledgement; an inline one is recorded on the machine
+  if (updateData.status === MachineStatus.ERROR && existing?.status !== MachineStatus.ERROR) {
+    dataToUpdate.fault_acknowledged_by = null;
+    dataToUpdate.fault_acknowledged_at = null;
+  } else if (updateData.acknowledged_by && existing?.status === MachineStatus.ERROR) {
+    dataToUpdate.fault_acknowledged_by = updateData.acknowledged_by;
+    dataToUpdate.fault_acknowledged_at = dataToUpdate.last_updated;
+  }
+
+  const updated = await tx.machine.upsert({
+    where: {
+      machine_id: machineId,
+    },
+    update: dataToUpdate,
+    create: {
+      machine_id: machineId,
+      name: updateData.name || `Machine ${machineId}`,
+      status: updateData.status || 'Idle',
+      output: updateData.output ?? 0,
+      error_message: updateData.error_message ?? null,
+      operator: updateData.operator ?? null,
+      scrap: updateData.scrap ?? 0,
+      ideal_cycle_rate: updateData.ideal_cycle_rate ?? null,
+      line: placement.line ?? null,
+      cell: placement.cell ?? null,
+      expected_interval_minutes: updateData.expected_interval_minutes ?? null,
+      counter_max: updateData.counter_max ?? null,
+      safety_zone: dataToUpdate.safety_zone ?? null,
+      last_updated: dataToUpdate.last_updated,
+      last_seen_at: dataToUpdate.last_updated,
+    },
+  });
+
+  await tx.machineEvent.create({
+    data: {
+      machine_id: machineId,
+      previous_status: existing ? existing.status : null,
+      new_status: updated.status,
+      output: updated.output,
+      scrap: updated.scrap,
+      operator: updated.operator,
+      error_message: updated.error_message,
+      reason_code: reasonCode,
+      reason: updateData.reason ?? null,
+      role: updateData.role ?? null,
+      acknowledged_by: updateData.acknowledged_by ?? null,
+      warning,
+      interlock_id: interlock?.interlock_id ?? null,
+      source,
+      created_at: updated.last_updated,
+    },
+  });
+
+  await downtimeService.recordStatusChange(tx, {
+    machine: updated,
+    reasonCode,
+    source,
+  });
+
+  // output and scrap are cumulative counters; the ledger records what they added
+  await productionService.recordCounterReading(tx, {
+    machine: updated,
+    output: updateData.output,
+    scrap: updateData.scrap,
+    source,
+  });
+
+  return { previous: existing, machine: updated, warning };
+}
+
+/**
+ * Update a single machine
+ * Every update is recorded as a MachineEvent in the same transaction, and
+ * Error/Maintenance periods are tracked as downtime intervals. Status changes
+ * are checked against the transition graph (see transitions.js) and the operator
+ * against the machine's certification requirements (see operators/service.js).
+ * @param {string} machineId - The machine ID
+ * @param {Object} updateData - Data to update (may include a downtime reason_code, and
+ *   reason, role and acknowledged_by for transitions that require them)
+ * @param {Object} options - Update options
+ * @param {string} options.source - Where the update came from (see EventSource), defaults to REST
+ * @param {Object} options.interlock - Safety interlock hold or release (see applyMachineUpdate)
+ * @param {Object} options.tx - Transaction client to run the update in, so it commits or rolls back
+ *   with the caller's other writes (a new transaction otherwise)
+ * @returns {Promise<Object>} Updated machine object, with a warning if the operator is not certified
+ *   or the machine starts under an expired permit
+ */
+export async function updateMachine(machineId, updateData, options = {}) {
+  try {
+    const validated = validateMachineUpdate(updateData);
+    const source = options.source || EventSource.REST;
+
+    const apply = (tx) => applyMachineUpdate(tx, machineId, validated, source, options.interlock || null);
+    const { machine, warning } = options.tx ? await apply(options.tx) : await prisma.$transaction(apply);
+
+    return warning ? { ...machine, warning } : machine;
+  } catch (error) {
+    throw new Error(`Failed to update machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Acknowledge the current fault of a machine in Error
+ * Transitions out of Error that require acknowledgement are allowed once this is recorded.
+ * @param {string} machineId - The machine ID
+ * @param {Object} data - Acknowledgement data
+ * @param {string} data.acknowledged_by - Who acknowledged the fault
+ * @param {string} [data.role] - Role of the person acknowledging
+ * @param {string} [data.reason] - Optional note on the fault
+ * @returns {Promise<Object|null>} Updated machine or null if the machine does not exist
+ */
+export async function acknowledgeFault(machineId, { acknowledged_by, role, reason } = {}) {
+  try {
+    if (!acknowledged_by) {
+      throw new Error('acknowledged_by is required');
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.machine.findUnique({
+        where: {
+          machine_id: machineId,
+        },
+      });
+
+      if (!existing) {
+        return null;
+      }
+
+      if (existing.status !== MachineStatus.ERROR) {
+        throw new Error(`Machine ${machineId} is ${existing.status}, only a machine in Error can be acknowledged`);
+      }
+
+      const acknowledgedAt = new Date();
+      const updated = await tx.machine.update({
+        where: {
+          machine_id: machineId,
+        },
+        data: {
+          fault_acknowledged_by: acknowledged_by,
+          fault_acknowledged_at: acknowledgedAt,
+        },
+      });
+
+      await tx.machineEvent.create({
+        data: {
+          machine_id: machineId,
+          previous_status: existing.status,
+          new_status: updated.status,
+          output: updated.output,
+          scrap: updated.scrap,
+          operator: updated.operator,
+          error_message: updated.error_message,
+          reason: reason ?? null,
+          role: role ?? null,
+          acknowledged_by,
+          source: EventSource.REST,
+          created_at: acknowledgedAt,
+        },
+      });
+
+      return updated;
+    });
+  } catch (error) {
+    throw new Error(`Failed to acknowledge fault on machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Mark machines that stopped reporting as Offline
+ * A Running or Idle machine whose last report is older than its expected interval
+ * (expected_interval_minutes, or the configured default) is moved to Offline through
+ * the regular update, so the change is recorded as a MachineEvent with source Sweeper.
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} { checked, marked: [{ machine_id, previous_status, seconds_since_report }], errors }
+ */
+export async function sweepOfflineMachines(now = new Date()) {
+  try {
+    const machines = await prisma.machine.findMany({
       where: {
-        machine_id: machineId,
-      },
-      update: dataToUpdate,
-      create: {
-        machine_id: machineId,
-        name: updateData.name || `Machine ${machineId}`,
-        status: updateData.status || 'Idle',
-        output: updateData.output ?? 0,
-        error_message: updateData.error_message ?? null,
-        operator: updateData.operator ?? null,
-        last_updated: new Date(),
+        status: { in: SWEPT_STATUSES },
       },
     });
 
-    return machine;
+    const marked = [];
+    const errors = [];
+
+    for (const machine of machines) {
+      const heartbeat = getHeartbeatState(machine, {
+        defaultIntervalMinutes: config.machines.defaultExpectedIntervalMinutes,
+        now,
+      });
+      if (!heartbeat.stale) {
+        continue;
+      }
+
+      try {
+        await updateMachine(
+          machine.machine_id,
+          {
+            status: MachineStatus.OFFLINE,
+            reason: `No report for ${Math.round(heartbeat.seconds_since_report / 60)} min (expected every ${heartbeat.effective_interval_minutes} min)`,
+          },
+          { source: EventSource.SWEEPER }
+        );
+        marked.push({
+          machine_id: machine.machine_id,
+          previous_status: machine.status,
+          seconds_since_report: heartbeat.seconds_since_report,
+        });
+      } catch (error) {
+        errors.push({
+          machine_id: machine.machine_id,
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      checked: machines.length,
+      marked,
+      errors,
+    };
   } catch (error) {
-    throw new Error(`Failed to update machine ${machineId}: ${error.message}`);
+    throw new Error(`Failed to sweep offline machines: ${error.message}`);
   }
 }
 
 /**
  * Batch update multiple machines
+ * By default each machine is updated on its own and failures do not stop the rest.
+ * In atomic mode every update is applied in one transaction that is rolled back if any
+ * fails; a dry run validates and applies every update the same way, always rolls back and
+ * reports a field-level diff per machine instead (see utils/batch.js).
  * @param {Array} machinesData - Array of machine update objects
- * @returns {Promise<Array>} Array of updated machines
+ * @param {Object} options - Batch options
+ * @param {boolean} options.atomic - Apply every update or none
+ * @param {boolean} options.dryRun - Report what would change without writing anything
+ * @param {string} options.source - Event source recorded for each update
+ * @returns {Promise<{results: Array, committed: boolean}>} Per-machine results and whether they were written
  */
-export async function batchUpdateMachines(machinesData) {
+export async function batchUpdateMachines(
+  machinesData,
+  { atomic = false, dryRun = false, source = EventSource.BATCH } = {}
+) {
   try {
     if (!Array.isArray(machinesData)) {
       throw new Error('Expected an array of machines');
     }
 
+    if (atomic || dryRun) {
+      return await runBatchTransaction(
+        prisma,
+        machinesData,
+        async (tx, machineData) => {
+          const machineId = machineData?.machine_id;
+          if (!machineId) {
+            throw new Error('machine_id is required');
+          }
+
+          try {
+            const validated = validateMachineUpdate(machineData);
+            const { previous, machine, warning } = await applyMachineUpdate(
+              tx,
+              machineId,
+              validated,
+              source
+            );
+            if (dryRun) {
+              return {
+                machine_id: machineId,
+                ...describeChange(previous, machine, DIFF_IGNORED_FIELDS),
+                ...(warning && { warning }),
+              };
+            }
+            return { machine: warning ? { ...machine, warning } : machine };
+          } catch (error) {
+            throw new Error(`Failed to update machine ${machineId}: ${error.message}`);
+          }
+        },
+        { idField: 'machine_id', commit: !dryRun }
+      );
+    }
+
     const results = [];
 
     // Process each machine update
@@ -117,7 +619,7 @@ export async function batchUpdateMachines(machinesData) {
       }
 
       try {
-        const updated = await updateMachine(machineData.machine_id, machineData);
+        const updated = await updateMachine(machineData.machine_id, machineData, { source });
         results.push({
           success: true,
           machine: updated,
@@ -131,12 +633,216 @@ export async function batchUpdateMachines(machinesData) {
       }
     }
 
-    return results;
+    // Each successful update was committed on its own
+    return { results, committed: results.some((result) => result.success) };
   } catch (error) {
     throw new Error(`Failed to batch update machines: ${error.message}`);
   }
 }
 
+/**
+ * Preview or commit a machine register import
+ * Imported updates are recorded with source Import and go through the same validation,
+ * transition and certification checks as any other update.
+ * @param {Array<Array<*>>} rows - Spreadsheet rows, header row first
+ * @param {Object} options - Import options
+ * @param {boolean} options.commit - Apply the machines (all or nothing) instead of only previewing them
+ * @param {Object} options.columnMap - Extra { header: field } column mappings
+ * @returns {Promise<Object>} Import report with one result per row (see runImport)
+ */
+export async function importMachines(rows, { commit = false, columnMap = {} } = {}) {
+  try {
+    const mapped = mapImportRows(rows, MACHINE_IMPORT_SPEC, columnMap);
+    return await runImport(
+      mapped,
+      MACHINE_IMPORT_SPEC,
+      (machinesData, options) => batchUpdateMachines(machinesData, { ...options, source: EventSource.IMPORT }),
+      { commit }
+    );
+  } catch (error) {
+    throw new Error(`Failed to import machines: ${error.message}`);
+  }
+}
+
+/**
+ * Get every machine matching a list query, for export
+ * @param {Object} listQuery - Parsed list query plus plant / area filters (see listMachines)
+ * @returns {Promise<{columns: Array<string>, records: Array}>} Exported columns and machines
+ */
+export async function exportMachines({ plant = null, area = null, fields = null, ...listQuery }) {
+  try {
+    let { where } = listQuery;
+    if (plant || area) {
+      const lineCodes = await hierarchyService.getLineCodes({ plant, area });
+      where = { AND: [where, { line: { in: lineCodes } }] };
+    }
+
+    const machines = await findAll(prisma.machine, { ...listQuery, where });
+    const now = new Date();
+    return {
+      columns: fields || Object.keys(MACHINE_LIST_SPEC.fields),
+      records: machines.map((machine) => withHeartbeat(machine, now)),
+    };
+  } catch (error) {
+    throw new Error(`Failed to export machines: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the events of a machine inside a window plus the last event before it
+ * @param {string} machineId - The machine ID
+ * @param {Date|null} from - Window start
+ * @param {Date|null} to - Window end
+ * @returns {Promise<{events: Array, previousEvent: Object|null}>} Events (oldest first) and the event in force at the window start
+ */
+async function getEventsInWindow(machineId, from, to) {
+  const events = await prisma.machineEvent.findMany({
+    where: {
+      machine_id: machineId,
+      created_at: toPrismaDateFilter({ from, to }),
+    },
+    orderBy: {
+      created_at: 'asc',
+    },
+  });
+
+  let previousEvent = null;
+  if (from) {
+    previousEvent = await prisma.machineEvent.findFirst({
+      where: {
+        machine_id: machineId,
+        created_at: { lt: from },
+      },
+      orderBy: {
+        created_at: 'desc',
+      },
+    });
+  }
+
+  return { events, previousEvent };
+}
+
+/**
+ * Get the event history of a machine
+ * @param {string} machineId - The machine ID
+ * @param {Object} range - Optional time range
+ * @param {Date|null} range.from - Only include events at or after this time
+ * @param {Date|null} range.to - Only include events at or before this time
+ * @returns {Promise<Object>} Events (oldest first), the event in force when the range opens, and time spent per status
+ */
+export async function getMachineHistory(machineId, { from = null, to = null } = {}) {
+  try {
+    // The status in force when the window opens comes from the last event before it
+    const { events, previousEvent } = await getEventsInWindow(machineId, from, to);
+
+    return {
+      machine_id: machineId,
+      from,
+      to,
+      initial_event: previousEvent,
+      events,
+      status_durations: summarizeStatusDurations(events, {
+        from,
+        to,
+        initialStatus: previousEvent ? previousEvent.new_status : null,
+      }),
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch history for machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Compute OEE for a machine row in a window
+ * @param {Object} machine - Machine row
+ * @param {{from: Date, to: Date}} window - Closed window
+ * @returns {Promise<Object>} OEE result
+ */
+async function computeOeeForMachine(machine, window) {
+  const { events, previousEvent } = await getEventsInWindow(machine.machine_id, window.from, window.to);
+  const production = await productionService.getProductionTotals(machine.machine_id, window);
+  return computeMachineOee(machine, events, previousEvent, window, production);
+}
+
+/**
+ * Get OEE (availability × performance × quality) for a single machine
+ * For a shift, pass the shift start and end as the range.
+ * @param {string} machineId - The machine ID
+ * @param {Object} range - Optional time range, defaults to the last 24 hours
+ * @returns {Promise<Object|null>} OEE result or null if the machine does not exist
+ */
+export async function getMachineOee(machineId, range = {}) {
+  try {
+    const machine = await getMachine(machineId);
+    if (!machine) {
+      return null;
+    }
+
+    return await computeOeeForMachine(machine, resolveOeeWindow(range));
+  } catch (error) {
+    throw new Error(`Failed to compute OEE for machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Compute OEE for a set of machine rows
+ * @param {Array} machines - Machine rows
+ * @param {Object} range - Optional time range, defaults to the last 24 hours
+ * @returns {Promise<Object>} { from, to, machines } with one OEE result per machine
+ */
+export async function getOeeForMachines(machines, range = {}) {
+  try {
+    const window = resolveOeeWindow(range);
+
+    const machineResults = [];
+    for (const machine of machines) {
+      machineResults.push(await computeOeeForMachine(machine, window));
+    }
+
+    return {
+      from: window.from,
+      to: window.to,
+      machines: machineResults,
+    };
+  } catch (error) {
+    throw new Error(`Failed to compute OEE: ${error.message}`);
+  }
+}
+
+/**
+ * Get plant-wide OEE with per-line and per-machine breakdowns
+ * @param {Object} range - Optional time range, defaults to the last 24 hours
+ * @param {Object} filters - Optional hierarchy filters (see getAllMachines)
+ * @returns {Promise<Object>} Plant rollup, line rollups and machine results
+ */
+export async function getPlantOee(range = {}, filters = {}) {
+  try {
+    const machines = await getAllMachines(filters);
+    const { from, to, machines: machineResults } = await getOeeForMachines(machines, range);
+
+    // Group machine results by production line
+    const byLine = {};
+    for (const result of machineResults) {
+      const line = result.line || 'Unassigned';
+      byLine[line] = byLine[line] || [];
+      byLine[line].push(result);
+    }
+
+    return {
+      from,
+      to,
+      plant: rollupOee(machineResults),
+      lines: Object.entries(byLine).map(([line, results]) => ({
+        line,
+        ...rollupOee(results),
+      })),
+      machines: machineResults,
+    };
+  } catch (error) {
+    throw new Error(`Failed to compute plant OEE: ${error.message}`);
+  }
+}
+
 /**
  * Get Prisma client instance (for advanced queries if needed)
  * @returns {PrismaClient} Prisma client instance
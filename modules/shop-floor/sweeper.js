@@ -0,0 +1,51 @@
+/**
+ * Background heartbeat sweeper for Shop Floor Management
+ * Periodically marks machines that stopped reporting as Offline
+ */
+
+import config from '../../config.js';
+import { sweepOfflineMachines } from './service.js';
+
+let timer = null;
+
+/**
+ * Start the heartbeat sweeper
+ * Does nothing when HEARTBEAT_SWEEP_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the sweeper was started
+ */
+export function startHeartbeatSweeper() {
+  const minutes = config.machines.sweepIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await sweepOfflineMachines();
+      if (result.marked.length > 0) {
+        console.log(
+          `📴 Marked ${result.marked.length} machine(s) Offline: ${result.marked
+            .map((machine) => machine.machine_id)
+            .join(', ')}`
+        );
+      }
+      result.errors.forEach((failure) => {
+        console.error(`Heartbeat sweeper could not mark ${failure.machine_id} Offline: ${failure.error}`);
+      });
+    } catch (error) {
+      console.error('Heartbeat sweeper error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the heartbeat sweeper
+ */
+export function stopHeartbeatSweeper() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Machine status transition graph
+ * Decides which status changes are allowed and what each one requires
+ * (a reason, one of a set of roles, or an acknowledged fault).
+ *
+ * The default graph can be replaced with a JSON file of the same shape,
+ * named by MACHINE_TRANSITIONS_FILE:
+ * {
+ *   "Error": { "Maintenance": {}, "Running": { "requiresAcknowledgement": true } },
+ *   ...
+ * }
+ */
+
+import fs from 'fs';
+import config from '../../config.js';
+import { MachineStatus, VALID_STATUSES } from './model.js';
+
+/**
+ * Rule attached to an allowed transition
+ * @typedef {Object} TransitionRule
+ * @property {boolean} [requiresReason] - Update must carry a reason_code or a free-text reason
+ * @property {string[]} [roles] - Update must be made under one of these roles
+ * @property {boolean} [requiresAcknowledgement] - The current fault must have been acknowledged
+ */
+
+const RULE_KEYS = ['requiresReason', 'roles', 'requiresAcknowledgement'];
+
+/**
+ * Default graph: from status -> to status -> rule
+ * Statuses missing from a "from" entry cannot be reached from it.
+ */
+export const DEFAULT_TRANSITIONS = {
+  [MachineStatus.IDLE]: {
+    [MachineStatus.RUNNING]: {},
+    [MachineStatus.MAINTENANCE]: {},
+    [MachineStatus.ERROR]: {},
+    [MachineStatus.OFFLINE]: {},
+  },
+  [MachineStatus.RUNNING]: {
+    [MachineStatus.IDLE]: {},
+    [MachineStatus.ERROR]: {},
+    [MachineStatus.MAINTENANCE]: { requiresReason: true },
+    [MachineStatus.OFFLINE]: {},
+  },
+  [MachineStatus.ERROR]: {
+    [MachineStatus.MAINTENANCE]: {},
+    [MachineStatus.IDLE]: { requiresAcknowledgement: true },
+    [MachineStatus.RUNNING]: { requiresAcknowledgement: true },
+  },
+  [MachineStatus.MAINTENANCE]: {
+    [MachineStatus.IDLE]: {},
+    [MachineStatus.ERROR]: {},
+    [MachineStatus.RUNNING]: { roles: ['Supervisor', 'Maintenance'] },
+  },
+  // A machine that reports again after going quiet comes back in whatever state it reports
+  [MachineStatus.OFFLINE]: {
+    [MachineStatus.RUNNING]: {},
+    [MachineStatus.IDLE]: {},
+    [MachineStatus.ERROR]: {},
+    [MachineStatus.MAINTENANCE]: {},
+  },
+};
+
+/**
+ * Check that a transition graph only names known statuses and rule keys
+ * @param {Object} graph - Transition graph
+ * @returns {Object} The same graph
+ */
+export function validateTransitionGraph(graph) {
+  if (!graph || typeof graph !== 'object' || Array.isArray(graph)) {
+    throw new Error('Transition graph must be an object keyed by status');
+  }
+
+  for (const [from, targets] of Object.entries(graph)) {
+    if (!VALID_STATUSES.includes(from)) {
+      throw new Error(`Unknown status in transition graph: ${from}`);
+    }
+    if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+      throw new Error(`Transitions from ${from} must be an object keyed by status`);
+    }
+
+    for (const [to, rule] of Object.entries(targets)) {
+      if (!VALID_STATUSES.includes(to)) {
+        throw new Error(`Unknown status in transition graph: ${from} -> ${to}`);
+      }
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`Rule for ${from} -> ${to} must be an object`);
+      }
+
+      const unknownKeys = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+      if (unknownKeys.length > 0) {
+        throw new Error(`Unknown rule keys for ${from} -> ${to}: ${unknownKeys.join(', ')}`);
+      }
+      if (rule.roles !== undefined && (!Array.isArray(rule.roles) || rule.roles.length === 0)) {
+        throw new Error(`roles for ${from} -> ${to} must be a non-empty array`);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Load the configured transition graph, falling back to the default
+ * @returns {Object} Transition graph
+ */
+function loadTransitionGraph() {
+  const file = config.machines.transitionsFile;
+  if (!file) {
+    return DEFAULT_TRANSITIONS;
+  }
+
+  try {
+    return validateTransitionGraph(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid machine transition graph in ${file}: ${error.message}`);
+  }
+}
+
+const transitionGraph = loadTransitionGraph();
+
+/**
+ * Get the transition graph in force
+ * @returns {Object} Transition graph (from status -> to status -> rule)
+ */
+export function getTransitionGraph() {
+  return transitionGraph;
+}
+
+/**
+ * Check a status change against the transition graph
+ * Staying in the same status is always allowed, as is the first status of a new machine.
+ *
+ * @param {string} machineId - Machine ID, used in error messages
+ * @param {Object|null} machine - Current machine row (null if the machine is being created)
+ * @param {Object} updateData - Update payload
+ * @param {string} updateData.status - Requested status
+ * @param {string} [updateData.reason_code] - Downtime reason code
+ * @param {string} [updateData.reason] - Free-text reason
+ * @param {string} [updateData.role] - Role the update is made under
+ * @param {string} [updateData.acknowledged_by] - Acknowledges the current fault inline
+ * @param {Object} graph - Transition graph, defaults to the configured one
+ * @throws {Error} If the transition is not allowed or a requirement is missing
+ */
+export function assertTransitionAllowed(machineId, machine, updateData, graph = transitionGraph) {
+  const from = machine?.status;
+  const to = updateData.status;
+
+  if (!machine || !to || from === to) {
+    return;
+  }
+
+  const targets = graph[from] || {};
+  const rule = targets[to];
+
+  if (!rule) {
+    const allowed = Object.keys(targets);
+    throw new Error(
+      `Transition ${from} -> ${to} is not allowed for machine ${machineId}. ` +
+        `Allowed from ${from}: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`
+    );
+  }
+
+  if (rule.requiresReason && !updateData.reason_code && !updateData.reason) {
+    throw new Error(
+      `Transition ${from} -> ${to} for machine ${machineId} requires a reason_code or reason`
+    );
+  }
+
+  if (rule.roles && !rule.roles.includes(updateData.role)) {
+    throw new Error(
+      `Transition ${from} -> ${to} for machine ${machineId} requires role ${rule.roles.join(' or ')}` +
+        (updateData.role ? ` (got ${updateData.role})` : '')
+    );
+  }
+
+  if (rule.requiresAcknowledgement && !machine.fault_acknowledged_at && !updateData.acknowledged_by) {
+    throw new Error(
+      `Transition ${from} -> ${to} for machine ${machineId} requires the fault to be acknowledged first ` +
+        '(POST /machines/:id/acknowledge or send acknowledged_by)'
+    );
+  }
+}
+
+export default {
+  DEFAULT_TRANSITIONS,
+  validateTransitionGraph,
+  getTransitionGraph,
+  assertTransitionAllowed,
+};
@@ -3,9 +3,12 @@
  * Includes WhatsApp message parsing and LLM prompt preparation
  */
 
+import { MACHINE_UPDATE_FIELDS } from './model.js';
+
 /**
  * Parse WhatsApp message to extract machine update data
- * Expected format: "M03 STATUS=Running OUTPUT=120"
+ * Expected format: "M03 STATUS=Running OUTPUT=120 SCRAP=2"
+ * or with transition details: "M03 STATUS=Running ROLE=Supervisor ACK=Ravi"
  * or variations like "M03 Status:Running Output:120"
  * 
  * @param {string} message - Raw WhatsApp message
@@ -21,8 +24,12 @@ export function parseWhatsappMessage(message) {
       machine_id: null,
       status: null,
       output: null,
+      scrap: null,
+      reason_code: null,
       error_message: null,
       operator: null,
+      role: null,
+      acknowledged_by: null,
     };
 
     // Extract machine_id (e.g., M01, M02, M03)
@@ -47,18 +54,42 @@ export function parseWhatsappMessage(message) {
       parsed.output = parseInt(outputMatch[1] || outputMatch[2], 10);
     }
 
-    // Extract error message if present
-    const errorMatch = message.match(/ERROR[=:]?\s*(.+?)(?:\s+OPERATOR|$)/i);
+    // Extract scrap (numeric value)
+    const scrapMatch = message.match(/SCRAP[=:]?\s*(\d+)/i);
+    if (scrapMatch) {
+      parsed.scrap = parseInt(scrapMatch[1], 10);
+    }
+
+    // Extract downtime reason code if present
+    const reasonMatch = message.match(/REASON[=:]?\s*([A-Z0-9_-]+)/i);
+    if (reasonMatch) {
+      parsed.reason_code = reasonMatch[1].toUpperCase();
+    }
+
+    // Extract error message if present (skip the word "Error" when it is the STATUS value)
+    const errorMatch = message.match(/(?<![=:]\s*)\bERROR[=:]?\s*(.+?)(?:\s+(?:OPERATOR|SCRAP|REASON|ACK|ROLE)\b|$)/i);
     if (errorMatch) {
       parsed.error_message = errorMatch[1].trim();
     }
 
     // Extract operator name if present
-    const operatorMatch = message.match(/OPERATOR[=:]?\s*(.+?)$/i);
+    const operatorMatch = message.match(/OPERATOR[=:]?\s*(.+?)(?:\s+(?:ACK|ROLE)\b|$)/i);
     if (operatorMatch) {
       parsed.operator = operatorMatch[1].trim();
     }
 
+    // Extract the role the update is made under (e.g. ROLE=Supervisor)
+    const roleMatch = message.match(/\bROLE[=:]?\s*(\w+)/i);
+    if (roleMatch) {
+      parsed.role = roleMatch[1];
+    }
+
+    // Extract a fault acknowledgement (e.g. ACK=Ravi)
+    const ackMatch = message.match(/\bACK[=:]?\s*(\w+)/i);
+    if (ackMatch) {
+      parsed.acknowledged_by = ackMatch[1];
+    }
+
     // Remove null values for cleaner output
     Object.keys(parsed).forEach((key) => {
       if (parsed[key] === null) {
@@ -78,9 +109,9 @@ export function parseWhatsappMessage(message) {
  * @param {string} status - Raw status string
  * @returns {string} Normalized status
  */
-function normalizeStatus(status) {
+export function normalizeStatus(status) {
   const normalized = status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
-  const validStatuses = ['Running', 'Idle', 'Maintenance', 'Error'];
+  const validStatuses = ['Running', 'Idle', 'Maintenance', 'Error', 'Offline'];
   
   // Check for common variations
   if (normalized.includes('run')) return 'Running';
@@ -95,7 +126,6 @@ function normalizeStatus(status) {
  * Apply status validation rules
  * - If status is Error and error_message is missing, set a default
  * - If status is not Error, clear error_message
- * - If status is Idle, set output to 0
  * 
  * @param {Object} data - Machine update data
  * @returns {Object} Validated machine data
@@ -113,12 +143,44 @@ export function applyStatusValidation(data) {
     validated.error_message = null;
   }
 
-  // If status is Idle, set output to 0
-  if (validated.status === 'Idle' && validated.output !== undefined && validated.output !== 0) {
-    validated.output = 0;
+  return validated;
+}
+
+/**
+ * Keep only the fields of an update that are Machine columns
+ * @param {Object} data - Machine update data
+ * @returns {Object} Data safe to write to the machines table
+ */
+export function pickMachineFields(data) {
+  const picked = {};
+  for (const field of MACHINE_UPDATE_FIELDS) {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
   }
+  return picked;
+}
 
-  return validated;
+/**
+ * Work out whether a machine has stopped reporting
+ * @param {Object} machine - Machine row
+ * @param {Object} options - Heartbeat options
+ * @param {number} options.defaultIntervalMinutes - Interval for machines without expected_interval_minutes (0 disables it)
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Object} { effective_interval_minutes, seconds_since_report, stale }
+ */
+export function getHeartbeatState(machine, { defaultIntervalMinutes = 0, now = new Date() } = {}) {
+  const expectedMinutes = machine.expected_interval_minutes ?? (defaultIntervalMinutes > 0 ? defaultIntervalMinutes : null);
+  const lastSeen = machine.last_seen_at ?? machine.last_updated;
+  const secondsSinceReport = lastSeen
+    ? Math.max(0, Math.round((now.getTime() - new Date(lastSeen).getTime()) / 1000))
+    : null;
+
+  return {
+    effective_interval_minutes: expectedMinutes,
+    seconds_since_report: secondsSinceReport,
+    stale: Boolean(expectedMinutes && secondsSinceReport !== null && secondsSinceReport > expectedMinutes * 60),
+  };
 }
 
 /**
@@ -142,6 +204,7 @@ export function prepareMachineStatusPrompt(machines) {
     last_updated: machine.last_updated.toISOString(),
     ...(machine.error_message && { error_message: machine.error_message }),
     ...(machine.operator && { operator: machine.operator }),
+    ...(machine.stale && { stale: true, seconds_since_report: machine.seconds_since_report }),
   }));
 
   return JSON.stringify(compactMachines, null, 2);
@@ -174,6 +237,10 @@ export function formatMachineStatusForLLM(machines) {
     if (machine.operator) {
       summary += `  - Operator: ${machine.operator}\n`;
     }
+
+    if (machine.stale) {
+      summary += `  - No report for ${Math.round(machine.seconds_since_report / 60)} min (status may be out of date)\n`;
+    }
     
     summary += '\n';
   });
@@ -181,3 +248,45 @@ export function formatMachineStatusForLLM(machines) {
   return summary;
 }
 
+
+/**
+ * Work out how long a machine spent in each status within a time window
+ * Events must be sorted by created_at ascending. The status in force at the
+ * start of the window is taken from initialStatus (the last event before it).
+ *
+ * @param {Array} events - MachineEvent rows inside the window
+ * @param {Object} options - Window options
+ * @param {Date} options.from - Window start (defaults to the first event)
+ * @param {Date} options.to - Window end (defaults to now; a later end is capped at now)
+ * @param {string|null} options.initialStatus - Status in force at the window start
+ * @returns {Object} Seconds spent per status, e.g. { Running: 3600, Error: 120 }
+ */
+export function summarizeStatusDurations(events, { from = null, to = null, initialStatus = null } = {}) {
+  const durations = {};
+
+  if (!Array.isArray(events) || (events.length === 0 && !initialStatus)) {
+    return durations;
+  }
+
+  const now = new Date();
+  const windowEnd = to && to < now ? to : now;
+  let cursor = from || events[0].created_at;
+  let currentStatus = initialStatus;
+
+  const addDuration = (status, start, end) => {
+    if (!status || end <= start) {
+      return;
+    }
+    durations[status] = (durations[status] || 0) + (end - start) / 1000;
+  };
+
+  for (const event of events) {
+    addDuration(currentStatus, cursor, event.created_at);
+    cursor = event.created_at;
+    currentStatus = event.new_status;
+  }
+
+  addDuration(currentStatus, cursor, windowEnd);
+
+  return durations;
+}
@@ -0,0 +1,211 @@
+/**
+ * Controller layer for Machine Telemetry
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Parse a positive whole number query parameter
+ * @param {string|undefined} value - Raw query value
+ * @param {string} name - Parameter name, used in the error message
+ * @param {number} fallback - Default value
+ * @param {number} max - Largest accepted value
+ * @returns {number} Parsed value
+ */
+function parsePositiveInt(value, name, fallback, max) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0 || number > max) {
+    throw new Error(`Invalid ${name}: must be a whole number from 1 to ${max}`);
+  }
+
+  return number;
+}
+
+/**
+ * Ingest telemetry readings
+ * POST /telemetry
+ */
+export async function ingestTelemetry(req, res) {
+  try {
+    const result = await service.ingestTelemetry(req.body);
+
+    res.json({
+      success: true,
+      message: `${result.readings} reading(s) stored, ${result.events_opened.length} event(s) opened`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Recent readings of every machine metric as sparkline points
+ * GET /telemetry/sparklines?machine_id=&minutes=60&points=30
+ */
+export async function getSparklines(req, res) {
+  try {
+    let minutes;
+    let points;
+    try {
+      minutes = parsePositiveInt(req.query.minutes, 'minutes', 60, 24 * 60);
+      points = parsePositiveInt(req.query.points, 'points', 30, 500);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const sparklines = await service.getSparklines({
+      machineId: req.query.machine_id || null,
+      minutes,
+      points,
+    });
+    res.json({
+      success: true,
+      count: sparklines.length,
+      data: sparklines,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get telemetry thresholds
+ * GET /telemetry/thresholds?machine_id=
+ */
+export async function getThresholds(req, res) {
+  try {
+    const thresholds = await service.getThresholds(req.query.machine_id || null);
+    res.json({
+      success: true,
+      count: thresholds.length,
+      data: thresholds,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create the threshold of a machine metric
+ * POST /telemetry/thresholds
+ */
+export async function updateThreshold(req, res) {
+  try {
+    const { machine_id, metric, ...updateData } = req.body;
+
+    if (!machine_id || !metric) {
+      return res.status(400).json({
+        success: false,
+        error: 'machine_id and metric are required',
+      });
+    }
+
+    const updated = await service.updateThreshold(machine_id, metric, updateData);
+
+    res.json({
+      success: true,
+      message: `${updated.metric} threshold of machine ${machine_id} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get telemetry events
+ * GET /telemetry/events?machine_id=&metric=&open=true&from=&to=
+ */
+export async function getEvents(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const events = await service.getEvents({
+      machineId: req.query.machine_id || null,
+      metric: req.query.metric || null,
+      openOnly: req.query.open === 'true',
+      ...range,
+    });
+    res.json({
+      success: true,
+      count: events.length,
+      data: events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the telemetry series of a machine
+ * GET /telemetry/:machineId?metric=&from=&to=&resolution=raw|hour
+ */
+export async function getSeries(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const resolution = req.query.resolution || 'raw';
+    if (!['raw', 'hour'].includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution: must be raw or hour',
+      });
+    }
+
+    const series = await service.getSeries(req.params.machineId, {
+      metric: req.query.metric || null,
+      resolution,
+      ...range,
+    });
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Threshold and anomaly checks for telemetry readings
+ * All functions here are pure; the service feeds them the machine's threshold
+ * configuration and the readings that came before.
+ */
+
+export const TelemetrySeverity = {
+  WARNING: 'Warning',
+  ALARM: 'Alarm',
+};
+
+export const TelemetryEventKind = {
+  THRESHOLD: 'Threshold',
+  ANOMALY: 'Anomaly',
+};
+
+// What an alarm-level breach does: record a warning event only, or also put the machine in Error
+export const BreachAction = {
+  WARNING: 'Warning',
+  ERROR: 'Error',
+};
+
+export const VALID_BREACH_ACTIONS = Object.values(BreachAction);
+
+// Fewest earlier readings needed before a z-score means anything
+export const MIN_ANOMALY_SAMPLES = 10;
+
+// Smallest spread a z-score is measured against, as a fraction of the rolling mean (with an
+// absolute floor for a mean of 0), so a jump after a flat history is still flagged
+const MIN_ANOMALY_STDDEV_RATIO = 0.001;
+const MIN_ANOMALY_STDDEV = 1e-6;
+
+/**
+ * Mean and standard deviation of a list of values
+ * @param {Array<number>} values - Values
+ * @returns {{count: number, mean: number|null, stddev: number|null}} Population statistics
+ */
+export function rollingStats(values) {
+  const count = values.length;
+  if (count === 0) {
+    return { count, mean: null, stddev: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+  return { count, mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * Round a value for messages and stored statistics
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 3 decimals
+ */
+export function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Check a reading against the threshold limits
+ * Alarm limits win over warning limits.
+ * @param {Object} threshold - TelemetryThreshold (warn_low, warn_high, alarm_low, alarm_high)
+ * @param {number} value - Reading
+ * @returns {Object|null} { severity, limit, message } or null if the reading is within limits
+ */
+export function checkLimits(threshold, value) {
+  const levels = [
+    { severity: TelemetrySeverity.ALARM, low: threshold.alarm_low, high: threshold.alarm_high },
+    { severity: TelemetrySeverity.WARNING, low: threshold.warn_low, high: threshold.warn_high },
+  ];
+
+  for (const { severity, low, high } of levels) {
+    if (high !== null && high !== undefined && value > high) {
+      return { severity, limit: high, message: `${threshold.metric} ${value} above ${severity.toLowerCase()} limit ${high}` };
+    }
+    if (low !== null && low !== undefined && value < low) {
+      return { severity, limit: low, message: `${threshold.metric} ${value} below ${severity.toLowerCase()} limit ${low}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a reading against the rolling mean of the readings before it
+ * A (nearly) flat history is measured against the minimum spread instead of its own, so any
+ * clear change from a constant reading is anomalous.
+ * @param {Object} threshold - TelemetryThreshold (anomaly_z, metric)
+ * @param {number} value - Reading
+ * @param {Array<number>} history - Earlier readings in the rolling window
+ * @returns {Object|null} { severity, mean, stddev, zscore, message } or null if not anomalous
+ *   (or anomaly detection is off, or there is too little history)
+ */
+export function checkAnomaly(threshold, value, history) {
+  if (!threshold.anomaly_z || history.length < MIN_ANOMALY_SAMPLES) {
+    return null;
+  }
+
+  const stats = rollingStats(history);
+  const { mean } = stats;
+  const stddev = Math.max(stats.stddev, Math.abs(mean) * MIN_ANOMALY_STDDEV_RATIO, MIN_ANOMALY_STDDEV);
+
+  const zscore = (value - mean) / stddev;
+  if (Math.abs(zscore) < threshold.anomaly_z) {
+    return null;
+  }
+
+  return {
+    severity: TelemetrySeverity.WARNING,
+    mean: round(mean),
+    stddev: round(stddev),
+    zscore: round(zscore),
+    message: stats.stddev === 0
+      ? `${threshold.metric} ${value} after a flat reading of ${round(mean)}`
+      : `${threshold.metric} ${value} is ${round(Math.abs(zscore))} standard deviations from the rolling mean ${round(mean)}`,
+  };
+}
+
+export default {
+  TelemetrySeverity,
+  TelemetryEventKind,
+  BreachAction,
+  VALID_BREACH_ACTIONS,
+  MIN_ANOMALY_SAMPLES,
+  rollingStats,
+  round,
+  checkLimits,
+  checkAnomaly,
+};
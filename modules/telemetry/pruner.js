@@ -0,0 +1,44 @@
+/**
+ * Background pruner for Machine Telemetry
+ * Periodically deletes raw readings past their retention; hourly rollups are kept
+ */
+
+import config from '../../config.js';
+import { pruneTelemetry } from './service.js';
+
+let timer = null;
+
+/**
+ * Start the telemetry pruner
+ * Does nothing when TELEMETRY_PRUNE_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the pruner was started
+ */
+export function startTelemetryPruner() {
+  const minutes = config.telemetry.pruneIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await pruneTelemetry();
+      if (result.deleted > 0) {
+        console.log(`🧹 Pruned ${result.deleted} telemetry reading(s) recorded before ${result.before}`);
+      }
+    } catch (error) {
+      console.error('Telemetry pruner error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the telemetry pruner
+ */
+export function stopTelemetryPruner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
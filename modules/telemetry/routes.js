@@ -0,0 +1,60 @@
+/**
+ * Routes for Machine Telemetry Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /telemetry
+ * @desc    Store sensor readings and check them against the machine's thresholds
+ * @access  Public
+ * @body    { machine_id, recorded_at, values: { temperature: 71.5, vibration: 3.2, pressure: 5.9 } }
+ *          or { samples: [{ machine_id, recorded_at, values }, ...] }
+ */
+router.post('/', controller.ingestTelemetry);
+
+/**
+ * @route   GET /telemetry/sparklines
+ * @desc    Recent readings of every machine metric, averaged into evenly spaced points
+ * @access  Public
+ * @query   machine_id, minutes (window, default 60), points (default 30)
+ */
+router.get('/sparklines', controller.getSparklines);
+
+/**
+ * @route   GET /telemetry/thresholds
+ * @desc    Get telemetry thresholds
+ * @access  Public
+ * @query   machine_id - Optional machine filter
+ */
+router.get('/thresholds', controller.getThresholds);
+
+/**
+ * @route   POST /telemetry/thresholds
+ * @desc    Update or create the threshold of a machine metric
+ * @access  Public
+ * @body    { machine_id, metric, unit, warn_low, warn_high, alarm_low, alarm_high,
+ *            alarm_action: "Warning" | "Error", anomaly_z, anomaly_window, active }
+ */
+router.post('/thresholds', controller.updateThreshold);
+
+/**
+ * @route   GET /telemetry/events
+ * @desc    Get threshold and anomaly events
+ * @access  Public
+ * @query   machine_id, metric, open ('true' for events that have not cleared), from, to
+ */
+router.get('/events', controller.getEvents);
+
+/**
+ * @route   GET /telemetry/:machineId
+ * @desc    Get the telemetry series of a machine
+ * @access  Public
+ * @query   metric, from, to (defaults to the last 24 hours), resolution ("raw" readings or "hour" rollups)
+ */
+router.get('/:machineId', controller.getSeries);
+
+export default router;
@@ -0,0 +1,613 @@
+/**
+ * Service layer for Machine Telemetry
+ * Stores sensor readings (temperature, vibration, pressure, ...) as a compact time series:
+ * raw readings for the last TELEMETRY_RETENTION_HOURS plus hourly rollups kept indefinitely.
+ * Each reading is checked against the machine's thresholds and rolling mean; breaches open
+ * telemetry events that clear when readings return to normal, and alarms can put the
+ * machine in Error.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import { EventSource, MachineStatus } from '../shop-floor/model.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+import {
+  TelemetryEventKind,
+  TelemetrySeverity,
+  BreachAction,
+  VALID_BREACH_ACTIONS,
+  MIN_ANOMALY_SAMPLES,
+  checkLimits,
+  checkAnomaly,
+} from './detection.js';
+import config from '../../config.js';
+
+const prisma = new PrismaClient();
+
+// Metric names are stored lower-case: "temperature", "spindle_vibration", ...
+const METRIC_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_READINGS_PER_REQUEST = 5000;
+const MAX_SERIES_POINTS = 10000;
+const MAX_ANOMALY_WINDOW = 1000;
+
+// A large telemetry batch needs longer than the 5 second interactive transaction default
+const INGEST_TRANSACTION_TIMEOUT_MS = 60000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LIMIT_FIELDS = ['warn_low', 'warn_high', 'alarm_low', 'alarm_high'];
+
+/**
+ * Normalize a metric name
+ * @param {string} metric - Raw metric name
+ * @returns {string} Normalized name
+ */
+function normalizeMetric(metric) {
+  return String(metric).trim().toLowerCase();
+}
+
+/**
+ * Start of the UTC hour a time falls in
+ * @param {Date} date - Time
+ * @returns {Date} Hour start
+ */
+function hourStart(date) {
+  return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Flatten an ingestion payload into readings
+ * Accepts one sample { machine_id, recorded_at, values: { metric: number } } or
+ * { samples: [sample, ...] }.
+ * @param {Object} payload - Request body
+ * @returns {Array} Readings as { machine_id, metric, value, recorded_at }
+ */
+export function toReadings(payload) {
+  const samples = Array.isArray(payload?.samples) ? payload.samples : [payload];
+  const readings = [];
+
+  samples.forEach((sample, index) => {
+    const label = Array.isArray(payload?.samples) ? `samples[${index}]` : 'sample';
+    if (!sample?.machine_id) {
+      throw new Error(`${label} needs a machine_id`);
+    }
+    if (!sample.values || typeof sample.values !== 'object' || Array.isArray(sample.values)) {
+      throw new Error(`${label} needs values as { metric: number }`);
+    }
+
+    const recordedAt = sample.recorded_at ? new Date(sample.recorded_at) : new Date();
+    if (Number.isNaN(recordedAt.getTime())) {
+      throw new Error(`${label} has an invalid recorded_at: ${sample.recorded_at}`);
+    }
+
+    for (const [rawMetric, value] of Object.entries(sample.values)) {
+      const metric = normalizeMetric(rawMetric);
+      if (!METRIC_PATTERN.test(metric)) {
+        throw new Error(`${label}: invalid metric name "${rawMetric}" (letters, digits and "_", starting with a letter)`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${label}: ${metric} must be a number`);
+      }
+      readings.push({ machine_id: sample.machine_id, metric, value, recorded_at: recordedAt });
+    }
+  });
+
+  return readings;
+}
+
+/**
+ * Add a reading to its hourly rollup
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} reading - Reading
+ */
+async function addToRollup(tx, reading) {
+  const where = {
+    machine_id_metric_bucket_start: {
+      machine_id: reading.machine_id,
+      metric: reading.metric,
+      bucket_start: hourStart(reading.recorded_at),
+    },
+  };
+
+  const existing = await tx.telemetryRollup.findUnique({ where });
+  if (!existing) {
+    await tx.telemetryRollup.create({
+      data: {
+        ...where.machine_id_metric_bucket_start,
+        count: 1,
+        sum: reading.value,
+        min: reading.value,
+        max: reading.value,
+      },
+    });
+    return;
+  }
+
+  await tx.telemetryRollup.update({
+    where,
+    data: {
+      count: { increment: 1 },
+      sum: { increment: reading.value },
+      min: Math.min(existing.min, reading.value),
+      max: Math.max(existing.max, reading.value),
+    },
+  });
+}
+
+/**
+ * Open, escalate or clear the telemetry events of a machine metric after a reading
+ * One event per kind stays open while the breach lasts at the same severity; a reading
+ * back within limits clears it.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} threshold - TelemetryThreshold
+ * @param {Object} reading - Reading
+ * @param {Array<number>} history - Earlier readings in the anomaly window
+ * @returns {Promise<{opened: Array, cleared: Array}>} Events opened and cleared
+ */
+async function updateEvents(tx, threshold, reading, history) {
+  const opened = [];
+  const cleared = [];
+
+  const checks = [
+    { kind: TelemetryEventKind.THRESHOLD, breach: checkLimits(threshold, reading.value) },
+    { kind: TelemetryEventKind.ANOMALY, breach: checkAnomaly(threshold, reading.value, history) },
+  ];
+
+  for (const { kind, breach } of checks) {
+    const open = await tx.telemetryEvent.findFirst({
+      where: {
+        machine_id: reading.machine_id,
+        metric: reading.metric,
+        kind,
+        cleared_at: null,
+      },
+    });
+
+    if (open && breach && open.severity === breach.severity) {
+      continue;
+    }
+
+    if (open) {
+      cleared.push(
+        await tx.telemetryEvent.update({
+          where: { id: open.id },
+          data: { cleared_at: reading.recorded_at },
+        })
+      );
+    }
+
+    if (breach) {
+      const raisesError = kind === TelemetryEventKind.THRESHOLD && breach.severity === TelemetrySeverity.ALARM;
+      opened.push(
+        await tx.telemetryEvent.create({
+          data: {
+            machine_id: reading.machine_id,
+            metric: reading.metric,
+            kind,
+            severity: breach.severity,
+            value: reading.value,
+            limit: breach.limit ?? null,
+            mean: breach.mean ?? null,
+            stddev: breach.stddev ?? null,
+            zscore: breach.zscore ?? null,
+            message: breach.message,
+            action: raisesError ? threshold.alarm_action : BreachAction.WARNING,
+            started_at: reading.recorded_at,
+          },
+        })
+      );
+    }
+  }
+
+  return { opened, cleared };
+}
+
+/**
+ * Store telemetry readings and check them against the machines' thresholds
+ * Readings are applied oldest first. Alarms whose threshold has alarm_action "Error" put the
+ * machine in Error through the machine update service once the readings are stored, so the
+ * change follows the transition rules and shows up in the machine history.
+ *
+ * @param {Object} payload - { machine_id, recorded_at, values } or { samples: [...] }
+ * @returns {Promise<Object>} { readings, events_opened, events_cleared, machine_errors }
+ */
+export async function ingestTelemetry(payload) {
+  try {
+    const readings = toReadings(payload);
+    if (readings.length === 0) {
+      throw new Error('No readings in the payload');
+    }
+    if (readings.length > MAX_READINGS_PER_REQUEST) {
+      throw new Error(`Too many readings: at most ${MAX_READINGS_PER_REQUEST} per request`);
+    }
+
+    const machineIds = [...new Set(readings.map((reading) => reading.machine_id))];
+    const machines = await prisma.machine.findMany({
+      where: {
+        machine_id: { in: machineIds },
+      },
+    });
+    const unknown = machineIds.filter((id) => !machines.some((machine) => machine.machine_id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Machine not found: ${unknown.join(', ')}`);
+    }
+
+    const thresholds = await prisma.telemetryThreshold.findMany({
+      where: {
+        machine_id: { in: machineIds },
+        active: true,
+      },
+    });
+    const thresholdFor = new Map(thresholds.map((threshold) => [`${threshold.machine_id}|${threshold.metric}`, threshold]));
+
+    readings.sort((a, b) => a.recorded_at - b.recorded_at);
+
+    const opened = [];
+    const cleared = [];
+
+    await prisma.$transaction(
+      async (tx) => {
+        for (const reading of readings) {
+          const threshold = thresholdFor.get(`${reading.machine_id}|${reading.metric}`);
+
+          let history = [];
+          if (threshold?.anomaly_z) {
+            const earlier = await tx.telemetryReading.findMany({
+              where: {
+                machine_id: reading.machine_id,
+                metric: reading.metric,
+                recorded_at: { lt: reading.recorded_at },
+              },
+              orderBy: { recorded_at: 'desc' },
+              take: threshold.anomaly_window,
+              select: { value: true },
+            });
+            history = earlier.map((row) => row.value);
+          }
+
+          await tx.telemetryReading.create({ data: reading });
+          await addToRollup(tx, reading);
+
+          if (threshold) {
+            const changes = await updateEvents(tx, threshold, reading, history);
+            opened.push(...changes.opened);
+            cleared.push(...changes.cleared);
+          }
+        }
+      },
+      { timeout: INGEST_TRANSACTION_TIMEOUT_MS }
+    );
+
+    const machineErrors = [];
+    const statusById = new Map(machines.map((machine) => [machine.machine_id, machine.status]));
+    for (const event of opened.filter((e) => e.action === BreachAction.ERROR)) {
+      if (statusById.get(event.machine_id) === MachineStatus.ERROR) {
+        continue;
+      }
+      try {
+        await machineService.updateMachine(
+          event.machine_id,
+          { status: MachineStatus.ERROR, error_message: `Telemetry alarm: ${event.message}` },
+          { source: EventSource.TELEMETRY }
+        );
+        statusById.set(event.machine_id, MachineStatus.ERROR);
+        machineErrors.push({ machine_id: event.machine_id, success: true, event_id: event.id });
+      } catch (error) {
+        machineErrors.push({ machine_id: event.machine_id, success: false, event_id: event.id, error: error.message });
+      }
+    }
+
+    return {
+      readings: readings.length,
+      events_opened: opened,
+      events_cleared: cleared.length,
+      machine_errors: machineErrors,
+    };
+  } catch (error) {
+    throw new Error(`Failed to ingest telemetry: ${error.message}`);
+  }
+}
+
+/**
+ * Get the telemetry series of a machine
+ * @param {string} machineId - The machine ID
+ * @param {Object} options - Query options
+ * @param {string|null} options.metric - Only this metric
+ * @param {Date|null} options.from - Range start (defaults to 24 hours before "to")
+ * @param {Date|null} options.to - Range end (defaults to now)
+ * @param {string} options.resolution - "raw" readings or "hour" rollups
+ * @returns {Promise<Object>} { machine_id, from, to, resolution, series: { metric: [points] } }
+ */
+export async function getSeries(machineId, { metric = null, from = null, to = null, resolution = 'raw' } = {}) {
+  try {
+    if (!['raw', 'hour'].includes(resolution)) {
+      throw new Error('Invalid resolution: must be raw or hour');
+    }
+
+    const rangeTo = to || new Date();
+    const rangeFrom = from || new Date(rangeTo.getTime() - 24 * HOUR_MS);
+    const metricFilter = metric ? { metric: normalizeMetric(metric) } : {};
+    const series = {};
+
+    if (resolution === 'hour') {
+      const rollups = await prisma.telemetryRollup.findMany({
+        where: {
+          machine_id: machineId,
+          ...metricFilter,
+          bucket_start: toPrismaDateFilter({ from: hourStart(rangeFrom), to: rangeTo }),
+        },
+        orderBy: { bucket_start: 'asc' },
+      });
+      for (const rollup of rollups) {
+        series[rollup.metric] = series[rollup.metric] || [];
+        series[rollup.metric].push({
+          t: rollup.bucket_start,
+          count: rollup.count,
+          avg: rollup.sum / rollup.count,
+          min: rollup.min,
+          max: rollup.max,
+        });
+      }
+    } else {
+      // Most recent points win when the range holds more than MAX_SERIES_POINTS readings
+      const readings = await prisma.telemetryReading.findMany({
+        where: {
+          machine_id: machineId,
+          ...metricFilter,
+          recorded_at: toPrismaDateFilter({ from: rangeFrom, to: rangeTo }),
+        },
+        orderBy: { recorded_at: 'desc' },
+        take: MAX_SERIES_POINTS,
+      });
+      for (const reading of readings.reverse()) {
+        series[reading.metric] = series[reading.metric] || [];
+        series[reading.metric].push({ t: reading.recorded_at, v: reading.value });
+      }
+    }
+
+    return {
+      machine_id: machineId,
+      from: rangeFrom.toISOString(),
+      to: rangeTo.toISOString(),
+      resolution,
+      series,
+    };
+  } catch (error) {
+    throw new Error(`Failed to fetch telemetry of machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Recent readings of every machine metric, averaged into evenly spaced points for sparklines
+ * @param {Object} options - Query options
+ * @param {string|null} options.machineId - Only this machine
+ * @param {number} options.minutes - Window ending now
+ * @param {number} options.points - Points per sparkline
+ * @returns {Promise<Array>} [{ machine_id, metric, unit, latest, latest_at, points, limits, open_severity }]
+ */
+export async function getSparklines({ machineId = null, minutes = 60, points = 30 } = {}) {
+  try {
+    const now = new Date();
+    const windowMs = minutes * 60 * 1000;
+    const from = new Date(now.getTime() - windowMs);
+    const bucketMs = windowMs / points;
+    const machineFilter = machineId ? { machine_id: machineId } : {};
+
+    const [readings, thresholds, openEvents] = await Promise.all([
+      prisma.telemetryReading.findMany({
+        where: { ...machineFilter, recorded_at: { gte: from, lte: now } },
+        orderBy: { recorded_at: 'asc' },
+      }),
+      prisma.telemetryThreshold.findMany({ where: { ...machineFilter, active: true } }),
+      prisma.telemetryEvent.findMany({ where: { ...machineFilter, cleared_at: null } }),
+    ]);
+
+    const sparklines = new Map();
+    for (const reading of readings) {
+      const key = `${reading.machine_id}|${reading.metric}`;
+      if (!sparklines.has(key)) {
+        sparklines.set(key, {
+          machine_id: reading.machine_id,
+          metric: reading.metric,
+          buckets: Array.from({ length: points }, () => ({ sum: 0, count: 0 })),
+          latest: null,
+          latest_at: null,
+        });
+      }
+      const sparkline = sparklines.get(key);
+      const index = Math.min(points - 1, Math.floor((reading.recorded_at - from) / bucketMs));
+      sparkline.buckets[index].sum += reading.value;
+      sparkline.buckets[index].count += 1;
+      sparkline.latest = reading.value;
+      sparkline.latest_at = reading.recorded_at;
+    }
+
+    const severityRank = { [TelemetrySeverity.WARNING]: 1, [TelemetrySeverity.ALARM]: 2 };
+
+    return [...sparklines.values()]
+      .map(({ buckets, ...sparkline }) => {
+        const threshold = thresholds.find(
+          (t) => t.machine_id === sparkline.machine_id && t.metric === sparkline.metric
+        );
+        const open = openEvents
+          .filter((event) => event.machine_id === sparkline.machine_id && event.metric === sparkline.metric)
+          .sort((a, b) => severityRank[b.severity] - severityRank[a.severity]);
+
+        return {
+          ...sparkline,
+          unit: threshold?.unit ?? null,
+          points: buckets.map((bucket) => (bucket.count > 0 ? bucket.sum / bucket.count : null)),
+          limits: threshold
+            ? Object.fromEntries(LIMIT_FIELDS.map((field) => [field, threshold[field]]))
+            : null,
+          open_severity: open.length > 0 ? open[0].severity : null,
+        };
+      })
+      .sort((a, b) => a.machine_id.localeCompare(b.machine_id) || a.metric.localeCompare(b.metric));
+  } catch (error) {
+    throw new Error(`Failed to build telemetry sparklines: ${error.message}`);
+  }
+}
+
+/**
+ * Get telemetry thresholds
+ * @param {string|null} machineId - Optional machine filter
+ * @returns {Promise<Array>} Array of thresholds
+ */
+export async function getThresholds(machineId = null) {
+  try {
+    const thresholds = await prisma.telemetryThreshold.findMany({
+      where: machineId ? { machine_id: machineId } : {},
+      orderBy: [{ machine_id: 'asc' }, { metric: 'asc' }],
+    });
+    return thresholds;
+  } catch (error) {
+    throw new Error(`Failed to fetch telemetry thresholds: ${error.message}`);
+  }
+}
+
+/**
+ * Check the limits and anomaly settings of a threshold
+ * @param {Object} threshold - Threshold data after merging the update into the existing row
+ */
+function validateThreshold(threshold) {
+  for (const field of LIMIT_FIELDS) {
+    const value = threshold[field];
+    if (value !== null && value !== undefined && !(typeof value === 'number' && Number.isFinite(value))) {
+      throw new Error(`${field} must be a number or null`);
+    }
+  }
+
+  const isSet = (value) => value !== null && value !== undefined;
+  for (const [low, high] of [
+    ['warn_low', 'warn_high'],
+    ['alarm_low', 'alarm_high'],
+    ['alarm_low', 'warn_low'],
+    ['warn_high', 'alarm_high'],
+  ]) {
+    if (isSet(threshold[low]) && isSet(threshold[high]) && threshold[low] > threshold[high]) {
+      throw new Error(`${low} must not be above ${high}`);
+    }
+  }
+
+  if (threshold.alarm_action !== undefined && !VALID_BREACH_ACTIONS.includes(threshold.alarm_action)) {
+    throw new Error(
+      `Invalid alarm_action: ${threshold.alarm_action}. Must be one of: ${VALID_BREACH_ACTIONS.join(', ')}`
+    );
+  }
+
+  if (isSet(threshold.anomaly_z) && !(typeof threshold.anomaly_z === 'number' && threshold.anomaly_z > 0)) {
+    throw new Error('Invalid anomaly_z: must be a positive number of standard deviations, or null to disable');
+  }
+
+  if (
+    threshold.anomaly_window !== undefined &&
+    !(
+      Number.isInteger(threshold.anomaly_window) &&
+      threshold.anomaly_window >= MIN_ANOMALY_SAMPLES &&
+      threshold.anomaly_window <= MAX_ANOMALY_WINDOW
+    )
+  ) {
+    throw new Error(`Invalid anomaly_window: must be a whole number from ${MIN_ANOMALY_SAMPLES} to ${MAX_ANOMALY_WINDOW}`);
+  }
+}
+
+/**
+ * Update or create the threshold of a machine metric
+ * @param {string} machineId - The machine ID
+ * @param {string} metric - Metric name
+ * @param {Object} updateData - { unit, warn_low, warn_high, alarm_low, alarm_high, alarm_action, anomaly_z, anomaly_window, active }
+ * @returns {Promise<Object>} Updated threshold
+ */
+export async function updateThreshold(machineId, metric, updateData) {
+  const metricName = normalizeMetric(metric);
+
+  try {
+    if (!METRIC_PATTERN.test(metricName)) {
+      throw new Error(`Invalid metric name: ${metric}`);
+    }
+
+    const machine = await machineService.getMachine(machineId);
+    if (!machine) {
+      throw new Error(`Machine with ID ${machineId} not found`);
+    }
+
+    const key = { machine_id_metric: { machine_id: machineId, metric: metricName } };
+    const existing = await prisma.telemetryThreshold.findUnique({ where: key });
+
+    const fields = Object.fromEntries(
+      ['unit', ...LIMIT_FIELDS, 'alarm_action', 'anomaly_z', 'anomaly_window', 'active']
+        .filter((field) => updateData[field] !== undefined)
+        .map((field) => [field, field === 'active' ? Boolean(updateData[field]) : updateData[field]])
+    );
+
+    validateThreshold({ ...existing, ...fields });
+
+    const threshold = await prisma.telemetryThreshold.upsert({
+      where: key,
+      update: {
+        ...fields,
+        updated_at: new Date(),
+      },
+      create: {
+        machine_id: machineId,
+        metric: metricName,
+        ...fields,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return threshold;
+  } catch (error) {
+    throw new Error(`Failed to update ${metricName} threshold of machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get telemetry events
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only events of this machine
+ * @param {string} filters.metric - Only events of this metric
+ * @param {boolean} filters.openOnly - Only events that have not cleared
+ * @param {Date} filters.from - Started at or after
+ * @param {Date} filters.to - Started at or before
+ * @returns {Promise<Array>} Array of events (most recent first)
+ */
+export async function getEvents({ machineId = null, metric = null, openOnly = false, from = null, to = null } = {}) {
+  try {
+    const events = await prisma.telemetryEvent.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(metric && { metric: normalizeMetric(metric) }),
+        ...(openOnly && { cleared_at: null }),
+        started_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        started_at: 'desc',
+      },
+    });
+    return events;
+  } catch (error) {
+    throw new Error(`Failed to fetch telemetry events: ${error.message}`);
+  }
+}
+
+/**
+ * Delete raw readings older than TELEMETRY_RETENTION_HOURS (hourly rollups are kept)
+ * @returns {Promise<Object>} { deleted, before }
+ */
+export async function pruneTelemetry() {
+  try {
+    const before = new Date(Date.now() - config.telemetry.retentionHours * HOUR_MS);
+    const { count } = await prisma.telemetryReading.deleteMany({
+      where: {
+        recorded_at: { lt: before },
+      },
+    });
+    return { deleted: count, before: before.toISOString() };
+  } catch (error) {
+    throw new Error(`Failed to prune telemetry: ${error.message}`);
+  }
+}
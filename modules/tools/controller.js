@@ -0,0 +1,180 @@
+/**
+ * Controller layer for Tool Life and Consumables
+ * Handles HTTP request/response logic
+ */
+
+import * as service from './service.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+/**
+ * Get tools with their life figures
+ * GET /tools?machine_id=&kind=&status=&include_inactive=true
+ */
+export async function getAllTools(req, res) {
+  try {
+    if (req.query.kind && !service.VALID_TOOL_KINDS.includes(req.query.kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid kind: ${req.query.kind}. Must be one of: ${service.VALID_TOOL_KINDS.join(', ')}`,
+      });
+    }
+
+    if (req.query.status && !service.VALID_LIFE_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${req.query.status}. Must be one of: ${service.VALID_LIFE_STATUSES.join(', ')}`,
+      });
+    }
+
+    const tools = await service.getAllTools({
+      machineId: req.query.machine_id || null,
+      kind: req.query.kind || null,
+      lifeStatus: req.query.status || null,
+      includeInactive: req.query.include_inactive === 'true',
+    });
+    res.json({
+      success: true,
+      count: tools.length,
+      data: tools,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get tools nearing or past end of life
+ * GET /tools/warnings?machine_id=
+ */
+export async function getToolWarnings(req, res) {
+  try {
+    const tools = await service.getToolWarnings(req.query.machine_id || null);
+    res.json({
+      success: true,
+      count: tools.length,
+      data: tools,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the tool change history
+ * GET /tools/changes?machine_id=&tool_id=&from=&to=
+ */
+export async function getToolChanges(req, res) {
+  try {
+    let range;
+    try {
+      range = parseDateRange(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const changes = await service.getToolChanges({
+      machineId: req.query.machine_id || null,
+      toolId: req.query.tool_id || null,
+      ...range,
+    });
+    res.json({
+      success: true,
+      count: changes.length,
+      data: changes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update or create a tool on a machine
+ * POST /tools/update
+ */
+export async function updateTool(req, res) {
+  try {
+    const { machine_id, tool_id, ...updateData } = req.body;
+
+    if (!machine_id || !tool_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'machine_id and tool_id are required',
+      });
+    }
+
+    const updated = await service.updateTool(machine_id, tool_id, updateData);
+
+    res.json({
+      success: true,
+      message: `Tool ${tool_id} on machine ${machine_id} updated successfully`,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a tool change
+ * POST /tools/replace
+ */
+export async function replaceTool(req, res) {
+  try {
+    const { machine_id, tool_id, ...change } = req.body;
+
+    if (!machine_id || !tool_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'machine_id and tool_id are required',
+      });
+    }
+
+    const result = await service.replaceTool(machine_id, tool_id, change);
+
+    res.json({
+      success: true,
+      message: `Tool ${tool_id} on machine ${machine_id} replaced after ${result.change.life_used} ${result.change.life_unit.toLowerCase()}`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Check all tools now and raise warnings for the ones nearing or past end of life
+ * POST /tools/check
+ */
+export async function runToolLifeCheck(req, res) {
+  try {
+    const result = await service.runToolLifeCheck();
+    res.json({
+      success: true,
+      message: `${result.alerts.length} tool warning(s) raised`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
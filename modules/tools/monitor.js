@@ -0,0 +1,44 @@
+/**
+ * Background monitor for Tool Life
+ * Periodically checks installed tools and logs a warning when one nears or reaches end of life
+ */
+
+import config from '../../config.js';
+import { runToolLifeCheck } from './service.js';
+
+let timer = null;
+
+/**
+ * Start the tool life monitor
+ * Does nothing when TOOL_CHECK_INTERVAL_MINUTES is 0.
+ * @returns {boolean} True if the monitor was started
+ */
+export function startToolLifeMonitor() {
+  const minutes = config.tools.checkIntervalMinutes;
+  if (!minutes || minutes <= 0 || timer) {
+    return false;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      const result = await runToolLifeCheck();
+      for (const alert of result.alerts) {
+        console.warn(`🔧 ${alert.message}`);
+      }
+    } catch (error) {
+      console.error('Tool life monitor error:', error.message);
+    }
+  }, minutes * 60 * 1000);
+
+  return true;
+}
+
+/**
+ * Stop the tool life monitor
+ */
+export function stopToolLifeMonitor() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
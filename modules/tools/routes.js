@@ -0,0 +1,59 @@
+/**
+ * Routes for Tool Life and Consumables Module
+ */
+
+import express from 'express';
+import * as controller from './controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /tools
+ * @desc    Get tools and consumables with life used, life remaining and life status
+ * @access  Public
+ * @query   machine_id, kind ('Tool' | 'Consumable'), status ('OK' | 'Warning' | 'EndOfLife'),
+ *          include_inactive ('true' to include tools that are no longer tracked)
+ */
+router.get('/', controller.getAllTools);
+
+/**
+ * @route   GET /tools/warnings
+ * @desc    Get tools nearing (warn_percent) or past end of life, most used first
+ * @access  Public
+ * @query   machine_id - Optional machine filter
+ */
+router.get('/warnings', controller.getToolWarnings);
+
+/**
+ * @route   GET /tools/changes
+ * @desc    Get the tool change history, newest first
+ * @access  Public
+ * @query   machine_id, tool_id, from, to
+ */
+router.get('/changes', controller.getToolChanges);
+
+/**
+ * @route   POST /tools/update
+ * @desc    Update or create a tool or consumable on a machine
+ * @access  Public
+ * @body    { machine_id, tool_id, name, kind: "Tool" | "Consumable", life_unit: "Cycles" | "Hours",
+ *            life_limit, warn_percent, installed_at, active, notes }
+ */
+router.post('/update', controller.updateTool);
+
+/**
+ * @route   POST /tools/replace
+ * @desc    Record a tool change and start counting life for the new tool
+ * @access  Public
+ * @body    { machine_id, tool_id, changed_by, reason, notes }
+ */
+router.post('/replace', controller.replaceTool);
+
+/**
+ * @route   POST /tools/check
+ * @desc    Check all tools now and raise warnings for the ones nearing or past end of life
+ * @access  Public
+ */
+router.post('/check', controller.runToolLifeCheck);
+
+export default router;
@@ -0,0 +1,406 @@
+/**
+ * Service layer for Tool Life and Consumables
+ * Tools and consumables are installed on a machine with a life limit in cycles (units in the
+ * production ledger) or Running hours. Life used is counted from the installation time, a
+ * warning is raised at warn_percent of the limit and again at end of life, and every
+ * replacement is kept in the tool change history.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import * as machineService from '../shop-floor/service.js';
+import * as productionService from '../production/service.js';
+import { EventSource } from '../shop-floor/model.js';
+import { toPrismaDateFilter } from '../../utils/dateRange.js';
+
+const prisma = new PrismaClient();
+
+export const ToolKind = {
+  TOOL: 'Tool',
+  CONSUMABLE: 'Consumable',
+};
+
+export const LifeUnit = {
+  CYCLES: 'Cycles',
+  HOURS: 'Hours',
+};
+
+// Life status of an installed tool, in increasing severity
+export const LifeStatus = {
+  OK: 'OK',
+  WARNING: 'Warning',
+  END_OF_LIFE: 'EndOfLife',
+};
+
+export const VALID_TOOL_KINDS = Object.values(ToolKind);
+export const VALID_LIFE_UNITS = Object.values(LifeUnit);
+export const VALID_LIFE_STATUSES = Object.values(LifeStatus);
+
+const SEVERITY = [LifeStatus.OK, LifeStatus.WARNING, LifeStatus.END_OF_LIFE];
+
+/**
+ * Round a life figure for API output
+ * @param {number} value - Cycles or hours
+ * @returns {number} Value rounded to 2 decimals
+ */
+function roundLife(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out how much of its life an installed tool has used
+ * @param {Object} tool - Tool row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} { life_used, life_remaining, life_used_percent, life_status }
+ */
+async function evaluateLife(tool, now) {
+  let used;
+  if (tool.life_unit === LifeUnit.HOURS) {
+    const history = await machineService.getMachineHistory(tool.machine_id, { from: tool.installed_at, to: now });
+    used = (history.status_durations.Running || 0) / 3600;
+  } else {
+    const { total } = await productionService.getProductionTotals(tool.machine_id, { from: tool.installed_at, to: now });
+    used = total;
+  }
+
+  const usedPercent = (used / tool.life_limit) * 100;
+  let status = LifeStatus.OK;
+  if (used >= tool.life_limit) {
+    status = LifeStatus.END_OF_LIFE;
+  } else if (usedPercent >= tool.warn_percent) {
+    status = LifeStatus.WARNING;
+  }
+
+  return {
+    life_used: roundLife(used),
+    life_remaining: roundLife(Math.max(tool.life_limit - used, 0)),
+    life_used_percent: Math.round(usedPercent * 10) / 10,
+    life_status: status,
+  };
+}
+
+/**
+ * Format a tool row with its life figures for API output
+ * @param {Object} tool - Tool row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} Tool with life_used, life_remaining, life_used_percent and life_status
+ */
+async function withLife(tool, now = new Date()) {
+  return {
+    ...tool,
+    ...(await evaluateLife(tool, now)),
+  };
+}
+
+/**
+ * Validate the life settings of a tool
+ * @param {Object} tool - Tool data after merging the update into the existing row
+ */
+function validateTool(tool) {
+  if (!VALID_TOOL_KINDS.includes(tool.kind)) {
+    throw new Error(`Invalid kind: ${tool.kind}. Must be one of: ${VALID_TOOL_KINDS.join(', ')}`);
+  }
+  if (!VALID_LIFE_UNITS.includes(tool.life_unit)) {
+    throw new Error(`Invalid life_unit: ${tool.life_unit}. Must be one of: ${VALID_LIFE_UNITS.join(', ')}`);
+  }
+  if (!(typeof tool.life_limit === 'number' && tool.life_limit > 0)) {
+    throw new Error('life_limit must be a positive number');
+  }
+  if (!(Number.isInteger(tool.warn_percent) && tool.warn_percent > 0 && tool.warn_percent <= 100)) {
+    throw new Error('warn_percent must be a whole number from 1 to 100');
+  }
+}
+
+/**
+ * Find a tool installed on a machine
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} machineId - The machine ID
+ * @param {string} toolId - The tool ID
+ * @returns {Promise<Object|null>} Tool row or null if not found
+ */
+function findTool(client, machineId, toolId) {
+  return client.tool.findUnique({
+    where: {
+      machine_id_tool_id: {
+        machine_id: machineId,
+        tool_id: toolId,
+      },
+    },
+  });
+}
+
+/**
+ * Get tools with their life figures
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only tools on this machine
+ * @param {string} filters.kind - Only tools of this kind
+ * @param {string} filters.lifeStatus - Only tools with this life status
+ * @param {boolean} filters.includeInactive - Include tools that are no longer tracked
+ * @returns {Promise<Array>} Tools by machine and tool ID
+ */
+export async function getAllTools({ machineId = null, kind = null, lifeStatus = null, includeInactive = false } = {}) {
+  try {
+    if (kind && !VALID_TOOL_KINDS.includes(kind)) {
+      throw new Error(`Invalid kind: ${kind}. Must be one of: ${VALID_TOOL_KINDS.join(', ')}`);
+    }
+    if (lifeStatus && !VALID_LIFE_STATUSES.includes(lifeStatus)) {
+      throw new Error(`Invalid status: ${lifeStatus}. Must be one of: ${VALID_LIFE_STATUSES.join(', ')}`);
+    }
+
+    const tools = await prisma.tool.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(kind && { kind }),
+        ...(!includeInactive && { active: true }),
+      },
+      orderBy: [{ machine_id: 'asc' }, { tool_id: 'asc' }],
+    });
+
+    const now = new Date();
+    const results = [];
+    for (const tool of tools) {
+      results.push(await withLife(tool, now));
+    }
+    return lifeStatus ? results.filter((tool) => tool.life_status === lifeStatus) : results;
+  } catch (error) {
+    throw new Error(`Failed to fetch tools: ${error.message}`);
+  }
+}
+
+/**
+ * Get tools nearing or past end of life
+ * @param {string|null} machineId - Optional machine filter
+ * @returns {Promise<Array>} Tools in Warning or EndOfLife, most used first
+ */
+export async function getToolWarnings(machineId = null) {
+  try {
+    const tools = await getAllTools({ machineId });
+    return tools
+      .filter((tool) => tool.life_status !== LifeStatus.OK)
+      .sort((a, b) => b.life_used_percent - a.life_used_percent);
+  } catch (error) {
+    throw new Error(`Failed to fetch tool warnings: ${error.message}`);
+  }
+}
+
+/**
+ * Update or create a tool on a machine
+ * A new tool counts as installed now unless installed_at is given.
+ * @param {string} machineId - The machine ID
+ * @param {string} toolId - The tool ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Updated tool with its life figures
+ */
+export async function updateTool(machineId, toolId, updateData) {
+  try {
+    const machine = await machineService.getMachine(machineId);
+    if (!machine) {
+      throw new Error(`Machine with ID ${machineId} not found`);
+    }
+
+    const installedAt = updateData.installed_at ? new Date(updateData.installed_at) : null;
+    if (installedAt && Number.isNaN(installedAt.getTime())) {
+      throw new Error(`Invalid installed_at: ${updateData.installed_at}`);
+    }
+
+    const existing = await findTool(prisma, machineId, toolId);
+
+    const fields = {
+      ...(updateData.name !== undefined && { name: updateData.name }),
+      ...(updateData.kind !== undefined && { kind: updateData.kind }),
+      ...(updateData.life_unit !== undefined && { life_unit: updateData.life_unit }),
+      ...(updateData.life_limit !== undefined && { life_limit: updateData.life_limit }),
+      ...(updateData.warn_percent !== undefined && { warn_percent: updateData.warn_percent }),
+      ...(installedAt && { installed_at: installedAt }),
+      ...(updateData.active !== undefined && { active: Boolean(updateData.active) }),
+      ...(updateData.notes !== undefined && { notes: updateData.notes }),
+    };
+
+    validateTool({ kind: ToolKind.TOOL, warn_percent: 80, ...existing, ...fields });
+
+    const tool = await prisma.tool.upsert({
+      where: {
+        machine_id_tool_id: {
+          machine_id: machineId,
+          tool_id: toolId,
+        },
+      },
+      update: {
+        ...fields,
+        // A new limit or installation time is judged afresh by the next life check
+        ...((fields.life_limit !== undefined || fields.life_unit !== undefined || installedAt) && {
+          alert_level: null,
+          alerted_at: null,
+        }),
+        updated_at: new Date(),
+      },
+      create: {
+        tool_id: toolId,
+        machine_id: machineId,
+        name: fields.name || toolId,
+        kind: fields.kind ?? ToolKind.TOOL,
+        life_unit: fields.life_unit,
+        life_limit: fields.life_limit,
+        warn_percent: fields.warn_percent ?? 80,
+        installed_at: installedAt || new Date(),
+        active: fields.active ?? true,
+        notes: fields.notes ?? null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    return await withLife(tool);
+  } catch (error) {
+    throw new Error(`Failed to update tool ${toolId} on machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Record a tool change: log the life the removed tool reached and start a new installation
+ * @param {string} machineId - The machine ID
+ * @param {string} toolId - The tool ID
+ * @param {Object} change - Change details
+ * @param {string} change.changed_by - Who changed the tool
+ * @param {string} change.reason - Why it was changed (e.g. "Worn", "Broken")
+ * @param {string} change.notes - Free-text notes
+ * @param {Object} options - Change options
+ * @param {string} options.source - Where the change was reported (see EventSource), defaults to REST
+ * @returns {Promise<Object>} { tool, change } - the tool's new installation and the history row
+ */
+export async function replaceTool(machineId, toolId, { changed_by = null, reason = null, notes = null } = {}, options = {}) {
+  try {
+    const tool = await findTool(prisma, machineId, toolId);
+    if (!tool) {
+      throw new Error('Tool not found');
+    }
+    if (!tool.active) {
+      throw new Error('Tool is no longer tracked');
+    }
+
+    const now = new Date();
+    const life = await evaluateLife(tool, now);
+
+    const { updated, change } = await prisma.$transaction(async (tx) => {
+      const change = await tx.toolChange.create({
+        data: {
+          machine_id: machineId,
+          tool_id: toolId,
+          installed_at: tool.installed_at,
+          replaced_at: now,
+          life_unit: tool.life_unit,
+          life_limit: tool.life_limit,
+          life_used: life.life_used,
+          reason,
+          changed_by,
+          notes,
+          source: options.source || EventSource.REST,
+        },
+      });
+
+      const updated = await tx.tool.update({
+        where: { id: tool.id },
+        data: {
+          installed_at: now,
+          alert_level: null,
+          alerted_at: null,
+          updated_at: now,
+        },
+      });
+
+      return { updated, change };
+    });
+
+    return {
+      tool: await withLife(updated, now),
+      change,
+    };
+  } catch (error) {
+    throw new Error(`Failed to replace tool ${toolId} on machine ${machineId}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the tool change history
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.machineId - Only changes on this machine
+ * @param {string} filters.toolId - Only changes of this tool
+ * @param {Date|null} filters.from - Only changes at or after this time
+ * @param {Date|null} filters.to - Only changes at or before this time
+ * @returns {Promise<Array>} Tool changes, newest first
+ */
+export async function getToolChanges({ machineId = null, toolId = null, from = null, to = null } = {}) {
+  try {
+    return await prisma.toolChange.findMany({
+      where: {
+        ...(machineId && { machine_id: machineId }),
+        ...(toolId && { tool_id: toolId }),
+        replaced_at: toPrismaDateFilter({ from, to }),
+      },
+      orderBy: {
+        replaced_at: 'desc',
+      },
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch tool changes: ${error.message}`);
+  }
+}
+
+/**
+ * Check every active tool and raise a warning for each one whose life status got worse
+ * Each installation raises at most one Warning and one EndOfLife alert; a tool change
+ * starts over.
+ *
+ * @returns {Promise<Object>} Tools checked and alerts raised
+ */
+export async function runToolLifeCheck() {
+  try {
+    const now = new Date();
+    const tools = await prisma.tool.findMany({
+      where: { active: true },
+    });
+
+    const alerts = [];
+    for (const tool of tools) {
+      const life = await evaluateLife(tool, now);
+      if (SEVERITY.indexOf(life.life_status) <= SEVERITY.indexOf(tool.alert_level || LifeStatus.OK)) {
+        continue;
+      }
+
+      await prisma.tool.update({
+        where: { id: tool.id },
+        data: {
+          alert_level: life.life_status,
+          alerted_at: now,
+        },
+      });
+
+      alerts.push({
+        machine_id: tool.machine_id,
+        tool_id: tool.tool_id,
+        name: tool.name,
+        level: life.life_status,
+        ...life,
+        message:
+          life.life_status === LifeStatus.END_OF_LIFE
+            ? `${tool.name} (${tool.tool_id}) on ${tool.machine_id} reached end of life: ${life.life_used} of ${tool.life_limit} ${tool.life_unit.toLowerCase()}`
+            : `${tool.name} (${tool.tool_id}) on ${tool.machine_id} has ${life.life_remaining} ${tool.life_unit.toLowerCase()} of life left`,
+      });
+    }
+
+    return {
+      checked: tools.length,
+      alerts,
+      run_at: now.toISOString(),
+    };
+  } catch (error) {
+    throw new Error(`Failed to check tool life: ${error.message}`);
+  }
+}
+
+/**
+ * Get Prisma client instance (for advanced queries if needed)
+ * @returns {PrismaClient} Prisma client instance
+ */
+export function getPrismaClient() {
+  return prisma;
+}
@@ -4,10 +4,18 @@
  */
 
 import express from 'express';
-import { detectIntent, parseMachineUpdate, parseSafetyUpdate, parseOrderUpdate } from '../../utils/whatsappParser.js';
+import {
+  detectIntent,
+  parseMachineUpdate,
+  parseToolChange,
+  parseSafetyUpdate,
+  parseOrderUpdate,
+} from '../../utils/whatsappParser.js';
 import * as machineService from '../shop-floor/service.js';
+import { EventSource } from '../shop-floor/model.js';
 import * as safetyService from '../safety/service.js';
 import * as orderService from '../orders/service.js';
+import * as toolService from '../tools/service.js';
 
 const router = express.Router();
 
@@ -39,6 +47,9 @@ router.post('/webhook', async (req, res) => {
     // WhatsApp sends data in a specific format
     const body = req.body;
 
+    // Outcome of each message, so a rejected update is reported without blocking the rest
+    const results = [];
+
     // Verify webhook signature if configured
     if (process.env.WHATSAPP_WEBHOOK_SECRET) {
       // Add signature verification here if needed
@@ -58,7 +69,7 @@ router.post('/webhook', async (req, res) => {
             // Process incoming messages
             if (value.messages && value.messages.length > 0) {
               for (const message of value.messages) {
-                await processIncomingMessage(message, value.contacts?.[0]);
+                results.push(await processIncomingMessage(message, value.contacts?.[0]));
               }
             }
 
@@ -73,7 +84,10 @@ router.post('/webhook', async (req, res) => {
     }
 
     // Always return 200 OK to WhatsApp
-    res.status(200).send('OK');
+    res.status(200).json({
+      success: true,
+      results,
+    });
   } catch (error) {
     console.error('Error processing WhatsApp webhook:', error);
     // Still return 200 to avoid retries
@@ -84,22 +98,32 @@ router.post('/webhook', async (req, res) => {
 /**
  * Process incoming WhatsApp message
  * Detects intent and routes to appropriate service
+ * @returns {Promise<Object>} { message_id, from, intent, success, error?, data? } - errors (e.g. a
+ *   rejected machine transition) are reported here rather than thrown
  */
 async function processIncomingMessage(message, contact) {
-  try {
-    const messageText = message.text?.body || message.body?.text || '';
-    const fromNumber = message.from;
-    const messageId = message.id;
+  const messageText = message.text?.body || message.body?.text || '';
+  const fromNumber = message.from;
+  const messageId = message.id;
+  const outcome = {
+    message_id: messageId,
+    from: fromNumber,
+    intent: null,
+    success: false,
+  };
 
+  try {
     console.log(`📨 Received WhatsApp message from ${fromNumber}: ${messageText}`);
 
     if (!messageText.trim()) {
       console.log('Empty message, skipping...');
-      return;
+      outcome.error = 'Empty message';
+      return outcome;
     }
 
     // Detect intent
     const intent = detectIntent(messageText);
+    outcome.intent = intent;
     console.log(`🎯 Detected intent: ${intent}`);
 
     let result = null;
@@ -108,10 +132,32 @@ async function processIncomingMessage(message, contact) {
       case 'MACHINE_UPDATE':
         const machineData = parseMachineUpdate(messageText);
         if (machineData && machineData.machine_id) {
-          result = await machineService.updateMachine(machineData.machine_id, machineData);
+          result = await machineService.updateMachine(machineData.machine_id, machineData, {
+            source: EventSource.WHATSAPP,
+          });
           console.log(`✅ Machine ${machineData.machine_id} updated successfully`);
         } else {
           console.log('❌ Failed to parse machine update');
+          outcome.error = 'Failed to parse machine update';
+        }
+        break;
+
+      case 'TOOL_CHANGE':
+        const toolChange = parseToolChange(messageText);
+        if (toolChange) {
+          result = await toolService.replaceTool(
+            toolChange.machine_id,
+            toolChange.tool_id,
+            {
+              changed_by: toolChange.operator || contact?.profile?.name || fromNumber,
+              reason: toolChange.reason ?? null,
+            },
+            { source: EventSource.WHATSAPP }
+          );
+          console.log(`✅ Tool ${toolChange.tool_id} on machine ${toolChange.machine_id} replaced`);
+        } else {
+          console.log('❌ Failed to parse tool change');
+          outcome.error = 'Failed to parse tool change (expected e.g. "M01 TOOL T12 REPLACED")';
         }
         break;
 
@@ -122,6 +168,7 @@ async function processIncomingMessage(message, contact) {
           console.log(`✅ Safety area ${safetyData.area_name} updated successfully`);
         } else {
           console.log('❌ Failed to parse safety update');
+          outcome.error = 'Failed to parse safety update';
         }
         break;
 
@@ -132,19 +179,26 @@ async function processIncomingMessage(message, contact) {
           console.log(`✅ Order ${orderData.order_id} updated successfully`);
         } else {
           console.log('❌ Failed to parse order update');
+          outcome.error = 'Failed to parse order update';
         }
         break;
 
       default:
         console.log(`❓ Unknown intent for message: ${messageText}`);
         // Could send a help message back to user
+        outcome.error = 'Unknown message format';
         break;
     }
 
-    return result;
+    if (result) {
+      outcome.success = true;
+      outcome.data = result;
+    }
+    return outcome;
   } catch (error) {
-    console.error('Error processing message:', error);
-    throw error;
+    console.error(`❌ Error processing message from ${fromNumber}: ${error.message}`);
+    outcome.error = error.message;
+    return outcome;
   }
 }
 
@@ -170,6 +224,9 @@ router.post('/test', async (req, res) => {
       case 'MACHINE_UPDATE':
         parsed = parseMachineUpdate(message);
         break;
+      case 'TOOL_CHANGE':
+        parsed = parseToolChange(message);
+        break;
       case 'SAFETY_UPDATE':
         parsed = parseSafetyUpdate(message);
         break;
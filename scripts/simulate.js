@@ -0,0 +1,600 @@
+/**
+ * Machine simulator for load testing and demos
+ * Runs N virtual machines that start, stop, fault, go into maintenance and change
+ * operators, and posts their state through the real ingestion paths:
+ * POST /machines/update, POST /machines/batch and the WhatsApp webhook.
+ *
+ * Usage:
+ *   npm run simulate -- --scenario scripts/scenarios/demo.json
+ *   npm run simulate -- --url http://localhost:3000 --machines 50 --rate 20 --duration 300
+ *
+ * Command line options override the scenario file, which overrides DEFAULT_SCENARIO.
+ * Every request follows the transition rules (a reason for maintenance, an
+ * acknowledgement after a fault, a Maintenance role to restart from maintenance),
+ * so rejections in the summary point at real problems.
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_SCENARIO = {
+  url: `http://localhost:${process.env.PORT || 3000}`,
+  machines: 10,
+  // Virtual machines are M101, M102, ... (WhatsApp messages need M<number> IDs)
+  first_machine_number: 101,
+  // Optional line and cell to place the virtual machines on (must exist in the hierarchy)
+  line: null,
+  cell: null,
+  // Requests per second, and how many may be in flight at once
+  rate: 5,
+  concurrency: 4,
+  // Run time in real seconds (0 runs until interrupted)
+  duration_seconds: 60,
+  // Simulated seconds per real second, so a short run covers a shift
+  time_scale: 60,
+  // Share of requests per ingestion path
+  channels: { update: 0.6, batch: 0.2, whatsapp: 0.2 },
+  batch_size: 5,
+  ideal_cycle_rate: 120,
+  scrap_rate: 0.02,
+  expected_interval_minutes: null,
+  // Simulated minutes spent in each status: [min, max]
+  run_minutes: [20, 90],
+  idle_minutes: [2, 15],
+  fault_minutes: [5, 30],
+  maintenance_minutes: [30, 90],
+  // Chance that a run ends in a fault or in planned maintenance instead of going idle
+  fault_chance: 0.15,
+  maintenance_chance: 0.05,
+  faults: [
+    { reason_code: 'ELEC-01', message: 'Motor trip' },
+    { reason_code: 'MECH-01', message: 'Spindle bearing noise' },
+    { reason_code: 'MAT-01', message: 'Feeder empty' },
+  ],
+  maintenance_reason_code: 'PM-01',
+  operators: ['Arun', 'Priya', 'Ravi', 'Meena', 'Karthik', 'Divya'],
+  // Chance that a different operator takes over when a machine starts running
+  operator_change_chance: 0.2,
+};
+
+const Status = {
+  RUNNING: 'Running',
+  IDLE: 'Idle',
+  ERROR: 'Error',
+  MAINTENANCE: 'Maintenance',
+};
+
+const REQUEST_TIMEOUT_MS = 10000;
+const PROGRESS_EVERY_MS = 10000;
+
+/**
+ * Pick a random element
+ * @param {Array} items - Items
+ * @returns {*} One of the items
+ */
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Random duration in simulated milliseconds
+ * @param {Array<number>} range - [min, max] minutes
+ * @returns {number} Milliseconds
+ */
+function dwell([min, max]) {
+  return (min + Math.random() * (max - min)) * 60 * 1000;
+}
+
+/**
+ * A virtual machine driven by simulated time
+ * It keeps the last status the server accepted, so each report carries what the
+ * transition from that status needs.
+ */
+class VirtualMachine {
+  /**
+   * @param {Object} scenario - Scenario settings
+   * @param {Object} machine - Machine row returned by the server at setup
+   * @param {number} simNow - Simulated epoch milliseconds
+   */
+  constructor(scenario, machine, simNow) {
+    this.scenario = scenario;
+    this.machineId = machine.machine_id;
+    this.status = machine.status;
+    this.confirmedStatus = machine.status;
+    this.output = machine.output || 0;
+    this.scrap = machine.scrap || 0;
+    this.operator = machine.operator || pick(scenario.operators);
+    this.fault = machine.status === Status.ERROR ? pick(scenario.faults) : null;
+    this.partProgress = 0;
+    this.simTime = simNow;
+    this.nextChangeAt = simNow + dwell(this.dwellRange());
+    this.busy = false;
+  }
+
+  /**
+   * Dwell range of the current status
+   * @returns {Array<number>} [min, max] minutes
+   */
+  dwellRange() {
+    switch (this.status) {
+      case Status.RUNNING:
+        return this.scenario.run_minutes;
+      case Status.ERROR:
+        return this.scenario.fault_minutes;
+      case Status.MAINTENANCE:
+        return this.scenario.maintenance_minutes;
+      default:
+        return this.scenario.idle_minutes;
+    }
+  }
+
+  /**
+   * Count parts made between the last simulated time and a later one
+   * @param {number} until - Simulated epoch milliseconds
+   */
+  produce(until) {
+    if (this.status === Status.RUNNING) {
+      this.partProgress += ((until - this.simTime) / 3600000) * this.scenario.ideal_cycle_rate;
+      const parts = Math.floor(this.partProgress);
+      this.partProgress -= parts;
+      for (let i = 0; i < parts; i++) {
+        if (Math.random() < this.scenario.scrap_rate) {
+          this.scrap += 1;
+        }
+        this.output += 1;
+      }
+    }
+    this.simTime = until;
+  }
+
+  /**
+   * Move to the next status
+   */
+  changeStatus() {
+    const { scenario } = this;
+
+    if (this.status === Status.RUNNING) {
+      const roll = Math.random();
+      if (roll < scenario.fault_chance) {
+        this.status = Status.ERROR;
+        this.fault = pick(scenario.faults);
+      } else if (roll < scenario.fault_chance + scenario.maintenance_chance) {
+        this.status = Status.MAINTENANCE;
+      } else {
+        this.status = Status.IDLE;
+      }
+    } else {
+      // Idle, repaired and maintained machines all go back to running
+      this.status = Status.RUNNING;
+      this.fault = null;
+      if (Math.random() < scenario.operator_change_chance) {
+        this.operator = pick(scenario.operators);
+      }
+    }
+
+    this.nextChangeAt = this.simTime + dwell(this.dwellRange());
+  }
+
+  /**
+   * Advance to a simulated time, changing status as often as the dwell times say
+   * @param {number} simNow - Simulated epoch milliseconds
+   */
+  advance(simNow) {
+    while (this.nextChangeAt <= simNow) {
+      this.produce(this.nextChangeAt);
+      this.changeStatus();
+    }
+    this.produce(simNow);
+  }
+
+  /**
+   * Machine update for the current state
+   * @returns {Object} Update payload
+   */
+  toUpdate() {
+    const update = {
+      machine_id: this.machineId,
+      status: this.status,
+      output: this.output,
+      scrap: this.scrap,
+      operator: this.operator,
+    };
+
+    if (this.status === Status.ERROR && this.fault) {
+      update.reason_code = this.fault.reason_code;
+      update.error_message = this.fault.message;
+    }
+    if (this.status === Status.MAINTENANCE && this.confirmedStatus !== Status.MAINTENANCE) {
+      update.reason_code = this.scenario.maintenance_reason_code;
+    }
+    if (this.confirmedStatus === Status.ERROR && this.status !== Status.ERROR) {
+      update.acknowledged_by = this.operator;
+    }
+    if (this.confirmedStatus === Status.MAINTENANCE && this.status === Status.RUNNING) {
+      update.role = 'Maintenance';
+    }
+
+    return update;
+  }
+
+  /**
+   * Record the status the server accepted
+   * @param {string} status - Accepted status
+   */
+  confirm(status) {
+    this.confirmedStatus = status;
+  }
+}
+
+/**
+ * Write an update as a WhatsApp machine message
+ * ERROR= runs until the next key and OPERATOR= until ROLE=/ACK=, so they come last.
+ * @param {Object} update - Update payload
+ * @returns {string} Message text
+ */
+function toWhatsappText(update) {
+  const parts = [update.machine_id, `STATUS=${update.status}`, `OUTPUT=${update.output}`, `SCRAP=${update.scrap}`];
+  if (update.reason_code) parts.push(`REASON=${update.reason_code}`);
+  if (update.error_message) parts.push(`ERROR=${update.error_message}`);
+  if (update.operator) parts.push(`OPERATOR=${update.operator}`);
+  if (update.role) parts.push(`ROLE=${update.role}`);
+  if (update.acknowledged_by) parts.push(`ACK=${update.acknowledged_by}`);
+  return parts.join(' ');
+}
+
+/**
+ * Wrap messages in the WhatsApp Cloud API webhook payload
+ * @param {Array<Object>} updates - Update payloads
+ * @returns {Object} Webhook body
+ */
+function toWebhookBody(updates) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [
+      {
+        id: 'simulator',
+        changes: [
+          {
+            field: 'messages',
+            value: {
+              contacts: [{ profile: { name: 'Simulator' }, wa_id: '910000000000' }],
+              messages: updates.map((update) => ({
+                id: `sim-${update.machine_id}-${Date.now()}`,
+                from: '910000000000',
+                timestamp: String(Math.floor(Date.now() / 1000)),
+                type: 'text',
+                text: { body: toWhatsappText(update) },
+              })),
+            },
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * POST JSON and return the parsed response
+ * @param {string} url - URL
+ * @param {Object} body - Request body
+ * @returns {Promise<{status: number, body: Object}>} Response
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    parsed = { success: false, error: text };
+  }
+  return { status: response.status, body: parsed };
+}
+
+/**
+ * Per-channel counters
+ */
+class Stats {
+  constructor() {
+    this.channels = {};
+    this.rejections = new Map();
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Counters of one ingestion path
+   * @param {string} name - Channel
+   * @returns {Object} { requests, applied, rejected, failed, latencies }
+   */
+  channel(name) {
+    if (!this.channels[name]) {
+      this.channels[name] = { requests: 0, applied: 0, rejected: 0, failed: 0, latencies: [] };
+    }
+    return this.channels[name];
+  }
+
+  /**
+   * Count a rejected update by its error message
+   * @param {string} message - Error message
+   */
+  reject(message) {
+    this.rejections.set(message, (this.rejections.get(message) || 0) + 1);
+  }
+
+  /**
+   * Totals over every channel, with latency percentiles in milliseconds
+   * @returns {Object} { requests, applied, rejected, failed, p50, p95 }
+   */
+  totals() {
+    const channels = Object.values(this.channels);
+    const sum = (field) => channels.reduce((total, channel) => total + channel[field], 0);
+    const latencies = channels.flatMap((channel) => channel.latencies).sort((a, b) => a - b);
+    return {
+      requests: sum('requests'),
+      applied: sum('applied'),
+      rejected: sum('rejected'),
+      failed: sum('failed'),
+      p50: latencies[Math.floor(latencies.length * 0.5)] ?? 0,
+      p95: latencies[Math.floor(latencies.length * 0.95)] ?? 0,
+    };
+  }
+
+  /**
+   * One-line progress report
+   * @returns {string} Progress line
+   */
+  progressLine() {
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    const totals = this.totals();
+    return (
+      `[${elapsed.toFixed(0)}s] ${totals.requests} requests (${(totals.requests / elapsed).toFixed(1)}/s) | ` +
+      `updates applied ${totals.applied}, rejected ${totals.rejected}, failed ${totals.failed} | ` +
+      `p50 ${totals.p50}ms p95 ${totals.p95}ms`
+    );
+  }
+}
+
+/**
+ * Read "--name value" options into scenario keys
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const names = {
+    scenario: 'scenario',
+    url: 'url',
+    machines: 'machines',
+    rate: 'rate',
+    concurrency: 'concurrency',
+    duration: 'duration_seconds',
+    'time-scale': 'time_scale',
+    line: 'line',
+  };
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = names[argv[i].replace(/^--/, '')];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    const value = argv[i + 1];
+    options[key] = ['scenario', 'url', 'line'].includes(key) ? value : Number(value);
+  }
+  return options;
+}
+
+/**
+ * Build the scenario from defaults, the scenario file and the command line
+ * @param {Object} options - Command line options
+ * @returns {Object} Scenario
+ */
+function loadScenario(options) {
+  const { scenario: file, ...overrides } = options;
+  const fromFile = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const scenario = { ...DEFAULT_SCENARIO, ...fromFile, ...overrides };
+
+  if (!Number.isInteger(scenario.machines) || scenario.machines < 1) {
+    throw new Error('machines must be a positive whole number');
+  }
+  if (!(scenario.rate > 0)) {
+    throw new Error('rate must be a positive number of requests per second');
+  }
+  const channelTotal = Object.values(scenario.channels).reduce((total, share) => total + share, 0);
+  if (!(channelTotal > 0) || Object.keys(scenario.channels).some((name) => !['update', 'batch', 'whatsapp'].includes(name))) {
+    throw new Error('channels must give positive shares to update, batch and/or whatsapp');
+  }
+  return scenario;
+}
+
+/**
+ * Choose an ingestion path by the scenario's shares
+ * @param {Object} channels - Channel -> share
+ * @returns {string} Channel
+ */
+function pickChannel(channels) {
+  const entries = Object.entries(channels);
+  let roll = Math.random() * entries.reduce((total, [, share]) => total + share, 0);
+  for (const [name, share] of entries) {
+    roll -= share;
+    if (roll < 0) {
+      return name;
+    }
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Register the virtual machines and read back their current state
+ * @param {Object} scenario - Scenario
+ * @returns {Promise<Array<Object>>} Machine rows
+ */
+async function setupMachines(scenario) {
+  const machines = Array.from({ length: scenario.machines }, (_, index) => ({
+    machine_id: `M${scenario.first_machine_number + index}`,
+    name: `Simulated machine ${scenario.first_machine_number + index}`,
+    ideal_cycle_rate: scenario.ideal_cycle_rate,
+    ...(scenario.expected_interval_minutes && { expected_interval_minutes: scenario.expected_interval_minutes }),
+    ...(scenario.line && { line: scenario.line }),
+    ...(scenario.cell && { cell: scenario.cell }),
+  }));
+
+  const { status, body } = await postJson(`${scenario.url}/machines/batch`, { machines });
+  if (status !== 200 || !Array.isArray(body.results)) {
+    throw new Error(`Setup failed (${status}): ${body.error || 'unexpected response'}`);
+  }
+
+  const failed = body.results.filter((result) => !result.success);
+  if (failed.length > 0) {
+    throw new Error(`Setup failed for ${failed[0].machine_id}: ${failed[0].error}`);
+  }
+  return body.results.map((result) => result.machine);
+}
+
+/**
+ * Send the current state of some machines through one ingestion path
+ * @param {Object} scenario - Scenario
+ * @param {string} channel - "update", "batch" or "whatsapp"
+ * @param {Array<VirtualMachine>} machines - Machines to report
+ * @param {Stats} stats - Counters
+ */
+async function send(scenario, channel, machines, stats) {
+  const counters = stats.channel(channel);
+  const updates = machines.map((machine) => machine.toUpdate());
+  const startedAt = Date.now();
+  counters.requests += 1;
+
+  let outcomes;
+  try {
+    if (channel === 'batch') {
+      const { body } = await postJson(`${scenario.url}/machines/batch`, { machines: updates });
+      outcomes = (body.results || []).map((result) => ({ success: result.success, error: result.error }));
+    } else if (channel === 'whatsapp') {
+      const { body } = await postJson(`${scenario.url}/whatsapp/webhook`, toWebhookBody(updates));
+      outcomes = (body.results || []).map((result) => ({ success: result.success, error: result.error }));
+    } else {
+      const { body } = await postJson(`${scenario.url}/machines/update`, updates[0]);
+      outcomes = [{ success: body.success, error: body.error }];
+    }
+  } catch (error) {
+    counters.failed += updates.length;
+    stats.reject(`Request failed: ${error.message}`);
+    return;
+  } finally {
+    counters.latencies.push(Date.now() - startedAt);
+  }
+
+  machines.forEach((machine, index) => {
+    const outcome = outcomes[index];
+    if (outcome?.success) {
+      counters.applied += 1;
+      machine.confirm(updates[index].status);
+    } else {
+      counters.rejected += 1;
+      stats.reject(outcome?.error || 'No result returned');
+    }
+  });
+}
+
+async function main() {
+  const scenario = loadScenario(parseArgs(process.argv.slice(2)));
+  const channelMix = Object.entries(scenario.channels)
+    .map(([name, share]) => `${name} ${share}`)
+    .join(', ');
+
+  console.log(`🏭 Simulating ${scenario.machines} machines against ${scenario.url}`);
+  console.log(
+    `   ${scenario.rate} req/s, ${scenario.time_scale}x time, ` +
+      `${scenario.duration_seconds > 0 ? `${scenario.duration_seconds}s` : 'until interrupted'}, channels: ${channelMix}`
+  );
+
+  const rows = await setupMachines(scenario);
+  const startedAt = Date.now();
+  const toSimTime = (now) => startedAt + (now - startedAt) * scenario.time_scale;
+  const machines = rows.map((row) => new VirtualMachine(scenario, row, startedAt));
+  console.log(`✓ Registered ${machines.map((machine) => machine.machineId).join(', ')}\n`);
+
+  const stats = new Stats();
+  const inFlight = new Set();
+  const intervalMs = 1000 / scenario.rate;
+  const endAt = scenario.duration_seconds > 0 ? startedAt + scenario.duration_seconds * 1000 : Infinity;
+  let cursor = 0;
+  let nextAt = Date.now();
+  let nextProgressAt = Date.now() + PROGRESS_EVERY_MS;
+  let stopped = false;
+
+  process.on('SIGINT', () => {
+    stopped = true;
+  });
+
+  while (!stopped && Date.now() < endAt) {
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, nextAt - Date.now())));
+    nextAt += intervalMs;
+
+    if (inFlight.size >= scenario.concurrency) {
+      await Promise.race(inFlight);
+    }
+
+    // Report machines round-robin, skipping any whose last report is still in flight
+    const channel = pickChannel(scenario.channels);
+    const wanted = channel === 'update' ? 1 : Math.min(scenario.batch_size, machines.length);
+    const chosen = [];
+    for (let checked = 0; checked < machines.length && chosen.length < wanted; checked++) {
+      const machine = machines[cursor];
+      cursor = (cursor + 1) % machines.length;
+      if (!machine.busy) {
+        chosen.push(machine);
+      }
+    }
+    if (chosen.length === 0) {
+      continue;
+    }
+
+    const simNow = toSimTime(Date.now());
+    chosen.forEach((machine) => {
+      machine.advance(simNow);
+      machine.busy = true;
+    });
+
+    const request = send(scenario, channel, chosen, stats).finally(() => {
+      chosen.forEach((machine) => {
+        machine.busy = false;
+      });
+      inFlight.delete(request);
+    });
+    inFlight.add(request);
+
+    if (Date.now() >= nextProgressAt) {
+      console.log(stats.progressLine());
+      nextProgressAt += PROGRESS_EVERY_MS;
+    }
+  }
+
+  await Promise.all(inFlight);
+
+  console.log(`\n${stats.progressLine()}`);
+  console.log('\nPer channel:');
+  for (const [name, counters] of Object.entries(stats.channels)) {
+    console.log(
+      `   ${name.padEnd(8)} ${counters.requests} requests, ${counters.applied} applied, ` +
+        `${counters.rejected} rejected, ${counters.failed} failed`
+    );
+  }
+  if (stats.rejections.size > 0) {
+    console.log('\nRejections:');
+    [...stats.rejections.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .forEach(([message, count]) => console.log(`   ${count}x ${message}`));
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Simulator error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * Helpers for batch endpoints that apply many updates in one request
+ * Batches run in one of three modes:
+ * - default: each item is applied on its own; failed items do not stop the rest
+ * - atomic:  every item is applied in one transaction, rolled back if any item fails
+ * - dry run: every item is validated and applied in a transaction that is always rolled
+ *            back, reporting what would change
+ */
+
+// Interactive transactions time out after 5 seconds by default, too short for a large batch
+const BATCH_TRANSACTION_TIMEOUT_MS = 60000;
+
+// Thrown inside the transaction to roll it back once every item has been tried
+class BatchRollback extends Error {}
+
+/**
+ * Whether a query or body flag is set
+ * @param {*} value - Raw value ("true", true, "1")
+ * @returns {boolean} True if set
+ */
+function isFlagSet(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Read the batch mode from ?atomic=&dryRun= or the same fields in the request body
+ * @param {Object} query - Express req.query
+ * @param {Object} body - Express req.body
+ * @returns {{atomic: boolean, dryRun: boolean}} Batch options
+ */
+export function parseBatchOptions(query = {}, body = {}) {
+  return {
+    atomic: isFlagSet(query.atomic ?? body.atomic),
+    dryRun: isFlagSet(query.dryRun ?? body.dryRun),
+  };
+}
+
+/**
+ * Comparable form of a field value
+ * @param {*} value - Field value
+ * @returns {*} ISO string for dates, the value otherwise
+ */
+function comparable(value) {
+  return value instanceof Date ? value.toISOString() : value ?? null;
+}
+
+/**
+ * Field-level difference between a record before and after an update
+ * @param {Object|null} before - Record before the update (null if it is being created)
+ * @param {Object} after - Record after the update
+ * @param {Array<string>} ignore - Bookkeeping fields left out of the diff (e.g. timestamps)
+ * @returns {Object} Changed fields as { field: { from, to } }
+ */
+export function diffRecords(before, after, ignore = []) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(after)) {
+    if (ignore.includes(field)) {
+      continue;
+    }
+    const from = comparable(before ? before[field] : null);
+    const to = comparable(value);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Dry-run result for one record
+ * @param {Object|null} before - Record before the update
+ * @param {Object} after - Record after the update
+ * @param {Array<string>} ignore - Fields left out of the diff
+ * @returns {{action: string, changes: Object}} create, update or unchanged, with the field diff
+ */
+export function describeChange(before, after, ignore = []) {
+  const changes = diffRecords(before, after, ignore);
+  if (!before) {
+    return { action: 'create', changes };
+  }
+  return { action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', changes };
+}
+
+/**
+ * Apply every item of a batch in one transaction
+ * Items are applied in order, so later items see the effect of earlier ones. An item's error
+ * is recorded against it and the remaining items are still tried, so the results list every
+ * failure. The transaction is rolled back if any item failed, or always when commit is false.
+ *
+ * @param {Object} prisma - Prisma client
+ * @param {Array} items - Batch items
+ * @param {Function} applyItem - async (tx, item) -> result fields for the item; throws to fail it
+ * @param {Object} options - Batch options
+ * @param {string} options.idField - Item field that identifies it in failure results
+ * @param {boolean} options.commit - Commit the transaction if every item succeeded
+ * @returns {Promise<{results: Array, committed: boolean}>} Per-item results and whether they were written
+ */
+export async function runBatchTransaction(prisma, items, applyItem, { idField, commit = true } = {}) {
+  const results = [];
+
+  try {
+    await prisma.$transaction(
+      async (tx) => {
+        for (const item of items) {
+          try {
+            results.push({ success: true, ...(await applyItem(tx, item)) });
+          } catch (error) {
+            results.push({ success: false, [idField]: item?.[idField] || 'unknown', error: error.message });
+          }
+        }
+
+        if (!commit || results.some((result) => !result.success)) {
+          throw new BatchRollback();
+        }
+      },
+      { timeout: BATCH_TRANSACTION_TIMEOUT_MS }
+    );
+  } catch (error) {
+    if (!(error instanceof BatchRollback)) {
+      throw error;
+    }
+    return { results, committed: false };
+  }
+
+  return { results, committed: true };
+}
+
@@ -0,0 +1,54 @@
+/**
+ * Date range helpers for endpoints that accept ?from=&to= query parameters
+ */
+
+/**
+ * Parse a single date query parameter
+ * @param {string|undefined} value - Raw query value (ISO string or anything Date can parse)
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {Date|null} Parsed date or null if the value is empty
+ */
+export function parseDateParam(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Parse ?from=&to= query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{from: Date|null, to: Date|null}} Parsed range (either side may be open)
+ */
+export function parseDateRange(query = {}) {
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to');
+
+  if (from && to && from > to) {
+    throw new Error('"from" must be before "to"');
+  }
+
+  return { from, to };
+}
+
+/**
+ * Build a Prisma DateTime filter from a date range
+ * @param {{from: Date|null, to: Date|null}} range - Date range
+ * @returns {Object|undefined} Prisma filter ({ gte, lte }) or undefined if the range is open on both sides
+ */
+export function toPrismaDateFilter({ from, to } = {}) {
+  if (!from && !to) {
+    return undefined;
+  }
+
+  return {
+    ...(from && { gte: from }),
+    ...(to && { lte: to }),
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * Shared query language for list endpoints
+ *
+ *   ?status=Running,Idle        filter (comma-separated values match any of them)
+ *   ?from=&to=&date_field=      date range on one of the list's date fields
+ *   ?sort=-priority,order_id    multi-field sort, "-" for descending
+ *   ?limit=50&cursor=...        cursor pagination (cursor is the next_cursor of the previous page)
+ *   ?fields=order_id,status     field selection
+ *
+ * Each list describes its columns, filters and default sort in a spec:
+ *   {
+ *     fields: { order_id: 'string', quantity: 'number', created_at: 'date', ... },
+ *     computedFields: ['stale'],           // selectable but not sortable or filterable
+ *     filters: { status: { field: 'status', values: VALID_STATUSES }, operator: {} },
+ *     dateFields: ['created_at', 'updated_at'],
+ *     defaultSort: '-updated_at',
+ *     sortColumns: { priority: 'priority_rank' },   // sort a field by another column
+ *   }
+ */
+
+import { parseDateRange, toPrismaDateFilter } from './dateRange.js';
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 500;
+
+/**
+ * Split a comma-separated query value
+ * @param {string|Array<string>|undefined} value - Raw query value (repeated parameters arrive as an array)
+ * @returns {Array<string>} Non-empty trimmed parts
+ */
+function splitList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return [value]
+    .flat()
+    .flatMap((part) => String(part).split(','))
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse ?sort=
+ * @param {string|undefined} value - Raw query value
+ * @param {Object} spec - List spec
+ * @returns {Array<{field: string, column: string, direction: string}>} Sort keys in order
+ */
+function parseSort(value, spec) {
+  const keys = splitList(value ?? spec.defaultSort);
+
+  const sort = keys.map((key) => {
+    const direction = key.startsWith('-') ? 'desc' : 'asc';
+    const field = key.replace(/^[-+]/, '');
+    if (!spec.fields[field]) {
+      throw new Error(`Invalid sort field: ${field}. Must be one of: ${Object.keys(spec.fields).join(', ')}`);
+    }
+    return { field, column: spec.sortColumns?.[field] ?? field, direction };
+  });
+
+  const duplicate = sort.find((key, index) => sort.findIndex((other) => other.field === key.field) !== index);
+  if (duplicate) {
+    throw new Error(`Sort field ${duplicate.field} is listed more than once`);
+  }
+
+  return sort;
+}
+
+/**
+ * Text form of a sort, used to tie a cursor to the sort it was issued for
+ * @param {Array<{field: string, direction: string}>} sort - Sort keys
+ * @returns {string} e.g. "-priority,order_id"
+ */
+function formatSort(sort) {
+  return sort.map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field)).join(',');
+}
+
+/**
+ * Parse ?limit=
+ * @param {string|undefined} value - Raw query value
+ * @returns {number} Page size
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') {
+    return DEFAULT_LIMIT;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  return limit;
+}
+
+/**
+ * Encode the position after a record as an opaque cursor
+ * @param {Object} record - Last record of the page
+ * @param {Array<{field: string, column: string, direction: string}>} sort - Sort keys
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(record, sort) {
+  const payload = {
+    sort: formatSort(sort),
+    values: sort.map(({ column }) => (record[column] instanceof Date ? record[column].toISOString() : record[column] ?? null)),
+    id: record.id,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor - Cursor from the previous page's next_cursor
+ * @param {Array<{field: string, direction: string}>} sort - Sort of the current request
+ * @param {Object} spec - List spec
+ * @returns {{values: Array, id: string}} Sort values and ID of the last record of the previous page
+ */
+function decodeCursor(cursor, sort, spec) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!payload || !Array.isArray(payload.values) || typeof payload.id !== 'string') {
+    throw new Error('Invalid cursor');
+  }
+  if (payload.sort !== formatSort(sort)) {
+    throw new Error(`Cursor was issued for sort "${payload.sort}", not "${formatSort(sort)}"`);
+  }
+
+  const values = sort.map(({ field }, index) => {
+    const value = payload.values[index];
+    return value !== null && spec.fields[field] === 'date' ? new Date(value) : value;
+  });
+
+  return { values, id: payload.id };
+}
+
+/**
+ * Prisma condition for "comes after the cursor value" on one sort key
+ * SQLite sorts NULL first ascending and last descending.
+ * @param {string} field - Field
+ * @param {string} direction - asc | desc
+ * @param {*} value - Cursor value (may be null)
+ * @returns {Object|null} Prisma condition, or null if nothing can come after the value
+ */
+function afterCondition(field, direction, value) {
+  if (value === null) {
+    return direction === 'asc' ? { [field]: { not: null } } : null;
+  }
+  if (direction === 'asc') {
+    return { [field]: { gt: value } };
+  }
+  return { OR: [{ [field]: { lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Keyset condition selecting the records after a cursor
+ * @param {Array<{field: string, column: string, direction: string}>} sort - Sort keys (the ID tiebreaker is added here)
+ * @param {{values: Array, id: string}} cursor - Decoded cursor
+ * @returns {Object} Prisma where condition
+ */
+function buildCursorWhere(sort, cursor) {
+  const keys = [...sort, { column: 'id', direction: 'asc' }];
+  const values = [...cursor.values, cursor.id];
+
+  const branches = [];
+  keys.forEach(({ column, direction }, index) => {
+    const after = afterCondition(column, direction, values[index]);
+    if (!after) {
+      return;
+    }
+    const equal = keys.slice(0, index).map((key, i) => ({ [key.column]: values[i] }));
+    branches.push({ AND: [...equal, after] });
+  });
+
+  return { OR: branches };
+}
+
+/**
+ * Prisma orderBy of a sort, with the ID as tiebreaker so the order is total
+ * @param {Array<{field: string, column: string, direction: string}>} sort - Sort keys
+ * @returns {Array<Object>} Prisma orderBy
+ */
+function toOrderBy(sort) {
+  return [...sort.map(({ column, direction }) => ({ [column]: direction })), { id: 'asc' }];
+}
+
+/**
+ * Parse the list query parameters of a request
+ * @param {Object} query - Express req.query
+ * @param {Object} spec - List spec (see top of file)
+ * @returns {Object} { where, sort, limit, cursor, fields } for findPage / selectFields
+ */
+export function parseListQuery(query = {}, spec) {
+  const where = {};
+
+  for (const [param, filter] of Object.entries(spec.filters || {})) {
+    const values = splitList(query[param]);
+    if (values.length === 0) {
+      continue;
+    }
+    if (filter.values) {
+      const invalid = values.find((value) => !filter.values.includes(value));
+      if (invalid) {
+        throw new Error(`Invalid ${param}: ${invalid}. Must be one of: ${filter.values.join(', ')}`);
+      }
+    }
+    where[filter.field || param] = values.length === 1 ? values[0] : { in: values };
+  }
+
+  const dateFields = spec.dateFields || [];
+  const dateField = query.date_field || dateFields[0];
+  if (query.date_field && !dateFields.includes(dateField)) {
+    throw new Error(`Invalid date_field: ${dateField}. Must be one of: ${dateFields.join(', ')}`);
+  }
+  const range = parseDateRange(query);
+  if (range.from || range.to) {
+    if (!dateField) {
+      throw new Error('This list has no date field to filter on');
+    }
+    where[dateField] = toPrismaDateFilter(range);
+  }
+
+  const sort = parseSort(query.sort, spec);
+  const limit = parseLimit(query.limit);
+  const cursor = query.cursor ? decodeCursor(String(query.cursor), sort, spec) : null;
+
+  let fields = null;
+  if (query.fields) {
+    fields = splitList(query.fields);
+    const selectable = [...Object.keys(spec.fields), ...(spec.computedFields || [])];
+    const invalid = fields.find((field) => field !== 'id' && !selectable.includes(field));
+    if (invalid) {
+      throw new Error(`Invalid field: ${invalid}. Must be one of: ${selectable.join(', ')}`);
+    }
+  }
+
+  return { where, sort, limit, cursor, fields };
+}
+
+/**
+ * Fetch one page of a list
+ * @param {Object} delegate - Prisma model delegate (e.g. prisma.order)
+ * @param {Object} options - Parsed list query (see parseListQuery)
+ * @param {Object} options.where - Filters
+ * @param {Array} options.sort - Sort keys
+ * @param {number} options.limit - Page size
+ * @param {Object|null} options.cursor - Decoded cursor
+ * @returns {Promise<{data: Array, total: number, next_cursor: string|null}>} Page, total matching records
+ *   and the cursor of the next page (null on the last page)
+ */
+export async function findPage(delegate, { where = {}, sort, limit = DEFAULT_LIMIT, cursor = null }) {
+  const [total, rows] = await Promise.all([
+    delegate.count({ where }),
+    delegate.findMany({
+      where: cursor ? { AND: [where, buildCursorWhere(sort, cursor)] } : where,
+      orderBy: toOrderBy(sort),
+      take: limit + 1,
+    }),
+  ]);
+
+  const data = rows.slice(0, limit);
+  return {
+    data,
+    total,
+    next_cursor: rows.length > limit ? encodeCursor(data[data.length - 1], sort) : null,
+  };
+}
+
+/**
+ * Fetch every record matching a list query, page by page (exports)
+ * @param {Object} delegate - Prisma model delegate
+ * @param {Object} options - Parsed list query (limit and cursor are ignored)
+ * @returns {Promise<Array>} Matching records in sort order
+ */
+export async function findAll(delegate, { where = {}, sort }) {
+  const records = [];
+  let cursor = null;
+  for (;;) {
+    const page = await delegate.findMany({
+      where: cursor ? { AND: [where, buildCursorWhere(sort, cursor)] } : where,
+      orderBy: toOrderBy(sort),
+      take: MAX_LIMIT,
+    });
+    records.push(...page);
+    if (page.length < MAX_LIMIT) {
+      return records;
+    }
+    const last = page[page.length - 1];
+    cursor = { values: sort.map(({ column }) => last[column] ?? null), id: last.id };
+  }
+}
+
+/**
+ * Keep only the requested fields of each record
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>|null} fields - Requested fields (null keeps everything)
+ * @returns {Array<Object>} Records with the requested fields
+ */
+export function selectFields(records, fields) {
+  if (!fields) {
+    return records;
+  }
+
+  return records.map((record) => Object.fromEntries(fields.map((field) => [field, record[field] ?? null])));
+}
@@ -0,0 +1,58 @@
+/**
+ * Sequential record IDs such as "WO-000042"
+ * The next ID follows the highest one in use, so deleting a record never hands out an ID that
+ * is still taken. Two writers can still read the same highest ID at the same time; the unique
+ * index on the ID column rejects the second create, and withSequenceRetry runs it again with
+ * a fresh ID.
+ */
+
+const ID_DIGITS = 6;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Generate the next ID of a sequence
+ * @param {Object} delegate - Prisma model delegate (of the client or a transaction client)
+ * @param {string} field - Unique ID column, e.g. "work_order_id"
+ * @param {string} prefix - ID prefix, e.g. "WO"
+ * @returns {Promise<string>} ID, e.g. "WO-000042"
+ */
+export async function nextSequenceId(delegate, field, prefix) {
+  // IDs are zero-padded to a fixed width, so the highest one also sorts last
+  const last = await delegate.findFirst({
+    where: { [field]: { startsWith: `${prefix}-` } },
+    orderBy: { [field]: 'desc' },
+    select: { [field]: true },
+  });
+  const highest = last ? parseInt(last[field].slice(prefix.length + 1), 10) || 0 : 0;
+  return `${prefix}-${String(highest + 1).padStart(ID_DIGITS, '0')}`;
+}
+
+/**
+ * Whether an error is a unique constraint conflict on a column
+ * @param {Error} error - Error thrown by Prisma
+ * @param {string} field - Unique ID column
+ * @returns {boolean} True if another record already has the value
+ */
+function isSequenceConflict(error, field) {
+  return error?.code === 'P2002' && String(error.meta?.target ?? '').includes(field);
+}
+
+/**
+ * Run a create that takes its ID from nextSequenceId, again if a concurrent writer took the ID
+ * When the create runs in a transaction, the whole transaction goes inside the operation so a
+ * retry starts from a clean transaction.
+ * @param {string} field - Unique ID column the operation fills
+ * @param {Function} operation - async () => result, reads its ID with nextSequenceId
+ * @returns {Promise<*>} Result of the operation
+ */
+export async function withSequenceRetry(field, operation) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isSequenceConflict(error, field)) {
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,499 @@
+/**
+ * CSV / XLSX import and export helpers
+ *
+ * An import reads the first sheet of a spreadsheet (or a CSV file), maps its header row
+ * to record fields and converts every row. runImport then previews the rows through the
+ * module's batch update in dry-run mode (so the module's own validation decides which
+ * rows are valid) and, when asked to commit and every row passed, applies them all in
+ * one atomic batch.
+ *
+ * Each module describes its importable columns in a spec:
+ *   {
+ *     key: 'order_id',                                  // required, identifies the record
+ *     columns: { order_id: 'string', quantity: 'int' }, // string | int | float | date
+ *     aliases: { customer: 'customer_name' },           // extra header names
+ *     commitFields: ['interlock'],                      // batch result fields the commit reports per row
+ *   }
+ */
+
+import express from 'express';
+import ExcelJS from 'exceljs';
+import config from '../config.js';
+
+export const SpreadsheetFormat = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+};
+
+export const VALID_FORMATS = Object.values(SpreadsheetFormat);
+
+export const CONTENT_TYPES = {
+  [SpreadsheetFormat.CSV]: 'text/csv; charset=utf-8',
+  [SpreadsheetFormat.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Text cells starting with one of these run as a formula when an export is opened in Excel
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Uploaded files arrive as the raw request body, whatever their content type
+export const spreadsheetUpload = express.raw({ type: () => true, limit: config.imports.maxFileSize });
+
+/**
+ * Resolve the file format of an upload or export
+ * @param {string|undefined} format - ?format= value
+ * @param {Buffer|null} buffer - Uploaded file (XLSX files are zip archives starting with "PK")
+ * @returns {string} csv | xlsx
+ */
+export function resolveFormat(format, buffer = null) {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    if (!VALID_FORMATS.includes(normalized)) {
+      throw new Error(`Invalid format: ${format}. Must be one of: ${VALID_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  if (buffer && buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    return SpreadsheetFormat.XLSX;
+  }
+  return SpreadsheetFormat.CSV;
+}
+
+/**
+ * Guess the delimiter of a CSV file from its first line (Excel writes ";" in many locales)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const char of firstLine) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char in counts) {
+      counts[char] += 1;
+    }
+  }
+  const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? delimiter : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold delimiters, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Plain value of an ExcelJS cell (formulas give their result, rich text its text)
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} String, number, boolean, Date or null
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date || typeof value !== 'object') {
+    return value;
+  }
+  if ('result' in value) {
+    return cellValue(value.result);
+  }
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((part) => part.text).join('');
+  }
+  if ('text' in value) {
+    return cellValue(value.text);
+  }
+  if ('error' in value) {
+    return null;
+  }
+  return String(value);
+}
+
+/**
+ * Read the rows of an uploaded spreadsheet
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv | xlsx
+ * @param {Object} options - Read options
+ * @param {string} options.sheet - XLSX worksheet name (defaults to the first sheet)
+ * @returns {Promise<Array<Array<*>>>} Rows of cell values, header row first
+ */
+export async function readSpreadsheet(buffer, format, { sheet = null } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error(
+      'Send the CSV or XLSX file as the request body with Content-Type text/csv, '
+        + `${CONTENT_TYPES[SpreadsheetFormat.XLSX]} or application/octet-stream`
+    );
+  }
+
+  if (format === SpreadsheetFormat.CSV) {
+    return parseCsv(buffer.toString('utf8'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`Could not read XLSX file: ${error.message}`);
+  }
+
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error(sheet ? `Worksheet "${sheet}" not found` : 'The workbook has no worksheets');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based
+    rows[rowNumber - 1] = row.values.slice(1).map(cellValue);
+  });
+  return Array.from(rows, (row) => row || []);
+}
+
+/**
+ * Normalize a header to the field naming used by the schema ("Order ID" -> "order_id")
+ * @param {*} header - Header cell
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header ?? '')
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Format a date as YYYY-MM-DD (date cells imported into text fields such as eta)
+ * @param {Date} date - Date
+ * @returns {string} ISO date, or full ISO timestamp if it has a time of day
+ */
+function formatDateText(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Convert one cell to the field's type
+ * @param {*} value - Cell value (not empty)
+ * @param {string} type - string | int | float | date
+ * @returns {*} Converted value
+ */
+function convertCell(value, type) {
+  switch (type) {
+    case 'int':
+    case 'float': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number) || (type === 'int' && !Number.isInteger(number))) {
+        throw new Error(`expected ${type === 'int' ? 'a whole number' : 'a number'}, got "${value}"`);
+      }
+      return number;
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(String(value).trim());
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`expected a date, got "${value}"`);
+      }
+      return date;
+    }
+    default: {
+      if (value instanceof Date) {
+        return formatDateText(value);
+      }
+      // Drop the quote an export put in front of formula-like text (see escapeFormula)
+      const text = String(value).trim();
+      return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+    }
+  }
+}
+
+/**
+ * Map spreadsheet rows to records
+ * Empty cells are left out, so an import only changes the columns it fills in.
+ * @param {Array<Array<*>>} rows - Rows of cell values, header row first
+ * @param {Object} spec - Import spec (see top of file)
+ * @param {Object} columnMap - Extra { header: field } mappings (e.g. from ?map[PO Number]=order_id)
+ * @returns {Object} { columns: { header: field }, ignored_columns, rows: [{ row, data, errors }] }
+ */
+export function mapImportRows(rows, spec, columnMap = {}) {
+  const [headerRow = [], ...dataRows] = rows;
+
+  if (typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    throw new Error('Column mappings must be given as map[Header]=field');
+  }
+
+  const lookup = {
+    ...Object.fromEntries(Object.keys(spec.columns).map((field) => [field, field])),
+    ...Object.fromEntries(Object.entries(spec.aliases || {}).map(([alias, field]) => [normalizeHeader(alias), field])),
+  };
+  const customMap = Object.fromEntries(
+    Object.entries(columnMap || {}).map(([header, field]) => [normalizeHeader(header), String(field)])
+  );
+  for (const field of Object.values(customMap)) {
+    if (!spec.columns[field]) {
+      throw new Error(`Invalid column mapping to ${field}. Must be one of: ${Object.keys(spec.columns).join(', ')}`);
+    }
+  }
+
+  const columns = {};
+  const ignoredColumns = [];
+  const fieldIndex = [];
+  headerRow.forEach((header, index) => {
+    const name = String(header ?? '').trim();
+    if (!name) {
+      return;
+    }
+    const normalized = normalizeHeader(name);
+    const field = customMap[normalized] || lookup[normalized];
+    if (!field) {
+      ignoredColumns.push(name);
+      return;
+    }
+    if (Object.values(columns).includes(field)) {
+      throw new Error(`More than one column maps to ${field}`);
+    }
+    columns[name] = field;
+    fieldIndex[index] = field;
+  });
+
+  if (!Object.values(columns).includes(spec.key)) {
+    throw new Error(`No ${spec.key} column found in the header row`);
+  }
+
+  const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+  const mapped = [];
+  dataRows.forEach((cells, index) => {
+    if (cells.every(isEmpty)) {
+      return;
+    }
+
+    const data = {};
+    const errors = [];
+    fieldIndex.forEach((field, cellIndex) => {
+      if (!field || isEmpty(cells[cellIndex])) {
+        return;
+      }
+      try {
+        data[field] = convertCell(cells[cellIndex], spec.columns[field]);
+      } catch (error) {
+        errors.push(`${field}: ${error.message}`);
+      }
+    });
+    if (!data[spec.key] && !errors.some((error) => error.startsWith(`${spec.key}:`))) {
+      errors.push(`${spec.key} is required`);
+    }
+
+    // Spreadsheet row numbers are 1-based and the header is row 1
+    mapped.push({ row: index + 2, data, errors });
+  });
+
+  if (mapped.length > config.imports.maxRows) {
+    throw new Error(`Too many rows: ${mapped.length} (at most ${config.imports.maxRows} per import)`);
+  }
+
+  return { columns, ignored_columns: ignoredColumns, rows: mapped };
+}
+
+/**
+ * Preview an import and, if asked and every row is valid, commit it
+ * @param {Object} mapped - Result of mapImportRows
+ * @param {Object} spec - Import spec
+ * @param {Function} batchUpdate - Module batch update: (items, { atomic, dryRun }) => { results, committed }
+ * @param {Object} options - Import options
+ * @param {boolean} options.commit - Apply the rows (all or nothing) instead of only previewing them
+ * @returns {Promise<Object>} { committed, summary, columns, ignored_columns, results } with one result per row
+ */
+export async function runImport(mapped, spec, batchUpdate, { commit = false } = {}) {
+  const validRows = mapped.rows.filter((row) => row.errors.length === 0);
+
+  // The dry run applies the module's own validation and reports the diff of every row
+  const preview = validRows.length > 0
+    ? await batchUpdate(validRows.map((row) => row.data), { dryRun: true })
+    : { results: [] };
+  const previewByRow = new Map(validRows.map((row, index) => [row.row, preview.results[index]]));
+
+  const results = mapped.rows.map((row) => {
+    if (row.errors.length > 0) {
+      return { row: row.row, success: false, [spec.key]: row.data[spec.key] ?? null, error: row.errors.join('; ') };
+    }
+    const { success, error, action, changes, warning } = previewByRow.get(row.row);
+    return {
+      row: row.row,
+      success,
+      [spec.key]: row.data[spec.key],
+      ...(success ? { action, changes } : { error }),
+      ...(warning && { warning }),
+    };
+  });
+
+  const failed = results.filter((result) => !result.success).length;
+  let committed = false;
+  if (commit && failed === 0 && results.length > 0) {
+    const applied = await batchUpdate(validRows.map((row) => row.data), { atomic: true });
+    committed = applied.committed;
+    if (committed) {
+      // Effects of the commit that the preview cannot show, e.g. a safety interlock it engaged
+      applied.results.forEach((result, index) => {
+        for (const field of spec.commitFields || []) {
+          if (result[field] !== undefined) {
+            results[index][field] = result[field];
+          }
+        }
+      });
+    } else {
+      // Something changed between preview and commit; report the commit's errors
+      applied.results.forEach((result, index) => {
+        if (!result.success) {
+          Object.assign(results[index], { success: false, error: result.error });
+        }
+      });
+    }
+  }
+
+  const countAction = (action) => results.filter((result) => result.success && result.action === action).length;
+  return {
+    committed,
+    summary: {
+      rows: results.length,
+      create: countAction('create'),
+      update: countAction('update'),
+      unchanged: countAction('unchanged'),
+      failed: results.filter((result) => !result.success).length,
+    },
+    columns: mapped.columns,
+    ignored_columns: mapped.ignored_columns,
+    results,
+  };
+}
+
+/**
+ * One-line summary of an import report
+ * @param {Object} report - Result of runImport
+ * @param {boolean} commit - Whether the import was asked to commit
+ * @returns {string} Message
+ */
+export function describeImport(report, commit) {
+  const { rows, create, update, unchanged, failed } = report.summary;
+  if (rows === 0) {
+    return 'The file has no data rows';
+  }
+  if (report.committed) {
+    return `Imported ${rows} row(s): ${create} created, ${update} updated, ${unchanged} unchanged`;
+  }
+  if (commit) {
+    return `Import not applied: ${failed} of ${rows} row(s) failed, nothing was written`;
+  }
+  return `Preview: ${create} to create, ${update} to update, ${unchanged} unchanged, ${failed} failed; nothing was applied`;
+}
+
+/**
+ * Quote free text that a spreadsheet app would run as a formula (e.g. a note "=HYPERLINK(...)")
+ * @param {*} value - Cell value
+ * @returns {*} The value, with a leading ' if it is formula-like text
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Write records to a CSV or XLSX file
+ * Formula-like text is written with a leading ', which an import removes again.
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Fields to write, in order
+ * @param {string} format - csv | xlsx
+ * @param {string} sheetName - XLSX worksheet name
+ * @returns {Promise<Buffer>} File contents
+ */
+export async function writeSpreadsheet(records, columns, format, sheetName = 'Sheet1') {
+  if (format === SpreadsheetFormat.CSV) {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns, ...records.map((record) => columns.map((column) => escapeFormula(record[column])))]
+      .map((cells) => cells.map(escape).join(','));
+    // BOM so Excel opens the file as UTF-8
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  for (const record of records) {
+    worksheet.addRow(Object.fromEntries(columns.map((column) => [column, escapeFormula(record[column] ?? null)])));
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Send records as a CSV or XLSX download, e.g. orders-2025-01-31.csv
+ * @param {Object} res - Express response
+ * @param {Object} file - Export
+ * @param {string} file.name - Base file name, also the XLSX worksheet name
+ * @param {string} file.format - csv | xlsx
+ * @param {Array<string>} file.columns - Fields to write, in order
+ * @param {Array<Object>} file.records - Records
+ */
+export async function sendSpreadsheet(res, { name, format, columns, records }) {
+  const file = await writeSpreadsheet(records, columns, format, name);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.${format}`);
+  res.send(file);
+}
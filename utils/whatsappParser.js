@@ -6,7 +6,7 @@
 /**
  * Detect intent from WhatsApp message
  * @param {string} message - Raw WhatsApp message
- * @returns {string} Intent type: MACHINE_UPDATE | SAFETY_UPDATE | ORDER_UPDATE | UNKNOWN
+ * @returns {string} Intent type: TOOL_CHANGE | MACHINE_UPDATE | SAFETY_UPDATE | ORDER_UPDATE | UNKNOWN
  */
 export function detectIntent(message) {
   if (!message || typeof message !== 'string') {
@@ -15,6 +15,11 @@ export function detectIntent(message) {
 
   const upperMessage = message.toUpperCase();
 
+  // Tool change pattern: machine ID followed by TOOL (e.g. "M01 TOOL T12 REPLACED")
+  if (/^M\d+\s+TOOL\b/i.test(message.trim())) {
+    return 'TOOL_CHANGE';
+  }
+
   // Machine update pattern: Starts with M followed by digits
   if (/^M\d+/i.test(message.trim())) {
     return 'MACHINE_UPDATE';
@@ -35,7 +40,9 @@ export function detectIntent(message) {
 
 /**
  * Parse machine update message
- * Format: "M03 STATUS=Running OUTPUT=130 OPERATOR=Arun"
+ * Format: "M03 STATUS=Running OUTPUT=130 SCRAP=2 OPERATOR=Arun"
+ * or "M01 STATUS=Error REASON=ELEC-01 ERROR=Motor trip"
+ * or "M01 STATUS=Running ACK=Ravi" (acknowledge the fault while restarting)
  * @param {string} message - Raw WhatsApp message
  * @returns {Object|null} Parsed machine data
  */
@@ -49,8 +56,12 @@ export function parseMachineUpdate(message) {
       machine_id: null,
       status: null,
       output: null,
+      scrap: null,
+      reason_code: null,
       error_message: null,
       operator: null,
+      role: null,
+      acknowledged_by: null,
     };
 
     // Extract machine_id (e.g., M01, M02, M03)
@@ -73,18 +84,42 @@ export function parseMachineUpdate(message) {
       parsed.output = parseInt(outputMatch[1], 10);
     }
 
-    // Extract error message
-    const errorMatch = message.match(/ERROR[=:]?\s*(.+?)(?:\s+(?:OPERATOR|STATUS|OUTPUT)|$)/i);
+    // Extract scrap
+    const scrapMatch = message.match(/SCRAP[=:]?\s*(\d+)/i);
+    if (scrapMatch) {
+      parsed.scrap = parseInt(scrapMatch[1], 10);
+    }
+
+    // Extract downtime reason code
+    const reasonMatch = message.match(/REASON[=:]?\s*([A-Z0-9_-]+)/i);
+    if (reasonMatch) {
+      parsed.reason_code = reasonMatch[1].toUpperCase();
+    }
+
+    // Extract error message (skip the word "Error" when it is the STATUS value)
+    const errorMatch = message.match(/(?<![=:]\s*)\bERROR[=:]?\s*(.+?)(?:\s+(?:OPERATOR|STATUS|OUTPUT|SCRAP|REASON|ACK|ROLE)\b|$)/i);
     if (errorMatch) {
       parsed.error_message = errorMatch[1].trim();
     }
 
     // Extract operator
-    const operatorMatch = message.match(/OPERATOR[=:]?\s*(.+?)$/i);
+    const operatorMatch = message.match(/OPERATOR[=:]?\s*(.+?)(?:\s+(?:ACK|ROLE)\b|$)/i);
     if (operatorMatch) {
       parsed.operator = operatorMatch[1].trim();
     }
 
+    // Extract the role the update is made under (e.g. ROLE=Supervisor)
+    const roleMatch = message.match(/\bROLE[=:]?\s*(\w+)/i);
+    if (roleMatch) {
+      parsed.role = roleMatch[1];
+    }
+
+    // Extract a fault acknowledgement (e.g. ACK=Ravi)
+    const ackMatch = message.match(/\bACK[=:]?\s*(\w+)/i);
+    if (ackMatch) {
+      parsed.acknowledged_by = ackMatch[1];
+    }
+
     // Remove null values
     Object.keys(parsed).forEach((key) => {
       if (parsed[key] === null) {
@@ -99,6 +134,57 @@ export function parseMachineUpdate(message) {
   }
 }
 
+/**
+ * Parse tool change message
+ * Format: "M01 TOOL T12 REPLACED"
+ * or "M01 TOOL T12 REPLACED REASON=Broken OPERATOR=Arun" (CHANGED works as well as REPLACED)
+ * @param {string} message - Raw WhatsApp message
+ * @returns {Object|null} Parsed tool change or null if the message is not a tool change
+ */
+export function parseToolChange(message) {
+  if (!message || typeof message !== 'string') {
+    return null;
+  }
+
+  try {
+    const match = message.trim().match(/^(M\d+)\s+TOOL\s+([A-Z0-9_-]+)\s+(?:REPLACED|CHANGED)\b/i);
+    if (!match) {
+      return null;
+    }
+
+    const parsed = {
+      machine_id: match[1].toUpperCase(),
+      tool_id: match[2].toUpperCase(),
+      reason: null,
+      operator: null,
+    };
+
+    // Extract reason for the change (e.g. REASON=Worn)
+    const reasonMatch = message.match(/REASON[=:]?\s*(.+?)(?:\s+OPERATOR\b|$)/i);
+    if (reasonMatch) {
+      parsed.reason = reasonMatch[1].trim();
+    }
+
+    // Extract operator
+    const operatorMatch = message.match(/OPERATOR[=:]?\s*(.+?)(?:\s+REASON\b|$)/i);
+    if (operatorMatch) {
+      parsed.operator = operatorMatch[1].trim();
+    }
+
+    // Remove null values
+    Object.keys(parsed).forEach((key) => {
+      if (parsed[key] === null) {
+        delete parsed[key];
+      }
+    });
+
+    return parsed;
+  } catch (error) {
+    console.error('Error parsing tool change:', error);
+    return null;
+  }
+}
+
 /**
  * Parse safety update message
  * Format: "SAFETY WeldingZone PPE=Helmet,Gloves"
@@ -136,20 +222,16 @@ export function parseSafetyUpdate(message) {
       parsed.ppe_required = ppeMatch[1].trim();
     }
 
-    // Extract risk level
+    // Extract risk level (left unset when omitted, so the area keeps its current level)
     const riskMatch = message.match(/RISK[=:]?\s*(Low|Medium|High|Critical)/i);
     if (riskMatch) {
       parsed.risk_level = riskMatch[1].charAt(0).toUpperCase() + riskMatch[1].slice(1).toLowerCase();
-    } else {
-      parsed.risk_level = 'Medium'; // Default
     }
 
-    // Extract status
+    // Extract status (left unset when omitted, so a Critical area is not cleared by a PPE-only message)
     const statusMatch = message.match(/STATUS[=:]?\s*(Safe|Warning|Critical|Maintenance)/i);
     if (statusMatch) {
       parsed.status = statusMatch[1].charAt(0).toUpperCase() + statusMatch[1].slice(1).toLowerCase();
-    } else {
-      parsed.status = 'Safe'; // Default
     }
 
     // Extract notes
@@ -269,7 +351,7 @@ export function parseOrderUpdate(message) {
  */
 function normalizeMachineStatus(status) {
   const normalized = status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
-  const validStatuses = ['Running', 'Idle', 'Maintenance', 'Error'];
+  const validStatuses = ['Running', 'Idle', 'Maintenance', 'Error', 'Offline'];
   
   if (normalized.includes('run')) return 'Running';
   if (normalized.includes('idle')) return 'Idle';